@@ -0,0 +1,180 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { filterPath } = require('./subtitleBurn.cjs');
+const { findFont } = require('./fonts.cjs');
+
+// Animated image export (GIF, animated WebP, APNG) from a range of a video.
+//
+// The filtergraph crops, drops to the output frame rate, scales, draws the
+// caption and, for a boomerang, appends the clip played backwards (without
+// repeating the turnaround frame). GIF then goes through palettegen/paletteuse
+// so the 256-colour palette is built from the clip itself, with the chosen
+// number of colours and dither mode. WebP and APNG are full colour.
+//
+// The size estimate encodes a short sample from the middle of the range with
+// the same settings and scales its size up to the full length.
+
+const FORMATS = {
+    gif: { ext: 'gif', encoder: 'gif', args: ['-loop', '0'] },
+    webp: {
+        ext: 'webp',
+        encoder: 'libwebp',
+        args: ['-c:v', 'libwebp', '-lossless', '0', '-quality', '75', '-compression_level', '4', '-loop', '0']
+    },
+    // plays=0 loops forever; the muxer's default plays once
+    apng: { ext: 'png', encoder: 'apng', args: ['-c:v', 'apng', '-plays', '0', '-f', 'apng'] }
+};
+
+const DITHER_MODES = ['sierra2_4a', 'floyd_steinberg', 'bayer', 'none'];
+
+// Caption font size as a fraction of the output width
+const CAPTION_SIZES = { small: 0.05, medium: 0.07, large: 0.1 };
+
+const SAMPLE_SECONDS = 2;
+const ESTIMATE_TIMEOUT_MS = 60000;
+
+function captionFilter(caption, captionFile, width) {
+    const fontSize = Math.max(10, Math.round(width * (CAPTION_SIZES[caption.size] || CAPTION_SIZES.medium)));
+    const draw = [
+        `textfile=${filterPath(captionFile)}`,
+        'expansion=none',
+        'fontcolor=white',
+        `fontsize=${fontSize}`,
+        'bordercolor=black',
+        `borderw=${Math.max(1, Math.round(fontSize / 12))}`,
+        'x=(w-text_w)/2',
+        caption.position === 'top' ? 'y=h*0.05' : 'y=h-text_h-h*0.05'
+    ];
+    const font = findFont();
+    if (font) draw.unshift(`fontfile=${filterPath(font)}`);
+    return `drawtext=${draw.join(':')}`;
+}
+
+/**
+ * @param {{ format: 'gif' | 'webp' | 'apng', fps: number, width: number,
+ *   crop?: { x, y, width, height }, boomerang?: boolean, caption?: { text, position, size },
+ *   captionFile?: string, dither?: string, maxColors?: number }} options
+ *   captionFile holds the caption text (drawtext reads it, so no escaping)
+ * @returns {string} filtergraph from [0:v:0] to [out]
+ */
+function animationFilter({ format, fps, width, crop, boomerang, caption, captionFile, dither, maxColors }) {
+    const filters = [];
+    if (crop) filters.push(`crop=${Math.round(crop.width)}:${Math.round(crop.height)}:${Math.round(crop.x)}:${Math.round(crop.y)}`);
+    filters.push(`fps=${fps}`, `scale=${width}:-1:flags=lanczos`);
+    if (caption?.text?.trim() && captionFile) filters.push(captionFilter(caption, captionFile, width));
+
+    let graph = `[0:v:0]${filters.join(',')}`;
+    if (boomerang) {
+        graph += ',split[fwd][back];[back]reverse,trim=start_frame=1,setpts=PTS-STARTPTS[rev];[fwd][rev]concat=n=2:v=1:a=0';
+    }
+    if (format === 'gif') {
+        const colors = Math.min(256, Math.max(2, Math.round(maxColors) || 256));
+        const mode = DITHER_MODES.includes(dither) ? dither : DITHER_MODES[0];
+        graph += `,split[s0][s1];[s0]palettegen=max_colors=${colors}[p];` +
+            `[s1][p]paletteuse=dither=${mode}${mode === 'bayer' ? ':bayer_scale=3' : ''}`;
+    }
+    return `${graph}[out]`;
+}
+
+/**
+ * ffmpeg arguments for the animation of [start, start + duration), up to the
+ * output path.
+ * @param {object} options - animationFilter's options plus inputPath, start
+ *   and duration
+ */
+function animationArgs(options) {
+    const { inputPath, start, duration, format } = options;
+    return [
+        '-y',
+        '-ss', String(start),
+        '-t', String(duration),
+        '-i', inputPath,
+        '-filter_complex', animationFilter(options),
+        '-map', '[out]',
+        ...FORMATS[format].args
+    ];
+}
+
+// The caption goes through a file so any text is drawn literally
+function writeCaptionFile(caption, tempDir) {
+    if (!caption?.text?.trim()) return undefined;
+    const captionFile = path.join(tempDir, 'caption.txt');
+    fs.writeFileSync(captionFile, caption.text.trim(), 'utf-8');
+    return captionFile;
+}
+
+// One estimate at a time: a newer request (the settings changed again)
+// replaces the running one
+let estimateProc = null;
+
+/**
+ * Estimated output size in bytes of an animation with these options.
+ * @param {object} options - as animationArgs
+ * @returns {Promise<{ success: boolean, bytes?: number, error?: string, superseded?: boolean }>} never rejects
+ */
+function estimateAnimationSize(ffmpegPath, options, tempDir) {
+    if (estimateProc) {
+        try { estimateProc.kill('SIGKILL'); } catch {}
+        estimateProc = null;
+    }
+    const sample = Math.min(options.duration, SAMPLE_SECONDS);
+    const sampleStart = options.start + (options.duration - sample) / 2;
+    const outputPath = path.join(tempDir, `sample.${FORMATS[options.format].ext}`);
+
+    return new Promise((resolve) => {
+        let stderr = '';
+        let settled = false;
+        let proc = null;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (estimateProc === proc) estimateProc = null;
+            resolve(result);
+        };
+
+        try {
+            proc = spawn(ffmpegPath, [
+                '-hide_banner', '-loglevel', 'error',
+                ...animationArgs({
+                    ...options,
+                    start: sampleStart,
+                    duration: sample,
+                    captionFile: writeCaptionFile(options.caption, tempDir)
+                }),
+                outputPath
+            ]);
+        } catch (e) {
+            resolve({ success: false, error: e.message });
+            return;
+        }
+        estimateProc = proc;
+        const timer = setTimeout(() => {
+            try { proc.kill('SIGKILL'); } catch {}
+            finish({ success: false, error: 'Size estimate timed out' });
+        }, ESTIMATE_TIMEOUT_MS);
+
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.on('close', (code, signal) => {
+            if (code !== 0) {
+                if (signal && estimateProc !== proc) {
+                    finish({ success: false, superseded: true });
+                    return;
+                }
+                const reason = stderr.trim().split(/\r?\n/).pop() || `ffmpeg exited with code ${code}`;
+                finish({ success: false, error: reason });
+                return;
+            }
+            try {
+                const bytes = fs.statSync(outputPath).size;
+                finish({ success: true, bytes: Math.round(bytes * options.duration / sample) });
+            } catch (e) {
+                finish({ success: false, error: e.message });
+            }
+        });
+        proc.on('error', (err) => finish({ success: false, error: err.message }));
+    });
+}
+
+module.exports = { FORMATS, DITHER_MODES, animationArgs, writeCaptionFile, estimateAnimationSize };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const { filterPath } = require('./subtitleBurn.cjs');
+
+// Audio extraction: an optional range of the first audio stream, loudness
+// normalization, channel layout, silence trimming, tags and cover art.
+//
+// Normalization is ffmpeg's single-pass loudnorm (EBU R128) to the chosen
+// integrated loudness, -1.5 dBTP true peak. loudnorm works at 192 kHz, so the
+// result is resampled to 48 kHz.
+//
+// Silence trimming is a separate scan first: silencedetect marks the silent
+// stretches and ametadata logs them to a file, then the export seeks past the
+// leading silence and stops where the trailing silence begins. Nothing holds
+// the audio in memory, so it works for recordings of any length.
+//
+// Cover art is one frame of the video, read through a second input seeked to
+// that time and stored as a JPEG attached picture. WAV and Ogg have no place
+// for one.
+
+const FORMATS = {
+    mp3: { ext: 'mp3', encoder: 'libmp3lame', args: ['-c:a', 'libmp3lame', '-q:a', '2', '-id3v2_version', '3'], cover: true },
+    aac: { ext: 'm4a', encoder: 'aac', args: ['-c:a', 'aac', '-b:a', '192k'], cover: true },
+    flac: { ext: 'flac', encoder: 'flac', args: ['-c:a', 'flac'], cover: true },
+    wav: { ext: 'wav', encoder: 'pcm_s16le', args: ['-c:a', 'pcm_s16le'], cover: false },
+    opus: { ext: 'opus', encoder: 'libopus', args: ['-c:a', 'libopus', '-b:a', '128k'], cover: false },
+    copy: { ext: null, encoder: null, args: ['-c:a', 'copy'], cover: false }
+};
+
+const SILENCE_THRESHOLD = '-50dB';
+// Shortest stretch counted as silence, and how much of it is kept at either end
+const KEEP_SILENCE_S = 0.1;
+
+const COVER_FILTER = "scale='min(iw,1000)':-2";
+
+/**
+ * @param {{ format?: string, normalize?: boolean, loudness?: number,
+ *   channels?: 1 | 2 }} options
+ * @returns {string | null} audio filter chain, or null for none
+ */
+function audioFilter({ format, normalize, loudness = -16, channels }) {
+    if (format === 'copy') return null;
+    const filters = [];
+    if (normalize) filters.push(`loudnorm=I=${loudness}:TP=-1.5:LRA=11`, 'aresample=48000');
+    if (channels === 1 || channels === 2) filters.push(`aformat=channel_layouts=${channels === 1 ? 'mono' : 'stereo'}`);
+    return filters.length ? filters.join(',') : null;
+}
+
+/**
+ * ffmpeg arguments up to the output path.
+ * @param {{ inputPath: string, format: string, start?: number, duration?: number,
+ *   tags?: { title?, artist?, album? }, coverTime?: number | null }} options
+ *   plus audioFilter's options; start/duration limit the range, coverTime
+ *   embeds the frame at that time (formats that can hold a picture)
+ */
+function audioArgs(options) {
+    const { inputPath, start, duration, tags, coverTime } = options;
+    const format = FORMATS[options.format] ? options.format : 'mp3';
+    const withCover = FORMATS[format].cover && coverTime != null;
+
+    const args = ['-y'];
+    if (start > 0) args.push('-ss', String(start));
+    if (duration > 0) args.push('-t', String(duration));
+    args.push('-i', inputPath);
+    if (withCover) args.push('-ss', String(Math.max(0, coverTime)), '-i', inputPath);
+
+    args.push('-map', '0:a:0');
+    const filter = audioFilter({ ...options, format });
+    if (filter) args.push('-af', filter);
+    args.push(...FORMATS[format].args);
+
+    if (withCover) {
+        args.push(
+            '-map', '1:v:0', '-frames:v', '1', '-filter:v', COVER_FILTER,
+            '-c:v', 'mjpeg', '-q:v', '2', '-disposition:v:0', 'attached_pic',
+            '-metadata:s:v', 'title=Cover', '-metadata:s:v', 'comment=Cover (front)'
+        );
+    } else {
+        args.push('-vn');
+    }
+
+    // Chosen tags replace the same ones carried over from the video
+    for (const key of ['title', 'artist', 'album']) {
+        const value = tags?.[key]?.trim();
+        if (value) args.push('-metadata', `${key}=${value}`);
+    }
+    return args;
+}
+
+/**
+ * ffmpeg arguments scanning the range's first audio stream for silence into
+ * logFile (see trimmedRange).
+ * @param {{ inputPath: string, start?: number, duration?: number, logFile: string }} options
+ */
+function silenceScanArgs({ inputPath, start, duration, logFile }) {
+    const args = ['-y'];
+    if (start > 0) args.push('-ss', String(start));
+    if (duration > 0) args.push('-t', String(duration));
+    args.push(
+        '-i', inputPath,
+        '-map', '0:a:0',
+        '-af', `silencedetect=noise=${SILENCE_THRESHOLD}:d=${KEEP_SILENCE_S},ametadata=mode=print:file=${filterPath(logFile)}`,
+        '-f', 'null', '-progress', 'pipe:1', '-'
+    );
+    return args;
+}
+
+/**
+ * The part of the scanned range between its leading and trailing silence.
+ * A range that is silent throughout is kept whole.
+ * @param {number} length - range length in seconds (Infinity if unknown)
+ * @returns {{ start: number, duration: number }} start is relative to the
+ *   range; duration 0 means "to the end"
+ */
+function trimmedRange(logFile, length) {
+    let log = '';
+    try {
+        log = fs.readFileSync(logFile, 'utf-8');
+    } catch {}
+    const marks = [...log.matchAll(/lavfi\.silence_(start|end)=(-?[\d.]+)/g)]
+        .map(m => ({ type: m[1], time: Math.max(0, parseFloat(m[2])) }));
+    const whole = { start: 0, duration: Number.isFinite(length) ? length : 0 };
+
+    let head = 0;
+    if (marks[0]?.type === 'start' && marks[0].time <= KEEP_SILENCE_S) {
+        if (marks[1]?.type !== 'end' || marks[1].time >= length - KEEP_SILENCE_S) return whole;
+        head = Math.max(0, marks[1].time - KEEP_SILENCE_S);
+        marks.splice(0, 2);
+    }
+
+    // Silence running into the end is left open, or closed at the very end
+    let tail = length;
+    const last = marks[marks.length - 1];
+    if (last?.type === 'start') {
+        tail = last.time + KEEP_SILENCE_S;
+    } else if (last?.type === 'end' && last.time >= length - KEEP_SILENCE_S && marks.length >= 2) {
+        tail = marks[marks.length - 2].time + KEEP_SILENCE_S;
+    }
+    if (tail <= head) return whole;
+    return { start: head, duration: Number.isFinite(tail) ? Math.min(length, tail) - head : 0 };
+}
+
+module.exports = { FORMATS, audioArgs, silenceScanArgs, trimmedRange };
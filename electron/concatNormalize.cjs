@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { filterPath } = require('./subtitleBurn.cjs');
+const { findFont } = require('./fonts.cjs');
+
+// Re-encoding concat for inputs the concat demuxer can't join with stream
+// copy (different resolution, codec, frame rate or audio layout), built as one
+// filtergraph. Every clip is letterboxed to the output size and brought to the
+// same frame rate, pixel format and timebase, with 48 kHz stereo audio; clips
+// without audio get silence so the audio chain stays continuous. Optional
+// transitions between clips and intro/outro title cards (text on black).
+
+const AUDIO_FORMAT = 'aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo';
+const SILENCE = 'anullsrc=r=48000:cl=stereo';
+
+/**
+ * Output format for a set of probed inputs: the first clip's (displayed) size
+ * rounded to even dimensions, and its frame rate.
+ * @param {object[]} infos - getMediaInfo results, in output order
+ */
+function concatTarget(infos) {
+    const first = infos[0];
+    const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+    return {
+        width: even(first.width || 1280),
+        height: even(first.height || 720),
+        fps: first.fps > 0 && first.fps <= 120 ? Math.round(first.fps * 1000) / 1000 : 30
+    };
+}
+
+const hasCard = (card) => !!card?.text?.trim();
+const cardDuration = (card) => Math.max(0.5, card.duration || 3);
+
+// Length of each transition: the chosen one, cut so that no clip is shorter
+// than the transitions at both of its ends
+function transitionOverlap(transition, clipDurations) {
+    if ((transition?.type || 'none') === 'none') return 0;
+    return Math.min(transition.duration || 1, ...clipDurations.map(d => d / 2));
+}
+
+/**
+ * Output length of buildConcatGraph for inputs of these durations (the
+ * renderer shows it before the export, through the preload).
+ * @param {{ durations: number[], transition?, intro?, outro? }} options -
+ *   durations in output order; the rest as buildConcatGraph
+ */
+function concatDuration({ durations, transition, intro, outro }) {
+    const clips = [
+        ...(hasCard(intro) ? [cardDuration(intro)] : []),
+        ...durations,
+        ...(hasCard(outro) ? [cardDuration(outro)] : [])
+    ];
+    const total = clips.reduce((sum, d) => sum + d, 0);
+    if (transition?.type !== 'crossfade') return total;
+    // Each crossfade plays the end of one clip over the start of the next
+    return total - transitionOverlap(transition, clips) * (clips.length - 1);
+}
+
+/**
+ * ffmpeg input args and filtergraph joining the inputs into [v] / [a].
+ * @param {{
+ *   inputs: { path: string, duration: number, hasAudio: boolean }[],
+ *   width: number, height: number, fps: number,
+ *   transition?: { type: 'none' | 'crossfade' | 'fade', duration: number },
+ *   intro?: { text: string, duration: number },
+ *   outro?: { text: string, duration: number },
+ *   tempDir: string - for the title card text files
+ * }} options
+ * @returns {{ inputArgs: string[], hasAudio: boolean, duration: number }}
+ *   inputArgs goes after `-y`; duration is the output length
+ */
+function buildConcatGraph({ inputs, width, height, fps, transition, intro, outro, tempDir }) {
+    const hasAudio = inputs.some(input => input.hasAudio);
+    const normalize = `fps=${fps},format=yuv420p,settb=AVTB,setpts=PTS-STARTPTS`;
+    const clips = []; // { video, audio, duration }: filter chains without output label
+    const inputArgs = [];
+
+    const addCard = (card, name) => {
+        const duration = cardDuration(card);
+        const textPath = path.join(tempDir, `${name}.txt`);
+        fs.writeFileSync(textPath, card.text, 'utf-8');
+        const draw = [
+            `textfile=${filterPath(textPath)}`,
+            'expansion=none',
+            'fontcolor=white',
+            `fontsize=${Math.round(height / 12)}`,
+            'x=(w-text_w)/2',
+            'y=(h-text_h)/2'
+        ];
+        const font = findFont();
+        if (font) draw.unshift(`fontfile=${filterPath(font)}`);
+        clips.push({
+            video: `color=c=black:s=${width}x${height}:r=${fps}:d=${duration},drawtext=${draw.join(':')},${normalize}`,
+            audio: `${SILENCE},atrim=duration=${duration}`,
+            duration
+        });
+    };
+
+    if (hasCard(intro)) addCard(intro, 'intro');
+    inputs.forEach((input, n) => {
+        inputArgs.push('-i', input.path);
+        clips.push({
+            video: `[${n}:v:0]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+                `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,${normalize}`,
+            // Pad/cut the audio to the clip length so later clips stay in sync
+            audio: input.hasAudio
+                ? `[${n}:a:0]${AUDIO_FORMAT},apad,atrim=duration=${input.duration},asetpts=PTS-STARTPTS`
+                : `${SILENCE},atrim=duration=${input.duration}`,
+            duration: input.duration
+        });
+    });
+    if (hasCard(outro)) addCard(outro, 'outro');
+
+    const type = transition?.type || 'none';
+    const overlap = transitionOverlap(transition, clips.map(c => c.duration));
+    const last = clips.length - 1;
+
+    const graph = [];
+    clips.forEach((clip, i) => {
+        let { video, audio } = clip;
+        if (type === 'fade') {
+            // Fade out to black at the end of each clip and back in at the next
+            const half = overlap / 2;
+            const out = (clip.duration - half).toFixed(3);
+            if (i > 0) { video += `,fade=t=in:st=0:d=${half}`; audio += `,afade=t=in:st=0:d=${half}`; }
+            if (i < last) { video += `,fade=t=out:st=${out}:d=${half}`; audio += `,afade=t=out:st=${out}:d=${half}`; }
+        }
+        graph.push(`${video}[v${i}]`);
+        if (hasAudio) graph.push(`${audio}[a${i}]`);
+    });
+
+    let duration = clips.reduce((sum, c) => sum + c.duration, 0);
+    if (type === 'crossfade') {
+        let video = '[v0]';
+        let audio = '[a0]';
+        let length = clips[0].duration;
+        for (let i = 1; i <= last; i++) {
+            const v = i === last ? '[v]' : `[vx${i}]`;
+            const a = i === last ? '[a]' : `[ax${i}]`;
+            graph.push(`${video}[v${i}]xfade=transition=fade:duration=${overlap}:offset=${(length - overlap).toFixed(3)}${v}`);
+            if (hasAudio) graph.push(`${audio}[a${i}]acrossfade=d=${overlap}${a}`);
+            video = v;
+            audio = a;
+            length += clips[i].duration - overlap;
+        }
+        duration = length;
+    } else {
+        const pads = clips.map((_, i) => hasAudio ? `[v${i}][a${i}]` : `[v${i}]`).join('');
+        graph.push(`${pads}concat=n=${clips.length}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? '[a]' : ''}`);
+    }
+
+    inputArgs.push('-filter_complex', graph.join(';'), '-map', '[v]');
+    if (hasAudio) inputArgs.push('-map', '[a]');
+    return { inputArgs, hasAudio, duration };
+}
+
+module.exports = { concatTarget, buildConcatGraph, concatDuration };
@@ -0,0 +1,28 @@
+// revid://open?path=<file>&t=<seconds> links open a video at a point in time.
+// The pages of a Slides to PDF deck link back to the moment each slide was
+// shown; the OS hands the link to ReVid through argv or macOS open-url.
+
+const DEEP_LINK_SCHEME = 'revid';
+
+const isDeepLink = (arg) => !!arg && arg.toLowerCase().startsWith(`${DEEP_LINK_SCHEME}://`);
+
+function buildDeepLink(filePath, time) {
+    const params = new URLSearchParams({ path: filePath, t: (Math.max(0, time) || 0).toFixed(2) });
+    return `${DEEP_LINK_SCHEME}://open?${params}`;
+}
+
+/** @returns {{ filePath: string, time: number } | null} */
+function parseDeepLink(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== `${DEEP_LINK_SCHEME}:` || parsed.hostname !== 'open') return null;
+        const filePath = parsed.searchParams.get('path');
+        if (!filePath) return null;
+        const time = parseFloat(parsed.searchParams.get('t'));
+        return { filePath, time: Number.isFinite(time) && time > 0 ? time : 0 };
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { DEEP_LINK_SCHEME, isDeepLink, buildDeepLink, parseDeepLink };
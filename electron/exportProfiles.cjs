@@ -0,0 +1,200 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Encoder settings shared by the re-encoding exports (compress, speed, crop).
+// A profile is built and saved in the renderer (src/utils/exportProfiles.js):
+//   { videoCodec, container, speed, crf, audioBitrate, targetSizeMB }
+// crf is on the x264 scale (18 = high ... 35 = smallest) and mapped onto each
+// encoder's own range. The container decides the output file's extension: the
+// output path must end in it (ffmpeg picks the muxer from the extension). A
+// targetSizeMB switches to a two-pass bitrate encode that fills the size. Only encoders taking ffmpeg's -pass option can do that, so a
+// codec offers a target size only when its build has one of them (H.265 never
+// does; AV1 needs libaom-av1, not SVT-AV1).
+//
+// The renderer reads CONTAINERS, MIN_VIDEO_KBPS and targetVideoBitrate through
+// the preload (exportRules) rather than keeping copies.
+
+// Candidate encoders per codec, best first; which ones exist depends on the
+// ffmpeg build, so they're checked against `ffmpeg -encoders`
+const VIDEO_ENCODERS = {
+    h264: ['libx264'],
+    h265: ['libx265'],
+    vp9: ['libvpx-vp9'],
+    av1: ['libsvtav1', 'libaom-av1'],
+};
+const TWO_PASS_ENCODERS = new Set(['libx264', 'libvpx-vp9', 'libaom-av1']);
+
+// Containers each codec can be muxed into
+const CONTAINERS = {
+    h264: ['mp4', 'mkv'],
+    h265: ['mp4', 'mkv'],
+    vp9: ['webm', 'mkv', 'mp4'],
+    av1: ['mp4', 'mkv', 'webm'],
+};
+
+// Share of the target size left for container overhead
+const MUX_OVERHEAD = 0.02;
+const MIN_VIDEO_KBPS = 50;
+
+let encodersPromise = null;
+
+/**
+ * Names of the encoders in this ffmpeg build. A successful listing is cached
+ * for the session; a failed one (no binary, crash, nothing listed) isn't, so
+ * the next call runs ffmpeg again.
+ * @returns {Promise<Set<string>>}
+ */
+function listEncoders(ffmpegPath) {
+    if (encodersPromise) return encodersPromise;
+    const promise = new Promise((resolve) => {
+        let stdout = '';
+        const failed = () => resolve(new Set());
+        let proc;
+        try {
+            proc = spawn(ffmpegPath, ['-hide_banner', '-encoders']);
+        } catch {
+            failed();
+            return;
+        }
+        proc.stdout.on('data', (data) => { stdout += data.toString(); });
+        proc.stderr.on('data', () => {});
+        proc.on('close', (code) => {
+            const names = new Set();
+            for (const line of stdout.split(/\r?\n/)) {
+                const m = line.match(/^\s*[VAS][A-Z.]{5}\s+(\S+)/);
+                if (m) names.add(m[1]);
+            }
+            if (code !== 0 || names.size === 0) failed();
+            else resolve(names);
+        });
+        proc.on('error', failed);
+    });
+    encodersPromise = promise;
+    // Runs after the assignment above even when spawn threw synchronously
+    promise.then((names) => {
+        if (names.size === 0 && encodersPromise === promise) encodersPromise = null;
+    });
+    return promise;
+}
+
+/**
+ * Codecs with at least one usable encoder, for the renderer's profile editor.
+ * @param {Set<string>} encoders - from listEncoders
+ */
+const availableCodecs = (encoders) =>
+    Object.keys(VIDEO_ENCODERS).filter(codec => VIDEO_ENCODERS[codec].some(e => encoders.has(e)));
+
+// The encoder a codec uses: the best one in this build, or for a target size
+// the best one that can run two passes
+const pickEncoder = (codec, encoders, targetSize) =>
+    (VIDEO_ENCODERS[codec] || []).find(e => encoders.has(e) && (!targetSize || TWO_PASS_ENCODERS.has(e)));
+
+/**
+ * Codecs that can encode to a target size in this build.
+ * @param {Set<string>} encoders - from listEncoders
+ */
+const targetSizeCodecs = (encoders) =>
+    Object.keys(VIDEO_ENCODERS).filter(codec => pickEncoder(codec, encoders, true));
+
+// x264-scale CRF -> the encoder's own scale
+const mapCrf = (encoder, crf) => {
+    if (encoder === 'libx264') return crf;
+    if (encoder === 'libx265') return Math.min(51, crf + 4);
+    return Math.min(63, Math.round(crf * 1.2 + 6)); // VP9/AV1: 0-63
+};
+
+// Speed preset -> encoder options
+const speedArgs = (encoder, speed) => {
+    const pick = (fast, medium, slow) => String(speed === 'fast' ? fast : speed === 'slow' ? slow : medium);
+    switch (encoder) {
+        case 'libvpx-vp9': return ['-deadline', 'good', '-cpu-used', pick(4, 2, 1), '-row-mt', '1'];
+        case 'libaom-av1': return ['-cpu-used', pick(6, 4, 3), '-row-mt', '1'];
+        case 'libsvtav1': return ['-preset', pick(10, 8, 6)];
+        default: return ['-preset', speed === 'fast' || speed === 'slow' ? speed : 'medium'];
+    }
+};
+
+/**
+ * Video bitrate (kbps) that fills targetSizeMB over duration seconds next to
+ * audioKbps of audio.
+ */
+function targetVideoBitrate(targetSizeMB, duration, audioKbps) {
+    const totalKbits = targetSizeMB * 8 * 1024 * 1024 / 1000 * (1 - MUX_OVERHEAD);
+    return Math.floor(totalKbits / duration - audioKbps);
+}
+
+/**
+ * Job steps (see jobQueue.cjs) encoding with a profile.
+ * @param {{
+ *   profile: object,
+ *   encoders: Set<string>,
+ *   inputArgs: string[],   inputs, filters and maps, without -y
+ *   hasAudio?: boolean,
+ *   duration: number,      seconds of output, for the bitrate and progress
+ *   outputPath: string,
+ *   passLogFile?: string   temp path prefix; needed for a target size
+ * }} options
+ * @returns {{ args: string[], duration: number }[]}
+ * @throws {Error} when the codec isn't in this ffmpeg build (or can't do a
+ *   target size in it), the output path doesn't end in the container's
+ *   extension or the target size is too small
+ */
+function buildEncodeSteps({ profile, encoders, inputArgs, hasAudio = true, duration, outputPath, passLogFile }) {
+    const targetSize = profile.targetSizeMB > 0;
+    const codecName = String(profile.videoCodec).toUpperCase();
+    if (!pickEncoder(profile.videoCodec, encoders, false)) throw new Error(`This ffmpeg build has no ${codecName} encoder`);
+    const encoder = pickEncoder(profile.videoCodec, encoders, targetSize);
+    if (!encoder) throw new Error(`This ffmpeg build can't encode ${codecName} to a target size; use a quality setting instead`);
+    if (targetSize && !passLogFile) throw new Error('A target size encode needs a pass log file');
+    const container = CONTAINERS[profile.videoCodec].includes(profile.container)
+        ? profile.container
+        : CONTAINERS[profile.videoCodec][0];
+    if (path.extname(outputPath).toLowerCase() !== `.${container}`) {
+        throw new Error(`This profile saves .${container} files; choose a file name ending in .${container}`);
+    }
+    const audioKbps = profile.audioBitrate || 128;
+
+    let bitrate = null;
+    if (targetSize) {
+        bitrate = targetVideoBitrate(profile.targetSizeMB, duration || 1, hasAudio ? audioKbps : 0);
+        if (bitrate < MIN_VIDEO_KBPS) throw new Error('Target size is too small for this duration');
+    }
+
+    const videoArgs = ['-c:v', encoder, ...speedArgs(encoder, profile.speed), '-pix_fmt', 'yuv420p'];
+    if (bitrate) {
+        videoArgs.push('-b:v', `${bitrate}k`);
+    } else {
+        videoArgs.push('-crf', String(mapCrf(encoder, profile.crf ?? 23)));
+        // libvpx/libaom only treat -crf as constant quality with a zero bitrate
+        if (encoder === 'libvpx-vp9' || encoder === 'libaom-av1') videoArgs.push('-b:v', '0');
+    }
+    if (encoder === 'libx265' && container === 'mp4') videoArgs.push('-tag:v', 'hvc1'); // plays in QuickTime/Safari
+
+    const audioEncoder = container === 'webm'
+        ? (encoders.has('libopus') ? 'libopus' : 'libvorbis')
+        : 'aac';
+    const audioArgs = hasAudio ? ['-c:a', audioEncoder, '-b:a', `${audioKbps}k`] : ['-an'];
+    const muxArgs = container === 'mp4' ? ['-movflags', '+faststart'] : [];
+
+    const finalStep = (passArgs) => ({
+        args: ['-y', ...inputArgs, ...videoArgs, ...passArgs, ...audioArgs, ...muxArgs, '-progress', 'pipe:1', outputPath],
+        duration: duration || 1
+    });
+
+    if (!bitrate) return [finalStep([])];
+
+    // The first pass only writes the encoder's stats; its output is discarded
+    const firstPass = {
+        args: [
+            '-y', ...inputArgs, ...videoArgs, '-pass:v', '1', '-passlogfile:v', passLogFile,
+            '-an', '-f', 'null', '-progress', 'pipe:1', '-'
+        ],
+        duration: duration || 1
+    };
+    return [firstPass, finalStep(['-pass:v', '2', '-passlogfile:v', passLogFile])];
+}
+
+module.exports = {
+    listEncoders, availableCodecs, targetSizeCodecs, buildEncodeSteps, targetVideoBitrate,
+    CONTAINERS, MIN_VIDEO_KBPS
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EXTENSIONS = ['.mp4', '.webm', '.mov', '.avi', '.mkv'];
+
+/**
+ * List the video files in a folder. With { recursive: true, maxDepth }
+ * subfolders are scanned too (hidden ones and symlinked dirs are skipped).
+ * Results are grouped by folder: a folder's own videos first, then each
+ * subfolder in natural order. Unreadable folders contribute nothing.
+ */
+function scanVideoFiles(dirPath, extensions = DEFAULT_EXTENSIONS, options = {}) {
+    const maxDepth = options.recursive ? (options.maxDepth ?? 3) : 0;
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+    const scan = (dir, depth) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            return [];
+        }
+        const videos = entries
+            .filter(entry => !entry.isDirectory() && extensions.includes(path.extname(entry.name).toLowerCase()))
+            .sort(byName)
+            .map(entry => path.join(dir, entry.name));
+        if (depth >= maxDepth) return videos;
+        const subfolders = entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .sort(byName);
+        return [...videos, ...subfolders.flatMap(entry => scan(path.join(dir, entry.name), depth + 1))];
+    };
+    return scan(dirPath, 0);
+}
+
+module.exports = { scanVideoFiles, DEFAULT_EXTENSIONS };
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { scanVideoFiles } = require('./folderScan.cjs');
+
+// Watches the open library folder and reports what changed on disk. fs.watch
+// events are only used as a trigger: after a short settle delay the folder is
+// rescanned and diffed against the last known listing, which gives reliable
+// added/removed lists on every platform. A removed + added pair with the same
+// inode and size is reported as a rename.
+//
+// New files are held back until their size and mtime stop changing, so a
+// recording or ffmpeg export shows up once it's finished, not half-written.
+// A listed file whose size or mtime changes (re-encoded or replaced in place)
+// is reported as changed once it settles the same way.
+
+const SETTLE_MS = 400;
+const WRITE_CHECK_MS = 1000;
+
+function statFile(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        return { size: stat.size, mtimeMs: stat.mtimeMs, ino: stat.ino };
+    } catch {
+        return null;
+    }
+}
+
+function createFolderWatcher({ onChange }) {
+    let current = null;
+
+    // Whether a new or rewritten file has stopped changing; one that hasn't is
+    // kept in w.pending and looked at again on the next check
+    const hasSettled = (w, filePath, stat) => {
+        const prev = w.pending.get(filePath);
+        const unchanged = prev && prev.size === stat.size && prev.mtimeMs === stat.mtimeMs;
+        // Moved/renamed-in files keep an old mtime and are complete already
+        const settled = unchanged || Date.now() - stat.mtimeMs > WRITE_CHECK_MS * 2;
+        if (!settled || stat.size === 0) {
+            w.pending.set(filePath, stat);
+            return false;
+        }
+        w.pending.delete(filePath);
+        return true;
+    };
+
+    const schedule = (w, delay) => {
+        if (!w.timer) w.timer = setTimeout(() => rescan(w), delay);
+    };
+
+    function rescan(w) {
+        w.timer = null;
+        if (current !== w) return;
+
+        const listed = scanVideoFiles(w.dirPath, w.options.extensions, w.options);
+        const stats = new Map();
+        const files = [];
+        const changed = [];
+        let stillWriting = false;
+
+        for (const filePath of listed) {
+            let stat = statFile(filePath);
+            if (!stat) continue;
+            const known = w.known.get(filePath);
+            if (!known) {
+                if (!hasSettled(w, filePath, stat)) {
+                    stillWriting = true;
+                    continue;
+                }
+            } else if (stat.size !== known.size || stat.mtimeMs !== known.mtimeMs) {
+                // Still listed while it's rewritten, under its old stat until it settles
+                if (hasSettled(w, filePath, stat)) {
+                    changed.push(filePath);
+                } else {
+                    stillWriting = true;
+                    stat = known;
+                }
+            }
+            stats.set(filePath, stat);
+            files.push(filePath);
+        }
+
+        for (const filePath of w.pending.keys()) {
+            if (!listed.includes(filePath)) w.pending.delete(filePath);
+        }
+
+        const removed = [...w.known.keys()].filter(p => !stats.has(p));
+        const added = files.filter(p => !w.known.has(p));
+        const renamed = [];
+        for (const from of [...removed]) {
+            const old = w.known.get(from);
+            if (!old.ino) continue;
+            const to = added.find(p => stats.get(p).ino === old.ino && stats.get(p).size === old.size);
+            if (!to) continue;
+            renamed.push({ from, to });
+            removed.splice(removed.indexOf(from), 1);
+            added.splice(added.indexOf(to), 1);
+        }
+
+        w.known = stats;
+        if (added.length || removed.length || renamed.length || changed.length) {
+            try { onChange({ dirPath: w.dirPath, files, added, removed, renamed, changed }); } catch {}
+        }
+        if (stillWriting) schedule(w, WRITE_CHECK_MS);
+    }
+
+    const unwatch = () => {
+        if (!current) return;
+        clearTimeout(current.timer);
+        try { current.watcher?.close(); } catch {}
+        current = null;
+    };
+
+    // Start watching dirPath with the same scan options the renderer listed it
+    // with ({ extensions, recursive, maxDepth }). Replaces any previous watch.
+    const watch = (dirPath, options = {}) => {
+        unwatch();
+        const w = { dirPath, options, known: new Map(), pending: new Map(), timer: null, watcher: null };
+        for (const filePath of scanVideoFiles(dirPath, options.extensions, options)) {
+            const stat = statFile(filePath);
+            if (stat) w.known.set(filePath, stat);
+        }
+        try {
+            w.watcher = fs.watch(dirPath, { recursive: !!options.recursive }, () => schedule(w, SETTLE_MS));
+            w.watcher.on('error', () => {
+                if (current === w) unwatch();
+            });
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        current = w;
+        return { success: true };
+    };
+
+    return { watch, unwatch };
+}
+
+module.exports = { createFolderWatcher };
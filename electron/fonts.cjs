@@ -0,0 +1,23 @@
+const fs = require('fs');
+
+// drawtext needs a font file on ffmpeg builds without fontconfig (the static
+// Windows/macOS builds); the first of these that exists is used.
+const FONT_CANDIDATES = [
+    'C:\\Windows\\Fonts\\segoeui.ttf',
+    'C:\\Windows\\Fonts\\arial.ttf',
+    '/System/Library/Fonts/Helvetica.ttc',
+    '/Library/Fonts/Arial.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/TTF/DejaVuSans.ttf',
+    '/usr/share/fonts/dejavu-sans-fonts/DejaVuSans.ttf'
+];
+
+let fontFile;
+
+/** @returns {string | null} a system font for drawtext, or null to let ffmpeg pick */
+function findFont() {
+    if (fontFile === undefined) fontFile = FONT_CANDIDATES.find(f => fs.existsSync(f)) || null;
+    return fontFile;
+}
+
+module.exports = { findFont };
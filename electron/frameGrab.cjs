@@ -0,0 +1,68 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Single-frame export for the viewer's "save current frame". ffmpeg decodes
+// the frame from the file itself, so the image has the video's native
+// resolution whatever size the player is showing it at. Input seeking is
+// frame-accurate when decoding: the first frame at or after `time` is kept.
+// An existing file is never replaced: saving the same frame again writes
+// "<name>-2.png" and so on.
+
+const GRAB_TIMEOUT_MS = 30000;
+
+// outputPath, or the first of "<name>-2.ext", "<name>-3.ext"... not taken yet
+function freePath(outputPath) {
+    const ext = path.extname(outputPath);
+    const base = outputPath.slice(0, outputPath.length - ext.length);
+    let candidate = outputPath;
+    for (let n = 2; fs.existsSync(candidate); n++) candidate = `${base}-${n}${ext}`;
+    return candidate;
+}
+
+/**
+ * Write the frame at `time` (seconds) to outputPath, or a free name next to
+ * it; .png or .jpg decides the format.
+ * @returns {Promise<{ success: boolean, outputPath?: string, error?: string }>} never rejects;
+ *   outputPath is the file written
+ */
+function grabFrame(ffmpegPath, filePath, time, requestedPath) {
+    const outputPath = freePath(requestedPath);
+    return new Promise((resolve) => {
+        let stderr = '';
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            resolve(result);
+        };
+
+        const isPng = path.extname(outputPath).toLowerCase() === '.png';
+        const proc = spawn(ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error', '-n',
+            '-ss', Math.max(0, time).toFixed(6),
+            '-i', filePath,
+            '-map', '0:v:0', '-frames:v', '1',
+            ...(isPng ? ['-compression_level', '3'] : ['-q:v', '2']),
+            outputPath
+        ]);
+        const timer = setTimeout(() => {
+            try { proc.kill('SIGKILL'); } catch {}
+            finish({ success: false, error: 'Frame export timed out' });
+        }, GRAB_TIMEOUT_MS);
+
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.on('close', (code) => {
+            if (code !== 0) {
+                const reason = stderr.trim().split(/\r?\n/).pop() || `ffmpeg exited with code ${code}`;
+                finish({ success: false, error: reason });
+                return;
+            }
+            finish({ success: true, outputPath });
+        });
+        proc.on('error', (err) => finish({ success: false, error: err.message }));
+    });
+}
+
+module.exports = { grabFrame };
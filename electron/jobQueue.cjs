@@ -0,0 +1,280 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Shared ffmpeg job queue. Every export/encode goes through here instead of each
+// IPC handler spawning its own process, so jobs can be listed, cancelled, paused
+// and throttled to a fixed number of concurrent ffmpeg processes.
+//
+// A job is described by { type, args, totalDuration, inputPath, outputPath } plus
+// optional getResult(ok) (extra fields for the resolved result) and cleanup().
+// Jobs that need several ffmpeg runs (e.g. cut parts, then join them) pass
+// steps: [{ args, duration }] instead of args; the steps run one after another
+// and progress is weighted by each step's duration (of media it processes). A
+// step's args can be a function, called as the step starts, for a step that
+// depends on what an earlier one found.
+// Every state/progress change is reported through onStatus(snapshot), and the
+// ids of finished jobs dropped to keep the list short through onRemove(ids).
+
+const MAX_CONCURRENCY = 8;
+
+// Finished jobs kept for the task list; older ones are forgotten
+const MAX_FINISHED = 50;
+
+function createJobQueue({ ffmpegPath, concurrency = 2, onStatus, onRemove }) {
+    const jobs = new Map();
+    const pending = [];
+    let limit = concurrency;
+    let seq = 0;
+
+    const snapshot = (job) => ({
+        id: job.id,
+        type: job.type,
+        label: job.label,
+        status: job.status,
+        // Windows has no SIGSTOP, so a started job can't be paused there
+        canPause: job.status === 'queued' || (job.status === 'running' && process.platform !== 'win32'),
+        progress: job.progress,
+        inputPath: job.inputPath,
+        outputPath: job.outputPath,
+        error: job.error,
+        outputSize: job.outputSize,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        pausedMs: job.pausedMs,
+        finishedAt: job.finishedAt
+    });
+
+    const emit = (job) => {
+        try { onStatus?.(snapshot(job)); } catch {}
+    };
+
+    // Jobs holding a slot: every started ffmpeg process, including paused
+    // (stopped) ones, so resuming one never goes over the limit
+    const runningCount = () => {
+        let n = 0;
+        for (const job of jobs.values()) if (job.proc) n++;
+        return n;
+    };
+
+    const pruneFinished = () => {
+        const finished = [...jobs.values()].filter(j => j.settled);
+        if (finished.length <= MAX_FINISHED) return;
+        finished.sort((a, b) => a.finishedAt - b.finishedAt);
+        const removed = finished.slice(0, finished.length - MAX_FINISHED).map(job => job.id);
+        for (const id of removed) jobs.delete(id);
+        try { onRemove?.(removed); } catch {}
+    };
+
+    const defaultResult = (job, ok) => {
+        if (!ok || !job.outputPath) return {};
+        try {
+            return { fileSize: fs.statSync(job.outputPath).size };
+        } catch {
+            return { fileSize: 0 };
+        }
+    };
+
+    // Size of the file being written, for the task list. Directory outputs
+    // (screenshots) have no single size to report.
+    const statOutput = (job) => {
+        if (!job.outputPath) return null;
+        try {
+            const stat = fs.statSync(job.outputPath);
+            return stat.isFile() ? stat.size : null;
+        } catch {
+            return null;
+        }
+    };
+
+    const settle = (job, status, result) => {
+        if (job.settled) return;
+        job.settled = true;
+        job.proc = null;
+        job.status = status;
+        job.error = result.success ? null : result.error;
+        job.outputSize = status === 'done' ? (result.fileSize ?? statOutput(job)) : null;
+        job.finishedAt = Date.now();
+        if (status === 'done') job.progress = 100;
+        try { job.cleanup?.(); } catch {}
+        emit(job);
+        job.resolve(result);
+        pruneFinished();
+        pump();
+    };
+
+    // Runs (or continues) the job from job.stepIndex
+    const start = (job) => {
+        job.status = 'running';
+        job.startedAt = job.startedAt || Date.now();
+        emit(job);
+
+        const step = job.steps[job.stepIndex];
+        const totalUs = (job.stepsDuration || 1) * 1_000_000;
+        const doneUs = job.steps.slice(0, job.stepIndex).reduce((sum, s) => sum + s.duration, 0) * 1_000_000;
+        let proc;
+        try {
+            proc = spawn(ffmpegPath, typeof step.args === 'function' ? step.args() : step.args);
+        } catch (err) {
+            settle(job, 'failed', { success: false, error: err.message, ...job.getResult(false) });
+            return;
+        }
+        job.proc = proc;
+
+        proc.stdout.on('data', (data) => {
+            const match = data.toString().match(/out_time_us=(\d+)/);
+            if (!match) return;
+            const pct = Math.max(0, Math.min(100, Math.round(((doneUs + parseInt(match[1])) / totalUs) * 100)));
+            if (pct !== job.progress) {
+                job.progress = pct;
+                job.outputSize = statOutput(job);
+                emit(job);
+            }
+        });
+
+        proc.stderr.on('data', () => {});
+
+        proc.on('close', (code) => {
+            if (job.cancelRequested) {
+                // Don't leave a truncated file behind for a job the user stopped.
+                if (job.outputPath && !job.keepPartialOutput) {
+                    try { fs.unlinkSync(job.outputPath); } catch {}
+                }
+                settle(job, 'cancelled', { success: false, cancelled: true, error: 'Cancelled' });
+            } else if (code === 0 && job.stepIndex < job.steps.length - 1) {
+                job.stepIndex++;
+                start(job);
+            } else if (code === 0) {
+                settle(job, 'done', { success: true, ...job.getResult(true) });
+            } else {
+                settle(job, 'failed', { success: false, error: `ffmpeg exited with code ${code}`, ...job.getResult(false) });
+            }
+        });
+
+        proc.on('error', (err) => {
+            settle(job, 'failed', { success: false, error: err.message, ...job.getResult(false) });
+        });
+    };
+
+    function pump() {
+        while (runningCount() < limit) {
+            const idx = pending.findIndex(id => jobs.get(id)?.status === 'queued');
+            if (idx === -1) break;
+            const [id] = pending.splice(idx, 1);
+            start(jobs.get(id));
+        }
+    }
+
+    // Queue a job. Resolves with the handler-style result object
+    // ({ success, error?, cancelled?, ... }) once the job finishes.
+    const enqueue = (spec) => {
+        const id = spec.id && !jobs.has(spec.id) ? spec.id : `job-${Date.now()}-${++seq}`;
+        const steps = spec.steps || [{ args: spec.args, duration: spec.totalDuration || 1 }];
+        return new Promise((resolve) => {
+            const job = {
+                id,
+                type: spec.type,
+                label: spec.label || (spec.outputPath ? path.basename(spec.outputPath) : spec.type),
+                steps,
+                stepIndex: 0,
+                stepsDuration: steps.reduce((sum, s) => sum + s.duration, 0),
+                inputPath: spec.inputPath || null,
+                outputPath: spec.outputPath || null,
+                keepPartialOutput: !!spec.keepPartialOutput,
+                getResult: (ok) => (spec.getResult ? spec.getResult(ok) : defaultResult(job, ok)),
+                cleanup: spec.cleanup,
+                status: 'queued',
+                progress: 0,
+                error: null,
+                outputSize: null,
+                createdAt: Date.now(),
+                startedAt: null,
+                // Time spent stopped since startedAt, and when the current stop began
+                pausedMs: 0,
+                pausedAt: null,
+                finishedAt: null,
+                proc: null,
+                settled: false,
+                cancelRequested: false,
+                resolve
+            };
+            jobs.set(id, job);
+            pending.push(id);
+            emit(job);
+            pump();
+        });
+    };
+
+    const cancel = (id) => {
+        const job = jobs.get(id);
+        if (!job || job.settled) return { success: false, error: 'Job not found or already finished' };
+        if (!job.proc) {
+            const idx = pending.indexOf(id);
+            if (idx !== -1) pending.splice(idx, 1);
+            settle(job, 'cancelled', { success: false, cancelled: true, error: 'Cancelled' });
+            return { success: true };
+        }
+        job.cancelRequested = true;
+        try { job.proc.kill('SIGKILL'); } catch {}
+        return { success: true };
+    };
+
+    const pause = (id) => {
+        const job = jobs.get(id);
+        if (!job || job.settled) return { success: false, error: 'Job not found or already finished' };
+        if (job.status === 'paused') return { success: true };
+        if (job.proc) {
+            // Windows has no SIGSTOP; only queued jobs can be held back there.
+            if (process.platform === 'win32') {
+                return { success: false, error: 'Pausing a running job is not supported on Windows' };
+            }
+            try { job.proc.kill('SIGSTOP'); } catch (e) { return { success: false, error: e.message }; }
+            job.pausedAt = Date.now();
+        }
+        // A stopped process keeps its slot; a held-back queued job never had one
+        job.status = 'paused';
+        emit(job);
+        return { success: true };
+    };
+
+    const resume = (id) => {
+        const job = jobs.get(id);
+        if (!job || job.settled) return { success: false, error: 'Job not found or already finished' };
+        if (job.status !== 'paused') return { success: true };
+        if (job.proc) {
+            try { job.proc.kill('SIGCONT'); } catch (e) { return { success: false, error: e.message }; }
+            job.pausedMs += Date.now() - job.pausedAt;
+            job.pausedAt = null;
+            job.status = 'running';
+        } else {
+            job.status = 'queued';
+        }
+        emit(job);
+        pump();
+        return { success: true };
+    };
+
+    const list = () => [...jobs.values()].map(snapshot);
+
+    // Forget finished jobs (done/failed/cancelled); active ones are kept.
+    const clearFinished = () => {
+        for (const [id, job] of jobs) if (job.settled) jobs.delete(id);
+        return { success: true };
+    };
+
+    const setConcurrency = (n) => {
+        const value = Math.round(Number(n));
+        if (!Number.isFinite(value)) return { success: false, error: 'Invalid concurrency' };
+        limit = Math.max(1, Math.min(MAX_CONCURRENCY, value));
+        pump();
+        return { success: true, concurrency: limit };
+    };
+
+    const cancelAll = () => {
+        for (const id of [...jobs.keys()]) cancel(id);
+    };
+
+    return { enqueue, cancel, pause, resume, list, clearFinished, setConcurrency, cancelAll };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// A versioned JSON file of entries under userData, loaded once and written
+// back a moment after the last change. File layout: { version, entries }.
+// A missing, unreadable or older-version file starts empty.
+
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * @param {string} storePath
+ * @param {{ version: number, label: string }} options - label tags save errors in the log
+ * @returns {{ entries: object, scheduleSave: () => void, flush: () => void }}
+ *   entries is edited in place; call scheduleSave after each change and flush
+ *   before quitting
+ */
+function createJsonStore(storePath, { version, label }) {
+    let entries = {};
+    let saveTimer = null;
+
+    try {
+        const data = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+        if (data?.version === version && data.entries) entries = data.entries;
+    } catch {}
+
+    const save = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(storePath), { recursive: true });
+            // Write-then-rename so a crash mid-save can't leave a truncated file.
+            const tmpPath = storePath + '.tmp';
+            fs.writeFileSync(tmpPath, JSON.stringify({ version, entries }));
+            fs.renameSync(tmpPath, storePath);
+        } catch (e) {
+            console.error(`[${label}] save failed:`, e.message);
+        }
+    };
+
+    const scheduleSave = () => {
+        if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    };
+
+    const flush = () => {
+        if (saveTimer) save();
+    };
+
+    return { entries, scheduleSave, flush };
+}
+
+module.exports = { createJsonStore };
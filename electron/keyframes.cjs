@@ -0,0 +1,103 @@
+const { spawn } = require('child_process');
+
+// Keyframe timestamps of a file's first video stream, for stream-copy cuts
+// (which can only start cleanly on a keyframe). ffmpeg-static has no ffprobe,
+// so the packets are listed with the framecrc muxer: `-c copy` reads packets
+// without decoding anything, and framecrc prints one line per packet
+//   0,      dts,      pts,  duration,     size, 0xcrc[, F=0x<flags>]
+// where the F= column only appears when the flags aren't exactly "keyframe".
+// -copyts keeps the stream's own timestamps; the file's start time is then
+// taken off, so the times are the ones -ss seeks to (it counts from the start).
+
+const KEYFRAME_TIMEOUT_MS = 60000;
+const MAX_CACHED_FILES = 20;
+
+const cache = new Map(); // filePath -> { mtimeMs, keyframes }
+
+const parseFramecrc = (output, startTime = 0) => {
+    let timeBase = 0;
+    const keyframes = [];
+    for (const line of output.split(/\r?\n/)) {
+        const tb = line.match(/^#tb 0: (\d+)\/(\d+)/);
+        if (tb) {
+            timeBase = parseInt(tb[1]) / parseInt(tb[2]);
+            continue;
+        }
+        if (!timeBase || !/^0,/.test(line)) continue;
+        const fields = line.split(',').map(f => f.trim());
+        const flags = fields.find(f => f.startsWith('F=0x'));
+        if (flags && !(parseInt(flags.slice(4), 16) & 1)) continue;
+        const pts = parseInt(fields[2]);
+        if (Number.isFinite(pts)) keyframes.push(Math.max(0, pts * timeBase - startTime));
+    }
+    return [...new Set(keyframes.map(t => Math.round(t * 1000) / 1000))].sort((a, b) => a - b);
+};
+
+/**
+ * Keyframe times (seconds from the file's start, ascending) of filePath's
+ * first video stream. Resolves { success, keyframes } and never rejects.
+ * @param {{ mtimeMs?: number, startTime?: number }} file - startTime from the
+ *   media probe
+ */
+function probeKeyframes(ffmpegPath, filePath, { mtimeMs = 0, startTime = 0 } = {}) {
+    const cached = cache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) return Promise.resolve({ success: true, keyframes: cached.keyframes });
+
+    return new Promise((resolve) => {
+        let stdout = '';
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (result.success) {
+                cache.delete(filePath);
+                cache.set(filePath, { mtimeMs, keyframes: result.keyframes });
+                if (cache.size > MAX_CACHED_FILES) cache.delete(cache.keys().next().value);
+            }
+            resolve(result);
+        };
+
+        const proc = spawn(ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error',
+            '-copyts', '-i', filePath,
+            '-map', '0:v:0', '-c', 'copy', '-avoid_negative_ts', 'disabled', '-f', 'framecrc', 'pipe:1'
+        ]);
+        const timer = setTimeout(() => {
+            try { proc.kill('SIGKILL'); } catch {}
+            finish({ success: false, error: 'Keyframe scan timed out' });
+        }, KEYFRAME_TIMEOUT_MS);
+
+        proc.stdout.on('data', (data) => { stdout += data.toString(); });
+        proc.stderr.on('data', () => {});
+        proc.on('close', (code) => {
+            if (code !== 0) {
+                finish({ success: false, error: `ffmpeg exited with code ${code}` });
+                return;
+            }
+            finish({ success: true, keyframes: parseFramecrc(stdout, startTime) });
+        });
+        proc.on('error', (err) => finish({ success: false, error: err.message }));
+    });
+}
+
+/**
+ * Last keyframe at or before time (0 if there is none).
+ */
+function keyframeAtOrBefore(keyframes, time) {
+    let result = 0;
+    for (const k of keyframes) {
+        if (k > time + 0.001) break;
+        result = k;
+    }
+    return result;
+}
+
+/**
+ * First keyframe at or after time, or null.
+ */
+function keyframeAtOrAfter(keyframes, time) {
+    return keyframes.find(k => k >= time - 0.001) ?? null;
+}
+
+module.exports = { probeKeyframes, parseFramecrc, keyframeAtOrBefore, keyframeAtOrAfter };
@@ -0,0 +1,254 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const { keyframeAtOrBefore, keyframeAtOrAfter } = require('./keyframes.cjs');
+
+// Trims without re-encoding, as job steps for jobQueue.cjs.
+//
+// 'copy': every kept segment is stream-copied. A copy can only cut cleanly on
+// a keyframe, so every segment start and end must be on one (or at the start
+// or end of the file); the editor snaps the cuts in this mode, and a list with
+// a cut anywhere else is refused rather than quietly widened. Several segments
+// are copied to temp parts and joined with the concat demuxer.
+//
+// 'smart' (one segment): only the partial GOPs at the edges are re-encoded,
+// from the cut point to the first keyframe and from the last keyframe to the
+// end; everything between is copied. The video parts are MPEG-TS so each one
+// carries its own H.264/HEVC parameter sets in-band, and audio is copied for
+// the whole range separately, then everything is muxed together. The edges
+// are encoded with the source's profile, level and pixel format, and the
+// output keeps its timebase; probeSmartCut reads them (the level isn't in
+// ffmpeg's banner, so from the stream headers) and rules a smart cut out when
+// the encoder can't match them.
+
+// Encoders for the re-encoded edges, by source codec
+const SMART_CUT_ENCODERS = { h264: 'libx264', hevc: 'libx265' };
+
+// Source profile_idc -> encoder profile. Others (H.264 Extended, HEVC range
+// extensions...) can't be matched.
+const ENCODER_PROFILES = {
+    h264: { 66: 'baseline', 77: 'main', 100: 'high', 110: 'high10', 122: 'high422', 244: 'high444' },
+    hevc: { 1: 'main', 2: 'main10' }
+};
+
+const SMART_PROBE_TIMEOUT_MS = 15000;
+
+// Keyframe times are rounded to the millisecond (keyframes.cjs)
+const KEYFRAME_TOLERANCE_S = 0.002;
+// The editor's duration comes from <video> and can differ a little from ffmpeg's
+const END_TOLERANCE_S = 0.25;
+
+const canSmartCut = (info) => !!SMART_CUT_ENCODERS[info?.videoCodec];
+
+// Containers whose video track timescale ffmpeg lets us set
+const TIMESCALE_EXTENSIONS = new Set(['.mp4', '.m4v', '.mov']);
+
+const concatList = (files) => files.map(f => `file '${f.replace(/'/g, "'\\''")}'`).join('\n');
+
+/**
+ * Segment starts and ends (seconds) a stream copy can't cut at: off every
+ * keyframe and not at the start or end of the file.
+ * @param {{ start, end }[]} segments
+ * @param {number[]} keyframes - ascending
+ * @param {number} duration - of the file
+ */
+function offKeyframeCuts(segments, keyframes, duration) {
+    const onKeyframe = (time) => keyframes.some(k => Math.abs(k - time) <= KEYFRAME_TOLERANCE_S);
+    const cuts = [];
+    for (const { start, end } of segments) {
+        if (start > (keyframes[0] ?? 0) + KEYFRAME_TOLERANCE_S && !onKeyframe(start)) cuts.push(start);
+        if (!(duration > 0 && end >= duration - END_TOLERANCE_S) && !onKeyframe(end)) cuts.push(end);
+    }
+    return cuts;
+}
+
+/**
+ * @param {{ inputPath, outputPath, segments: { start, end }[], keyframes: number[], duration: number,
+ *   tempDir, writeFile }} options
+ *   duration is the file's; writeFile(path, text) writes the concat list
+ * @returns {{ args: string[], duration: number }[]}
+ * @throws {Error} when a cut isn't on a keyframe
+ */
+function buildCopySteps({ inputPath, outputPath, segments, keyframes, duration, tempDir, writeFile }) {
+    const [offCut] = offKeyframeCuts(segments, keyframes, duration);
+    if (offCut !== undefined) {
+        throw new Error(`The cut at ${offCut.toFixed(2)} s isn't on a keyframe; a lossless trim can only cut at keyframes`);
+    }
+
+    const cut = (start, end, target) => {
+        const from = keyframeAtOrBefore(keyframes, start);
+        return {
+            args: [
+                '-y', '-ss', String(from), '-i', inputPath, '-t', String(end - from),
+                '-map', '0:v:0?', '-map', '0:a?', '-c', 'copy',
+                '-avoid_negative_ts', 'make_zero',
+                '-progress', 'pipe:1', target
+            ],
+            duration: end - from
+        };
+    };
+
+    if (segments.length === 1) return [cut(segments[0].start, segments[0].end, outputPath)];
+
+    const parts = segments.map((_, i) => path.join(tempDir, `part-${i}.mkv`));
+    const listPath = path.join(tempDir, 'parts.txt');
+    writeFile(listPath, concatList(parts));
+    const total = segments.reduce((sum, s) => sum + s.end - s.start, 0);
+    return [
+        ...segments.map((s, i) => cut(s.start, s.end, parts[i])),
+        {
+            args: ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', '-progress', 'pipe:1', outputPath],
+            duration: total
+        }
+    ];
+}
+
+/**
+ * The source's video stream settings a smart cut's re-encoded edges must
+ * match, read from the banner and the first parameter sets (trace_headers).
+ * Resolves { success, stream?: { profile, level, pixelFormat, timescale }, error? }
+ * and never rejects; fails when any of them is unknown or the encoder can't
+ * produce that profile.
+ * @param {object} info - probe metadata of the file
+ */
+function probeSmartCut(ffmpegPath, filePath, info) {
+    const codec = info?.videoCodec;
+    if (!canSmartCut(info)) return Promise.resolve({ success: false, error: 'Smart cut needs H.264 or HEVC video' });
+    if (!info.pixelFormat) return Promise.resolve({ success: false, error: "Couldn't read the video's pixel format" });
+
+    return new Promise((resolve) => {
+        let stderr = '';
+        let settled = false;
+        let proc = null;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            resolve(result);
+        };
+
+        try {
+            proc = spawn(ffmpegPath, [
+                '-hide_banner', '-i', filePath,
+                '-map', '0:v:0', '-c', 'copy', '-bsf:v', 'trace_headers', '-frames:v', '1', '-f', 'null', '-'
+            ]);
+        } catch (e) {
+            resolve({ success: false, error: e.message });
+            return;
+        }
+        const timer = setTimeout(() => {
+            try { proc.kill('SIGKILL'); } catch {}
+            finish({ success: false, error: 'Stream probe timed out' });
+        }, SMART_PROBE_TIMEOUT_MS);
+
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.stdout.on('data', () => {});
+        proc.on('close', () => {
+            // trace_headers lines: "<bit position>  <name>  <bits> = <value>"
+            const field = (name) => {
+                const m = stderr.match(new RegExp(`\\s${name}\\s+[01]+ = (\\d+)`));
+                return m ? parseInt(m[1]) : null;
+            };
+            const profileIdc = field(codec === 'hevc' ? 'general_profile_idc' : 'profile_idc');
+            const levelIdc = field(codec === 'hevc' ? 'general_level_idc' : 'level_idc');
+            const tbn = stderr.match(/Stream #0:\d+.*: Video: .*?([\d.]+)(k?) tbn/);
+
+            const profile = ENCODER_PROFILES[codec][profileIdc];
+            if (profileIdc === null || !levelIdc || !tbn) {
+                finish({ success: false, error: "Couldn't read the video's profile, level or timebase" });
+            } else if (!profile) {
+                finish({ success: false, error: `Smart cut can't re-encode this ${codec === 'hevc' ? 'HEVC' : 'H.264'} profile` });
+            } else {
+                finish({
+                    success: true,
+                    stream: {
+                        profile,
+                        // H.264 counts levels in tenths, HEVC in thirtieths
+                        level: codec === 'hevc' ? (levelIdc / 30).toFixed(1) : String(levelIdc),
+                        pixelFormat: info.pixelFormat,
+                        timescale: Math.round(parseFloat(tbn[1]) * (tbn[2] ? 1000 : 1))
+                    }
+                });
+            }
+        });
+        proc.on('error', (err) => finish({ success: false, error: err.message }));
+    });
+}
+
+/**
+ * @param {{ inputPath, outputPath, segment: { start, end }, keyframes: number[], info, stream,
+ *   tempDir, writeFile }} options
+ *   info is the probe metadata (codec, audio tracks); stream is probeSmartCut's
+ * @returns {{ args: string[], duration: number }[]}
+ */
+function buildSmartCutSteps({ inputPath, outputPath, segment, keyframes, info, stream, tempDir, writeFile }) {
+    const { start, end } = segment;
+    const firstKey = keyframeAtOrAfter(keyframes, start);
+    const lastKey = keyframeAtOrBefore(keyframes, end);
+    const encoder = SMART_CUT_ENCODERS[info.videoCodec];
+    const encodeArgs = [
+        '-c:v', encoder, '-crf', '18', '-preset', 'fast',
+        '-profile:v', stream.profile,
+        ...(encoder === 'libx265' ? ['-x265-params', `level-idc=${stream.level}`] : ['-level:v', stream.level]),
+        '-pix_fmt', stream.pixelFormat
+    ];
+
+    const videoPart = (from, to, target, copy) => ({
+        args: [
+            '-y', '-ss', String(copy ? from + 0.001 : from), '-i', inputPath, '-t', String(to - from),
+            '-map', '0:v:0', '-an', '-sn',
+            ...(copy ? ['-c:v', 'copy'] : encodeArgs),
+            '-f', 'mpegts', '-progress', 'pipe:1', target
+        ],
+        duration: to - from
+    });
+
+    const parts = [];
+    const steps = [];
+    const addPart = (from, to, copy) => {
+        if (to - from < 0.01) return;
+        const target = path.join(tempDir, `video-${parts.length}.ts`);
+        parts.push(target);
+        steps.push(videoPart(from, to, target, copy));
+    };
+
+    if (firstKey === null || firstKey >= lastKey) {
+        // The range sits inside one GOP: nothing to copy, encode it all
+        addPart(start, end, false);
+    } else {
+        addPart(start, firstKey, false);
+        addPart(firstKey, lastKey, true);
+        addPart(lastKey, end, false);
+    }
+
+    // Audio frames are short and all independently decodable, so a copy is
+    // accurate to a frame or so at both ends
+    const audioPath = path.join(tempDir, 'audio.mka');
+    const hasAudio = info.audioTracks.length > 0;
+    if (hasAudio) {
+        steps.push({
+            args: [
+                '-y', '-ss', String(start), '-i', inputPath, '-t', String(end - start),
+                '-map', '0:a', '-vn', '-sn', '-c:a', 'copy', '-progress', 'pipe:1', audioPath
+            ],
+            duration: end - start
+        });
+    }
+
+    const listPath = path.join(tempDir, 'parts.txt');
+    writeFile(listPath, concatList(parts));
+    steps.push({
+        args: [
+            '-y', '-f', 'concat', '-safe', '0', '-i', listPath,
+            ...(hasAudio ? ['-i', audioPath, '-map', '0:v', '-map', '1:a'] : ['-map', '0:v']),
+            '-c', 'copy',
+            ...(TIMESCALE_EXTENSIONS.has(path.extname(outputPath).toLowerCase())
+                ? ['-video_track_timescale', String(stream.timescale)]
+                : []),
+            '-progress', 'pipe:1', outputPath
+        ],
+        duration: end - start
+    });
+    return steps;
+}
+
+module.exports = { buildCopySteps, buildSmartCutSteps, canSmartCut, probeSmartCut, offKeyframeCuts };
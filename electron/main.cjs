@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Menu, ipcMain, dialog, protocol } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, protocol, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
@@ -10,6 +10,71 @@ const ffmpegPath = app.isPackaged
     ? ffmpegStatic.replace('app.asar', 'app.asar.unpacked')
     : ffmpegStatic;
 
+// All ffmpeg exports run through one queue (see jobQueue.cjs). Status updates for
+// every job go out on a single 'job-status' channel to the main window.
+const { createJobQueue } = require('./jobQueue.cjs');
+const jobQueue = createJobQueue({
+    ffmpegPath,
+    concurrency: 2,
+    onStatus: (job) => {
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('job-status', job);
+    },
+    onRemove: (ids) => {
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('jobs-removed', ids);
+    }
+});
+
+const { probeMedia } = require('./mediaProbe.cjs');
+
+// Probe results and grid thumbnails persisted across launches (see mediaIndex.cjs).
+const { createMediaIndex } = require('./mediaIndex.cjs');
+const mediaIndex = createMediaIndex(path.join(app.getPath('userData'), 'media-index'));
+
+const SAVE_FILTER_NAMES = {
+    mp4: 'MP4 Video', mkv: 'Matroska Video', webm: 'WebM Video', mov: 'QuickTime Movie', gif: 'GIF Image',
+    webp: 'WebP Image', png: 'PNG Image', pdf: 'PDF Document',
+    mp3: 'MP3 Audio', m4a: 'AAC Audio', flac: 'FLAC Audio', wav: 'WAV Audio', opus: 'Opus Audio'
+};
+
+// Probe metadata for a local file, from the index when it's still current.
+// Resolves null when ffmpeg can't read the file.
+async function getMediaInfo(filePath) {
+    const indexed = mediaIndex.getMeta(filePath);
+    if (indexed) return indexed;
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    const { success, ...meta } = await probeMedia(ffmpegPath, filePath);
+    if (!success) return null;
+    if (stat) mediaIndex.putMeta(filePath, meta, stat);
+    return meta;
+}
+
+const { getPlaybackMode, createFallbackResponse } = require('./playbackFallback.cjs');
+const { listMediaTracks, extractSubtitleTrack } = require('./subtitleTracks.cjs');
+const { buildSubtitlesFilter, writeSubtitleFile } = require('./subtitleBurn.cjs');
+const { grabFrame } = require('./frameGrab.cjs');
+const { screenshotFilter, thumbnailFilter, readFrameTimes, buildContactSheet } = require('./screenshotSheets.cjs');
+const { buildSlidesPdf, recognizeSlides } = require('./slidesPdf.cjs');
+const { DEEP_LINK_SCHEME, isDeepLink, buildDeepLink, parseDeepLink } = require('./deepLink.cjs');
+const { probeKeyframes } = require('./keyframes.cjs');
+const { buildCopySteps, buildSmartCutSteps, probeSmartCut } = require('./losslessCut.cjs');
+const { listEncoders, availableCodecs, targetSizeCodecs, buildEncodeSteps } = require('./exportProfiles.cjs');
+const { concatTarget, buildConcatGraph } = require('./concatNormalize.cjs');
+const { FORMATS: ANIMATION_FORMATS, animationArgs, writeCaptionFile, estimateAnimationSize } = require('./animatedExport.cjs');
+const { FORMATS: AUDIO_FORMATS, audioArgs, silenceScanArgs, trimmedRange } = require('./audioExport.cjs');
+
+// Resume positions and watched flags for local videos (see watchProgress.cjs)
+const { createWatchProgressStore } = require('./watchProgress.cjs');
+const watchProgress = createWatchProgressStore(path.join(app.getPath('userData'), 'watch-progress.json'));
+
+// Live updates for the open library folder (see folderWatcher.cjs)
+const { createFolderWatcher } = require('./folderWatcher.cjs');
+const folderWatcher = createFolderWatcher({
+    onChange: (change) => {
+        if (change.renamed.length) watchProgress.rename(change.renamed);
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('folder-changed', change);
+    }
+});
+
 // Auto-update (packaged builds only): check GitHub Releases on launch, download in the
 // background, install on next quit. Install once per machine, then updates land for free.
 function setupAutoUpdater() {
@@ -58,6 +123,12 @@ const STATIC_MIME = {
     '.ttf': 'font/ttf', '.map': 'application/json'
 };
 
+// Types for files served as they are over local-video://
+const VIDEO_MIME = {
+    '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.webm': 'video/webm',
+    '.mov': 'video/quicktime', '.avi': 'video/x-msvideo', '.mkv': 'video/x-matroska'
+};
+
 // Serve the built renderer (dist/) from 127.0.0.1 on a FIXED port so the origin
 // — and therefore localStorage (last folder, pins, speed…) — stays stable across
 // launches. Falls back to the next few ports only if one is already taken.
@@ -250,6 +321,17 @@ function setupIpcHandlers() {
         return result.filePaths[0];
     });
 
+    // Open file dialog for an external subtitle file
+    ipcMain.handle('select-subtitle-file', async () => {
+        if (!mainWindow) return null;
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            filters: [{ name: 'Subtitles', extensions: ['srt', 'vtt', 'ass', 'ssa'] }]
+        });
+        if (result.canceled || !result.filePaths.length) return null;
+        return result.filePaths[0];
+    });
+
     // Open directory dialog
     ipcMain.handle('select-directory', async () => {
         if (!mainWindow) return null;
@@ -263,9 +345,11 @@ function setupIpcHandlers() {
     // Show save dialog for video
     ipcMain.handle('show-save-dialog', async (_event, defaultPath) => {
         if (!mainWindow) return { canceled: true };
+        // Filter by the suggested file's extension (exports aren't all MP4)
+        const ext = path.extname(defaultPath || '').slice(1).toLowerCase() || 'mp4';
         return await dialog.showSaveDialog(mainWindow, {
             defaultPath,
-            filters: [{ name: 'MP4 Video', extensions: ['mp4'] }]
+            filters: [{ name: SAVE_FILTER_NAMES[ext] || `${ext.toUpperCase()} File`, extensions: [ext] }]
         });
     });
 
@@ -289,225 +373,445 @@ function setupIpcHandlers() {
         return result.filePaths[0];
     });
 
-    // Extract screenshots from video at intervals
+    // Media metadata (codecs, bitrate, fps, tracks, rotation, tags) via ffmpeg -i
+    ipcMain.handle('probe-media', async (_event, filePath) => {
+        if (!filePath) return { success: false, error: 'Missing path' };
+        const info = await getMediaInfo(filePath);
+        if (!info) return { success: false, error: 'Unreadable media file' };
+        return { success: true, ...info };
+    });
+
+    // Watch the library folder the renderer has open; changes arrive as 'folder-changed'
+    ipcMain.handle('watch-folder', async (_event, { dirPath, options }) => {
+        if (!dirPath) return { success: false, error: 'Missing path' };
+        return folderWatcher.watch(dirPath, options);
+    });
+
+    ipcMain.handle('unwatch-folder', async () => {
+        folderWatcher.unwatch();
+        return { success: true };
+    });
+
+    // How local-video:// will serve a file: as-is, or remuxed/transcoded by ffmpeg
+    ipcMain.handle('get-playback-mode', async (_event, { filePath, audioTrack = 0 }) => {
+        if (!filePath) return { success: false, error: 'Missing path' };
+        const info = await getMediaInfo(filePath);
+        if (!info) return { success: true, mode: 'direct', reason: '', duration: 0 };
+        return { success: true, ...getPlaybackMode(info, audioTrack), duration: info.duration };
+    });
+
+    // Audio/subtitle streams of a local file for the viewer's track menus
+    ipcMain.handle('list-media-tracks', async (_event, filePath) => {
+        if (!filePath) return { success: false, error: 'Missing path' };
+        const info = await getMediaInfo(filePath);
+        if (!info) return { success: false, error: 'Unreadable media file' };
+        return { success: true, ...listMediaTracks(info) };
+    });
+
+    // Embedded subtitle stream converted to WebVTT (see subtitleTracks.cjs)
+    ipcMain.handle('extract-subtitle-track', async (_event, { filePath, streamIndex }) => {
+        if (!filePath || !Number.isInteger(streamIndex)) return { success: false, error: 'Missing params' };
+        return extractSubtitleTrack(ffmpegPath, filePath, streamIndex);
+    });
+
+    // Viewer's current frame as a PNG/JPG at native resolution (see frameGrab.cjs)
+    ipcMain.handle('grab-frame', async (_event, { filePath, time, outputPath }) => {
+        if (!filePath || !outputPath || !(time >= 0)) return { success: false, error: 'Missing params' };
+        return grabFrame(ffmpegPath, filePath, time, outputPath);
+    });
+
+    // Grid/filmstrip thumbnails cached on disk alongside the probe metadata
+    ipcMain.handle('get-indexed-thumbnail', async (_event, filePath) => {
+        if (!filePath) return null;
+        return mediaIndex.getThumbnail(filePath);
+    });
+
+    ipcMain.handle('save-indexed-thumbnail', async (_event, { filePath, dataUrl }) => {
+        if (!filePath || !dataUrl) return { success: false, error: 'Missing params' };
+        return { success: mediaIndex.putThumbnail(filePath, dataUrl) };
+    });
+
+    ipcMain.handle('get-watch-progress', async (_event, filePaths) => {
+        if (!Array.isArray(filePaths)) return { success: false, error: 'Missing paths' };
+        return { success: true, entries: watchProgress.get(filePaths) };
+    });
+
+    ipcMain.handle('save-watch-progress', async (_event, { filePath, progress }) => {
+        if (!filePath || !progress) return { success: false, error: 'Missing params' };
+        return { success: true, entry: watchProgress.update(filePath, progress) };
+    });
+
+    // Dropping entries for deleted/changed files stats every indexed path —
+    // keep it off the startup critical path like the thumbnail cleanup below.
+    setTimeout(() => mediaIndex.prune(), 10000);
+
+    // Extract screenshots from video at intervals, or on scene changes
+    // (mode 'scene', threshold = scene score 0-1), optionally dropping repeated
+    // frames (dedupe). sheet 'image' also tiles the frames into a contact sheet
+    // with timestamps, sheet 'pdf' collects them into a PDF of slides (see
+    // screenshotSheets.cjs / slidesPdf.cjs).
     ipcMain.handle('extract-screenshots', async (_event, params) => {
-        const { inputPath, outputDir, interval, format, totalDuration } = params;
+        const { inputPath, outputDir, interval, format, mode, threshold, dedupe, sheet, totalDuration, jobId } = params;
         const ext = format === 'png' ? 'png' : 'jpg';
-        const baseName = path.basename(inputPath, path.extname(inputPath));
+        const baseName = params.baseName || path.basename(inputPath, path.extname(inputPath));
         const outputPattern = path.join(outputDir, `${baseName}_%04d.${ext}`);
 
-        const args = [
-            '-y',
-            '-i', inputPath,
-            '-vf', `fps=1/${interval}`,
-        ];
+        let tempDir;
+        try {
+            tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-shots-'));
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        const removeTempDir = () => { try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {} };
+        const timesFile = path.join(tempDir, 'frames.txt');
+        const thumbPattern = path.join(tempDir, 'thumb_%04d.png');
+        const chain = screenshotFilter({ mode, interval, threshold, dedupe, timesFile });
+        const qualityArgs = ext === 'png' ? ['-compression_level', '3'] : ['-q:v', '2'];
 
-        if (ext === 'png') {
-            args.push('-compression_level', '3');
+        const args = ['-y', '-i', inputPath];
+        if (sheet === 'image') {
+            args.push(
+                '-filter_complex', `[0:v:0]${chain},split[shots][sheet];[sheet]${thumbnailFilter()}[thumbs]`,
+                '-progress', 'pipe:1',
+                '-map', '[shots]', '-fps_mode', 'vfr', ...qualityArgs, outputPattern,
+                '-map', '[thumbs]', '-fps_mode', 'vfr', thumbPattern
+            );
         } else {
-            args.push('-q:v', '2');
+            // vfr: frames dropped by select/mpdecimate must not be duplicated back
+            args.push('-vf', chain, '-fps_mode', 'vfr', ...qualityArgs);
+            args.push('-progress', 'pipe:1');
+            args.push(outputPattern);
         }
 
-        args.push('-progress', 'pipe:1');
-        args.push(outputPattern);
-
-        const totalUs = (totalDuration || 1) * 1_000_000;
+        const res = await jobQueue.enqueue({
+            id: jobId,
+            type: 'screenshots',
+            label: `${baseName} \u2192 ${ext.toUpperCase()} frames`,
+            args,
+            totalDuration,
+            inputPath,
+            outputPath: outputDir,
+            keepPartialOutput: true,
+            // Frames written by this run, from the time log: the folder may
+            // hold an earlier run's frames or sheet under the same name
+            getResult: () => ({ count: readFrameTimes(timesFile).length })
+        });
+        if (!res.success || !sheet) {
+            removeTempDir();
+            return res;
+        }
 
-        return new Promise((resolve) => {
-            const proc = spawn(ffmpegPath, args);
-
-            proc.stdout.on('data', (data) => {
-                const str = data.toString();
-                const match = str.match(/out_time_us=(\d+)/);
-                if (match && mainWindow) {
-                    const pct = Math.min(100, Math.round((parseInt(match[1]) / totalUs) * 100));
-                    mainWindow.webContents.send('screenshot-progress', pct);
-                }
+        // The frames just written are <baseName>_0001... in the order of the time log
+        const times = readFrameTimes(timesFile);
+        if (times.length === 0) {
+            removeTempDir();
+            return { ...res, sheetError: 'No frames captured' };
+        }
+        let built;
+        if (sheet === 'pdf') {
+            built = await buildSlidesPdf({
+                slides: times.map((time, i) => ({
+                    path: path.join(outputDir, `${baseName}_${String(i + 1).padStart(4, '0')}.${ext}`),
+                    time
+                })),
+                outputPath: path.join(outputDir, `${baseName}_slides.pdf`),
+                title: path.basename(inputPath),
+                tempDir
             });
+        } else {
+            built = await buildContactSheet(ffmpegPath, thumbPattern, times.length, path.join(outputDir, `${baseName}_sheet.jpg`));
+        }
+        removeTempDir();
+        return built.success
+            ? { ...res, count: times.length, sheetPath: built.outputPath }
+            : { ...res, count: times.length, sheetError: built.error };
+    });
 
-            proc.stderr.on('data', () => {});
+    // Slides to PDF: capture each distinct slide of a recording (scene changes,
+    // repeats dropped), optionally cropped to the slide area, into a PDF with
+    // one page per slide, its text recognised so the PDF can be searched. Each
+    // page links back to its moment in the video with a revid:// link (see
+    // deepLink.cjs). crop is in source pixels.
+    ipcMain.handle('slides-to-pdf', async (_event, params) => {
+        const { inputPath, outputPath, crop, threshold, dedupe, totalDuration, jobId } = params;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
 
-            proc.on('close', (code) => {
-                // Count output files
-                try {
-                    const outputFiles = fs.readdirSync(outputDir)
-                        .filter(f => f.startsWith(baseName + '_') && f.endsWith(`.${ext}`));
-                    if (code === 0) {
-                        resolve({ success: true, count: outputFiles.length });
-                    } else {
-                        resolve({ success: false, error: `ffmpeg exited with code ${code}`, count: outputFiles.length });
-                    }
-                } catch (e) {
-                    resolve({ success: code === 0, count: 0, error: code !== 0 ? `ffmpeg exited with code ${code}` : undefined });
-                }
-            });
+        let tempDir;
+        try {
+            tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-slides-'));
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        const removeTempDir = () => { try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {} };
+        const timesFile = path.join(tempDir, 'frames.txt');
+
+        // Cropping first also keeps a speaker inset or webcam out of the scene detection
+        const filters = [];
+        if (crop) filters.push(`crop=${Math.round(crop.width)}:${Math.round(crop.height)}:${Math.round(crop.x)}:${Math.round(crop.y)}`);
+        filters.push(screenshotFilter({ mode: 'scene', threshold, dedupe, timesFile }));
+
+        const res = await jobQueue.enqueue({
+            id: jobId,
+            type: 'slides',
+            label: `${baseName} \u2192 PDF slides`,
+            args: [
+                '-y', '-i', inputPath,
+                '-map', '0:v:0', '-vf', filters.join(','), '-fps_mode', 'vfr', '-q:v', '2',
+                '-progress', 'pipe:1',
+                path.join(tempDir, 'slide_%04d.jpg')
+            ],
+            totalDuration,
+            inputPath,
+            // The task's file is the PDF built afterwards; the frames go to
+            // tempDir, which is removed below whatever happens
+            outputPath,
+            keepPartialOutput: true
+        });
+        if (!res.success) {
+            removeTempDir();
+            return res;
+        }
 
-            proc.on('error', (err) => {
-                resolve({ success: false, error: err.message, count: 0 });
-            });
+        const times = readFrameTimes(timesFile);
+        if (times.length === 0) {
+            removeTempDir();
+            return { success: false, error: 'No slides were captured' };
+        }
+        const slidePaths = times.map((_time, i) => path.join(tempDir, `slide_${String(i + 1).padStart(4, '0')}.jpg`));
+        const text = await recognizeSlides(slidePaths);
+        const built = await buildSlidesPdf({
+            slides: times.map((time, i) => ({
+                path: slidePaths[i],
+                time,
+                link: buildDeepLink(inputPath, time),
+                text: text[i]
+            })),
+            outputPath,
+            title: path.basename(inputPath),
+            tempDir
         });
+        removeTempDir();
+        return built.success
+            ? { ...res, count: times.length, outputPath: built.outputPath }
+            : { success: false, error: built.error };
     });
 
-    // Create GIF from video segment
+    // Animated GIF / WebP / APNG of a video range (see animatedExport.cjs):
+    // format, crop in source pixels, boomerang, caption { text, position, size }
+    // and, for GIF, the palette's dither mode and number of colours
     ipcMain.handle('create-gif', async (_event, params) => {
-        const { inputPath, outputPath, startTime, duration, fps, width } = params;
+        const { inputPath, outputPath, startTime, duration, jobId } = params;
+        const format = ANIMATION_FORMATS[params.format] ? params.format : 'gif';
 
-        const vf = `fps=${fps},scale=${width}:-1:flags=lanczos,split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse`;
-
-        const args = [
-            '-y',
-            '-ss', String(startTime),
-            '-t', String(duration),
-            '-i', inputPath,
-            '-vf', vf,
-            '-loop', '0',
-            '-progress', 'pipe:1',
-            outputPath
-        ];
+        const encoders = await listEncoders(ffmpegPath);
+        if (!encoders.has(ANIMATION_FORMATS[format].encoder)) {
+            return { success: false, error: `This ffmpeg build can't encode ${format.toUpperCase()}` };
+        }
 
-        const totalUs = duration * 1_000_000;
+        let tempDir;
+        let captionFile;
+        try {
+            tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-gif-'));
+            captionFile = writeCaptionFile(params.caption, tempDir);
+        } catch (e) {
+            if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+            return { success: false, error: e.message };
+        }
 
-        return new Promise((resolve) => {
-            const proc = spawn(ffmpegPath, args);
-
-            proc.stdout.on('data', (data) => {
-                const str = data.toString();
-                const match = str.match(/out_time_us=(\d+)/);
-                if (match && mainWindow) {
-                    const pct = Math.min(100, Math.round((parseInt(match[1]) / totalUs) * 100));
-                    mainWindow.webContents.send('gif-progress', pct);
-                }
-            });
+        return jobQueue.enqueue({
+            id: jobId,
+            type: 'gif',
+            args: [
+                ...animationArgs({ ...params, format, start: startTime, captionFile }),
+                '-progress', 'pipe:1',
+                outputPath
+            ],
+            // A boomerang's output plays the range twice
+            totalDuration: params.boomerang ? duration * 2 : duration,
+            inputPath,
+            outputPath,
+            cleanup: () => { try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {} }
+        });
+    });
 
-            proc.stderr.on('data', () => {});
+    // Expected size in bytes of create-gif with the same params, from a short
+    // sample encode. { success, bytes } or { superseded } when a newer estimate
+    // replaced it.
+    ipcMain.handle('estimate-gif-size', async (_event, params) => {
+        const format = ANIMATION_FORMATS[params.format] ? params.format : 'gif';
+        const encoders = await listEncoders(ffmpegPath);
+        if (!encoders.has(ANIMATION_FORMATS[format].encoder)) {
+            return { success: false, error: `This ffmpeg build can't encode ${format.toUpperCase()}` };
+        }
+        let tempDir;
+        try {
+            tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-gif-size-'));
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        const res = await estimateAnimationSize(ffmpegPath, { ...params, format, start: params.startTime }, tempDir);
+        try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {}
+        return res;
+    });
 
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    try {
-                        const stat = fs.statSync(outputPath);
-                        resolve({ success: true, fileSize: stat.size });
-                    } catch {
-                        resolve({ success: true, fileSize: 0 });
-                    }
-                } else {
-                    resolve({ success: false, error: `ffmpeg exited with code ${code}` });
-                }
-            });
+    // Codecs the export profile editor can offer (depends on the ffmpeg build)
+    ipcMain.handle('get-export-codecs', async () => {
+        const encoders = await listEncoders(ffmpegPath);
+        return { success: true, codecs: availableCodecs(encoders), targetSizeCodecs: targetSizeCodecs(encoders) };
+    });
 
-            proc.on('error', (err) => {
-                resolve({ success: false, error: err.message });
+    // Queue a re-encode with an export profile (see exportProfiles.cjs).
+    // inputArgs hold the inputs, filters and maps; duration is the output's.
+    async function enqueueProfileJob({ id, type, label, profile, inputArgs, hasAudio, duration, inputPath, outputPath, cleanup }) {
+        const encoders = await listEncoders(ffmpegPath);
+        let tempDir = null;
+        let steps;
+        try {
+            if (profile.targetSizeMB > 0) tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-pass-'));
+            steps = buildEncodeSteps({
+                profile, encoders, inputArgs, hasAudio, duration, outputPath,
+                passLogFile: tempDir ? path.join(tempDir, 'pass') : undefined
             });
+        } catch (e) {
+            if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+            cleanup?.();
+            return { success: false, error: e.message };
+        }
+        return jobQueue.enqueue({
+            id,
+            type,
+            label,
+            steps,
+            inputPath,
+            outputPath,
+            cleanup: () => {
+                cleanup?.();
+                if (tempDir) { try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {} }
+            }
         });
-    });
+    }
+
+    // Whether the file has an audio stream, or null when it can't be probed
+    // (callers fail rather than quietly drop the audio)
+    const hasAudioStream = async (filePath) => {
+        const info = await getMediaInfo(filePath);
+        return info ? info.audioTracks.length > 0 : null;
+    };
 
-    // Compress video (re-encode with quality/resolution)
+    // Compress video (re-encode with quality/resolution, or an export profile)
     ipcMain.handle('compress-video', async (_event, params) => {
-        const { inputPath, outputPath, crf, resolution, totalDuration } = params;
+        const { inputPath, outputPath, crf, resolution, profile, totalDuration, jobId } = params;
 
         const args = ['-y', '-i', inputPath];
 
         const vf = resolution ? `scale=${resolution}:-2` : null;
         if (vf) args.push('-vf', vf);
 
+        if (profile) {
+            const hasAudio = await hasAudioStream(inputPath);
+            if (hasAudio === null) return { success: false, error: 'Unreadable media file' };
+            // Target-size bitrates need the duration; batch callers may not know it
+            const duration = totalDuration || (await getMediaInfo(inputPath))?.duration;
+            return enqueueProfileJob({
+                id: jobId, type: 'compress', profile, inputArgs: args.slice(1),
+                hasAudio, duration, inputPath, outputPath
+            });
+        }
+
         args.push('-c:v', 'libx264', '-crf', String(crf), '-preset', 'medium', '-pix_fmt', 'yuv420p');
         args.push('-c:a', 'aac', '-b:a', '128k');
         args.push('-progress', 'pipe:1');
         args.push(outputPath);
 
-        const totalUs = (totalDuration || 1) * 1_000_000;
-
-        return new Promise((resolve) => {
-            const proc = spawn(ffmpegPath, args);
-
-            proc.stdout.on('data', (data) => {
-                const str = data.toString();
-                const match = str.match(/out_time_us=(\d+)/);
-                if (match && mainWindow) {
-                    const pct = Math.min(100, Math.round((parseInt(match[1]) / totalUs) * 100));
-                    mainWindow.webContents.send('compress-progress', pct);
-                }
-            });
-
-            proc.stderr.on('data', () => {});
-
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    try {
-                        const stat = fs.statSync(outputPath);
-                        resolve({ success: true, fileSize: stat.size });
-                    } catch {
-                        resolve({ success: true, fileSize: 0 });
-                    }
-                } else {
-                    resolve({ success: false, error: `ffmpeg exited with code ${code}` });
-                }
-            });
-
-            proc.on('error', (err) => {
-                resolve({ success: false, error: err.message });
-            });
-        });
+        return jobQueue.enqueue({ id: jobId, type: 'compress', args, totalDuration, inputPath, outputPath });
     });
 
-    // Extract audio from video
+    // Extract audio from video (see audioExport.cjs): format mp3/aac/flac/wav/opus
+    // or copy, an optional range (startTime, duration), normalize + loudness
+    // (LUFS), channels 1/2, trimSilence, tags { title, artist, album } and
+    // coverTime (embed that frame as cover art)
     ipcMain.handle('extract-audio', async (_event, params) => {
-        const { inputPath, outputPath, format, totalDuration } = params;
-
-        const args = ['-y', '-i', inputPath, '-vn'];
+        const { inputPath, outputPath, startTime, duration, totalDuration, jobId } = params;
+        const format = AUDIO_FORMATS[params.format] ? params.format : 'mp3';
 
-        if (format === 'mp3') {
-            args.push('-c:a', 'libmp3lame', '-q:a', '2');
-        } else if (format === 'aac') {
-            args.push('-c:a', 'aac', '-b:a', '192k');
-        } else {
-            args.push('-c:a', 'copy');
+        const { encoder } = AUDIO_FORMATS[format];
+        if (encoder && !(await listEncoders(ffmpegPath)).has(encoder)) {
+            return { success: false, error: `This ffmpeg build can't encode ${format.toUpperCase()}` };
         }
 
-        args.push('-progress', 'pipe:1');
-        args.push(outputPath);
-
-        const totalUs = (totalDuration || 1) * 1_000_000;
-
-        return new Promise((resolve) => {
-            const proc = spawn(ffmpegPath, args);
-
-            proc.stdout.on('data', (data) => {
-                const str = data.toString();
-                const match = str.match(/out_time_us=(\d+)/);
-                if (match && mainWindow) {
-                    const pct = Math.min(100, Math.round((parseInt(match[1]) / totalUs) * 100));
-                    mainWindow.webContents.send('audio-progress', pct);
-                }
+        // Audio-only inputs (e.g. in a batch) have no frame for a cover
+        let { coverTime } = params;
+        if (coverTime != null && AUDIO_FORMATS[format].cover && !((await getMediaInfo(inputPath))?.videoStreamIndex >= 0)) {
+            coverTime = null;
+        }
+        const exportArgs = (range) => [
+            ...audioArgs({ ...params, format, coverTime, ...range }),
+            '-progress', 'pipe:1',
+            outputPath
+        ];
+        const rangeLength = duration > 0 ? duration : Math.max(0, (totalDuration || 0) - (startTime || 0));
+
+        if (!params.trimSilence) {
+            return jobQueue.enqueue({
+                id: jobId,
+                type: 'audio',
+                args: exportArgs({ start: startTime, duration }),
+                totalDuration: rangeLength,
+                inputPath,
+                outputPath
             });
+        }
 
-            proc.stderr.on('data', () => {});
-
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    try {
-                        const stat = fs.statSync(outputPath);
-                        resolve({ success: true, fileSize: stat.size });
-                    } catch {
-                        resolve({ success: true, fileSize: 0 });
-                    }
-                } else {
-                    resolve({ success: false, error: `ffmpeg exited with code ${code}` });
+        // Scan the range for silence, then export the part between the
+        // leading and trailing silence (see audioExport.cjs)
+        let tempDir;
+        try {
+            tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-audio-'));
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        const logFile = path.join(tempDir, 'silence.txt');
+        return jobQueue.enqueue({
+            id: jobId,
+            type: 'audio',
+            steps: [
+                { args: silenceScanArgs({ inputPath, start: startTime, duration, logFile }), duration: rangeLength || 1 },
+                {
+                    args: () => {
+                        const range = trimmedRange(logFile, rangeLength > 0 ? rangeLength : Infinity);
+                        return exportArgs({ start: (startTime || 0) + range.start, duration: range.duration });
+                    },
+                    duration: rangeLength || 1
                 }
-            });
-
-            proc.on('error', (err) => {
-                resolve({ success: false, error: err.message });
-            });
+            ],
+            inputPath,
+            outputPath,
+            cleanup: () => { try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {} }
         });
     });
 
     // Export video at different speed
     ipcMain.handle('speed-video', async (_event, params) => {
-        const { inputPath, outputPath, speed, totalDuration } = params;
+        const { inputPath, outputPath, speed, profile, totalDuration, jobId } = params;
 
         const videoFilter = `setpts=${(1 / speed).toFixed(4)}*PTS`;
         const audioFilter = `atempo=${speed}`;
 
+        if (profile) {
+            const hasAudio = await hasAudioStream(inputPath);
+            if (hasAudio === null) return { success: false, error: 'Unreadable media file' };
+            return enqueueProfileJob({
+                id: jobId,
+                type: 'speed',
+                profile,
+                inputArgs: ['-i', inputPath, '-filter:v', videoFilter, ...(hasAudio ? ['-filter:a', audioFilter] : [])],
+                hasAudio,
+                duration: (totalDuration || 1) / speed,
+                inputPath,
+                outputPath
+            });
+        }
+
         const args = [
             '-y', '-i', inputPath,
             '-filter:v', videoFilter,
@@ -517,46 +821,54 @@ function setupIpcHandlers() {
             outputPath
         ];
 
-        const totalUs = (totalDuration || 1) * 1_000_000;
-
-        return new Promise((resolve) => {
-            const proc = spawn(ffmpegPath, args);
-
-            proc.stdout.on('data', (data) => {
-                const str = data.toString();
-                const match = str.match(/out_time_us=(\d+)/);
-                if (match && mainWindow) {
-                    const outputDur = totalDuration / speed;
-                    const outputUs = outputDur * 1_000_000;
-                    const pct = Math.min(100, Math.round((parseInt(match[1]) / outputUs) * 100));
-                    mainWindow.webContents.send('speed-progress', pct);
-                }
-            });
-
-            proc.stderr.on('data', () => {});
-
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    try {
-                        const stat = fs.statSync(outputPath);
-                        resolve({ success: true, fileSize: stat.size });
-                    } catch {
-                        resolve({ success: true, fileSize: 0 });
-                    }
-                } else {
-                    resolve({ success: false, error: `ffmpeg exited with code ${code}` });
-                }
-            });
-
-            proc.on('error', (err) => {
-                resolve({ success: false, error: err.message });
-            });
+        // Progress is measured against the sped-up output timeline
+        return jobQueue.enqueue({
+            id: jobId,
+            type: 'speed',
+            args,
+            totalDuration: (totalDuration || 1) / speed,
+            inputPath,
+            outputPath
         });
     });
 
-    // Video concat (join multiple videos)
+    // Video concat (join multiple videos). The default joins with the concat
+    // demuxer and stream copy, which needs identical streams; mode 'encode'
+    // normalizes mismatched inputs with an export profile and can add
+    // transitions and title cards (see concatNormalize.cjs).
     ipcMain.handle('concat-videos', async (_event, params) => {
-        const { inputPaths, outputPath, totalDuration } = params;
+        const { inputPaths, outputPath, totalDuration, mode, transition, intro, outro, profile, jobId } = params;
+        const label = `${inputPaths.length} videos \u2192 ${path.basename(outputPath)}`;
+
+        if (mode === 'encode') {
+            const infos = await Promise.all(inputPaths.map(p => getMediaInfo(p)));
+            const unreadable = infos.findIndex(info => !info?.duration || !info.width);
+            if (unreadable >= 0) {
+                return { success: false, error: `Could not read ${path.basename(inputPaths[unreadable])}` };
+            }
+
+            let tempDir = null;
+            let graph;
+            try {
+                tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-concat-'));
+                graph = buildConcatGraph({
+                    inputs: inputPaths.map((p, i) => ({ path: p, duration: infos[i].duration, hasAudio: infos[i].audioTracks.length > 0 })),
+                    ...concatTarget(infos),
+                    transition,
+                    intro,
+                    outro,
+                    tempDir
+                });
+            } catch (e) {
+                if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+                return { success: false, error: e.message };
+            }
+            return enqueueProfileJob({
+                id: jobId, type: 'concat', label, profile, inputArgs: graph.inputArgs,
+                hasAudio: graph.hasAudio, duration: graph.duration, inputPath: inputPaths[0], outputPath,
+                cleanup: () => { try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {} }
+            });
+        }
 
         // Create concat file list
         const listPath = path.join(app.getPath('temp'), `revid-concat-${Date.now()}.txt`);
@@ -571,85 +883,191 @@ function setupIpcHandlers() {
             outputPath
         ];
 
-        const totalUs = (totalDuration || 1) * 1_000_000;
+        return jobQueue.enqueue({
+            id: jobId,
+            type: 'concat',
+            label,
+            args,
+            totalDuration,
+            inputPath: inputPaths[0],
+            outputPath,
+            cleanup: () => { try { fs.unlinkSync(listPath); } catch {} }
+        });
+    });
 
-        return new Promise((resolve) => {
-            const proc = spawn(ffmpegPath, args);
-
-            proc.stdout.on('data', (data) => {
-                const str = data.toString();
-                const match = str.match(/out_time_us=(\d+)/);
-                if (match && mainWindow) {
-                    const pct = Math.min(100, Math.round((parseInt(match[1]) / totalUs) * 100));
-                    mainWindow.webContents.send('concat-progress', pct);
-                }
-            });
+    // Crop + trim video using ffmpeg (runs in main process). segments
+    // ([{ start, end }] in output order) cuts several ranges and joins them;
+    // subtitles ({ content, format, style, offset }) burns captions into the
+    // cropped frame, timed against the source. profile picks the encoder
+    // settings (see exportProfiles.cjs); without one it's H.264 at CRF 18.
+    ipcMain.handle('crop-video', async (_event, params) => {
+        const { inputPath, outputPath, crop, trim, segments, subtitles, profile, totalDuration, jobId } = params;
 
-            proc.stderr.on('data', () => {});
+        let subtitlePath = null;
+        if (subtitles?.content) {
+            try {
+                subtitlePath = writeSubtitleFile(app.getPath('temp'), subtitles.content, subtitles.format);
+            } catch (e) {
+                return { success: false, error: e.message };
+            }
+        }
+        // Video filters for a range starting at `start` in the source
+        const videoFilters = (start) => {
+            const filters = [`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`];
+            if (subtitlePath) {
+                filters.push(buildSubtitlesFilter(subtitlePath, { style: subtitles.style, offset: subtitles.offset, start }));
+            }
+            return filters.join(',');
+        };
 
-            proc.on('close', (code) => {
-                try { fs.unlinkSync(listPath); } catch {}
-                if (code === 0) {
-                    try {
-                        const stat = fs.statSync(outputPath);
-                        resolve({ success: true, fileSize: stat.size });
-                    } catch {
-                        resolve({ success: true, fileSize: 0 });
-                    }
-                } else {
-                    resolve({ success: false, error: `ffmpeg exited with code ${code}` });
+        const args = ['-y'];
+        const hasAudio = await hasAudioStream(inputPath);
+        const cleanup = subtitlePath ? () => { try { fs.unlinkSync(subtitlePath); } catch {} } : undefined;
+        if (hasAudio === null) {
+            cleanup?.();
+            return { success: false, error: 'Unreadable media file' };
+        }
+
+        if (segments?.length > 1) {
+            // Each segment is its own input-seeked input, so ffmpeg only decodes
+            // the kept ranges and never buffers frames for a later segment.
+            const graph = [];
+            const pads = [];
+            segments.forEach(({ start, end }, i) => {
+                args.push('-ss', String(start), '-to', String(end), '-i', inputPath);
+                graph.push(`[${i}:v:0]${videoFilters(start)},setpts=PTS-STARTPTS[v${i}]`);
+                pads.push(`[v${i}]`);
+                if (hasAudio) {
+                    graph.push(`[${i}:a:0]asetpts=PTS-STARTPTS[a${i}]`);
+                    pads.push(`[a${i}]`);
                 }
             });
+            graph.push(`${pads.join('')}concat=n=${segments.length}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? '[a]' : ''}`);
+            args.push('-filter_complex', graph.join(';'), '-map', '[v]');
+            if (hasAudio) args.push('-map', '[a]');
+        } else {
+            if (trim) {
+                args.push('-ss', String(trim.startTime), '-to', String(trim.endTime));
+            }
+            args.push('-i', inputPath);
+            args.push('-vf', videoFilters(trim ? trim.startTime : 0));
+        }
 
-            proc.on('error', (err) => {
-                try { fs.unlinkSync(listPath); } catch {}
-                resolve({ success: false, error: err.message });
+        if (profile) {
+            return enqueueProfileJob({
+                id: jobId, type: 'crop', profile, inputArgs: args.slice(1),
+                hasAudio, duration: totalDuration, inputPath, outputPath, cleanup
             });
+        }
+
+        if (segments?.length > 1) {
+            if (hasAudio) args.push('-c:a', 'aac', '-b:a', '192k');
+        } else {
+            args.push('-c:a', 'copy');
+        }
+        args.push('-c:v', 'libx264', '-crf', '18', '-preset', 'fast', '-pix_fmt', 'yuv420p');
+        args.push('-progress', 'pipe:1');
+        args.push(outputPath);
+
+        return jobQueue.enqueue({
+            id: jobId,
+            type: 'crop',
+            args,
+            totalDuration,
+            inputPath,
+            outputPath,
+            cleanup
         });
     });
 
-    // Crop + trim video using ffmpeg (runs in main process)
-    ipcMain.handle('crop-video', async (_event, params) => {
-        const { inputPath, outputPath, crop, trim, totalDuration } = params;
+    // Keyframe times of a local file, for lossless trims; smartCut tells the
+    // editor whether the edges can be re-encoded to match the source (or
+    // smartCutError why not)
+    ipcMain.handle('get-keyframes', async (_event, filePath) => {
+        if (!filePath) return { success: false, error: 'Missing path' };
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(filePath).mtimeMs;
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        const info = await getMediaInfo(filePath);
+        if (!info?.videoCodec) return { success: false, error: 'No video stream' };
+        const result = await probeKeyframes(ffmpegPath, filePath, { mtimeMs, startTime: info.startTime });
+        if (!result.success) return result;
+        const smart = await probeSmartCut(ffmpegPath, filePath, info);
+        return { success: true, keyframes: result.keyframes, smartCut: smart.success, smartCutError: smart.error };
+    });
 
-        const args = ['-y'];
+    // Trim without re-encoding (see losslessCut.cjs). mode 'copy' takes any
+    // number of segments; 'smart' takes one.
+    ipcMain.handle('lossless-cut', async (_event, params) => {
+        const { inputPath, outputPath, segments, mode, jobId } = params;
+        if (!inputPath || !outputPath || !segments?.length) return { success: false, error: 'Missing params' };
+
+        const info = await getMediaInfo(inputPath);
+        if (!info?.videoCodec) return { success: false, error: 'No video stream' };
+        if (mode === 'smart' && segments.length !== 1) return { success: false, error: 'Smart cut needs one segment' };
+        let smart = null;
+        if (mode === 'smart') {
+            smart = await probeSmartCut(ffmpegPath, inputPath, info);
+            if (!smart.success) return smart;
+        }
+        let mtimeMs = 0;
+        try { mtimeMs = fs.statSync(inputPath).mtimeMs; } catch {}
+        const probe = await probeKeyframes(ffmpegPath, inputPath, { mtimeMs, startTime: info.startTime });
+        if (!probe.success) return probe;
 
-        if (trim) {
-            args.push('-ss', String(trim.startTime), '-to', String(trim.endTime));
+        let tempDir;
+        let steps;
+        try {
+            tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'revid-cut-'));
+            const options = {
+                inputPath, outputPath, keyframes: probe.keyframes, tempDir,
+                writeFile: (filePath, text) => fs.writeFileSync(filePath, text)
+            };
+            steps = mode === 'smart'
+                ? buildSmartCutSteps({ ...options, segment: segments[0], info, stream: smart.stream })
+                : buildCopySteps({ ...options, segments, duration: info.duration });
+        } catch (e) {
+            if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+            return { success: false, error: e.message };
         }
 
-        args.push('-i', inputPath);
-        args.push('-vf', `crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`);
-        args.push('-c:v', 'libx264', '-crf', '18', '-preset', 'fast', '-pix_fmt', 'yuv420p');
-        args.push('-c:a', 'copy');
-        args.push('-progress', 'pipe:1');
-        args.push(outputPath);
+        return jobQueue.enqueue({
+            id: jobId,
+            type: 'trim',
+            steps,
+            inputPath,
+            outputPath,
+            cleanup: () => { try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch {} }
+        });
+    });
 
-        const totalUs = (totalDuration || 1) * 1_000_000;
+    // --- Job Queue IPC Handlers ---
 
-        return new Promise((resolve) => {
-            const proc = spawn(ffmpegPath, args);
-
-            proc.stdout.on('data', (data) => {
-                const str = data.toString();
-                const match = str.match(/out_time_us=(\d+)/);
-                if (match && mainWindow) {
-                    const pct = Math.min(100, Math.round((parseInt(match[1]) / totalUs) * 100));
-                    mainWindow.webContents.send('crop-progress', pct);
-                }
-            });
+    ipcMain.handle('list-jobs', () => jobQueue.list());
 
-            proc.stderr.on('data', () => {});
+    ipcMain.handle('cancel-job', (_event, id) => jobQueue.cancel(id));
 
-            proc.on('close', (code) => {
-                if (code === 0) resolve({ success: true });
-                else resolve({ success: false, error: `ffmpeg exited with code ${code}` });
-            });
+    ipcMain.handle('pause-job', (_event, id) => jobQueue.pause(id));
 
-            proc.on('error', (err) => {
-                resolve({ success: false, error: err.message });
-            });
-        });
+    ipcMain.handle('resume-job', (_event, id) => jobQueue.resume(id));
+
+    ipcMain.handle('set-job-concurrency', (_event, n) => jobQueue.setConcurrency(n));
+
+    ipcMain.handle('clear-finished-jobs', () => jobQueue.clearFinished());
+
+    // Reveal an export in the OS file manager (selects the file when it exists)
+    ipcMain.handle('reveal-in-folder', (_event, targetPath) => {
+        if (!targetPath) return { success: false, error: 'Missing path' };
+        try {
+            if (fs.existsSync(targetPath)) shell.showItemInFolder(targetPath);
+            else shell.openPath(path.dirname(targetPath));
+            return { success: true };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
     });
 
     // --- Mini Player IPC Handlers ---
@@ -1156,6 +1574,25 @@ function setupIpcHandlers() {
         }
     });
 
+    ipcMain.handle('export-bookmarks', async (_event, { content, defaultName, format }) => {
+        if (!mainWindow) return { success: false, error: 'No window' };
+        const result = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: defaultName,
+            filters: format === 'json'
+                ? [{ name: 'JSON Backup', extensions: ['json'] }]
+                : [{ name: 'Chapter List', extensions: ['txt'] }]
+        });
+        if (result.canceled) {
+            return { success: false, canceled: true };
+        }
+        try {
+            fs.writeFileSync(result.filePath, content, 'utf-8');
+            return { success: true, filePath: result.filePath };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    });
+
     ipcMain.handle('import-theater-data', async () => {
         if (!mainWindow) return { success: false, error: 'No window' };
         const result = await dialog.showOpenDialog(mainWindow, {
@@ -1394,9 +1831,19 @@ const handleVideoFileOpen = (filePath) => {
     }
 };
 
+// Open the video of a revid:// link at the link's time (see deepLink.cjs).
+const handleDeepLinkOpen = (url) => {
+    const link = parseDeepLink(url);
+    if (!link || !isVideoFile(link.filePath) || !fs.existsSync(link.filePath)) return;
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('open-video-file', link);
+    }
+};
+
 // Route an opened file to the right handler by extension (renderer must be ready).
 const dispatchFileOpen = (filePath) => {
-    if (filePath.endsWith('.revid')) handleRevidFileOpen(filePath);
+    if (isDeepLink(filePath)) handleDeepLinkOpen(filePath);
+    else if (filePath.endsWith('.revid')) handleRevidFileOpen(filePath);
     else if (isVideoFile(filePath)) handleVideoFileOpen(filePath);
 };
 
@@ -1413,11 +1860,13 @@ const handleFileOpen = (filePath) => {
     }
 };
 
-// Find the first openable file (video or .revid) in a process argv array.
-// Skips Electron/Chromium flags (anything starting with "-") and the exe path.
+// Find the first openable file (video or .revid) or revid:// link in a process
+// argv array. Skips Electron/Chromium flags (anything starting with "-") and
+// the exe path.
 const findOpenableFileInArgs = (argv) => {
     for (const arg of argv.slice(1)) {
         if (!arg || arg.startsWith('-')) continue;
+        if (isDeepLink(arg) && isVideoFile(parseDeepLink(arg)?.filePath)) return arg;
         if ((arg.endsWith('.revid') || isVideoFile(arg)) && fs.existsSync(arg)) {
             return arg;
         }
@@ -1456,6 +1905,19 @@ if (!gotSingleInstanceLock) {
     });
 }
 
+// Handle revid:// links. Only the installed app claims the scheme, and only
+// while no other app handles it; the uninstaller removes it again
+// (build/installer.nsh). Development runs never register.
+if (app.isPackaged && !app.getApplicationNameForProtocol(`${DEEP_LINK_SCHEME}://`)) {
+    app.setAsDefaultProtocolClient(DEEP_LINK_SCHEME);
+}
+
+// macOS: revid:// links arrive as open-url instead of argv
+app.on('open-url', (event, url) => {
+    event.preventDefault();
+    handleFileOpen(url);
+});
+
 // macOS: open-file event (covers both initial launch and already-running app)
 app.on('open-file', (event, filePath) => {
     event.preventDefault();
@@ -1483,7 +1945,7 @@ app.whenReady().then(async () => {
     }
 
     // local-video:// protocol handler with range request support
-    protocol.handle('local-video', (request) => {
+    protocol.handle('local-video', async (request) => {
         const url = new URL(request.url);
         let filePath = decodeURIComponent(url.pathname);
         if (process.platform === 'win32' && filePath.startsWith('/')) {
@@ -1493,7 +1955,26 @@ app.whenReady().then(async () => {
         try {
             const { Readable } = require('stream');
             const stat = fs.statSync(filePath);
+
+            // The viewer asks for ?fallback=1 once the file turned out not to
+            // play natively (or for another audio stream, ?audio=, which always
+            // needs the remux); the file is then probed and piped through
+            // ffmpeg (playbackFallback.cjs), ?start= being the seek position in
+            // seconds. Every other request is served from disk right away.
+            const info = url.searchParams.has('fallback') ? await getMediaInfo(filePath) : null;
+            const audioTrack = parseInt(url.searchParams.get('audio')) || 0;
+            const playback = info ? getPlaybackMode(info, audioTrack) : null;
+            if (playback && playback.mode !== 'direct') {
+                const audio = info.audioTracks[audioTrack] ? audioTrack : 0;
+                return createFallbackResponse(ffmpegPath, filePath, {
+                    mode: playback.mode,
+                    audioCodec: info.audioTracks[audio]?.codec,
+                    audioTrack: audio,
+                    start: parseFloat(url.searchParams.get('start')) || 0
+                });
+            }
             const fileSize = stat.size;
+            const contentType = VIDEO_MIME[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
             const rangeHeader = request.headers.get('range');
 
             // Stream from disk instead of buffering the whole file/range into
@@ -1512,7 +1993,7 @@ app.whenReady().then(async () => {
                             'Content-Range': `bytes ${start}-${end}/${fileSize}`,
                             'Accept-Ranges': 'bytes',
                             'Content-Length': String(chunkSize),
-                            'Content-Type': 'video/mp4'
+                            'Content-Type': contentType
                         }
                     });
                 }
@@ -1522,7 +2003,7 @@ app.whenReady().then(async () => {
                 status: 200,
                 headers: {
                     'Content-Length': String(fileSize),
-                    'Content-Type': 'video/mp4',
+                    'Content-Type': contentType,
                     'Accept-Ranges': 'bytes'
                 }
             });
@@ -1548,6 +2029,14 @@ app.whenReady().then(async () => {
     });
 });
 
+// Don't leave orphaned ffmpeg processes writing half-finished files after exit.
+app.on('before-quit', () => {
+    jobQueue.cancelAll();
+    folderWatcher.unwatch();
+    mediaIndex.flush();
+    watchProgress.flush();
+});
+
 app.on('window-all-closed', () => {
     if (process.platform !== 'darwin') app.quit();
 });
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore.cjs');
+
+// Persistent per-file index of probe metadata and grid thumbnails, stored under
+// userData so a library of thousands of clips doesn't get re-decoded on every
+// launch. Entries are keyed by path and validated against the file's size and
+// mtime on every lookup; a changed or missing file drops its entry.
+//
+// Layout: <dir>/index.json  { version, entries: { [path]: { size, mtimeMs, meta, thumb } } }
+//         <dir>/thumbs/<sha1(path)>.jpg
+
+// 2: meta has startTime
+const INDEX_VERSION = 2;
+
+function createMediaIndex(dir) {
+    const thumbDir = path.join(dir, 'thumbs');
+    const { entries, scheduleSave, flush } = createJsonStore(path.join(dir, 'index.json'), {
+        version: INDEX_VERSION,
+        label: 'media-index'
+    });
+
+    const thumbPathFor = (filePath) =>
+        path.join(thumbDir, crypto.createHash('sha1').update(filePath).digest('hex') + '.jpg');
+
+    const drop = (filePath) => {
+        const entry = entries[filePath];
+        if (!entry) return;
+        if (entry.thumb) {
+            try { fs.unlinkSync(path.join(thumbDir, entry.thumb)); } catch {}
+        }
+        delete entries[filePath];
+        scheduleSave();
+    };
+
+    // Current entry for a file, or null if it isn't indexed or has changed since.
+    const lookup = (filePath) => {
+        const entry = entries[filePath];
+        if (!entry) return null;
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch {
+            drop(filePath);
+            return null;
+        }
+        if (stat.size !== entry.size || stat.mtimeMs !== entry.mtimeMs) {
+            drop(filePath);
+            return null;
+        }
+        return entry;
+    };
+
+    // Entry for a file about to be written to, reset if the file has changed.
+    const entryFor = (filePath) => {
+        const existing = lookup(filePath);
+        if (existing) return existing;
+        const stat = fs.statSync(filePath);
+        entries[filePath] = { size: stat.size, mtimeMs: stat.mtimeMs, meta: null, thumb: null };
+        return entries[filePath];
+    };
+
+    const getMeta = (filePath) => lookup(filePath)?.meta || null;
+
+    // stat is the file's from before it was probed: a file that changed while
+    // it was probed isn't stored, or the old contents' meta would pass for the new
+    const putMeta = (filePath, meta, stat) => {
+        try {
+            const entry = entryFor(filePath);
+            if (stat.size !== entry.size || stat.mtimeMs !== entry.mtimeMs) return;
+            entry.meta = meta;
+            scheduleSave();
+        } catch {}
+    };
+
+    // Thumbnail as a data URL, ready to use as an <img> src.
+    const getThumbnail = (filePath) => {
+        const entry = lookup(filePath);
+        if (!entry?.thumb) return null;
+        try {
+            const data = fs.readFileSync(path.join(thumbDir, entry.thumb));
+            return `data:image/jpeg;base64,${data.toString('base64')}`;
+        } catch {
+            entry.thumb = null;
+            scheduleSave();
+            return null;
+        }
+    };
+
+    const putThumbnail = (filePath, dataUrl) => {
+        const match = /^data:image\/jpeg;base64,(.+)$/.exec(dataUrl || '');
+        if (!match) return false;
+        try {
+            const entry = entryFor(filePath);
+            const thumbPath = thumbPathFor(filePath);
+            fs.mkdirSync(thumbDir, { recursive: true });
+            fs.writeFileSync(thumbPath, Buffer.from(match[1], 'base64'));
+            entry.thumb = path.basename(thumbPath);
+            scheduleSave();
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    // Drop entries for files that have been deleted or changed, and thumbnails
+    // no entry refers to any more.
+    const prune = async () => {
+        for (const filePath of Object.keys(entries)) {
+            const entry = entries[filePath];
+            try {
+                const stat = await fs.promises.stat(filePath);
+                if (stat.size === entry.size && stat.mtimeMs === entry.mtimeMs) continue;
+            } catch {}
+            if (entries[filePath] === entry) drop(filePath);
+        }
+
+        try {
+            const files = await fs.promises.readdir(thumbDir);
+            const referenced = new Set(Object.values(entries).map(e => e.thumb).filter(Boolean));
+            for (const file of files) {
+                if (!referenced.has(file)) await fs.promises.unlink(path.join(thumbDir, file)).catch(() => {});
+            }
+        } catch {}
+    };
+
+    return { getMeta, putMeta, getThumbnail, putThumbnail, prune, flush };
+}
+
+module.exports = { createMediaIndex };
@@ -0,0 +1,230 @@
+const { spawn } = require('child_process');
+
+// Media metadata via `ffmpeg -i`. ffmpeg-static doesn't ship ffprobe, but the
+// input banner ffmpeg prints to stderr has everything we need: container,
+// duration, bitrate, per-stream codecs, frame rate, rotation and tags. Works for
+// files Chromium can't decode (which the old hidden-<video> probe gave up on).
+
+const PROBE_TIMEOUT_MS = 15000;
+const MAX_PARALLEL_PROBES = 4;
+
+let activeProbes = 0;
+const waiting = [];
+
+const acquire = () => new Promise((resolve) => {
+    if (activeProbes < MAX_PARALLEL_PROBES) {
+        activeProbes++;
+        resolve();
+    } else {
+        waiting.push(resolve);
+    }
+});
+
+const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else activeProbes--;
+};
+
+const parseTimestamp = (str) => {
+    const m = str.match(/(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (!m) return 0;
+    return parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseFloat(m[3]);
+};
+
+const parseChannels = (desc) => {
+    if (/\bmono\b/.test(desc)) return 1;
+    if (/\bstereo\b/.test(desc)) return 2;
+    const layout = desc.match(/\b(\d)\.(\d)(?:\(\w+\))?/);
+    if (layout) return parseInt(layout[1]) + parseInt(layout[2]);
+    const count = desc.match(/(\d+) channels/);
+    return count ? parseInt(count[1]) : 0;
+};
+
+/**
+ * Parse the stderr banner of `ffmpeg -i <file>` into a metadata object.
+ * Exported separately so it can be reused for other ffmpeg invocations.
+ */
+function parseFfmpegInfo(output) {
+    const info = {
+        format: '',
+        duration: 0,
+        // Timestamp the file starts at (non-zero for MPEG-TS, many camera
+        // recordings); ffmpeg's -ss counts from it
+        startTime: 0,
+        bitrate: 0,
+        width: 0,
+        height: 0,
+        videoCodec: '',
+        videoProfile: '',
+        pixelFormat: '',
+        fps: 0,
+        videoBitrate: 0,
+        rotation: 0,
+        videoStreamIndex: -1,
+        audioTracks: [],
+        subtitleTracks: [],
+        tags: {}
+    };
+
+    let tagTarget = null;
+    let tagIndent = 0;
+    let videoTags = null;
+
+    for (const line of output.split(/\r?\n/)) {
+        const indent = line.search(/\S/);
+        if (indent === -1) continue;
+
+        const input = line.match(/^Input #0, (.+?), from /);
+        if (input) {
+            info.format = input[1];
+            tagTarget = info.tags;
+            continue;
+        }
+
+        // "Metadata:" opens a tag block for the container or the last stream
+        if (/^\s+Metadata:\s*$/.test(line)) {
+            tagIndent = indent;
+            continue;
+        }
+
+        if (tagIndent && indent > tagIndent) {
+            const tag = line.match(/^\s+([^:]+?)\s*:\s?(.*)$/);
+            if (tag && tagTarget) {
+                const key = tag[1].trim().toLowerCase();
+                tagTarget[key] = tag[2].trim();
+                if (key === 'rotate' && tagTarget === videoTags) {
+                    info.rotation = parseInt(tag[2]) || 0;
+                }
+            }
+            continue;
+        }
+        tagIndent = 0;
+
+        const duration = line.match(/^\s+Duration: ([^,]+), start: ([^,]+), bitrate: (\d+|N\/A)/);
+        if (duration) {
+            info.duration = parseTimestamp(duration[1]);
+            info.startTime = parseFloat(duration[2]) || 0;
+            info.bitrate = parseInt(duration[3]) * 1000 || 0;
+            tagTarget = null;
+            continue;
+        }
+
+        // Newer ffmpeg reports rotation as display-matrix side data
+        const matrix = line.match(/displaymatrix: rotation of (-?[\d.]+) degrees/);
+        if (matrix && videoTags) {
+            info.rotation = Math.round(parseFloat(matrix[1]));
+            continue;
+        }
+
+        const stream = line.match(/^\s+Stream #0:(\d+)(?:\[0x[0-9a-f]+\])?(?:\((\w+)\))?: (\w+): (.*)$/);
+        if (stream) {
+            const [, index, language, kind, desc] = stream;
+            const codec = desc.split(/[\s,]/)[0];
+            const isDefault = /\(default\)/.test(desc);
+            videoTags = null;
+
+            if (kind === 'Video' && !/\(attached pic\)/.test(desc) && !info.videoCodec) {
+                const dims = desc.match(/, (\d{2,5})x(\d{2,5})/);
+                const fps = desc.match(/([\d.]+) fps/) || desc.match(/([\d.]+) tbr/);
+                const bitrate = desc.match(/(\d+) kb\/s/);
+                const profile = desc.match(/^\w+ \(([^)]+)\)/);
+                const pixFmt = desc.match(/, (\w+)(?:\([^)]*\))?, \d{2,5}x\d{2,5}/);
+                info.videoCodec = codec;
+                info.videoProfile = profile ? profile[1] : '';
+                info.pixelFormat = pixFmt ? pixFmt[1] : '';
+                info.width = dims ? parseInt(dims[1]) : 0;
+                info.height = dims ? parseInt(dims[2]) : 0;
+                info.fps = fps ? parseFloat(fps[1]) : 0;
+                info.videoBitrate = bitrate ? parseInt(bitrate[1]) * 1000 : 0;
+                info.videoStreamIndex = parseInt(index);
+                videoTags = {};
+                tagTarget = videoTags;
+            } else if (kind === 'Audio') {
+                const sampleRate = desc.match(/(\d+) Hz/);
+                const bitrate = desc.match(/(\d+) kb\/s/);
+                const track = {
+                    index: parseInt(index),
+                    codec,
+                    language: language || '',
+                    channels: parseChannels(desc),
+                    sampleRate: sampleRate ? parseInt(sampleRate[1]) : 0,
+                    bitrate: bitrate ? parseInt(bitrate[1]) * 1000 : 0,
+                    default: isDefault,
+                    title: ''
+                };
+                info.audioTracks.push(track);
+                tagTarget = track.tags = {};
+            } else if (kind === 'Subtitle') {
+                const track = {
+                    index: parseInt(index),
+                    codec,
+                    language: language || '',
+                    default: isDefault,
+                    forced: /\(forced\)/.test(desc),
+                    title: ''
+                };
+                info.subtitleTracks.push(track);
+                tagTarget = track.tags = {};
+            } else {
+                tagTarget = null;
+            }
+            continue;
+        }
+    }
+
+    for (const track of [...info.audioTracks, ...info.subtitleTracks]) {
+        track.title = track.tags?.title || '';
+        delete track.tags;
+    }
+
+    // Report display dimensions, like <video> does, for rotated phone clips
+    const quarterTurn = Math.abs(info.rotation) % 180 === 90;
+    if (quarterTurn) [info.width, info.height] = [info.height, info.width];
+
+    return info;
+}
+
+/**
+ * Probe a media file. Resolves { success, ...metadata } and never rejects.
+ */
+async function probeMedia(ffmpegPath, filePath) {
+    await acquire();
+    try {
+        return await new Promise((resolve) => {
+            let stderr = '';
+            let settled = false;
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                resolve(result);
+            };
+
+            const proc = spawn(ffmpegPath, ['-hide_banner', '-i', filePath]);
+            const timer = setTimeout(() => {
+                try { proc.kill('SIGKILL'); } catch {}
+                finish({ success: false, error: 'Probe timed out' });
+            }, PROBE_TIMEOUT_MS);
+
+            proc.stderr.on('data', (data) => { stderr += data.toString(); });
+            proc.stdout.on('data', () => {});
+
+            // `ffmpeg -i` without an output always exits non-zero; judge by the banner.
+            proc.on('close', () => {
+                if (!/Input #0/.test(stderr)) {
+                    const reason = stderr.trim().split(/\r?\n/).pop() || 'Unreadable media file';
+                    finish({ success: false, error: reason });
+                    return;
+                }
+                finish({ success: true, ...parseFfmpegInfo(stderr) });
+            });
+
+            proc.on('error', (err) => finish({ success: false, error: err.message }));
+        });
+    } finally {
+        release();
+    }
+}
+
+module.exports = { probeMedia, parseFfmpegInfo };
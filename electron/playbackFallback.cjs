@@ -0,0 +1,92 @@
+const { spawn } = require('child_process');
+const { Readable } = require('stream');
+
+// On-the-fly playback for files Chromium can't decode. Based on the probe
+// metadata (see mediaProbe.cjs) a file is either served as-is ('direct'),
+// rewrapped without touching the video ('remux': unsupported container or audio
+// codec, e.g. AVI or AC3/DTS audio), or re-encoded ('transcode': unsupported
+// video codec, e.g. HEVC, MPEG-4 Part 2, 10-bit H.264).
+//
+// Only the viewer uses it, and only after the file failed to play natively:
+// it then requests local-video URLs with ?fallback=1. Thumbnails, previews
+// and everything else always get the file itself.
+//
+// Fallback output is fragmented MP4 piped straight into the protocol response.
+// A pipe can't serve byte ranges, so seeking is time-based: the viewer requests
+// the stream again with ?start=<seconds> (see VideoViewer).
+//
+// Chromium only ever plays the first audio stream, so picking another one
+// (?audio=<n>, n counting audio streams from 0) also goes through a remux.
+
+const DIRECT_CONTAINERS = ['mov,mp4', 'matroska', 'webm', 'ogg'];
+const DIRECT_AUDIO = ['aac', 'mp3', 'opus', 'vorbis', 'flac'];
+// Audio codecs that can be copied into the MP4 output as-is
+const MP4_COPY_AUDIO = ['aac', 'mp3', 'opus'];
+// HEVC only decodes where Chromium can use the OS decoder; macOS always has one.
+const DIRECT_VIDEO = ['h264', 'vp8', 'vp9', 'av1', ...(process.platform === 'darwin' ? ['hevc'] : [])];
+
+/**
+ * Decide how a probed file should be played.
+ * @param {number} [audioTrack] - audio stream to play (0 = the first one)
+ * @returns {{ mode: 'direct' | 'remux' | 'transcode', reason: string }}
+ */
+function getPlaybackMode(info, audioTrack = 0) {
+    const hasVideo = info.videoStreamIndex !== -1;
+    const videoOk = !hasVideo
+        || (DIRECT_VIDEO.includes(info.videoCodec) && !/10le|12le|422|444/.test(info.pixelFormat || ''));
+    const audio = info.audioTracks[audioTrack] || info.audioTracks[0];
+    const audioOk = !audio || DIRECT_AUDIO.includes(audio.codec);
+    const containerOk = DIRECT_CONTAINERS.some(c => (info.format || '').startsWith(c));
+
+    if (!videoOk) {
+        const detail = info.pixelFormat && DIRECT_VIDEO.includes(info.videoCodec) ? ` ${info.pixelFormat}` : '';
+        return { mode: 'transcode', reason: `${info.videoCodec}${detail}` };
+    }
+    if (!containerOk) return { mode: 'remux', reason: info.format.split(',')[0] };
+    if (!audioOk) return { mode: 'remux', reason: audio.codec };
+    if (audio !== info.audioTracks[0]) return { mode: 'remux', reason: audio.language || audio.codec };
+    return { mode: 'direct', reason: '' };
+}
+
+/**
+ * Start ffmpeg producing a fragmented MP4 of filePath from `start` seconds and
+ * return it as a web Response. The ffmpeg process is killed when the renderer
+ * drops the request (new seek, source change, window closed).
+ */
+function createFallbackResponse(ffmpegPath, filePath, { mode, audioCodec, audioTrack = 0, start = 0 }) {
+    const videoArgs = mode === 'transcode'
+        ? ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p']
+        : ['-c:v', 'copy'];
+    const audioArgs = MP4_COPY_AUDIO.includes(audioCodec)
+        ? ['-c:a', 'copy']
+        : ['-c:a', 'aac', '-b:a', '192k', '-ac', '2'];
+
+    const args = [
+        '-hide_banner', '-loglevel', 'error',
+        ...(start > 0 ? ['-ss', String(start)] : []),
+        '-i', filePath,
+        '-map', '0:v:0?', '-map', `0:a:${audioTrack}?`, '-sn', '-dn',
+        ...videoArgs, ...audioArgs,
+        '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+        '-f', 'mp4', 'pipe:1'
+    ];
+
+    const proc = spawn(ffmpegPath, args);
+    proc.stderr.on('data', () => {});
+    proc.on('error', () => {});
+
+    const kill = () => {
+        if (proc.exitCode === null) {
+            try { proc.kill('SIGKILL'); } catch {}
+        }
+    };
+    // Cancelling the response body destroys stdout; either way ffmpeg must go.
+    proc.stdout.on('close', kill);
+
+    return new Response(Readable.toWeb(proc.stdout), {
+        status: 200,
+        headers: { 'Content-Type': 'video/mp4' }
+    });
+}
+
+module.exports = { getPlaybackMode, createFallbackResponse };
@@ -2,6 +2,10 @@ const { contextBridge, ipcRenderer } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { scanVideoFiles, DEFAULT_EXTENSIONS } = require('./folderScan.cjs');
+const { CONTAINERS, MIN_VIDEO_KBPS, targetVideoBitrate } = require('./exportProfiles.cjs');
+const { concatDuration } = require('./concatNormalize.cjs');
 
 // Video path the app was launched to open ("Open with ReVid"), injected by the
 // main process via webPreferences.additionalArguments. Available synchronously
@@ -12,6 +16,22 @@ const INITIAL_OPEN_FILE = (() => {
     return arg ? arg.slice(prefix.length) : null;
 })();
 
+// Run an ffmpeg export through the main-process job queue. The job ID is picked
+// here so the caller can follow (and cancel) it from the first status update;
+// onProgress receives (pct, job) for every 'job-status' event of this job.
+const runJob = async (channel, params, onProgress) => {
+    const jobId = crypto.randomUUID();
+    const handler = (_event, job) => {
+        if (job.id === jobId && onProgress) onProgress(job.progress, job);
+    };
+    ipcRenderer.on('job-status', handler);
+    try {
+        return await ipcRenderer.invoke(channel, { ...params, jobId });
+    } finally {
+        ipcRenderer.removeListener('job-status', handler);
+    }
+};
+
 contextBridge.exposeInMainWorld('electronAPI', {
     initialOpenFile: INITIAL_OPEN_FILE,
 
@@ -19,16 +39,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     selectDirectory: () => ipcRenderer.invoke('select-directory'),
 
-    getFilesInDirectory: (dirPath, extensions = ['.mp4', '.webm', '.mov', '.avi', '.mkv']) => {
-        try {
-            const files = fs.readdirSync(dirPath);
-            return files
-                .filter(file => extensions.includes(path.extname(file).toLowerCase()))
-                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
-                .map(file => path.join(dirPath, file));
-        } catch (e) {
-            return [];
-        }
+    // { recursive: true, maxDepth } also scans subfolders (see folderScan.cjs)
+    getFilesInDirectory: (dirPath, extensions = DEFAULT_EXTENSIONS, options = {}) =>
+        scanVideoFiles(dirPath, extensions, options),
+
+    // Watch the open folder for added/removed/renamed videos. options are the
+    // scan options the folder was listed with ({ extensions, recursive, maxDepth }).
+    watchFolder: (dirPath, options = {}) => ipcRenderer.invoke('watch-folder', { dirPath, options }),
+
+    unwatchFolder: () => ipcRenderer.invoke('unwatch-folder'),
+
+    // Subscribe to { dirPath, files, added, removed, renamed: [{ from, to }], changed }
+    // (changed: files rewritten in place).
+    // Returns an unsubscribe function.
+    onFolderChanged: (callback) => {
+        const handler = (_event, change) => callback(change);
+        ipcRenderer.on('folder-changed', handler);
+        return () => ipcRenderer.removeListener('folder-changed', handler);
     },
 
     getDesktopPath: () => path.join(os.homedir(), 'Desktop'),
@@ -53,80 +80,151 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     selectOutputDirectory: () => ipcRenderer.invoke('select-output-directory'),
 
-    extractScreenshots: async (params, onProgress) => {
-        const handler = (_event, pct) => onProgress(pct);
-        ipcRenderer.on('screenshot-progress', handler);
+    // Names of the entries in dir ([] if it can't be read)
+    listDirectory: (dir) => {
         try {
-            return await ipcRenderer.invoke('extract-screenshots', params);
-        } finally {
-            ipcRenderer.removeListener('screenshot-progress', handler);
+            return fs.readdirSync(dir);
+        } catch (e) {
+            return [];
         }
     },
 
-    compressVideo: async (params, onProgress) => {
-        const handler = (_event, pct) => onProgress(pct);
-        ipcRenderer.on('compress-progress', handler);
-        try {
-            return await ipcRenderer.invoke('compress-video', params);
-        } finally {
-            ipcRenderer.removeListener('compress-progress', handler);
-        }
-    },
+    probeMedia: (filePath) => ipcRenderer.invoke('probe-media', filePath),
 
-    extractAudio: async (params, onProgress) => {
-        const handler = (_event, pct) => onProgress(pct);
-        ipcRenderer.on('audio-progress', handler);
-        try {
-            return await ipcRenderer.invoke('extract-audio', params);
-        } finally {
-            ipcRenderer.removeListener('audio-progress', handler);
-        }
-    },
+    // audioTrack picks another audio stream (0 = the first); see playbackFallback.cjs
+    getPlaybackMode: (filePath, audioTrack = 0) => ipcRenderer.invoke('get-playback-mode', { filePath, audioTrack }),
+
+    listMediaTracks: (filePath) => ipcRenderer.invoke('list-media-tracks', filePath),
+
+    getIndexedThumbnail: (filePath) => ipcRenderer.invoke('get-indexed-thumbnail', filePath),
+
+    saveIndexedThumbnail: (filePath, dataUrl) => ipcRenderer.invoke('save-indexed-thumbnail', { filePath, dataUrl }),
+
+    // Resume position / watched flag per local file (see watchProgress.cjs)
+    getWatchProgress: (filePaths) => ipcRenderer.invoke('get-watch-progress', filePaths),
+
+    saveWatchProgress: (filePath, progress) => ipcRenderer.invoke('save-watch-progress', { filePath, progress }),
 
-    speedVideo: async (params, onProgress) => {
-        const handler = (_event, pct) => onProgress(pct);
-        ipcRenderer.on('speed-progress', handler);
+    // --- Subtitles ---
+
+    selectSubtitleFile: () => ipcRenderer.invoke('select-subtitle-file'),
+
+    // Embedded subtitle stream as WebVTT: { success, content }
+    extractSubtitleTrack: (filePath, streamIndex) =>
+        ipcRenderer.invoke('extract-subtitle-track', { filePath, streamIndex }),
+
+    // Raw bytes; the renderer decodes them (subtitle files are often not UTF-8)
+    readSubtitleFile: (filePath) => {
         try {
-            return await ipcRenderer.invoke('speed-video', params);
-        } finally {
-            ipcRenderer.removeListener('speed-progress', handler);
+            return fs.readFileSync(filePath);
+        } catch (e) {
+            return null;
         }
     },
 
-    concatVideos: async (params, onProgress) => {
-        const handler = (_event, pct) => onProgress(pct);
-        ipcRenderer.on('concat-progress', handler);
+    // Subtitle files next to a video that share its name: Movie.srt, Movie.en.ass, ...
+    findSubtitleSidecars: (videoPath) => {
+        const dir = path.dirname(videoPath);
+        const base = path.basename(videoPath, path.extname(videoPath)).toLowerCase();
         try {
-            return await ipcRenderer.invoke('concat-videos', params);
-        } finally {
-            ipcRenderer.removeListener('concat-progress', handler);
+            return fs.readdirSync(dir)
+                .filter((name) => {
+                    const lower = name.toLowerCase();
+                    const ext = path.extname(lower);
+                    if (!['.srt', '.vtt', '.ass', '.ssa'].includes(ext)) return false;
+                    const stem = lower.slice(0, -ext.length);
+                    return stem === base || stem.startsWith(base + '.');
+                })
+                .sort()
+                .map((name) => path.join(dir, name));
+        } catch (e) {
+            return [];
         }
     },
 
-    createGif: async (params, onProgress) => {
-        const handler = (_event, pct) => onProgress(pct);
-        ipcRenderer.on('gif-progress', handler);
-        try {
-            return await ipcRenderer.invoke('create-gif', params);
-        } finally {
-            ipcRenderer.removeListener('gif-progress', handler);
-        }
+    // Frame at `time` (seconds) as PNG/JPG at native resolution, by outputPath's
+    // extension: { success, outputPath }
+    grabFrame: (filePath, time, outputPath) =>
+        ipcRenderer.invoke('grab-frame', { filePath, time, outputPath }),
+
+    extractScreenshots: (params, onProgress) => runJob('extract-screenshots', params, onProgress),
+
+    // { inputPath, outputPath, crop?, threshold, dedupe, totalDuration } -> { success, count, outputPath }
+    slidesToPdf: (params, onProgress) => runJob('slides-to-pdf', params, onProgress),
+
+    // Codecs with an encoder in this ffmpeg build, and those of them that can
+    // encode to a target size: { success, codecs, targetSizeCodecs }
+    getExportCodecs: () => ipcRenderer.invoke('get-export-codecs'),
+
+    // The encoder's container and target-size rules (exportProfiles.cjs), for
+    // the profile editor and the target size estimate
+    exportRules: {
+        containers: CONTAINERS,
+        minVideoKbps: MIN_VIDEO_KBPS,
+        targetVideoBitrate: (targetSizeMB, duration, audioKbps) => targetVideoBitrate(targetSizeMB, duration, audioKbps)
     },
 
+    compressVideo: (params, onProgress) => runJob('compress-video', params, onProgress),
+
+    extractAudio: (params, onProgress) => runJob('extract-audio', params, onProgress),
+
+    speedVideo: (params, onProgress) => runJob('speed-video', params, onProgress),
+
+    concatVideos: (params, onProgress) => runJob('concat-videos', params, onProgress),
+
+    // Output length of an encoded concatVideos: { durations, transition?, intro?, outro? }
+    concatDuration: (options) => concatDuration(options),
+
+    createGif: (params, onProgress) => runJob('create-gif', params, onProgress),
+
+    // Output size of createGif with these params, from a sample encode:
+    // { success, bytes } ({ superseded: true } when a newer estimate replaced it)
+    estimateGifSize: (params) => ipcRenderer.invoke('estimate-gif-size', params),
+
     showSaveDialog: async (defaultPath) => {
         return await ipcRenderer.invoke('show-save-dialog', defaultPath);
     },
 
-    cropVideo: async (params, onProgress) => {
-        const handler = (_event, pct) => onProgress(pct);
-        ipcRenderer.on('crop-progress', handler);
-        try {
-            return await ipcRenderer.invoke('crop-video', params);
-        } finally {
-            ipcRenderer.removeListener('crop-progress', handler);
-        }
+    cropVideo: (params, onProgress) => runJob('crop-video', params, onProgress),
+
+    // Keyframe times for lossless trims (a scan of the whole file):
+    // { success, keyframes, smartCut, smartCutError }
+    getKeyframes: (filePath) => ipcRenderer.invoke('get-keyframes', filePath),
+
+    // Stream-copy trim, mode 'copy' or 'smart' (re-encodes only the edge GOPs)
+    losslessCut: (params, onProgress) => runJob('lossless-cut', params, onProgress),
+
+    // --- Job Queue API ---
+
+    // Subscribe to status/progress updates for every queued ffmpeg job.
+    // Returns an unsubscribe function.
+    onJobStatus: (callback) => {
+        const handler = (_event, job) => callback(job);
+        ipcRenderer.on('job-status', handler);
+        return () => ipcRenderer.removeListener('job-status', handler);
+    },
+
+    // Ids of finished jobs the queue no longer lists
+    onJobsRemoved: (callback) => {
+        const handler = (_event, ids) => callback(ids);
+        ipcRenderer.on('jobs-removed', handler);
+        return () => ipcRenderer.removeListener('jobs-removed', handler);
     },
 
+    listJobs: () => ipcRenderer.invoke('list-jobs'),
+
+    cancelJob: (jobId) => ipcRenderer.invoke('cancel-job', jobId),
+
+    pauseJob: (jobId) => ipcRenderer.invoke('pause-job', jobId),
+
+    resumeJob: (jobId) => ipcRenderer.invoke('resume-job', jobId),
+
+    setJobConcurrency: (n) => ipcRenderer.invoke('set-job-concurrency', n),
+
+    clearFinishedJobs: () => ipcRenderer.invoke('clear-finished-jobs'),
+
+    revealInFolder: (targetPath) => ipcRenderer.invoke('reveal-in-folder', targetPath),
+
     startDrag: (filePath) => {
         ipcRenderer.send('start-drag', filePath);
     },
@@ -267,6 +365,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
         return await ipcRenderer.invoke('import-theater-data');
     },
 
+    // Save viewer bookmarks as chapter text ('txt') or a JSON backup ('json')
+    exportBookmarks: async (content, defaultName, format) => {
+        return await ipcRenderer.invoke('export-bookmarks', { content, defaultName, format });
+    },
+
     // --- Upload API ---
 
     uploadVideoFile: async (filePath, config, onProgress) => {
@@ -0,0 +1,114 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { filterPath } = require('./subtitleBurn.cjs');
+const { findFont } = require('./fonts.cjs');
+
+// Screenshot extraction filters and the contact sheet built from the captured
+// frames.
+//
+// Frames are taken at a fixed interval (fps=1/interval) or on scene changes
+// (select on the scene score, plus the first frame so the opening slide is
+// kept). mpdecimate optionally drops frames that look like the previous kept
+// one, e.g. a slide shown again after a brief cut. At the end of the chain
+// every kept frame is tagged with a metadata key and metadata=print logs its
+// timestamp, in output order (print skips frames without metadata, which is
+// all of them in interval mode, where nothing else sets any).
+//
+// For a contact sheet the chain is split: the second branch writes small
+// thumbnails with the timestamp drawn in (pts survives select/fps, so
+// %{pts:hms} is the source time), which are tiled into one image once the
+// number of frames is known.
+
+const THUMB_WIDTH = 320;
+const SHEET_TIMEOUT_MS = 120000;
+
+// Looser than mpdecimate's defaults, which only catch near-identical frames
+const DEDUPE_FILTER = 'mpdecimate=hi=1536:lo=640:frac=0.33';
+
+const SHOT_KEY = 'revid.shot';
+
+/**
+ * @param {{ mode?: 'interval' | 'scene', interval: number, threshold?: number,
+ *   dedupe?: boolean, timesFile: string }} options
+ *   threshold: scene score (0-1) a change must exceed
+ * @returns {string} filter chain for the video stream
+ */
+function screenshotFilter({ mode, interval, threshold = 0.3, dedupe, timesFile }) {
+    const filters = [mode === 'scene'
+        ? `select='eq(n,0)+gt(scene,${Math.min(0.95, Math.max(0.01, threshold))})'`
+        : `fps=1/${interval}`];
+    if (dedupe) filters.push(DEDUPE_FILTER);
+    filters.push(
+        `metadata=mode=add:key=${SHOT_KEY}:value=1`,
+        `metadata=mode=print:key=${SHOT_KEY}:file=${filterPath(timesFile)}`
+    );
+    return filters.join(',');
+}
+
+// Thumbnail branch of the split: scaled down, timestamp in the bottom-left corner
+function thumbnailFilter() {
+    const draw = [
+        "text='%{pts\\:hms}'",
+        'fontcolor=white', 'fontsize=16',
+        'box=1', 'boxcolor=black@0.6', 'boxborderw=4',
+        'x=8', 'y=h-th-8'
+    ];
+    const font = findFont();
+    if (font) draw.unshift(`fontfile=${filterPath(font)}`);
+    return `scale=${THUMB_WIDTH}:-2,drawtext=${draw.join(':')}`;
+}
+
+/** Source timestamps (seconds) of the kept frames, from the metadata=print log. */
+function readFrameTimes(timesFile) {
+    try {
+        const log = fs.readFileSync(timesFile, 'utf-8');
+        return [...log.matchAll(/pts_time:(-?[\d.]+)/g)].map(m => Math.max(0, parseFloat(m[1])));
+    } catch {
+        return [];
+    }
+}
+
+// Columns for a sheet of `count` frames: a row of up to 4, then 4 or 6 across
+const sheetColumns = (count) => count <= 4 ? Math.max(1, count) : count <= 16 ? 4 : 6;
+
+/**
+ * Tile the numbered thumbnails (thumbPattern, e.g. dir/thumb_%04d.png) into
+ * one image.
+ * @returns {Promise<{ success: boolean, outputPath?: string, error?: string }>} never rejects
+ */
+function buildContactSheet(ffmpegPath, thumbPattern, count, outputPath) {
+    const columns = sheetColumns(count);
+    const rows = Math.ceil(count / columns);
+    return new Promise((resolve) => {
+        let stderr = '';
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            resolve(result);
+        };
+        const proc = spawn(ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-framerate', '1', '-i', thumbPattern,
+            '-vf', `tile=${columns}x${rows}:padding=6:margin=6:color=0x161616`,
+            '-frames:v', '1', '-q:v', '3',
+            outputPath
+        ]);
+        const timer = setTimeout(() => {
+            try { proc.kill('SIGKILL'); } catch {}
+            finish({ success: false, error: 'Contact sheet timed out' });
+        }, SHEET_TIMEOUT_MS);
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.on('close', (code) => {
+            if (code !== 0) {
+                finish({ success: false, error: stderr.trim().split(/\r?\n/).pop() || `ffmpeg exited with code ${code}` });
+                return;
+            }
+            finish({ success: true, outputPath });
+        });
+        proc.on('error', (err) => finish({ success: false, error: err.message }));
+    });
+}
+
+module.exports = { screenshotFilter, thumbnailFilter, readFrameTimes, buildContactSheet };
@@ -0,0 +1,138 @@
+const { app, BrowserWindow, nativeImage } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createWorker } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+
+// PDF of captured slides, one landscape A4 page per image with its source
+// timestamp. The pages are laid out as HTML in a hidden window and printed
+// with Chromium's PDF backend, which keeps the images at full resolution, the
+// captions as text and <a> elements as PDF links.
+//
+// The text on the slides is read with tesseract.js (English) and placed line
+// by line behind each image, sized to the line's box: hidden on the page, but
+// found by the PDF viewer's search and copied with a selection there. Each
+// slide is an SVG so the text and the image share the image's pixel grid.
+
+// tesseract.js runs in a worker thread, which can't load its script, engine
+// or language data from inside app.asar; asarUnpack ships them beside it (as
+// with ffmpeg-static in main.cjs)
+const unpacked = (p) => app.isPackaged ? p.replace('app.asar', 'app.asar.unpacked') : p;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+// 75.5 -> "1:15", 3725 -> "1:02:05"
+function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Wrap html in a link to href, if there is one
+const linked = (html, href) => href ? `<a href="${escapeHtml(href)}">${html}</a>` : html;
+
+// The slide image with its recognised lines behind it (see recognizeSlides)
+function slideImage(slide) {
+    const src = pathToFileURL(slide.path).href;
+    const { width, height, lines = [] } = slide.text || {};
+    if (!(width > 0 && height > 0)) return `<img src="${src}">`;
+    const text = lines.map(({ text, x0, y0, x1, y1 }) => {
+        const size = y1 - y0;
+        return `<text x="${x0}" y="${y1 - size * 0.2}" font-size="${size}" textLength="${x1 - x0}" lengthAdjust="spacingAndGlyphs">${escapeHtml(text)}</text>`;
+    }).join('');
+    return `<svg viewBox="0 0 ${width} ${height}">${text}<image href="${src}" width="${width}" height="${height}"/></svg>`;
+}
+
+function slidesHtml(slides, title) {
+    const pages = slides.map((slide, i) => `
+<div class="slide">
+  ${linked(slideImage(slide), slide.link)}
+  <div class="caption"><span>${escapeHtml(title)}</span><span>${linked(formatTimestamp(slide.time), slide.link)} · ${i + 1}/${slides.length}</span></div>
+</div>`).join('');
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>
+@page { size: A4 landscape; margin: 0; }
+html, body { margin: 0; background: #fff; font-family: system-ui, sans-serif; }
+.slide { width: 297mm; height: 210mm; box-sizing: border-box; padding: 10mm 12mm 8mm;
+  display: flex; flex-direction: column; break-after: page; }
+.slide:last-child { break-after: auto; }
+.slide img, .slide svg { flex: 1; min-height: 0; width: 100%; object-fit: contain; }
+.slide > a { flex: 1; min-height: 0; display: flex; }
+.slide > a img, .slide > a svg { height: 100%; }
+a { color: inherit; text-decoration: none; }
+.caption { display: flex; justify-content: space-between; margin-top: 4mm; font-size: 10pt; color: #555; }
+</style></head><body>${pages}</body></html>`;
+}
+
+/**
+ * Read the text on each slide image.
+ * @param {string[]} imagePaths
+ * @returns {Promise<({ width: number, height: number,
+ *   lines: { text: string, x0: number, y0: number, x1: number, y1: number }[] } | null)[]>}
+ *   per image, boxes in image pixels; null for an image that couldn't be read.
+ *   Never rejects.
+ */
+async function recognizeSlides(imagePaths) {
+    let worker;
+    try {
+        worker = await createWorker(englishData.code, 1, {
+            workerPath: unpacked(require.resolve('tesseract.js/src/worker-script/node/index.js')),
+            langPath: unpacked(englishData.langPath),
+            gzip: englishData.gzip,
+            cacheMethod: 'none'
+        });
+    } catch {
+        return imagePaths.map(() => null);
+    }
+    const results = [];
+    try {
+        for (const imagePath of imagePaths) {
+            const { width, height } = nativeImage.createFromPath(imagePath).getSize();
+            try {
+                const { data } = await worker.recognize(imagePath, {}, { blocks: true, text: false });
+                const lines = (data.blocks || [])
+                    .flatMap(block => block.paragraphs)
+                    .flatMap(paragraph => paragraph.lines)
+                    .map(line => ({ text: line.text.trim(), ...line.bbox }))
+                    .filter(line => line.text && line.x1 > line.x0 && line.y1 > line.y0);
+                results.push({ width, height, lines });
+            } catch {
+                results.push(null);
+            }
+        }
+    } finally {
+        await worker.terminate().catch(() => {});
+    }
+    return results;
+}
+
+/**
+ * @param {{ slides: { path: string, time: number, link?: string, text?: object }[],
+ *   outputPath: string, title: string, tempDir: string }} options - tempDir
+ *   holds the page HTML; a slide's link makes its image and timestamp
+ *   clickable, its text (from recognizeSlides) makes it searchable
+ * @returns {Promise<{ success: boolean, outputPath?: string, error?: string }>} never rejects
+ */
+async function buildSlidesPdf({ slides, outputPath, title, tempDir }) {
+    if (slides.length === 0) return { success: false, error: 'No slides captured' };
+    const htmlPath = path.join(tempDir, 'slides.html');
+    let win = null;
+    try {
+        fs.writeFileSync(htmlPath, slidesHtml(slides, title), 'utf-8');
+        win = new BrowserWindow({ show: false, webPreferences: { sandbox: true, javascript: false } });
+        // Resolves after the load event, i.e. once every image has decoded
+        await win.loadFile(htmlPath);
+        const data = await win.webContents.printToPDF({ preferCSSPageSize: true, printBackground: true });
+        fs.writeFileSync(outputPath, data);
+        return { success: true, outputPath };
+    } catch (e) {
+        return { success: false, error: e.message };
+    } finally {
+        if (win && !win.isDestroyed()) win.destroy();
+    }
+}
+
+module.exports = { buildSlidesPdf, recognizeSlides, formatTimestamp };
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// Hard-coded captions for exports, via ffmpeg's `subtitles` filter (libass).
+//
+// The renderer sends the subtitle text already decoded (subtitle files are
+// often Big5/Windows-1252, which libass would read as broken UTF-8). It's
+// written to a temp file with a plain name: the filter takes its path inside
+// the filtergraph string, where quotes, commas, brackets and colons in user
+// file names would otherwise need several layers of escaping.
+//
+// Style settings are the viewer's caption style (see utils/subtitles.js):
+// fontSize and margin are percentages of the frame height. libass lays out
+// SRT/VTT on a 288px-high script canvas scaled to the frame, so both map onto
+// that. ASS/SSA files keep their own styling and positioning.
+
+const ASS_PLAY_RES_Y = 288;
+
+// '#rrggbb' -> ASS '&HAABBGGRR' (alpha 00 = opaque)
+const toAssColor = (hex, alpha = 0) => {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    const [r, g, b] = m ? [m[1], m[2], m[3]] : ['ff', 'ff', 'ff'];
+    const aa = alpha.toString(16).padStart(2, '0');
+    return `&H${aa}${b}${g}${r}`.toUpperCase();
+};
+
+function buildForceStyle(style) {
+    const fontSize = Math.round((style.fontSize || 5) / 100 * ASS_PLAY_RES_Y);
+    const marginV = Math.round((style.margin ?? 10) / 100 * ASS_PLAY_RES_Y);
+    const fields = [
+        `FontSize=${fontSize}`,
+        `PrimaryColour=${toAssColor(style.color)}`,
+        // Numpad layout: 2 = bottom centre, 8 = top centre
+        `Alignment=${style.position === 'top' ? 8 : 2}`,
+        `MarginV=${marginV}`
+    ];
+    if (style.background === 'box') {
+        fields.push('BorderStyle=3', `OutlineColour=${toAssColor('#000000', 0x50)}`, 'Outline=1', 'Shadow=0');
+    } else if (style.background === 'none') {
+        fields.push('BorderStyle=1', 'Outline=0', 'Shadow=0');
+    } else {
+        fields.push('BorderStyle=1', `OutlineColour=${toAssColor('#000000')}`, 'Outline=1.5', 'Shadow=1');
+    }
+    return fields.join(',');
+}
+
+// Path as a filter option value inside a filtergraph: forward slashes, escaped
+// drive colon, quoted. The graph parser drops one level of quoting and
+// escaping and the filter's option parser another, so an apostrophe has to
+// reach the option parser escaped: it closes the quotes, is written as \\\'
+// (an escaped backslash, then an escaped quote) and reopens them
+const filterPath = (filePath) =>
+    `'${filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "'\\\\\\''")}'`;
+
+/**
+ * Filter chain burning subtitlePath into the video.
+ *
+ * A trimmed export seeks the input, which restarts timestamps at 0; the chain
+ * shifts them back to the source position for the subtitles filter (so cues
+ * line up with the trimmed range) and resets them afterwards. `offset` shifts
+ * the captions like the viewer's timing offset (positive = later).
+ * @param {string} subtitlePath - temp file (see writeSubtitleFile)
+ * @param {{ style?: object, offset?: number, start?: number }} options
+ * @returns {string} comma-joined filters, to append after crop/scale
+ */
+function buildSubtitlesFilter(subtitlePath, { style = {}, offset = 0, start = 0 }) {
+    const isAss = /\.(ass|ssa)$/i.test(subtitlePath);
+    const shift = start - offset;
+    const options = [`filename=${filterPath(subtitlePath)}`];
+    if (!isAss) options.push(`force_style='${buildForceStyle(style)}'`);
+    const filters = [`subtitles=${options.join(':')}`];
+    if (shift !== 0) {
+        filters.unshift(`setpts=PTS+(${shift.toFixed(3)})/TB`);
+        filters.push('setpts=PTS-STARTPTS');
+    }
+    return filters.join(',');
+}
+
+/**
+ * Write subtitle text to a UTF-8 temp file for the filter. The extension tells
+ * ffmpeg the format.
+ * @param {'srt' | 'vtt' | 'ass' | 'ssa'} format
+ * @returns {string} temp path; delete it when the job finishes
+ */
+function writeSubtitleFile(tempDir, content, format) {
+    const ext = ['srt', 'vtt', 'ass', 'ssa'].includes(format) ? format : 'srt';
+    const tempPath = path.join(tempDir, `revid-subtitles-${Date.now()}.${ext}`);
+    fs.writeFileSync(tempPath, content, 'utf-8');
+    return tempPath;
+}
+
+module.exports = { buildSubtitlesFilter, writeSubtitleFile, filterPath };
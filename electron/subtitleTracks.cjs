@@ -0,0 +1,85 @@
+const { spawn } = require('child_process');
+
+// Embedded subtitle streams for the viewer. Chromium ignores subtitle streams
+// inside MKV/MP4 files, so a chosen stream is converted to WebVTT with ffmpeg
+// and drawn by the renderer's caption overlay like an external file.
+
+// Image-based formats: ffmpeg can't turn these into text (that would need OCR)
+const BITMAP_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub', 'dvb_teletext'];
+
+// ffmpeg has to demux the whole file to collect a subtitle stream
+const EXTRACT_TIMEOUT_MS = 180000;
+const MAX_OUTPUT_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Audio and subtitle streams of a probed file, as listed in the viewer's menus.
+ * Subtitle tracks get an `extractable` flag (false for image-based formats).
+ */
+function listMediaTracks(info) {
+    return {
+        hasVideo: info.videoStreamIndex !== -1,
+        audioTracks: info.audioTracks.map(({ index, codec, language, channels, default: isDefault, title }) =>
+            ({ index, codec, language, channels, default: isDefault, title })),
+        subtitleTracks: info.subtitleTracks.map(track => ({
+            ...track,
+            extractable: !BITMAP_SUBTITLE_CODECS.includes(track.codec)
+        }))
+    };
+}
+
+/**
+ * Convert one subtitle stream to WebVTT text.
+ * @param {number} streamIndex - absolute stream index (Stream #0:<index>)
+ * @returns {Promise<{ success: boolean, content?: string, error?: string }>} never rejects
+ */
+function extractSubtitleTrack(ffmpegPath, filePath, streamIndex) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        let size = 0;
+        let stderr = '';
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            resolve(result);
+        };
+
+        const proc = spawn(ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', filePath,
+            '-map', `0:${streamIndex}`,
+            '-c:s', 'webvtt', '-f', 'webvtt', 'pipe:1'
+        ]);
+        const kill = () => {
+            try { proc.kill('SIGKILL'); } catch {}
+        };
+        const timer = setTimeout(() => {
+            kill();
+            finish({ success: false, error: 'Subtitle extraction timed out' });
+        }, EXTRACT_TIMEOUT_MS);
+
+        proc.stdout.on('data', (data) => {
+            size += data.length;
+            if (size > MAX_OUTPUT_BYTES) {
+                kill();
+                finish({ success: false, error: 'Subtitle track too large' });
+                return;
+            }
+            chunks.push(data);
+        });
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+        proc.on('close', (code) => {
+            if (code !== 0) {
+                const reason = stderr.trim().split(/\r?\n/).pop() || `ffmpeg exited with code ${code}`;
+                finish({ success: false, error: reason });
+                return;
+            }
+            finish({ success: true, content: Buffer.concat(chunks).toString('utf-8') });
+        });
+        proc.on('error', (err) => finish({ success: false, error: err.message }));
+    });
+}
+
+module.exports = { listMediaTracks, extractSubtitleTrack };
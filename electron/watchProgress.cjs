@@ -0,0 +1,76 @@
+const { createJsonStore } = require('./jsonStore.cjs');
+
+// Per-file watch progress for local videos, kept in userData (not the renderer's
+// localStorage, which is capped and lost with the profile). Entries:
+//   { position, duration, completed, updatedAt }
+// position is where playback should resume. Reaching the end marks the file
+// completed and resets position to 0, so a finished video reopens at the start
+// but keeps its "watched" badge.
+
+const STORE_VERSION = 1;
+const MAX_ENTRIES = 5000;
+// The last stretch of a video (credits, outro) counts as finished
+const COMPLETE_TAIL_S = 30;
+const COMPLETE_TAIL_RATIO = 0.05;
+
+function createWatchProgressStore(storePath) {
+    const { entries, scheduleSave, flush } = createJsonStore(storePath, {
+        version: STORE_VERSION,
+        label: 'watch-progress'
+    });
+
+    // Drop the least recently watched entries once the store grows past MAX_ENTRIES
+    const trim = () => {
+        const keys = Object.keys(entries);
+        if (keys.length <= MAX_ENTRIES) return;
+        keys.sort((a, b) => entries[a].updatedAt - entries[b].updatedAt)
+            .slice(0, keys.length - MAX_ENTRIES)
+            .forEach(key => delete entries[key]);
+    };
+
+    // { [filePath]: entry } for the given files; unwatched files are left out.
+    const get = (filePaths) => {
+        const result = {};
+        for (const filePath of filePaths) {
+            if (entries[filePath]) result[filePath] = entries[filePath];
+        }
+        return result;
+    };
+
+    /**
+     * Record the playback position of a file.
+     * @param {{ position: number, duration: number, ended?: boolean }} progress
+     * @returns {object} the stored entry
+     */
+    const update = (filePath, { position, duration, ended = false }) => {
+        const prev = entries[filePath];
+        const total = duration > 0 ? duration : prev?.duration || 0;
+        const tail = Math.min(COMPLETE_TAIL_S, total * COMPLETE_TAIL_RATIO);
+        const finished = ended || (total > 0 && position >= total - tail);
+        entries[filePath] = {
+            position: finished ? 0 : Math.max(0, position),
+            duration: total,
+            completed: finished || !!prev?.completed,
+            updatedAt: Date.now()
+        };
+        trim();
+        scheduleSave();
+        return entries[filePath];
+    };
+
+    // Carry progress over to files renamed on disk ([{ from, to }], see folderWatcher.cjs)
+    const rename = (renamed) => {
+        let changed = false;
+        for (const { from, to } of renamed) {
+            if (!entries[from]) continue;
+            entries[to] = entries[from];
+            delete entries[from];
+            changed = true;
+        }
+        if (changed) scheduleSave();
+    };
+
+    return { get, update, rename, flush };
+}
+
+module.exports = { createWatchProgressStore };
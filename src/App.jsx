@@ -3,10 +3,14 @@ import { createPortal } from 'react-dom';
 import { VideoViewer } from './features/viewer/VideoViewer';
 import { VideoThumbnailGrid } from './components/VideoThumbnailGrid';
 import { VideoThumbnailBar } from './components/VideoThumbnailBar';
-import { useVideoFileSystem } from './hooks/useVideoFileSystem';
+import { VideoSidebar } from './components/VideoSidebar';
+import { LocationMenu } from './components/LocationMenu';
+import { useVideoFileSystem, SCAN_DEPTH_OPTIONS, DEFAULT_RECURSIVE_DEPTH } from './hooks/useVideoFileSystem';
+import { hasSubfolders } from './utils/folderTree';
 import { useKeyboardNav } from './hooks/useKeyboardNav';
 import { useSortFilter, SORT_OPTIONS } from './hooks/useSortFilter';
 import { ScreenshotDialog } from './components/ScreenshotDialog';
+import { SlidesDialog } from './components/SlidesDialog';
 import { GifDialog } from './components/GifDialog';
 import { BatchCropDialog } from './components/BatchCropDialog';
 import { CompressDialog } from './components/CompressDialog';
@@ -14,6 +18,7 @@ import { AudioDialog } from './components/AudioDialog';
 import { SpeedDialog } from './components/SpeedDialog';
 import { getCachedMetadata } from './utils/videoMetadata';
 import { usePins } from './hooks/usePins';
+import { useLibrary } from './hooks/useLibrary';
 import { BatchRenameDialog } from './components/BatchRenameDialog';
 import { ConcatDialog } from './components/ConcatDialog';
 import { useI18n } from './i18n.jsx';
@@ -30,6 +35,8 @@ import { UploadSettings } from './features/theater/UploadSettings';
 import { UploadDialog } from './features/theater/UploadDialog';
 import { SpeedControl } from './components/SpeedControl';
 import { InfoPanel } from './components/InfoPanel';
+import { TaskCenter } from './components/TaskCenter';
+import { useJobs } from './hooks/useJobs';
 import { validateRevidFile } from './utils/revidFile';
 import { detectPlatform } from './utils/platformDetect';
 
@@ -43,6 +50,8 @@ export default function App() {
     const { t, lang, setLang } = useI18n();
     const { theme, isDark, toggleTheme } = useTheme();
 
+    const { isPinned, togglePin, renamePins, pinnedCount } = usePins();
+
     const {
         files,
         currentIndex,
@@ -52,8 +61,20 @@ export default function App() {
         selectVideo,
         nextVideo,
         prevVideo,
-        currentPath
-    } = useVideoFileSystem();
+        currentPath,
+        scanDepth,
+        setScanDepth
+    } = useVideoFileSystem({ onFilesRenamed: renamePins });
+
+    const {
+        locations,
+        recentFolders,
+        addLocation,
+        removeLocation,
+        renameLocation,
+        clearRecent
+    } = useLibrary(currentPath);
+    const [locationMenuAnchor, setLocationMenuAnchor] = useState(null);
 
     const [viewMode, setViewMode] = useState(() =>
         // Launched to open a video? Boot straight into the player, no grid flash.
@@ -70,7 +91,10 @@ export default function App() {
     );
 
     const [isEditing, setIsEditing] = useState(false);
+    // Time to open the viewer's video at, from a revid:// link: { src, time } | null
+    const [viewerStartAt, setViewerStartAt] = useState(null);
     const [showScreenshots, setShowScreenshots] = useState(false);
+    const [showSlides, setShowSlides] = useState(false);
     const [showGif, setShowGif] = useState(false);
     const [showBatchCrop, setShowBatchCrop] = useState(false);
     const [showCompress, setShowCompress] = useState(false);
@@ -85,8 +109,6 @@ export default function App() {
     const [alertModal, setAlertModal] = useState(null); // { message }
     const [isAlwaysOnTop, setIsAlwaysOnTop] = useState(false);
 
-    const { isPinned, togglePin, pinnedCount } = usePins();
-
     // Theater hooks
     const theater = useWebTheater();
     const { speed: theaterSpeed, selectSpeed: selectTheaterSpeed, SPEED_PRESETS } = usePlaybackSpeed();
@@ -98,6 +120,7 @@ export default function App() {
     const [showCourseListPanel, setShowCourseListPanel] = useState(false);
     const [theaterSidebarVisible, setTheaterSidebarVisible] = useState(true);
     const [showInfoPanel, setShowInfoPanel] = useState(false);
+    const [showTaskCenter, setShowTaskCenter] = useState(false);
     const [dragOverGrid, setDragOverGrid] = useState(false);
     const [musicMinimized, setMusicMinimized] = useState(false);
     const [theaterView, setTheaterView] = useState(() => localStorage.getItem('revid-theater-view') || 'grid');
@@ -113,6 +136,14 @@ export default function App() {
         }
     }, [viewMode, theater.activeCourse, currentVideo, showInfoPanel]);
 
+    // Background ffmpeg jobs (exports keep running after their dialog closes)
+    const jobQueue = useJobs();
+
+    const handlePauseJob = useCallback(async (id) => {
+        const res = await jobQueue.pauseJob(id);
+        if (res && !res.success) setAlertModal({ message: res.error });
+    }, [jobQueue]);
+
     const theaterVideoStateRef = useRef(null);
     const [renamingCourseId, setRenamingCourseId] = useState(null);
     const [courseContextMenu, setCourseContextMenu] = useState(null); // { courseId, x, y }
@@ -300,13 +331,17 @@ export default function App() {
 
     // Handle a plain video file opened externally ("Open with ReVid" / double-click):
     // play that exact file in viewer mode instead of the last-used folder / Desktop.
+    // A revid:// link (Slides to PDF pages) also carries the time to open it at.
     useEffect(() => {
         const api = getElectronAPI();
         if (!api?.onOpenVideoFile) return;
 
-        api.onOpenVideoFile(({ filePath }) => {
+        api.onOpenVideoFile(({ filePath, time }) => {
             if (!filePath) return;
             openVideoFile(filePath);
+            setViewerStartAt(time !== undefined
+                ? { src: `local-video:///${filePath.replace(/\\/g, '/')}`, time }
+                : null);
             setViewMode('viewer');
         });
     }, [openVideoFile]);
@@ -360,9 +395,15 @@ export default function App() {
         sortDir, toggleSortDir,
         filterExt, setFilterExt,
         availableExtensions,
+        searchQuery, setSearchQuery,
+        searchMatches,
         originalIndexOf,
         displayIndexOf
-    } = useSortFilter(files);
+    } = useSortFilter(files, currentPath, { isPinned });
+
+    // Keyboard-selected search result (index into gridFiles)
+    const [searchCursor, setSearchCursor] = useState(-1);
+    const searchInputRef = useRef(null);
 
     const displayCurrentIndex = useMemo(
         () => displayIndexOf(currentIndex),
@@ -374,6 +415,31 @@ export default function App() {
         [displayFiles, showPinnedOnly, isPinned]
     );
 
+    useEffect(() => {
+        setSearchCursor(searchQuery ? 0 : -1);
+    }, [searchQuery]);
+
+    // Ctrl+F or / focuses the library search box
+    useEffect(() => {
+        if (viewMode !== 'grid' || files.length === 0) return;
+        const handleKeyDown = (e) => {
+            const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName);
+            if (((e.ctrlKey || e.metaKey) && e.key === 'f') || (e.key === '/' && !typing)) {
+                e.preventDefault();
+                searchInputRef.current?.focus();
+                searchInputRef.current?.select();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [viewMode, files.length]);
+
+    // Recursive scan found videos in subfolders: viewer's left bar becomes a folder tree
+    const showFolderTree = useMemo(
+        () => hasSubfolders(files, currentPath),
+        [files, currentPath]
+    );
+
     useKeyboardNav({
         onNext: nextVideo,
         onPrev: prevVideo,
@@ -410,6 +476,20 @@ export default function App() {
         }
     }, [loadFolder]);
 
+    // Switch to a saved or recent location without going through the OS dialog
+    const handleOpenLocation = useCallback((folderPath) => {
+        if (folderPath !== currentPath) loadFolder(folderPath);
+        setViewMode('grid');
+    }, [loadFolder, currentPath]);
+
+    const handleFolderButton = useCallback((e) => {
+        if (locations.length === 0 && recentFolders.length === 0) {
+            handleOpenFolder();
+            return;
+        }
+        setLocationMenuAnchor(e.currentTarget.getBoundingClientRect());
+    }, [locations.length, recentFolders.length, handleOpenFolder]);
+
     const handleSelectVideoFromGrid = useCallback((gridIdx) => {
         const file = gridFiles[gridIdx];
         if (!file) return;
@@ -420,6 +500,20 @@ export default function App() {
         }
     }, [selectVideo, gridFiles, files]);
 
+    const handleSearchKeyDown = useCallback((e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (gridFiles.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setSearchCursor(prev => (Math.max(prev, 0) + step + gridFiles.length) % gridFiles.length);
+        } else if (e.key === 'Enter') {
+            if (gridFiles.length > 0) handleSelectVideoFromGrid(Math.max(searchCursor, 0));
+        } else if (e.key === 'Escape') {
+            if (searchQuery) setSearchQuery('');
+            else e.currentTarget.blur();
+        }
+    }, [gridFiles.length, searchCursor, searchQuery, handleSelectVideoFromGrid, setSearchQuery]);
+
     const toggleGridSize = useCallback(() => {
         setGridSize(current => {
             const s = ['small', 'medium', 'large'];
@@ -545,7 +639,8 @@ export default function App() {
             }}>
                 {/* Left: Folder + Count + View Toggle */}
                 <div style={{ display: 'flex', alignItems: 'center', gap: 10, minWidth: 0 }}>
-                    <button className="btn btn-ghost" onClick={handleOpenFolder}
+                    <button className="btn btn-ghost" onClick={handleFolderButton}
+                        title={locations.length > 0 || recentFolders.length > 0 ? t('switchLocation') : t('openFolder')}
                         style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                             <path d="M20 20a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.9a2 2 0 0 1-1.69-.9L9.6 3.9A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13a2 2 0 0 0 2 2Z" />
@@ -554,12 +649,27 @@ export default function App() {
                             {folderName || t('openFolder')}
                         </span>
                     </button>
+                    {locationMenuAnchor && (
+                        <LocationMenu
+                            anchorRect={locationMenuAnchor}
+                            currentPath={currentPath}
+                            locations={locations}
+                            recentFolders={recentFolders}
+                            onOpenLocation={handleOpenLocation}
+                            onBrowse={handleOpenFolder}
+                            onSaveCurrent={() => addLocation(currentPath)}
+                            onRemoveLocation={removeLocation}
+                            onRenameLocation={renameLocation}
+                            onClearRecent={clearRecent}
+                            onClose={() => setLocationMenuAnchor(null)}
+                        />
+                    )}
 
                     {files.length > 0 && (
                         <span style={{ fontSize: 12, color: theme.textTertiary, fontVariantNumeric: 'tabular-nums' }}>
                             {viewMode === 'viewer' && currentIndex >= 0
                                 ? `${currentIndex + 1} / ${files.length}`
-                                : filterExt !== 'all'
+                                : filterExt !== 'all' || searchMatches
                                     ? `${displayFiles.length} / ${files.length} ${t('videos')}`
                                     : `${files.length} ${t('videos')}`
                             }
@@ -679,6 +789,14 @@ export default function App() {
                                     <circle cx="12" cy="13" r="3" />
                                 </svg>
                             </button>
+                            {/* Slides to PDF */}
+                            <button className="btn btn-ghost" onClick={() => setShowSlides(true)} title={t('slidesToPdf')} style={{ padding: 6, borderRadius: 8, display: 'flex' }}>
+                                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                                    <rect x="2" y="3" width="20" height="14" rx="2" />
+                                    <path d="M12 17v4" /><path d="M8 21h8" />
+                                    <path d="M7 8h10" /><path d="M7 12h6" />
+                                </svg>
+                            </button>
                             {/* GIF */}
                             <button className="btn btn-ghost" onClick={() => setShowGif(true)} title={t('createGif')} style={{ padding: 6, borderRadius: 8, display: 'flex' }}>
                                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
@@ -748,6 +866,45 @@ export default function App() {
 
                     {viewMode === 'grid' && files.length > 0 && (
                         <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                            <div style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
+                                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"
+                                    style={{ position: 'absolute', left: 7, color: theme.textTertiary, pointerEvents: 'none' }}>
+                                    <circle cx="11" cy="11" r="8" /><path d="m21 21-4.3-4.3" />
+                                </svg>
+                                <input
+                                    ref={searchInputRef}
+                                    type="text"
+                                    value={searchQuery}
+                                    onChange={(e) => setSearchQuery(e.target.value)}
+                                    onKeyDown={handleSearchKeyDown}
+                                    placeholder={t('searchPlaceholder')}
+                                    title={t('searchHelp')}
+                                    spellCheck={false}
+                                    style={{
+                                        width: searchQuery ? 220 : 160,
+                                        background: theme.inputBg,
+                                        color: theme.text,
+                                        border: `1px solid ${searchQuery ? theme.accent : theme.borderSecondary}`,
+                                        borderRadius: 4,
+                                        padding: '3px 22px 3px 24px',
+                                        fontSize: 11,
+                                        outline: 'none',
+                                        transition: 'width 0.15s'
+                                    }}
+                                />
+                                {searchQuery && (
+                                    <button
+                                        onClick={() => { setSearchQuery(''); searchInputRef.current?.focus(); }}
+                                        title={t('clearSearch')}
+                                        style={{ position: 'absolute', right: 4, padding: 2, display: 'flex', color: theme.textTertiary }}
+                                    >
+                                        <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                                            <path d="M18 6 6 18" /><path d="m6 6 12 12" />
+                                        </svg>
+                                    </button>
+                                )}
+                            </div>
+
                             <select
                                 value={sortBy}
                                 onChange={(e) => setSortBy(e.target.value)}
@@ -787,6 +944,28 @@ export default function App() {
                                 )}
                             </button>
 
+                            <select
+                                value={scanDepth}
+                                onChange={(e) => setScanDepth(Number(e.target.value))}
+                                title={t('scanSubfolders')}
+                                style={{
+                                    background: theme.inputBg,
+                                    color: theme.textSecondary,
+                                    border: `1px solid ${theme.borderSecondary}`,
+                                    borderRadius: 4,
+                                    padding: '3px 6px',
+                                    fontSize: 11,
+                                    cursor: 'pointer',
+                                    outline: 'none'
+                                }}
+                            >
+                                {SCAN_DEPTH_OPTIONS.map(depth => (
+                                    <option key={depth} value={depth}>
+                                        {depth === 0 ? t('scanThisFolderOnly') : t('scanLevels').replace('{n}', depth)}
+                                    </option>
+                                ))}
+                            </select>
+
                             {availableExtensions.length > 1 && (
                                 <select
                                     value={filterExt}
@@ -865,6 +1044,42 @@ export default function App() {
 
                 {/* Right: Actions (REPIC h-9 w-9 pattern) */}
                 <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                    {/* Task center toggle */}
+                    <button
+                        onClick={() => setShowTaskCenter(prev => !prev)}
+                        title={t('tasks')}
+                        style={{
+                            position: 'relative',
+                            width: 36, height: 36, padding: 0, borderRadius: 8,
+                            display: 'flex', alignItems: 'center', justifyContent: 'center',
+                            border: 'none', cursor: 'pointer',
+                            transition: 'background 0.15s',
+                            background: showTaskCenter
+                                ? (isDark ? 'rgba(59,130,246,0.2)' : 'rgba(91,142,201,0.15)')
+                                : 'transparent',
+                            color: showTaskCenter
+                                ? theme.accent
+                                : (isDark ? 'rgba(255,255,255,0.7)' : 'rgba(0,0,0,0.6)')
+                        }}
+                        onMouseEnter={e => { if (!showTaskCenter) e.currentTarget.style.background = isDark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.06)'; }}
+                        onMouseLeave={e => { if (!showTaskCenter) e.currentTarget.style.background = 'transparent'; }}
+                    >
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                            <path d="M21 12a9 9 0 1 1-6.219-8.56" />
+                            <path d="m22 4-10 10-3-3" />
+                        </svg>
+                        {jobQueue.activeCount > 0 && (
+                            <span style={{
+                                position: 'absolute', top: 4, right: 2,
+                                minWidth: 14, height: 14, padding: '0 3px', borderRadius: 999,
+                                background: theme.accent, color: '#fff',
+                                fontSize: 9, fontWeight: 600, lineHeight: '14px', textAlign: 'center'
+                            }}>
+                                {jobQueue.activeCount}
+                            </span>
+                        )}
+                    </button>
+
                     {/* Pin / Always on Top */}
                     <button
                         onClick={toggleAlwaysOnTop}
@@ -1108,12 +1323,23 @@ export default function App() {
                 }}>
                     {/* Video Thumbnail Bar - LEFT position only */}
                     {viewMode === 'viewer' && sidebarPosition === 'left' && files.length > 0 && (
-                        <VideoThumbnailBar
-                            files={files}
-                            currentIndex={currentIndex}
-                            onSelect={selectVideo}
-                            position="left"
-                        />
+                        showFolderTree || locations.length > 0 ? (
+                            <VideoSidebar
+                                files={files}
+                                currentIndex={currentIndex}
+                                onSelect={selectVideo}
+                                rootPath={currentPath}
+                                locations={locations}
+                                onOpenLocation={handleOpenLocation}
+                            />
+                        ) : (
+                            <VideoThumbnailBar
+                                files={files}
+                                currentIndex={currentIndex}
+                                onSelect={selectVideo}
+                                position="left"
+                            />
+                        )
                     )}
 
                     {/* Theater Sidebar */}
@@ -1600,6 +1826,15 @@ export default function App() {
                                 >
                                     {t('openFolder')}
                                 </button>
+                                {currentPath && scanDepth === 0 && (
+                                    <button
+                                        className="btn btn-ghost"
+                                        onClick={() => setScanDepth(DEFAULT_RECURSIVE_DEPTH)}
+                                        style={{ marginTop: 8, padding: '6px 16px', fontSize: 13, color: theme.textTertiary }}
+                                    >
+                                        {t('includeSubfolders')}
+                                    </button>
+                                )}
                             </div>
                         ) : viewMode === 'grid' ? (
                             <VideoThumbnailGrid
@@ -1609,9 +1844,13 @@ export default function App() {
                                 size={gridSize}
                                 isPinned={isPinned}
                                 onTogglePin={togglePin}
+                                rootPath={currentPath}
+                                highlights={searchMatches}
+                                activeIndex={searchMatches ? searchCursor : -1}
+                                emptyText={searchMatches ? t('noSearchResults') : undefined}
                             />
                         ) : viewMode === 'viewer' && videoSrc ? (
-                            <VideoViewer src={videoSrc} />
+                            <VideoViewer src={videoSrc} shortcutsEnabled={!isEditing} startAt={viewerStartAt} />
                         ) : null}
 
                         {/* Floating music player — single persistent YT instance.
@@ -1709,10 +1948,20 @@ export default function App() {
                 <ScreenshotDialog
                     videoPath={currentVideo}
                     videoDuration={videoDuration}
+                    files={gridFiles}
                     onClose={() => setShowScreenshots(false)}
                 />
             )}
 
+            {/* Slides to PDF dialog */}
+            {showSlides && currentVideo && (
+                <SlidesDialog
+                    videoPath={currentVideo}
+                    videoDuration={videoDuration}
+                    onClose={() => setShowSlides(false)}
+                />
+            )}
+
             {/* GIF dialog */}
             {showGif && currentVideo && (
                 <GifDialog
@@ -1736,6 +1985,7 @@ export default function App() {
                 <CompressDialog
                     videoPath={currentVideo}
                     videoDuration={videoDuration}
+                    files={gridFiles}
                     onClose={() => setShowCompress(false)}
                 />
             )}
@@ -1745,6 +1995,7 @@ export default function App() {
                 <AudioDialog
                     videoPath={currentVideo}
                     videoDuration={videoDuration}
+                    files={gridFiles}
                     onClose={() => setShowAudio(false)}
                 />
             )}
@@ -1754,6 +2005,7 @@ export default function App() {
                 <SpeedDialog
                     videoPath={currentVideo}
                     videoDuration={videoDuration}
+                    files={gridFiles}
                     onClose={() => setShowSpeed(false)}
                 />
             )}
@@ -2138,6 +2390,19 @@ export default function App() {
                 </>
             )}
 
+            {/* Task center */}
+            {showTaskCenter && (
+                <TaskCenter
+                    jobs={jobQueue.jobs}
+                    onCancel={jobQueue.cancelJob}
+                    onPause={handlePauseJob}
+                    onResume={jobQueue.resumeJob}
+                    onReveal={jobQueue.revealJob}
+                    onClearFinished={jobQueue.clearFinished}
+                    onClose={() => setShowTaskCenter(false)}
+                />
+            )}
+
             {/* Toast */}
             {toast && (
                 <div style={{
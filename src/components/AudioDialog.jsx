@@ -1,27 +1,105 @@
 import { useState, useCallback, useEffect } from 'react';
-import { formatFileSize } from '../utils/videoMetadata';
+import { formatFileSize, formatDuration } from '../utils/videoMetadata';
+import { BatchOptions, BatchModeTabs } from './BatchOptions';
+import { BatchProgress } from './BatchProgress';
+import { BatchSummary } from './BatchSummary';
+import { CropPreview } from './CropPreview';
+import { useBatch } from '../hooks/useBatch';
 
 const getElectronAPI = () => window.electronAPI || null;
 
 const STEP = { CONFIG: 'config', PROCESSING: 'processing', DONE: 'done' };
 
+const baseNameOf = (file) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(file, api.path.extname(file));
+  return (file.split(/[\\/]/).pop() || file).replace(/\.[^.]+$/, '');
+};
+
+// cover: whether the container can hold cover art (see audioExport.cjs)
 const FORMATS = [
-  { value: 'mp3', label: 'MP3', ext: 'mp3' },
-  { value: 'aac', label: 'AAC', ext: 'aac' }
+  { value: 'mp3', label: 'MP3', ext: 'mp3', cover: true },
+  { value: 'aac', label: 'AAC', ext: 'm4a', cover: true },
+  { value: 'flac', label: 'FLAC', ext: 'flac', cover: true },
+  { value: 'wav', label: 'WAV', ext: 'wav', cover: false },
+  { value: 'opus', label: 'Opus', ext: 'opus', cover: false }
+];
+
+const CHANNELS = [
+  { value: 0, label: 'Original' },
+  { value: 1, label: 'Mono' },
+  { value: 2, label: 'Stereo' }
 ];
 
-export const AudioDialog = ({ videoPath, videoDuration, onClose }) => {
+// Integrated loudness targets (LUFS) for loudnorm
+const LOUDNESS_TARGETS = [
+  { value: -14, label: '-14 LUFS (streaming)' },
+  { value: -16, label: '-16 LUFS (podcasts)' },
+  { value: -23, label: '-23 LUFS (EBU R128 broadcast)' }
+];
+
+// Cover frames are taken this far into the video (or range) unless one is picked
+const COVER_POSITION = 0.1;
+
+const labelStyle = { fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' };
+
+const checkboxStyle = { display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: 'rgba(255,255,255,0.7)', cursor: 'pointer' };
+
+const inputStyle = {
+  width: '100%', padding: '8px 12px',
+  background: 'rgba(255,255,255,0.06)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: 6, color: '#fff', fontSize: 13,
+  outline: 'none'
+};
+
+const tabStyle = (active) => ({
+  flex: 1, padding: '8px 0', borderRadius: 6, fontSize: 13, fontWeight: 500,
+  background: active ? '#3b82f6' : 'rgba(255,255,255,0.06)',
+  color: active ? '#fff' : 'rgba(255,255,255,0.55)', transition: 'all 0.15s'
+});
+
+export const AudioDialog = ({ videoPath, videoDuration, files = [], onClose }) => {
   const [formatIdx, setFormatIdx] = useState(0);
+  const [startTime, setStartTime] = useState(0);
+  const [endTime, setEndTime] = useState(videoDuration);
+  const [channels, setChannels] = useState(0);
+  const [normalize, setNormalize] = useState(false);
+  const [loudness, setLoudness] = useState(-14);
+  const [trimSilence, setTrimSilence] = useState(false);
+  const [tags, setTags] = useState(() => ({ title: videoPath ? baseNameOf(videoPath) : '', artist: '', album: '' }));
+  const [coverEnabled, setCoverEnabled] = useState(false);
+  const [coverTime, setCoverTime] = useState(0);
   const [step, setStep] = useState(STEP.CONFIG);
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const batch = useBatch(files, '{name}');
+
+  const fmt = FORMATS[formatIdx];
+  const withCover = coverEnabled && fmt.cover;
+  // The whole file unless the range was narrowed
+  const isRange = startTime > 0 || (videoDuration > 0 && endTime < videoDuration);
+
+  useEffect(() => {
+    if (videoDuration > 0 && (endTime > videoDuration || endTime <= 0)) setEndTime(videoDuration);
+  }, [videoDuration, endTime]);
+
+  // Settings shared by single and batch runs
+  const audioOptions = {
+    format: fmt.value,
+    channels: channels || undefined,
+    normalize,
+    loudness,
+    trimSilence
+  };
 
   const handleStart = useCallback(async () => {
     const api = getElectronAPI();
     if (!api || !videoPath) return;
 
-    const fmt = FORMATS[formatIdx];
     const ext = api.path.extname(videoPath);
     const base = api.path.basename(videoPath, ext);
     const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}.${fmt.ext}`);
@@ -30,14 +108,27 @@ export const AudioDialog = ({ videoPath, videoDuration, onClose }) => {
     setStep(STEP.PROCESSING);
     setProgress(0);
     setError(null);
+    setJobId(null);
 
     try {
       const res = await api.extractAudio({
         inputPath: videoPath,
         outputPath,
-        format: fmt.value,
+        ...audioOptions,
+        startTime: isRange ? startTime : 0,
+        duration: isRange ? Math.max(0.1, endTime - startTime) : 0,
+        tags,
+        coverTime: withCover ? coverTime : undefined,
         totalDuration: videoDuration
-      }, (pct) => setProgress(pct));
+      }, (pct, job) => {
+        setProgress(pct);
+        if (job) setJobId(job.id);
+      });
+
+      if (res.cancelled) {
+        setStep(STEP.CONFIG);
+        return;
+      }
 
       setResult(res);
       setStep(STEP.DONE);
@@ -46,11 +137,34 @@ export const AudioDialog = ({ videoPath, videoDuration, onClose }) => {
       setError(err.message || String(err));
       setStep(STEP.DONE);
     }
-  }, [videoPath, videoDuration, formatIdx]);
+  }, [videoPath, videoDuration, formatIdx, channels, normalize, loudness, trimSilence, isRange, startTime, endTime, tags, withCover, coverTime]);
+
+  const handleStartBatch = useCallback(async () => {
+    const api = getElectronAPI();
+    if (!api || batch.queue.length === 0) return;
+    const dir = batch.outputDir || await batch.chooseOutputDir();
+    if (!dir) return;
+
+    setStep(STEP.PROCESSING);
+    // Whole files; each is titled by its output name, artist/album are shared
+    await batch.run(dir, (file, { outputPath, outputName, meta, onProgress }) => api.extractAudio({
+      inputPath: file,
+      outputPath,
+      ...audioOptions,
+      tags: { ...tags, title: outputName },
+      coverTime: withCover ? (meta?.duration || 0) * COVER_POSITION : undefined,
+      totalDuration: meta?.duration || 0
+    }, onProgress), { ext: fmt.ext });
+    setStep(STEP.DONE);
+  }, [batch, formatIdx, channels, normalize, loudness, trimSilence, tags, withCover]);
+
+  const handleCancel = useCallback(() => {
+    if (jobId) getElectronAPI()?.cancelJob(jobId);
+  }, [jobId]);
 
   const handleKeyDown = useCallback((e) => {
-    if (e.key === 'Escape') onClose();
-  }, [onClose]);
+    if (e.key === 'Escape' && !batch.running) onClose();
+  }, [onClose, batch.running]);
 
   useEffect(() => {
     window.addEventListener('keydown', handleKeyDown);
@@ -69,46 +183,219 @@ export const AudioDialog = ({ videoPath, videoDuration, onClose }) => {
       <div style={{
         background: '#1a1a1a', borderRadius: 12,
         border: '1px solid rgba(255,255,255,0.1)',
-        padding: 24, width: 380, maxWidth: '90vw'
+        padding: 24, width: 460, maxWidth: '90vw',
+        maxHeight: '90vh', overflowY: 'auto'
       }}>
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 20 }}>
           <h3 style={{ fontSize: 16, fontWeight: 600, color: '#fff' }}>Extract Audio</h3>
-          <button onClick={onClose} disabled={step === STEP.PROCESSING}
+          <button onClick={onClose}
             style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}>{'\u2715'}</button>
         </div>
 
         {step === STEP.CONFIG && (
           <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+            {files.length > 1 && (
+              <BatchModeTabs batchMode={batchMode} fileCount={files.length} onChange={setBatchMode} />
+            )}
+
             <div>
-              <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 8, display: 'block' }}>Format</label>
+              <label style={labelStyle}>Format</label>
               <div style={{ display: 'flex', gap: 8 }}>
                 {FORMATS.map((f, i) => (
-                  <button key={f.value} onClick={() => setFormatIdx(i)} style={{
-                    flex: 1, padding: '10px 0', borderRadius: 6, fontSize: 14, fontWeight: 500,
-                    background: i === formatIdx ? '#3b82f6' : 'rgba(255,255,255,0.06)',
-                    color: i === formatIdx ? '#fff' : 'rgba(255,255,255,0.55)', transition: 'all 0.15s'
-                  }}>{f.label}</button>
+                  <button key={f.value} onClick={() => setFormatIdx(i)} style={tabStyle(i === formatIdx)}>{f.label}</button>
                 ))}
               </div>
             </div>
 
-            <button className="btn btn-primary" onClick={handleStart} style={{ width: '100%', marginTop: 4 }}>
-              Extract Audio
-            </button>
+            {/* Range (single video) */}
+            {!batchMode && videoDuration > 0 && (
+              <div>
+                <div style={{ display: 'flex', gap: 12 }}>
+                  <div style={{ flex: 1 }}>
+                    <label style={labelStyle}>Start (seconds)</label>
+                    <input
+                      type="number"
+                      min={0}
+                      max={videoDuration}
+                      step={0.1}
+                      value={startTime}
+                      onChange={(e) => setStartTime(Math.min(endTime - 0.1, Math.max(0, parseFloat(e.target.value) || 0)))}
+                      style={inputStyle}
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <label style={labelStyle}>End (seconds)</label>
+                    <input
+                      type="number"
+                      min={0}
+                      max={videoDuration}
+                      step={0.1}
+                      value={endTime}
+                      onChange={(e) => setEndTime(Math.min(videoDuration, Math.max(startTime + 0.1, parseFloat(e.target.value) || 0)))}
+                      style={inputStyle}
+                    />
+                  </div>
+                </div>
+                <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 }}>
+                  {isRange
+                    ? `Duration: ${formatDuration(endTime - startTime)} (total: ${formatDuration(videoDuration)})`
+                    : 'Whole video'}
+                </p>
+              </div>
+            )}
+
+            <div>
+              <label style={labelStyle}>Channels</label>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {CHANNELS.map(c => (
+                  <button key={c.value} onClick={() => setChannels(c.value)} style={tabStyle(channels === c.value)}>{c.label}</button>
+                ))}
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+                <label style={{ ...checkboxStyle, flexShrink: 0 }}>
+                  <input type="checkbox" checked={normalize} onChange={(e) => setNormalize(e.target.checked)} />
+                  Normalize loudness
+                </label>
+                {normalize && (
+                  <select value={loudness} onChange={(e) => setLoudness(parseInt(e.target.value))} style={{ ...inputStyle, padding: '4px 8px' }}>
+                    {LOUDNESS_TARGETS.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+                  </select>
+                )}
+              </div>
+              <label style={checkboxStyle}>
+                <input type="checkbox" checked={trimSilence} onChange={(e) => setTrimSilence(e.target.checked)} />
+                Trim silence at the start and end
+              </label>
+            </div>
+
+            {/* Tags */}
+            <div>
+              <label style={labelStyle}>Tags</label>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                {!batchMode && (
+                  <input
+                    value={tags.title}
+                    onChange={(e) => setTags(t => ({ ...t, title: e.target.value }))}
+                    placeholder="Title"
+                    style={inputStyle}
+                  />
+                )}
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <input
+                    value={tags.artist}
+                    onChange={(e) => setTags(t => ({ ...t, artist: e.target.value }))}
+                    placeholder="Artist"
+                    style={inputStyle}
+                  />
+                  <input
+                    value={tags.album}
+                    onChange={(e) => setTags(t => ({ ...t, album: e.target.value }))}
+                    placeholder="Album"
+                    style={inputStyle}
+                  />
+                </div>
+                {batchMode && (
+                  <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)' }}>
+                    Each file is titled with its output name.
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Cover art */}
+            <div>
+              <label style={{ ...checkboxStyle, ...(fmt.cover ? {} : { color: 'rgba(255,255,255,0.3)', cursor: 'default' }) }}>
+                <input
+                  type="checkbox"
+                  checked={withCover}
+                  disabled={!fmt.cover}
+                  onChange={(e) => {
+                    setCoverEnabled(e.target.checked);
+                    if (e.target.checked && !coverTime) setCoverTime(startTime + (endTime - startTime) * COVER_POSITION);
+                  }}
+                />
+                Cover art from a video frame
+              </label>
+              {!fmt.cover && (
+                <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 }}>
+                  {fmt.label} files can't hold cover art.
+                </p>
+              )}
+              {withCover && batchMode && (
+                <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 }}>
+                  Taken {Math.round(COVER_POSITION * 100)}% into each video.
+                </p>
+              )}
+              {withCover && !batchMode && (
+                <div style={{ marginTop: 8 }}>
+                  <CropPreview videoPath={videoPath} time={coverTime} crop={null} />
+                  {videoDuration > 0 && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 8 }}>
+                      <input
+                        type="range"
+                        min={0}
+                        max={videoDuration}
+                        step={0.1}
+                        value={coverTime}
+                        onChange={(e) => setCoverTime(parseFloat(e.target.value))}
+                        style={{ flex: 1 }}
+                      />
+                      <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', width: 56, textAlign: 'right' }}>
+                        {formatDuration(coverTime)}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {batchMode && <BatchOptions batch={batch} currentVideo={videoPath} ext={fmt.ext} />}
+
+            {batchMode ? (
+              <button
+                className="btn btn-primary"
+                onClick={handleStartBatch}
+                disabled={batch.queue.length === 0}
+                style={{ width: '100%', marginTop: 4 }}
+              >
+                Extract Audio from {batch.queue.length} Videos
+              </button>
+            ) : (
+              <button className="btn btn-primary" onClick={handleStart} style={{ width: '100%', marginTop: 4 }}>
+                Extract Audio
+              </button>
+            )}
           </div>
         )}
 
-        {step === STEP.PROCESSING && (
+        {step === STEP.PROCESSING && batchMode && (
+          <BatchProgress current={batch.current} verb="Extracting audio from" onCancel={batch.cancel} />
+        )}
+
+        {step === STEP.DONE && batchMode && batch.results && (
+          <BatchSummary results={batch.results} queue={batch.queue} outputDir={batch.outputDir} onClose={onClose} />
+        )}
+
+        {step === STEP.PROCESSING && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.7)', marginBottom: 16 }}>Extracting audio...</p>
             <div style={{ width: '100%', background: 'rgba(255,255,255,0.06)', borderRadius: 999, height: 8, overflow: 'hidden' }}>
               <div style={{ height: '100%', background: '#3b82f6', borderRadius: 999, transition: 'width 0.3s', width: `${progress}%` }} />
             </div>
             <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>{progress}%</p>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} disabled={!jobId} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
           </div>
         )}
 
-        {step === STEP.DONE && (
+        {step === STEP.DONE && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             {error ? (
               <>
@@ -1,5 +1,6 @@
-import { useState, useCallback, useEffect, useMemo } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { getVideoMetadata, formatDuration } from '../utils/videoMetadata';
+import { BatchFileList } from './BatchFileList';
 
 const getElectronAPI = () => window.electronAPI || null;
 
@@ -45,6 +46,8 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
   const [progressPct, setProgressPct] = useState(0);
   const [results, setResults] = useState({ success: 0, failed: 0 });
   const [error, setError] = useState(null);
+  const jobIdRef = useRef(null);
+  const cancelledRef = useRef(false);
 
   const api = getElectronAPI();
 
@@ -74,6 +77,7 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
 
     setStep(STEP.PROCESSING);
     setError(null);
+    cancelledRef.current = false;
     const ar = PRESETS[presetIdx].ar;
 
     let success = 0;
@@ -81,6 +85,7 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
     const selectedArr = [...selected];
 
     for (let i = 0; i < selectedArr.length; i++) {
+      if (cancelledRef.current) break;
       const file = selectedArr[i];
       setProgressFile(getFileName(file));
       setProgressIdx(i + 1);
@@ -106,8 +111,13 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
           crop,
           trim: null,
           totalDuration: meta.duration || 10
-        }, (pct) => setProgressPct(pct));
+        }, (pct, job) => {
+          setProgressPct(pct);
+          if (job) jobIdRef.current = job.id;
+        });
+        jobIdRef.current = null;
 
+        if (result.cancelled) break;
         if (result.success) success++;
         else failed++;
       } catch {
@@ -119,6 +129,12 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
     setStep(STEP.DONE);
   }, [api, selected, presetIdx, getFileName]);
 
+  // Stop the running crop and skip the rest of the batch
+  const handleCancel = useCallback(() => {
+    cancelledRef.current = true;
+    if (jobIdRef.current) api?.cancelJob(jobIdRef.current);
+  }, [api]);
+
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Escape' && step !== STEP.PROCESSING) onClose();
   }, [onClose, step]);
@@ -157,7 +173,6 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
           </h3>
           <button
             onClick={onClose}
-            disabled={step === STEP.PROCESSING}
             style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}
           >
             {'\u2715'}
@@ -190,62 +205,14 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
             </div>
 
             {/* File selection */}
-            <div style={{ marginBottom: 16, flexShrink: 0 }}>
-              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
-                <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)' }}>
-                  Videos ({selected.size}/{files.length})
-                </label>
-                <button
-                  onClick={toggleAll}
-                  style={{ fontSize: 11, color: '#3b82f6', padding: '2px 6px' }}
-                >
-                  {selected.size === files.length ? 'Deselect All' : 'Select All'}
-                </button>
-              </div>
-            </div>
-
-            <div style={{
-              flex: 1, overflow: 'auto', marginBottom: 16,
-              border: '1px solid rgba(255,255,255,0.08)',
-              borderRadius: 8, maxHeight: 240
-            }}>
-              {files.map(file => {
-                const isSelected = selected.has(file);
-                const isCurrent = file === currentVideo;
-                return (
-                  <div
-                    key={file}
-                    onClick={() => toggleFile(file)}
-                    style={{
-                      display: 'flex', alignItems: 'center', gap: 10,
-                      padding: '8px 12px', cursor: 'pointer',
-                      background: isSelected ? 'rgba(59,130,246,0.08)' : 'transparent',
-                      borderBottom: '1px solid rgba(255,255,255,0.04)'
-                    }}
-                  >
-                    <div style={{
-                      width: 16, height: 16, borderRadius: 4, flexShrink: 0,
-                      border: isSelected ? '2px solid #3b82f6' : '2px solid rgba(255,255,255,0.2)',
-                      background: isSelected ? '#3b82f6' : 'transparent',
-                      display: 'flex', alignItems: 'center', justifyContent: 'center'
-                    }}>
-                      {isSelected && (
-                        <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="#fff" strokeWidth="3">
-                          <path d="M20 6L9 17l-5-5" />
-                        </svg>
-                      )}
-                    </div>
-                    <span style={{
-                      fontSize: 12,
-                      color: isCurrent ? '#3b82f6' : 'rgba(255,255,255,0.7)',
-                      fontWeight: isCurrent ? 600 : 400,
-                      overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
-                    }}>
-                      {getFileName(file)}
-                    </span>
-                  </div>
-                );
-              })}
+            <div style={{ display: 'flex', flexDirection: 'column', minHeight: 0, marginBottom: 16 }}>
+              <BatchFileList
+                files={files}
+                selected={selected}
+                currentVideo={currentVideo}
+                onToggle={toggleFile}
+                onToggleAll={toggleAll}
+              />
             </div>
 
             <button
@@ -274,6 +241,12 @@ export const BatchCropDialog = ({ files, currentVideo, onClose }) => {
                 transition: 'width 0.3s', width: `${progressPct}%`
               }} />
             </div>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
           </div>
         )}
 
@@ -0,0 +1,71 @@
+const getElectronAPI = () => window.electronAPI || null;
+
+const getFileName = (filePath) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(filePath);
+  return filePath.split(/[\\/]/).pop() || filePath;
+};
+
+/**
+ * Checkbox list of the files a batch tool will process. The current video is
+ * highlighted.
+ */
+export const BatchFileList = ({ files, selected, currentVideo, onToggle, onToggleAll, maxHeight = 240 }) => (
+  <>
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+      <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)' }}>
+        Videos ({selected.size}/{files.length})
+      </label>
+      <button
+        onClick={onToggleAll}
+        style={{ fontSize: 11, color: '#3b82f6', padding: '2px 6px' }}
+      >
+        {selected.size === files.length ? 'Deselect All' : 'Select All'}
+      </button>
+    </div>
+
+    <div style={{
+      flex: 1, overflow: 'auto',
+      border: '1px solid rgba(255,255,255,0.08)',
+      borderRadius: 8, maxHeight
+    }}>
+      {files.map(file => {
+        const isSelected = selected.has(file);
+        const isCurrent = file === currentVideo;
+        return (
+          <div
+            key={file}
+            onClick={() => onToggle(file)}
+            style={{
+              display: 'flex', alignItems: 'center', gap: 10,
+              padding: '8px 12px', cursor: 'pointer',
+              background: isSelected ? 'rgba(59,130,246,0.08)' : 'transparent',
+              borderBottom: '1px solid rgba(255,255,255,0.04)'
+            }}
+          >
+            <div style={{
+              width: 16, height: 16, borderRadius: 4, flexShrink: 0,
+              border: isSelected ? '2px solid #3b82f6' : '2px solid rgba(255,255,255,0.2)',
+              background: isSelected ? '#3b82f6' : 'transparent',
+              display: 'flex', alignItems: 'center', justifyContent: 'center'
+            }}>
+              {isSelected && (
+                <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="#fff" strokeWidth="3">
+                  <path d="M20 6L9 17l-5-5" />
+                </svg>
+              )}
+            </div>
+            <span style={{
+              fontSize: 12,
+              color: isCurrent ? '#3b82f6' : 'rgba(255,255,255,0.7)',
+              fontWeight: isCurrent ? 600 : 400,
+              overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+            }}>
+              {getFileName(file)}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  </>
+);
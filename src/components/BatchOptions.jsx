@@ -0,0 +1,96 @@
+import { BatchFileList } from './BatchFileList';
+import { NAME_TOKENS } from '../utils/batchNaming';
+
+const getElectronAPI = () => window.electronAPI || null;
+
+const labelStyle = { fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' };
+
+const inputStyle = {
+  width: '100%', padding: '8px 12px',
+  background: 'rgba(255,255,255,0.06)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: 6, color: '#fff', fontSize: 13,
+  outline: 'none'
+};
+
+/**
+ * File selection, output folder and name template of a batch export.
+ * @param {{ batch: ReturnType<import('../hooks/useBatch').useBatch>, currentVideo?: string, ext?: string }} props
+ *   ext is the output extension shown in the name preview ('' for tools that
+ *   write several files per video)
+ */
+export const BatchOptions = ({ batch, currentVideo, ext = '' }) => {
+  const folderName = batch.outputDir
+    ? (getElectronAPI()?.path?.basename?.(batch.outputDir) || batch.outputDir.split(/[\\/]/).pop())
+    : '';
+  const preview = batch.outputNames[0];
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 14 }}>
+      <div>
+        <BatchFileList
+          files={batch.files}
+          selected={batch.selected}
+          currentVideo={currentVideo}
+          onToggle={batch.toggle}
+          onToggleAll={batch.toggleAll}
+          maxHeight={180}
+        />
+      </div>
+
+      <div>
+        <label style={labelStyle}>Output folder</label>
+        <button
+          onClick={batch.chooseOutputDir}
+          title={batch.outputDir}
+          style={{
+            ...inputStyle, textAlign: 'left', cursor: 'pointer',
+            color: batch.outputDir ? '#fff' : 'rgba(255,255,255,0.4)',
+            overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+          }}
+        >
+          {folderName || 'Choose folder...'}
+        </button>
+      </div>
+
+      <div>
+        <label style={labelStyle}>File names</label>
+        <input
+          value={batch.template}
+          onChange={(e) => batch.setTemplate(e.target.value)}
+          spellCheck={false}
+          style={inputStyle}
+        />
+        <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 6 }}>
+          {NAME_TOKENS.join(' ')}
+          {preview && (
+            <span style={{ color: 'rgba(255,255,255,0.55)' }}>{' \u2192 '}{preview}{ext ? `.${ext}` : ''}</span>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * "This video / Batch" switch at the top of an export dialog.
+ */
+export const BatchModeTabs = ({ batchMode, fileCount, onChange }) => (
+  <div style={{ display: 'flex', gap: 6 }}>
+    {[false, true].map(isBatch => (
+      <button
+        key={String(isBatch)}
+        onClick={() => onChange(isBatch)}
+        style={{
+          flex: 1, padding: '6px 0', borderRadius: 6, fontSize: 12, fontWeight: 500,
+          background: batchMode === isBatch ? 'rgba(59,130,246,0.2)' : 'rgba(255,255,255,0.04)',
+          color: batchMode === isBatch ? '#93c5fd' : 'rgba(255,255,255,0.5)',
+          border: `1px solid ${batchMode === isBatch ? 'rgba(59,130,246,0.5)' : 'rgba(255,255,255,0.08)'}`,
+          transition: 'all 0.15s'
+        }}
+      >
+        {isBatch ? `Batch (${fileCount} videos)` : 'This video'}
+      </button>
+    ))}
+  </div>
+);
@@ -0,0 +1,37 @@
+const getElectronAPI = () => window.electronAPI || null;
+
+const getFileName = (filePath) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(filePath);
+  return filePath.split(/[\\/]/).pop() || filePath;
+};
+
+/**
+ * Progress of a running batch: which file of how many, and its job progress.
+ * @param {{ current: { index, total, file, pct } | null, verb: string, onCancel }} props
+ */
+export const BatchProgress = ({ current, verb, onCancel }) => (
+  <div style={{ textAlign: 'center', padding: '20px 0' }}>
+    <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.7)', marginBottom: 8 }}>
+      {verb} {current ? `${current.index + 1}/${current.total}` : ''}
+    </p>
+    <p style={{
+      fontSize: 12, color: 'rgba(255,255,255,0.4)', marginBottom: 16,
+      overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+    }}>
+      {current ? getFileName(current.file) : ''}
+    </p>
+    <div style={{ width: '100%', background: 'rgba(255,255,255,0.06)', borderRadius: 999, height: 8, overflow: 'hidden' }}>
+      <div style={{
+        height: '100%', background: '#3b82f6', borderRadius: 999,
+        transition: 'width 0.3s', width: `${current?.pct || 0}%`
+      }} />
+    </div>
+    <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+      Keep this dialog open until the batch finishes; each file runs in Tasks.
+    </p>
+    <button className="btn btn-ghost" onClick={onCancel} style={{ marginTop: 16 }}>
+      Cancel
+    </button>
+  </div>
+);
@@ -0,0 +1,74 @@
+const getElectronAPI = () => window.electronAPI || null;
+
+const getFileName = (filePath) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(filePath);
+  return filePath.split(/[\\/]/).pop() || filePath;
+};
+
+/**
+ * Per-file outcome of a batch export. Files after a cancel are listed as
+ * skipped.
+ * @param {{ results: { file, success, error }[], queue: string[], outputDir?: string, onClose }} props
+ */
+export const BatchSummary = ({ results, queue, outputDir, onClose }) => {
+  const succeeded = results.filter(r => r.success).length;
+  const failed = results.length - succeeded;
+  const skipped = queue.slice(results.length);
+
+  return (
+    <div style={{ padding: '8px 0' }}>
+      <p style={{ fontSize: 14, color: failed > 0 ? '#fbbf24' : '#4ade80', marginBottom: 4, textAlign: 'center' }}>
+        Batch complete
+      </p>
+      <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.4)', textAlign: 'center', marginBottom: 12 }}>
+        {succeeded} succeeded{failed > 0 ? `, ${failed} failed` : ''}{skipped.length > 0 ? `, ${skipped.length} skipped` : ''}
+      </p>
+
+      <div style={{
+        maxHeight: 220, overflow: 'auto',
+        border: '1px solid rgba(255,255,255,0.08)', borderRadius: 8
+      }}>
+        {results.map(r => (
+          <div key={r.file} style={{
+            display: 'flex', alignItems: 'flex-start', gap: 8,
+            padding: '6px 12px', borderBottom: '1px solid rgba(255,255,255,0.04)'
+          }}>
+            <span style={{ fontSize: 12, color: r.success ? '#4ade80' : '#f87171', flexShrink: 0 }}>
+              {r.success ? '\u2713' : '\u2715'}
+            </span>
+            <div style={{ minWidth: 0 }}>
+              <div style={{
+                fontSize: 12, color: 'rgba(255,255,255,0.7)',
+                overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+              }}>
+                {getFileName(r.file)}
+              </div>
+              {!r.success && r.error && (
+                <div style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', wordBreak: 'break-word' }}>{r.error}</div>
+              )}
+            </div>
+          </div>
+        ))}
+        {skipped.map(file => (
+          <div key={file} style={{
+            display: 'flex', gap: 8, padding: '6px 12px',
+            borderBottom: '1px solid rgba(255,255,255,0.04)', color: 'rgba(255,255,255,0.3)', fontSize: 12
+          }}>
+            <span style={{ flexShrink: 0 }}>{'\u2013'}</span>
+            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{getFileName(file)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'center', gap: 8, marginTop: 16 }}>
+        {outputDir && (
+          <button className="btn btn-ghost" onClick={() => getElectronAPI()?.revealInFolder(outputDir)}>
+            Open folder
+          </button>
+        )}
+        <button className="btn btn-ghost" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+};
@@ -1,17 +1,20 @@
 import { useState, useCallback, useEffect } from 'react';
 import { formatFileSize } from '../utils/videoMetadata';
+import {
+  QUALITY_PRESETS, MIN_VIDEO_KBPS, getLastProfile, setLastProfile,
+  targetVideoBitrate, bitrateQuality, loadEncoderSupport
+} from '../utils/exportProfiles';
+import { ExportProfilePicker } from './ExportProfilePicker';
+import { TargetSizeInput } from './TargetSizeInput';
+import { BatchOptions, BatchModeTabs } from './BatchOptions';
+import { BatchProgress } from './BatchProgress';
+import { BatchSummary } from './BatchSummary';
+import { useBatch } from '../hooks/useBatch';
 
 const getElectronAPI = () => window.electronAPI || null;
 
 const STEP = { CONFIG: 'config', PROCESSING: 'processing', DONE: 'done' };
 
-const CRF_PRESETS = [
-  { label: 'High', crf: 18, desc: 'Large file, best quality' },
-  { label: 'Medium', crf: 23, desc: 'Balanced' },
-  { label: 'Low', crf: 28, desc: 'Smaller file' },
-  { label: 'Min', crf: 35, desc: 'Smallest file' }
-];
-
 const RESOLUTIONS = [
   { label: 'Original', value: null },
   { label: '1080p', value: 1920 },
@@ -20,13 +23,70 @@ const RESOLUTIONS = [
   { label: '360p', value: 640 }
 ];
 
-export const CompressDialog = ({ videoPath, videoDuration, onClose }) => {
-  const [crfIdx, setCrfIdx] = useState(1);
+// Common upload limits for the target size mode
+const SIZE_PRESETS = [
+  { label: '10 MB', mb: 10 },
+  { label: '25 MB', mb: 25, desc: 'chat apps' },
+  { label: '50 MB', mb: 50 },
+  { label: '100 MB', mb: 100, desc: 'email services' }
+];
+
+const QUALITY_WARNINGS = {
+  reduced: 'Quality will drop noticeably at this size. A lower resolution will look cleaner.',
+  poor: 'Expect heavy blockiness at this size. Pick a lower resolution or a larger target.'
+};
+
+const modeButton = (active) => ({
+  flex: 1, padding: '8px 0', borderRadius: 6, fontSize: 12, fontWeight: 500,
+  background: active ? '#3b82f6' : 'rgba(255,255,255,0.06)',
+  color: active ? '#fff' : 'rgba(255,255,255,0.55)', transition: 'all 0.15s'
+});
+
+export const CompressDialog = ({ videoPath, videoDuration, files = [], onClose }) => {
+  const [profile, setProfile] = useState(() => getLastProfile('compress'));
   const [resIdx, setResIdx] = useState(0);
   const [step, setStep] = useState(STEP.CONFIG);
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [source, setSource] = useState(null); // probe metadata, for the size estimate
+  const [targetSizeCodecs, setTargetSizeCodecs] = useState(null); // null until known
+  const [batchMode, setBatchMode] = useState(false);
+  const batch = useBatch(files, '{name}-compressed');
+
+  useEffect(() => {
+    const api = getElectronAPI();
+    if (!api?.probeMedia || !videoPath) return;
+    let cancelled = false;
+    api.probeMedia(videoPath).then(res => {
+      if (!cancelled && res?.success) setSource({ ...res, fileSize: api.getFileSize?.(videoPath) || 0 });
+    }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [videoPath]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEncoderSupport().then(res => { if (!cancelled && res) setTargetSizeCodecs(res.targetSizeCodecs); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Target size mode: the bitrate the two-pass encode will use and how it'll look
+  const targetMode = !!profile.targetSizeMB;
+  const noTargetSize = targetSizeCodecs !== null && !targetSizeCodecs.includes(profile.videoCodec);
+  const hasAudio = source ? source.audioTracks.length > 0 : true;
+  const audioKbps = hasAudio ? profile.audioBitrate || 128 : 0;
+  // Nothing is predicted until the video's length is known
+  const durationKnown = videoDuration > 0;
+  const videoKbps = targetMode && durationKnown
+    ? targetVideoBitrate(profile.targetSizeMB, videoDuration, audioKbps)
+    : 0;
+  const tooSmall = targetMode && durationKnown && videoKbps < MIN_VIDEO_KBPS;
+  const outWidth = RESOLUTIONS[resIdx].value || source?.width || 0;
+  const outHeight = source?.width ? Math.round(source.height * outWidth / source.width) : 0;
+  const quality = targetMode && durationKnown && !tooSmall
+    ? bitrateQuality(videoKbps, { width: outWidth, height: outHeight, fps: source?.fps, videoCodec: profile.videoCodec })
+    : 'good';
 
   const handleStart = useCallback(async () => {
     const api = getElectronAPI();
@@ -34,22 +94,36 @@ export const CompressDialog = ({ videoPath, videoDuration, onClose }) => {
 
     const ext = api.path.extname(videoPath);
     const base = api.path.basename(videoPath, ext);
-    const suffix = CRF_PRESETS[crfIdx].label.toLowerCase();
-    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-${suffix}.mp4`);
+    const quality = QUALITY_PRESETS.find(q => q.crf === profile.crf);
+    const suffix = profile.targetSizeMB
+      ? `${profile.targetSizeMB}mb`
+      : (quality?.label.toLowerCase() || 'compressed');
+    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-${suffix}.${profile.container}`);
     if (canceled || !outputPath) return;
 
+    setLastProfile('compress', profile);
+
     setStep(STEP.PROCESSING);
     setProgress(0);
     setError(null);
+    setJobId(null);
 
     try {
       const res = await api.compressVideo({
         inputPath: videoPath,
         outputPath,
-        crf: CRF_PRESETS[crfIdx].crf,
+        profile,
         resolution: RESOLUTIONS[resIdx].value,
         totalDuration: videoDuration
-      }, (pct) => setProgress(pct));
+      }, (pct, job) => {
+        setProgress(pct);
+        if (job) setJobId(job.id);
+      });
+
+      if (res.cancelled) {
+        setStep(STEP.CONFIG);
+        return;
+      }
 
       setResult(res);
       setStep(STEP.DONE);
@@ -58,11 +132,38 @@ export const CompressDialog = ({ videoPath, videoDuration, onClose }) => {
       setError(err.message || String(err));
       setStep(STEP.DONE);
     }
-  }, [videoPath, videoDuration, crfIdx, resIdx]);
+  }, [videoPath, videoDuration, profile, resIdx]);
+
+  // Same settings for every selected file, into the batch output folder
+  const handleStartBatch = useCallback(async () => {
+    const api = getElectronAPI();
+    if (!api || batch.queue.length === 0) return;
+    const dir = batch.outputDir || await batch.chooseOutputDir();
+    if (!dir) return;
+
+    setLastProfile('compress', profile);
+    setStep(STEP.PROCESSING);
+    await batch.run(dir, (file, { outputPath, meta, onProgress }) => api.compressVideo({
+      inputPath: file,
+      outputPath,
+      profile,
+      resolution: RESOLUTIONS[resIdx].value,
+      totalDuration: meta?.duration || 0
+    }, onProgress), { ext: profile.container });
+    setStep(STEP.DONE);
+  }, [batch, profile, resIdx]);
+
+  const setTargetSize = useCallback((mb) => {
+    setProfile(prev => ({ ...prev, targetSizeMB: mb }));
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    if (jobId) getElectronAPI()?.cancelJob(jobId);
+  }, [jobId]);
 
   const handleKeyDown = useCallback((e) => {
-    if (e.key === 'Escape') onClose();
-  }, [onClose]);
+    if (e.key === 'Escape' && !batch.running) onClose();
+  }, [onClose, batch.running]);
 
   useEffect(() => {
     window.addEventListener('keydown', handleKeyDown);
@@ -81,32 +182,88 @@ export const CompressDialog = ({ videoPath, videoDuration, onClose }) => {
       <div style={{
         background: '#1a1a1a', borderRadius: 12,
         border: '1px solid rgba(255,255,255,0.1)',
-        padding: 24, width: 400, maxWidth: '90vw'
+        padding: 24, width: 400, maxWidth: '90vw', maxHeight: '90vh', overflowY: 'auto'
       }}>
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 20 }}>
           <h3 style={{ fontSize: 16, fontWeight: 600, color: '#fff' }}>Compress Video</h3>
-          <button onClick={onClose} disabled={step === STEP.PROCESSING}
+          <button onClick={onClose}
             style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}>{'\u2715'}</button>
         </div>
 
         {step === STEP.CONFIG && (
           <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+            {files.length > 1 && (
+              <BatchModeTabs batchMode={batchMode} fileCount={files.length} onChange={setBatchMode} />
+            )}
+
             <div>
-              <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 8, display: 'block' }}>Quality</label>
+              <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 8, display: 'block' }}>Mode</label>
               <div style={{ display: 'flex', gap: 6 }}>
-                {CRF_PRESETS.map((p, i) => (
-                  <button key={p.label} onClick={() => setCrfIdx(i)} style={{
-                    flex: 1, padding: '8px 0', borderRadius: 6, fontSize: 12, fontWeight: 500,
-                    background: i === crfIdx ? '#3b82f6' : 'rgba(255,255,255,0.06)',
-                    color: i === crfIdx ? '#fff' : 'rgba(255,255,255,0.55)', transition: 'all 0.15s'
-                  }}>{p.label}</button>
-                ))}
+                <button onClick={() => setTargetSize(null)} style={modeButton(!targetMode)}>Quality</button>
+                <button
+                  onClick={() => setTargetSize(profile.targetSizeMB || 25)}
+                  disabled={noTargetSize}
+                  title={noTargetSize ? 'This ffmpeg build has no two-pass encoder for this codec' : undefined}
+                  style={{ ...modeButton(targetMode), opacity: noTargetSize ? 0.35 : 1 }}
+                >
+                  Target size
+                </button>
               </div>
-              <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 6 }}>
-                {CRF_PRESETS[crfIdx].desc} (CRF {CRF_PRESETS[crfIdx].crf})
-              </p>
             </div>
 
+            {targetMode && (
+              <div>
+                <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 8, display: 'block' }}>Fit under</label>
+                <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                  {SIZE_PRESETS.map(p => (
+                    <button key={p.mb} onClick={() => setTargetSize(p.mb)} title={p.desc} style={{
+                      padding: '6px 10px', borderRadius: 6, fontSize: 12, fontWeight: 500,
+                      background: p.mb === profile.targetSizeMB ? '#3b82f6' : 'rgba(255,255,255,0.06)',
+                      color: p.mb === profile.targetSizeMB ? '#fff' : 'rgba(255,255,255,0.55)', transition: 'all 0.15s'
+                    }}>{p.label}</button>
+                  ))}
+                  <TargetSizeInput
+                    value={profile.targetSizeMB}
+                    onChange={setTargetSize}
+                    style={{
+                      width: 64, padding: '6px 8px', background: 'rgba(255,255,255,0.06)',
+                      border: '1px solid rgba(255,255,255,0.1)', borderRadius: 6,
+                      color: '#fff', fontSize: 12, outline: 'none'
+                    }}
+                  />
+                  <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.45)' }}>MB</span>
+                </div>
+                <div style={{ fontSize: 11, color: 'rgba(255,255,255,0.4)', marginTop: 8, lineHeight: 1.6 }}>
+                  {batchMode ? (
+                    <p>Each video is encoded to fit the target size on its own.</p>
+                  ) : !durationKnown ? (
+                    <p>The bitrate is worked out once the video&apos;s length is known.</p>
+                  ) : tooSmall ? (
+                    <p style={{ color: '#f87171' }}>
+                      {profile.targetSizeMB} MB is too small for {Math.round(videoDuration)} seconds of video.
+                    </p>
+                  ) : (
+                    <>
+                      <p>
+                        Two-pass encode at video {videoKbps} kbps{hasAudio ? ` + audio ${audioKbps} kbps` : ''},
+                        {' '}aiming just under {profile.targetSizeMB} MB
+                      </p>
+                      {quality !== 'good' && (
+                        <p style={{ color: quality === 'poor' ? '#f87171' : '#fbbf24' }}>{QUALITY_WARNINGS[quality]}</p>
+                      )}
+                      {source?.fileSize > 0 && source.fileSize <= profile.targetSizeMB * 1024 * 1024 && (
+                        <p style={{ color: '#fbbf24' }}>
+                          The original ({formatFileSize(source.fileSize)}) already fits; re-encoding may not make it smaller.
+                        </p>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <ExportProfilePicker profile={profile} onChange={setProfile} allowTargetSize={false} />
+
             <div>
               <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 8, display: 'block' }}>Resolution</label>
               <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
@@ -120,23 +277,50 @@ export const CompressDialog = ({ videoPath, videoDuration, onClose }) => {
               </div>
             </div>
 
-            <button className="btn btn-primary" onClick={handleStart} style={{ width: '100%', marginTop: 4 }}>
-              Compress Video
-            </button>
+            {batchMode && <BatchOptions batch={batch} currentVideo={videoPath} ext={profile.container} />}
+
+            {batchMode ? (
+              <button
+                className="btn btn-primary"
+                onClick={handleStartBatch}
+                disabled={batch.queue.length === 0}
+                style={{ width: '100%', marginTop: 4 }}
+              >
+                Compress {batch.queue.length} Videos
+              </button>
+            ) : (
+              <button className="btn btn-primary" onClick={handleStart} disabled={tooSmall} style={{ width: '100%', marginTop: 4 }}>
+                Compress Video
+              </button>
+            )}
           </div>
         )}
 
-        {step === STEP.PROCESSING && (
+        {step === STEP.PROCESSING && batchMode && (
+          <BatchProgress current={batch.current} verb="Compressing" onCancel={batch.cancel} />
+        )}
+
+        {step === STEP.DONE && batchMode && batch.results && (
+          <BatchSummary results={batch.results} queue={batch.queue} outputDir={batch.outputDir} onClose={onClose} />
+        )}
+
+        {step === STEP.PROCESSING && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.7)', marginBottom: 16 }}>Compressing...</p>
             <div style={{ width: '100%', background: 'rgba(255,255,255,0.06)', borderRadius: 999, height: 8, overflow: 'hidden' }}>
               <div style={{ height: '100%', background: '#3b82f6', borderRadius: 999, transition: 'width 0.3s', width: `${progress}%` }} />
             </div>
             <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>{progress}%</p>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} disabled={!jobId} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
           </div>
         )}
 
-        {step === STEP.DONE && (
+        {step === STEP.DONE && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             {error ? (
               <>
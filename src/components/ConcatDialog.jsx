@@ -1,17 +1,99 @@
 import { useState, useCallback, useEffect, useMemo } from 'react';
 import { formatFileSize, formatDuration, getVideoMetadata } from '../utils/videoMetadata';
+import { getLastProfile, setLastProfile } from '../utils/exportProfiles';
+import { ExportProfilePicker } from './ExportProfilePicker';
 
 const getElectronAPI = () => window.electronAPI || null;
 
 const STEP = { CONFIG: 'config', PROCESSING: 'processing', DONE: 'done' };
 
+const MODES = [
+  { value: 'copy', label: 'Stream copy' },
+  { value: 'encode', label: 'Re-encode' }
+];
+
+const TRANSITIONS = [
+  { value: 'none', label: 'None' },
+  { value: 'crossfade', label: 'Crossfade' },
+  { value: 'fade', label: 'Fade to black' }
+];
+
+const labelStyle = { fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 8, display: 'block' };
+
+const inputStyle = {
+  padding: '6px 10px',
+  background: 'rgba(255,255,255,0.06)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: 6, color: '#fff', fontSize: 13,
+  outline: 'none'
+};
+
+const audioSignature = (meta) => {
+  const track = meta.audioTracks?.[0];
+  if (!track) return 'no audio';
+  return [track.codec, track.sampleRate ? `${track.sampleRate} Hz` : '', track.channels ? `${track.channels} ch` : '']
+    .filter(Boolean).join(' ');
+};
+
+// Stream properties the concat demuxer needs to be identical for a clean copy
+const STREAM_CHECKS = [
+  { label: 'Codec', value: (m) => m.videoCodec },
+  { label: 'Resolution', value: (m) => m.width && `${m.width}\u00d7${m.height}` },
+  { label: 'Frame rate', value: (m) => m.fps && `${Math.round(m.fps * 100) / 100} fps` },
+  { label: 'Pixel format', value: (m) => m.pixelFormat },
+  { label: 'Audio', value: audioSignature }
+];
+
+/**
+ * Properties that differ between the selected videos' probe metadata, e.g.
+ * [{ label: 'Resolution', values: ['1920×1080', '1280×720'] }]. Videos that
+ * haven't been (or couldn't be) probed with ffmpeg are left out.
+ */
+function findMismatches(metas) {
+  const probed = metas.filter(m => m?.videoCodec);
+  return STREAM_CHECKS
+    .map(({ label, value }) => ({ label, values: [...new Set(probed.map(value).filter(Boolean))] }))
+    .filter(check => check.values.length > 1);
+}
+
+// Title card fields: text plus how long it stays on screen
+const TitleCardInput = ({ label, card, onChange }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+    <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', width: 40, flexShrink: 0 }}>{label}</span>
+    <input
+      value={card.text}
+      onChange={(e) => onChange({ ...card, text: e.target.value })}
+      placeholder="No title card"
+      style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+    />
+    <input
+      type="number"
+      min={1}
+      max={10}
+      step={0.5}
+      value={card.duration}
+      onChange={(e) => onChange({ ...card, duration: Math.min(10, Math.max(1, parseFloat(e.target.value) || 3)) })}
+      disabled={!card.text.trim()}
+      title="Seconds on screen"
+      style={{ ...inputStyle, width: 56, opacity: card.text.trim() ? 1 : 0.4 }}
+    />
+    <span style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)' }}>s</span>
+  </div>
+);
+
 export const ConcatDialog = ({ files, onClose }) => {
   const [selected, setSelected] = useState(() => [...files]);
   const [step, setStep] = useState(STEP.CONFIG);
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
-  const [durations, setDurations] = useState({});
+  const [jobId, setJobId] = useState(null);
+  const [metas, setMetas] = useState({});
+  const [mode, setMode] = useState(null); // null until picked: follows the mismatch check
+  const [profile, setProfile] = useState(() => getLastProfile('concat'));
+  const [transition, setTransition] = useState({ type: 'none', duration: 1 });
+  const [intro, setIntro] = useState({ text: '', duration: 3 });
+  const [outro, setOutro] = useState({ text: '', duration: 3 });
 
   const api = getElectronAPI();
 
@@ -20,26 +102,38 @@ export const ConcatDialog = ({ files, onClose }) => {
     return filePath.split(/[\\/]/).pop() || filePath;
   }, [api]);
 
-  // Load durations
+  // Load duration + stream info (ffmpeg probe)
   useEffect(() => {
     let cancelled = false;
-    const loadDurations = async () => {
-      const durs = {};
+    const loadMetadata = async () => {
+      const loaded = {};
       for (const file of files) {
         if (cancelled) break;
         const videoUrl = `local-video:///${file.replace(/\\/g, '/')}`;
         const meta = await getVideoMetadata(videoUrl);
-        if (meta) durs[file] = meta.duration;
+        if (meta) loaded[file] = meta;
       }
-      if (!cancelled) setDurations(durs);
+      if (!cancelled) setMetas(loaded);
     };
-    loadDurations();
+    loadMetadata();
     return () => { cancelled = true; };
   }, [files]);
 
   const totalDuration = useMemo(() => {
-    return selected.reduce((sum, f) => sum + (durations[f] || 0), 0);
-  }, [selected, durations]);
+    return selected.reduce((sum, f) => sum + (metas[f]?.duration || 0), 0);
+  }, [selected, metas]);
+
+  const mismatches = useMemo(() => findMismatches(selected.map(f => metas[f])), [selected, metas]);
+  const activeMode = mode || (mismatches.length > 0 ? 'encode' : 'copy');
+  const isEncode = activeMode === 'encode';
+
+  // Output length: title cards add time, crossfades overlap neighbouring clips
+  // (worked out as the encode does it)
+  const outputDuration = useMemo(() => {
+    if (!isEncode || !api?.concatDuration) return totalDuration;
+    const durations = selected.map(f => metas[f]?.duration || 0);
+    return Math.max(0, api.concatDuration({ durations, transition, intro, outro }));
+  }, [api, isEncode, totalDuration, selected, metas, intro, outro, transition]);
 
   const toggleFile = useCallback((file) => {
     setSelected(prev => {
@@ -71,19 +165,31 @@ export const ConcatDialog = ({ files, onClose }) => {
 
     const ext = api.path.extname(selected[0]);
     const base = api.path.basename(selected[0], ext);
-    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-concat.mp4`);
+    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-concat.${isEncode ? profile.container : 'mp4'}`);
     if (canceled || !outputPath) return;
 
+    if (isEncode) setLastProfile('concat', profile);
+
     setStep(STEP.PROCESSING);
     setProgress(0);
     setError(null);
+    setJobId(null);
 
     try {
       const res = await api.concatVideos({
         inputPaths: selected,
         outputPath,
-        totalDuration
-      }, (pct) => setProgress(pct));
+        totalDuration,
+        ...(isEncode && { mode: 'encode', profile, transition, intro, outro })
+      }, (pct, job) => {
+        setProgress(pct);
+        if (job) setJobId(job.id);
+      });
+
+      if (res.cancelled) {
+        setStep(STEP.CONFIG);
+        return;
+      }
 
       setResult(res);
       setStep(STEP.DONE);
@@ -92,7 +198,11 @@ export const ConcatDialog = ({ files, onClose }) => {
       setError(err.message || String(err));
       setStep(STEP.DONE);
     }
-  }, [api, selected, totalDuration]);
+  }, [api, selected, totalDuration, isEncode, profile, transition, intro, outro]);
+
+  const handleCancel = useCallback(() => {
+    if (jobId) getElectronAPI()?.cancelJob(jobId);
+  }, [jobId]);
 
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Escape' && step !== STEP.PROCESSING) onClose();
@@ -116,24 +226,24 @@ export const ConcatDialog = ({ files, onClose }) => {
         background: '#1a1a1a', borderRadius: 12,
         border: '1px solid rgba(255,255,255,0.1)',
         padding: 24, width: 480, maxWidth: '90vw',
-        maxHeight: '80vh', display: 'flex', flexDirection: 'column'
+        maxHeight: '90vh', overflowY: 'auto', display: 'flex', flexDirection: 'column'
       }}>
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 20, flexShrink: 0 }}>
           <h3 style={{ fontSize: 16, fontWeight: 600, color: '#fff' }}>Concat Videos</h3>
-          <button onClick={onClose} disabled={step === STEP.PROCESSING}
+          <button onClick={onClose}
             style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}>{'\u2715'}</button>
         </div>
 
         {step === STEP.CONFIG && (
           <>
             <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.4)', marginBottom: 12, flexShrink: 0 }}>
-              {selected.length} videos selected {'\u00b7'} {formatDuration(totalDuration)} total
+              {selected.length} videos selected {'\u00b7'} {formatDuration(outputDuration)} total
             </p>
 
             <div style={{
               flex: 1, overflow: 'auto', marginBottom: 16,
               border: '1px solid rgba(255,255,255,0.08)',
-              borderRadius: 8, maxHeight: 340
+              borderRadius: 8, maxHeight: 340, minHeight: 80
             }}>
               {selected.map((file, idx) => (
                 <div key={file} style={{
@@ -150,9 +260,14 @@ export const ConcatDialog = ({ files, onClose }) => {
                   }}>
                     {getFileName(file)}
                   </span>
-                  {durations[file] > 0 && (
+                  {metas[file]?.videoCodec && (
                     <span style={{ fontSize: 10, color: 'rgba(255,255,255,0.3)', flexShrink: 0 }}>
-                      {formatDuration(durations[file])}
+                      {metas[file].videoCodec} {metas[file].width}{'\u00d7'}{metas[file].height}
+                    </span>
+                  )}
+                  {metas[file]?.duration > 0 && (
+                    <span style={{ fontSize: 10, color: 'rgba(255,255,255,0.3)', flexShrink: 0 }}>
+                      {formatDuration(metas[file].duration)}
                     </span>
                   )}
                   <button onClick={() => moveUp(idx)} disabled={idx === 0}
@@ -187,9 +302,81 @@ export const ConcatDialog = ({ files, onClose }) => {
               </div>
             )}
 
-            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginBottom: 12, flexShrink: 0 }}>
-              Videos must have the same codec/resolution for stream copy. Re-encode first if needed.
-            </p>
+            {mismatches.length > 0 && (
+              <div style={{
+                marginBottom: 12, padding: '8px 12px', borderRadius: 6, flexShrink: 0,
+                background: 'rgba(251,191,36,0.08)', border: '1px solid rgba(251,191,36,0.25)',
+                fontSize: 11, color: 'rgba(255,255,255,0.6)', lineHeight: 1.6
+              }}>
+                <p style={{ color: '#fbbf24', marginBottom: 2 }}>
+                  These videos don't match; stream copy would produce a broken file.
+                </p>
+                {mismatches.map(m => (
+                  <p key={m.label}>{m.label}: {m.values.join(', ')}</p>
+                ))}
+              </div>
+            )}
+
+            <div style={{ marginBottom: 12, flexShrink: 0 }}>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {MODES.map(m => (
+                  <button key={m.value} onClick={() => setMode(m.value)} style={{
+                    flex: 1, padding: '8px 0', borderRadius: 6, fontSize: 13, fontWeight: 500,
+                    background: activeMode === m.value ? '#3b82f6' : 'rgba(255,255,255,0.06)',
+                    color: activeMode === m.value ? '#fff' : 'rgba(255,255,255,0.55)', transition: 'all 0.15s'
+                  }}>{m.label}</button>
+                ))}
+              </div>
+              <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 6 }}>
+                {isEncode
+                  ? `Converted to ${selected[0] && metas[selected[0]]?.width ? `${metas[selected[0]].width}\u00d7${metas[selected[0]].height}` : 'the first video\'s size'}; other sizes are letterboxed.`
+                  : 'Fast and lossless, but every video needs the same codec, resolution and frame rate.'}
+              </p>
+            </div>
+
+            {isEncode && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 14, marginBottom: 16, flexShrink: 0 }}>
+                <div>
+                  <label style={labelStyle}>Transition</label>
+                  <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                    {TRANSITIONS.map(t => (
+                      <button key={t.value} onClick={() => setTransition(prev => ({ ...prev, type: t.value }))} style={{
+                        flex: 1, padding: '6px 0', borderRadius: 6, fontSize: 12, fontWeight: 500,
+                        background: transition.type === t.value ? 'rgba(59,130,246,0.2)' : 'rgba(255,255,255,0.04)',
+                        color: transition.type === t.value ? '#93c5fd' : 'rgba(255,255,255,0.5)',
+                        border: `1px solid ${transition.type === t.value ? 'rgba(59,130,246,0.5)' : 'rgba(255,255,255,0.08)'}`
+                      }}>{t.label}</button>
+                    ))}
+                  </div>
+                  {transition.type !== 'none' && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 8 }}>
+                      <input
+                        type="range"
+                        min={0.25}
+                        max={3}
+                        step={0.25}
+                        value={transition.duration}
+                        onChange={(e) => setTransition(prev => ({ ...prev, duration: parseFloat(e.target.value) }))}
+                        style={{ flex: 1 }}
+                      />
+                      <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', width: 36, textAlign: 'right' }}>
+                        {transition.duration}s
+                      </span>
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <label style={labelStyle}>Title cards</label>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                    <TitleCardInput label="Intro" card={intro} onChange={setIntro} />
+                    <TitleCardInput label="Outro" card={outro} onChange={setOutro} />
+                  </div>
+                </div>
+
+                <ExportProfilePicker profile={profile} onChange={setProfile} />
+              </div>
+            )}
 
             <button
               className="btn btn-primary"
@@ -209,6 +396,12 @@ export const ConcatDialog = ({ files, onClose }) => {
               <div style={{ height: '100%', background: '#3b82f6', borderRadius: 999, transition: 'width 0.3s', width: `${progress}%` }} />
             </div>
             <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>{progress}%</p>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} disabled={!jobId} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
           </div>
         )}
 
@@ -0,0 +1,73 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { CropOverlay } from '../features/editor/components/CropOverlay';
+
+/**
+ * A frame of the video at the dialog's width, with the editor's crop box over
+ * it when crop is set. The parent owns the crop (in source pixels) and the
+ * frame shown.
+ * @param {{ videoPath: string, time: number, crop: object | null, onCropChange,
+ *   onLoad?: (dims: { width, height, duration }) => void, onError?: () => void }} props
+ *   onLoad gives the video's size once known (e.g. for a default crop);
+ *   onError fires when the file can't be previewed
+ */
+export const CropPreview = ({ videoPath, time, crop, onCropChange, onLoad, onError }) => {
+  const videoRef = useRef(null);
+  const [videoDims, setVideoDims] = useState(null);
+  const [displayRect, setDisplayRect] = useState(null);
+
+  const videoSrc = videoPath ? `local-video:///${videoPath.replace(/\\/g, '/')}` : null;
+
+  // The video fills the width at its own aspect ratio, so the crop overlay's
+  // display rect is simply the element's box
+  const updateDisplayRect = useCallback(() => {
+    const v = videoRef.current;
+    if (v) setDisplayRect({ x: 0, y: 0, width: v.clientWidth, height: v.clientHeight });
+  }, []);
+
+  const handleLoadedMetadata = useCallback(() => {
+    const v = videoRef.current;
+    if (!v) return;
+    const dims = { width: v.videoWidth, height: v.videoHeight };
+    setVideoDims(dims);
+    updateDisplayRect();
+    onLoad?.({ ...dims, duration: v.duration });
+  }, [updateDisplayRect, onLoad]);
+
+  // Show the frame at time (first on load, when videoDims is set)
+  useEffect(() => {
+    const v = videoRef.current;
+    if (v && videoDims && Math.abs(v.currentTime - time) > 0.01) v.currentTime = time;
+  }, [time, videoDims]);
+
+  useEffect(() => {
+    const v = videoRef.current;
+    if (!v || !videoDims) return;
+    const obs = new ResizeObserver(updateDisplayRect);
+    obs.observe(v);
+    return () => obs.disconnect();
+  }, [videoDims, updateDisplayRect]);
+
+  return (
+    <div style={{ position: 'relative', borderRadius: 8, overflow: 'hidden', background: '#000' }}>
+      <video
+        ref={videoRef}
+        src={videoSrc}
+        muted
+        playsInline
+        preload="auto"
+        onLoadedMetadata={handleLoadedMetadata}
+        onError={onError}
+        style={{ display: 'block', width: '100%', height: 'auto' }}
+      />
+      {crop && displayRect && videoDims && (
+        <CropOverlay
+          displayRect={displayRect}
+          videoDimensions={videoDims}
+          aspectRatio={null}
+          crop={crop}
+          onCropChange={onCropChange}
+        />
+      )}
+    </div>
+  );
+};
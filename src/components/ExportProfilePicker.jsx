@@ -0,0 +1,215 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  VIDEO_CODECS, CONTAINERS, SPEEDS, QUALITY_PRESETS, AUDIO_BITRATES,
+  getProfiles, saveProfile, deleteProfile, sameSettings, profileSummary, loadEncoderSupport
+} from '../utils/exportProfiles';
+import { TargetSizeInput } from './TargetSizeInput';
+
+const labelStyle = { fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' };
+
+const inputStyle = {
+  padding: '6px 10px',
+  background: 'rgba(255,255,255,0.06)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: 6, color: '#fff', fontSize: 13,
+  outline: 'none'
+};
+
+const optionButton = (active, disabled) => ({
+  padding: '6px 10px', borderRadius: 6, fontSize: 12, fontWeight: 500,
+  background: active ? '#3b82f6' : 'rgba(255,255,255,0.06)',
+  color: active ? '#fff' : 'rgba(255,255,255,0.55)',
+  opacity: disabled ? 0.35 : 1, transition: 'all 0.15s'
+});
+
+/**
+ * Export settings for a re-encoding tool: a saved/built-in profile, plus an
+ * editor for codec, container, speed, quality or target size and audio
+ * bitrate. The settings can be saved as a named profile.
+ * allowTargetSize=false hides the target size option, for tools that have
+ * their own target size controls.
+ * @param {{ profile: object, onChange: (profile) => void, allowTargetSize?: boolean }} props
+ */
+export const ExportProfilePicker = ({ profile, onChange, allowTargetSize = true }) => {
+  const [profiles, setProfiles] = useState(getProfiles);
+  const [support, setSupport] = useState(null); // { codecs, targetSizeCodecs }
+  const [editing, setEditing] = useState(false);
+  const [saveName, setSaveName] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEncoderSupport().then(res => { if (!cancelled) setSupport(res); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const match = profiles.find(p => sameSettings(p, profile));
+
+  const update = useCallback((changes) => {
+    const next = { ...profile, ...changes };
+    const containers = CONTAINERS[next.videoCodec];
+    if (containers.length && !containers.includes(next.container)) next.container = containers[0];
+    // A codec that can't encode to a size falls back to quality mode
+    if (next.targetSizeMB && support && !support.targetSizeCodecs.includes(next.videoCodec)) next.targetSizeMB = null;
+    onChange(next);
+  }, [profile, onChange, support]);
+
+  const handleSelect = useCallback((e) => {
+    const picked = profiles.find(p => p.id === e.target.value);
+    if (picked) onChange(picked);
+  }, [profiles, onChange]);
+
+  const handleSave = useCallback(() => {
+    const name = saveName.trim();
+    if (!name) return;
+    onChange(saveProfile(name, profile));
+    setProfiles(getProfiles());
+    setSaveName('');
+  }, [saveName, profile, onChange]);
+
+  const handleDelete = useCallback(() => {
+    if (!match || match.builtin) return;
+    deleteProfile(match.id);
+    setProfiles(getProfiles());
+  }, [match]);
+
+  const unavailable = (codecId) => support !== null && !support.codecs.includes(codecId);
+  const noTargetSize = support !== null && !support.targetSizeCodecs.includes(profile.videoCodec);
+  const quality = QUALITY_PRESETS.find(q => q.crf === profile.crf);
+
+  return (
+    <div>
+      <label style={labelStyle}>Export profile</label>
+      <div style={{ display: 'flex', gap: 6 }}>
+        <select value={match?.id || ''} onChange={handleSelect} style={{ ...inputStyle, flex: 1, minWidth: 0 }}>
+          {!match && <option value="">Custom</option>}
+          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <button onClick={() => setEditing(v => !v)} style={optionButton(editing)}>
+          {editing ? 'Done' : 'Edit'}
+        </button>
+      </div>
+      <p style={{ fontSize: 11, color: unavailable(profile.videoCodec) ? '#f87171' : 'rgba(255,255,255,0.35)', marginTop: 6 }}>
+        {unavailable(profile.videoCodec)
+          ? `${VIDEO_CODECS.find(c => c.id === profile.videoCodec)?.label} isn't available in this ffmpeg build`
+          : profileSummary(profile)}
+      </p>
+
+      {editing && (
+        <div style={{
+          display: 'flex', flexDirection: 'column', gap: 12, marginTop: 10, padding: 12,
+          borderRadius: 8, background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.06)'
+        }}>
+          <div>
+            <label style={labelStyle}>Codec</label>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {VIDEO_CODECS.map(c => (
+                <button
+                  key={c.id}
+                  onClick={() => update({ videoCodec: c.id })}
+                  disabled={unavailable(c.id)}
+                  title={unavailable(c.id) ? 'Not available in this ffmpeg build' : c.desc}
+                  style={optionButton(profile.videoCodec === c.id, unavailable(c.id))}
+                >
+                  {c.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap' }}>
+            <div>
+              <label style={labelStyle}>Container</label>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {CONTAINERS[profile.videoCodec].map(c => (
+                  <button key={c} onClick={() => update({ container: c })} style={optionButton(profile.container === c)}>
+                    {c.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>Encoder speed</label>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {SPEEDS.map(s => (
+                  <button key={s.id} onClick={() => update({ speed: s.id })} style={optionButton(profile.speed === s.id)}>
+                    {s.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label style={labelStyle}>Quality</label>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {QUALITY_PRESETS.map(q => (
+                <button
+                  key={q.label}
+                  onClick={() => update({ crf: q.crf, targetSizeMB: null })}
+                  style={optionButton(!profile.targetSizeMB && profile.crf === q.crf)}
+                >
+                  {q.label}
+                </button>
+              ))}
+              {allowTargetSize && (
+                <button
+                  onClick={() => update({ targetSizeMB: profile.targetSizeMB || 25 })}
+                  disabled={noTargetSize}
+                  title={noTargetSize
+                    ? 'This ffmpeg build has no two-pass encoder for this codec'
+                    : 'Two-pass encode sized to fit a file size'}
+                  style={optionButton(!!profile.targetSizeMB, noTargetSize)}
+                >
+                  Target size
+                </button>
+              )}
+            </div>
+            {profile.targetSizeMB ? allowTargetSize && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 8 }}>
+                <TargetSizeInput
+                  value={profile.targetSizeMB}
+                  onChange={(mb) => update({ targetSizeMB: mb })}
+                  style={{ ...inputStyle, width: 90 }}
+                />
+                <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.45)' }}>MB</span>
+              </div>
+            ) : (
+              <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 6 }}>
+                {quality ? `${quality.desc} (CRF ${quality.crf})` : `CRF ${profile.crf}`}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label style={labelStyle}>Audio bitrate</label>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {AUDIO_BITRATES.map(kbps => (
+                <button key={kbps} onClick={() => update({ audioBitrate: kbps })} style={optionButton(profile.audioBitrate === kbps)}>
+                  {kbps}k
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 6 }}>
+            <input
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              placeholder="Profile name"
+              style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+            />
+            <button onClick={handleSave} disabled={!saveName.trim()} style={optionButton(false, !saveName.trim())}>
+              Save profile
+            </button>
+            {match && !match.builtin && (
+              <button onClick={handleDelete} title={`Delete "${match.name}"`} style={{ ...optionButton(false), color: '#f87171' }}>
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,21 +1,91 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { formatDuration } from '../utils/videoMetadata';
+import { getDefaultCrop } from '../features/editor/components/CropOverlay';
+import { CropPreview } from './CropPreview';
 
 const getElectronAPI = () => window.electronAPI || null;
 
 const STEP = { CONFIG: 'config', PROCESSING: 'processing', DONE: 'done' };
 
+// ext is the saved file's extension (APNG is a .png)
+const FORMATS = [
+  { value: 'gif', label: 'GIF', ext: 'gif' },
+  { value: 'webp', label: 'WebP', ext: 'webp' },
+  { value: 'apng', label: 'APNG', ext: 'png' }
+];
+
+const DITHER_MODES = [
+  { value: 'sierra2_4a', label: 'Sierra (smooth)' },
+  { value: 'floyd_steinberg', label: 'Floyd-Steinberg' },
+  { value: 'bayer', label: 'Bayer (pattern, smaller)' },
+  { value: 'none', label: 'None (banding, smallest)' }
+];
+
+const COLOR_COUNTS = [256, 128, 64, 32, 16];
+
+const CAPTION_SIZES = [
+  { value: 'small', label: 'S' },
+  { value: 'medium', label: 'M' },
+  { value: 'large', label: 'L' }
+];
+
+// Sizes above this get a warning: a common upload limit of chat apps
+const SIZE_WARNING_MB = 10;
+
+// Wait for the settings to settle before encoding a sample
+const ESTIMATE_DELAY_MS = 700;
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const tabStyle = (active) => ({
+  flex: 1, padding: '8px 0', borderRadius: 6, fontSize: 13, fontWeight: 500,
+  background: active ? '#3b82f6' : 'rgba(255,255,255,0.06)',
+  color: active ? '#fff' : 'rgba(255,255,255,0.55)',
+  transition: 'all 0.15s'
+});
+
 export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
   const [startTime, setStartTime] = useState(0);
   const [endTime, setEndTime] = useState(Math.min(5, videoDuration));
   const [fps, setFps] = useState(10);
   const [width, setWidth] = useState(480);
+  const [format, setFormat] = useState('gif');
+  const [dither, setDither] = useState('sierra2_4a');
+  const [maxColors, setMaxColors] = useState(256);
+  const [boomerang, setBoomerang] = useState(false);
+  const [cropEnabled, setCropEnabled] = useState(false);
+  const [crop, setCrop] = useState(null);
+  const [previewError, setPreviewError] = useState(false);
+  const [caption, setCaption] = useState({ text: '', position: 'bottom', size: 'medium' });
+  const [estimate, setEstimate] = useState(null); // { bytes } | { error } | { pending: true }
   const [step, setStep] = useState(STEP.CONFIG);
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  // Whether the last click started on the backdrop: a crop drag released
+  // outside the dialog also "clicks" it, and mustn't close the dialog
+  const backdropPressRef = useRef(false);
 
   const duration = Math.max(0.1, endTime - startTime);
+  const isGif = format === 'gif';
+
+  // Everything but the output path, shared by the export and the size estimate
+  const exportParams = useMemo(() => ({
+    inputPath: videoPath,
+    startTime,
+    duration,
+    fps,
+    width,
+    format,
+    dither,
+    maxColors,
+    boomerang,
+    crop: cropEnabled && crop ? crop : undefined,
+    caption: caption.text.trim() ? caption : undefined
+  }), [videoPath, startTime, duration, fps, width, format, dither, maxColors, boomerang, cropEnabled, crop, caption]);
 
   useEffect(() => {
     if (videoDuration > 0 && endTime > videoDuration) {
@@ -23,28 +93,59 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
     }
   }, [videoDuration, endTime]);
 
+  // Live size estimate: re-encode a short sample whenever the settings change
+  useEffect(() => {
+    const api = getElectronAPI();
+    if (!api?.estimateGifSize || !videoPath || step !== STEP.CONFIG) return;
+    let cancelled = false;
+    setEstimate({ pending: true });
+    const timer = setTimeout(() => {
+      api.estimateGifSize(exportParams).then((res) => {
+        if (cancelled || res?.superseded) return;
+        setEstimate(res?.success ? { bytes: res.bytes } : { error: res?.error || 'Failed' });
+      }).catch(() => {
+        if (!cancelled) setEstimate(null);
+      });
+    }, ESTIMATE_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [exportParams, videoPath, step]);
+
+  const handlePreviewLoad = useCallback(({ width: w, height: h }) => {
+    // The preview remounts when a cancelled export returns here; keep the crop
+    setCrop(prev => prev || getDefaultCrop(w, h, null));
+  }, []);
+
   const handleStart = useCallback(async () => {
     const api = getElectronAPI();
     if (!api || !videoPath) return;
 
     const ext = api.path.extname(videoPath);
     const base = api.path.basename(videoPath, ext);
-    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}.gif`);
+    const outputExt = FORMATS.find(f => f.value === format).ext;
+    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}.${outputExt}`);
     if (canceled || !outputPath) return;
 
     setStep(STEP.PROCESSING);
     setProgress(0);
     setError(null);
+    setJobId(null);
 
     try {
       const res = await api.createGif({
-        inputPath: videoPath,
-        outputPath,
-        startTime,
-        duration,
-        fps,
-        width
-      }, (pct) => setProgress(pct));
+        ...exportParams,
+        outputPath
+      }, (pct, job) => {
+        setProgress(pct);
+        if (job) setJobId(job.id);
+      });
+
+      if (res.cancelled) {
+        setStep(STEP.CONFIG);
+        return;
+      }
 
       setResult(res);
       setStep(STEP.DONE);
@@ -55,7 +156,11 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
       setError(err.message || String(err));
       setStep(STEP.DONE);
     }
-  }, [videoPath, startTime, duration, fps, width]);
+  }, [videoPath, format, exportParams]);
+
+  const handleCancel = useCallback(() => {
+    if (jobId) getElectronAPI()?.cancelJob(jobId);
+  }, [jobId]);
 
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Escape') onClose();
@@ -81,26 +186,28 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
         background: 'rgba(0,0,0,0.7)',
         display: 'flex', alignItems: 'center', justifyContent: 'center'
       }}
-      onClick={(e) => { if (e.target === e.currentTarget && step !== STEP.PROCESSING) onClose(); }}
+      onMouseDown={(e) => { backdropPressRef.current = e.target === e.currentTarget; }}
+      onClick={(e) => { if (e.target === e.currentTarget && backdropPressRef.current && step !== STEP.PROCESSING) onClose(); }}
     >
       <div style={{
         background: '#1a1a1a',
         borderRadius: 12,
         border: '1px solid rgba(255,255,255,0.1)',
         padding: 24,
-        width: 400,
-        maxWidth: '90vw'
+        width: 480,
+        maxWidth: '90vw',
+        maxHeight: '90vh',
+        overflowY: 'auto'
       }}>
         <div style={{
           display: 'flex', alignItems: 'center', justifyContent: 'space-between',
           marginBottom: 20
         }}>
           <h3 style={{ fontSize: 16, fontWeight: 600, color: '#fff' }}>
-            Create GIF
+            Create Animation
           </h3>
           <button
             onClick={onClose}
-            disabled={step === STEP.PROCESSING}
             style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}
           >
             {'\u2715'}
@@ -109,6 +216,27 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
 
         {step === STEP.CONFIG && (
           <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+            {/* Format */}
+            <div style={{ display: 'flex', gap: 8 }}>
+              {FORMATS.map(f => (
+                <button key={f.value} onClick={() => setFormat(f.value)} style={tabStyle(format === f.value)}>
+                  {f.label}
+                </button>
+              ))}
+            </div>
+
+            {/* First frame, with the crop box */}
+            {!previewError && (
+              <CropPreview
+                videoPath={videoPath}
+                time={startTime}
+                crop={cropEnabled ? crop : null}
+                onCropChange={setCrop}
+                onLoad={handlePreviewLoad}
+                onError={() => setPreviewError(true)}
+              />
+            )}
+
             {/* Time range */}
             <div style={{ display: 'flex', gap: 12 }}>
               <div style={{ flex: 1 }}>
@@ -180,6 +308,112 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
               </div>
             </div>
 
+            {/* Palette (GIF only: WebP and APNG are full colour) */}
+            {isGif && (
+              <div style={{ display: 'flex', gap: 12 }}>
+                <div style={{ flex: 1 }}>
+                  <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' }}>
+                    Colors
+                  </label>
+                  <select
+                    value={maxColors}
+                    onChange={(e) => setMaxColors(parseInt(e.target.value))}
+                    style={inputStyle}
+                  >
+                    {COLOR_COUNTS.map(n => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                </div>
+                <div style={{ flex: 1 }}>
+                  <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' }}>
+                    Dither
+                  </label>
+                  <select
+                    value={dither}
+                    onChange={(e) => setDither(e.target.value)}
+                    style={inputStyle}
+                  >
+                    {DITHER_MODES.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {/* Crop + boomerang */}
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+              <label style={{
+                display: 'flex', alignItems: 'center', gap: 8, fontSize: 13,
+                color: previewError ? 'rgba(255,255,255,0.3)' : 'rgba(255,255,255,0.7)',
+                cursor: previewError ? 'default' : 'pointer'
+              }}>
+                <input
+                  type="checkbox"
+                  checked={cropEnabled && !previewError}
+                  disabled={previewError || !crop}
+                  onChange={(e) => setCropEnabled(e.target.checked)}
+                />
+                Crop
+                {cropEnabled && crop && (
+                  <span style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)' }}>
+                    {Math.round(crop.width)} {'\u00d7'} {Math.round(crop.height)}
+                  </span>
+                )}
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>
+                <input type="checkbox" checked={boomerang} onChange={(e) => setBoomerang(e.target.checked)} />
+                Boomerang (play forward, then backward)
+              </label>
+            </div>
+
+            {/* Caption */}
+            <div>
+              <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' }}>
+                Caption
+              </label>
+              <input
+                value={caption.text}
+                onChange={(e) => setCaption(c => ({ ...c, text: e.target.value }))}
+                placeholder="Optional text drawn on every frame"
+                style={inputStyle}
+              />
+              {caption.text.trim() && (
+                <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                  {['top', 'bottom'].map(pos => (
+                    <button
+                      key={pos}
+                      onClick={() => setCaption(c => ({ ...c, position: pos }))}
+                      style={{ ...tabStyle(caption.position === pos), flex: 2, padding: '6px 0', fontSize: 12 }}
+                    >
+                      {pos === 'top' ? 'Top' : 'Bottom'}
+                    </button>
+                  ))}
+                  {CAPTION_SIZES.map(size => (
+                    <button
+                      key={size.value}
+                      onClick={() => setCaption(c => ({ ...c, size: size.value }))}
+                      title={`${size.value[0].toUpperCase()}${size.value.slice(1)} text`}
+                      style={{ ...tabStyle(caption.size === size.value), padding: '6px 0', fontSize: 12 }}
+                    >
+                      {size.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Size estimate */}
+            {estimate && (
+              <p style={{
+                fontSize: 12, marginTop: -4,
+                color: estimate.bytes > SIZE_WARNING_MB * 1024 * 1024 ? '#fbbf24' : 'rgba(255,255,255,0.5)'
+              }}>
+                {estimate.pending && 'Estimating size...'}
+                {estimate.error && `Couldn't estimate the size: ${estimate.error}`}
+                {estimate.bytes > 0 && `Estimated size: ~${formatSize(estimate.bytes)}`}
+                {estimate.bytes > SIZE_WARNING_MB * 1024 * 1024 &&
+                  ` \u2014 over ${SIZE_WARNING_MB} MB, too big for many chat apps. Try a shorter range, lower fps or width${isGif ? ', or fewer colors' : ''}.`}
+              </p>
+            )}
+
             {/* Start button */}
             <button
               className="btn btn-primary"
@@ -187,7 +421,7 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
               disabled={duration <= 0}
               style={{ width: '100%', marginTop: 4 }}
             >
-              Create GIF
+              Create {FORMATS.find(f => f.value === format).label}
             </button>
           </div>
         )}
@@ -195,7 +429,7 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
         {step === STEP.PROCESSING && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.7)', marginBottom: 16 }}>
-              Creating GIF...
+              Creating {FORMATS.find(f => f.value === format).label}...
             </p>
             <div style={{ width: '100%', background: 'rgba(255,255,255,0.06)', borderRadius: 999, height: 8, overflow: 'hidden' }}>
               <div style={{
@@ -206,6 +440,12 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
             <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>
               {progress}%
             </p>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} disabled={!jobId} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
           </div>
         )}
 
@@ -219,11 +459,11 @@ export const GifDialog = ({ videoPath, videoDuration, onClose }) => {
             ) : (
               <>
                 <p style={{ fontSize: 14, color: '#4ade80', marginBottom: 8 }}>
-                  GIF created
+                  {FORMATS.find(f => f.value === format).label} created
                 </p>
                 {result?.fileSize > 0 && (
                   <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.4)' }}>
-                    {(result.fileSize / (1024 * 1024)).toFixed(1)} MB
+                    {formatSize(result.fileSize)}
                   </p>
                 )}
               </>
@@ -1,6 +1,7 @@
 import { memo, useState, useCallback, useEffect } from 'react';
 import { useTheme } from '../theme.jsx';
 import { useI18n } from '../i18n.jsx';
+import { getVideoMetadata } from '../utils/videoMetadata';
 
 const PANEL_WIDTH = 280;
 const TRANSITION_DURATION = 250;
@@ -49,6 +50,29 @@ const CopyButton = memo(function CopyButton({ text, theme, isDark }) {
     );
 });
 
+// Tags already shown elsewhere in the panel, or too noisy to be useful
+const HIDDEN_TAGS = ['duration', 'encoder', 'major_brand', 'minor_version', 'compatible_brands'];
+
+// One line per audio/subtitle stream, e.g. "aac · eng · 2ch · Commentary"
+const describeTrack = (track) => [
+    track.codec,
+    track.language && track.language !== 'und' ? track.language : '',
+    track.channels ? `${track.channels}ch` : '',
+    track.title,
+    track.forced ? 'forced' : '',
+].filter(Boolean).join(' \u00b7 ');
+
+const TrackList = ({ tracks }) => (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 2, fontSize: 12 }}>
+        {tracks.map(track => (
+            <span key={track.index}>
+                {describeTrack(track)}
+                {track.default && tracks.length > 1 ? ' *' : ''}
+            </span>
+        ))}
+    </div>
+);
+
 // Info item component
 const InfoItem = memo(function InfoItem({ icon, label, value, theme, isDark }) {
     return (
@@ -78,6 +102,7 @@ export const InfoPanel = memo(function InfoPanel({ metadata, isVisible = true, m
     const { t, lang } = useI18n();
     const { theme, isDark } = useTheme();
     const [fileStat, setFileStat] = useState(null);
+    const [media, setMedia] = useState(null);
 
     // Fetch file stat for local videos
     useEffect(() => {
@@ -92,6 +117,18 @@ export const InfoPanel = memo(function InfoPanel({ metadata, isVisible = true, m
         }
     }, [mode, metadata?.filePath]);
 
+    // Codec/stream details from the main-process ffmpeg probe
+    useEffect(() => {
+        setMedia(null);
+        if (mode !== 'local' || !metadata?.filePath) return;
+        let cancelled = false;
+        const videoUrl = `local-video:///${metadata.filePath.replace(/\\/g, '/')}`;
+        getVideoMetadata(videoUrl).then(meta => {
+            if (!cancelled) setMedia(meta);
+        });
+        return () => { cancelled = true; };
+    }, [mode, metadata?.filePath]);
+
     const formatDate = (date) => {
         if (!date) return t('unknown') || 'Unknown';
         return new Date(date).toLocaleString(lang === 'zh-TW' ? 'zh-TW' : 'en-US');
@@ -116,6 +153,11 @@ export const InfoPanel = memo(function InfoPanel({ metadata, isVisible = true, m
         return `${m}:${s.toString().padStart(2, '0')}`;
     };
 
+    const formatBitrate = (bps) => {
+        if (bps >= 1000000) return `${(bps / 1000000).toFixed(1)} Mb/s`;
+        return `${Math.round(bps / 1000)} kb/s`;
+    };
+
     const formatProgress = (position, duration) => {
         if (!position || !duration) return '0%';
         return `${Math.round((position / duration) * 100)}%`;
@@ -202,6 +244,45 @@ export const InfoPanel = memo(function InfoPanel({ metadata, isVisible = true, m
         </svg>
     );
 
+    const FilmIcon = (
+        <svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <rect width="18" height="18" x="3" y="3" rx="2" />
+            <path d="M7 3v18" /><path d="M17 3v18" />
+            <path d="M3 7.5h4" /><path d="M3 12h18" /><path d="M3 16.5h4" />
+            <path d="M17 7.5h4" /><path d="M17 16.5h4" />
+        </svg>
+    );
+
+    const MonitorIcon = (
+        <svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <rect width="20" height="14" x="2" y="3" rx="2" />
+            <line x1="8" x2="16" y1="21" y2="21" />
+            <line x1="12" x2="12" y1="17" y2="21" />
+        </svg>
+    );
+
+    const MusicIcon = (
+        <svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M9 18V5l12-2v13" />
+            <circle cx="6" cy="18" r="3" />
+            <circle cx="18" cy="16" r="3" />
+        </svg>
+    );
+
+    const CaptionsIcon = (
+        <svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <rect width="18" height="14" x="3" y="5" rx="2" ry="2" />
+            <path d="M7 15h4M15 15h2M7 11h2M13 11h4" />
+        </svg>
+    );
+
+    const TagIcon = (
+        <svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M12.586 2.586A2 2 0 0 0 11.172 2H4a2 2 0 0 0-2 2v7.172a2 2 0 0 0 .586 1.414l8.704 8.704a2.426 2.426 0 0 0 3.42 0l6.58-6.58a2.426 2.426 0 0 0 0-3.42z" />
+            <circle cx="7.5" cy="7.5" r=".5" fill="currentColor" />
+        </svg>
+    );
+
     const InfoIcon = (
         <svg width={18} height={18} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
             <circle cx="12" cy="12" r="10" />
@@ -366,11 +447,66 @@ export const InfoPanel = memo(function InfoPanel({ metadata, isVisible = true, m
                                         isDark={isDark}
                                     />
 
-                                    {metadata.duration && (
+                                    {(media?.duration || metadata.duration) > 0 && (
                                         <InfoItem
                                             icon={ClockIcon}
                                             label={t('duration') || 'Duration'}
-                                            value={formatDuration(metadata.duration)}
+                                            value={formatDuration(media?.duration || metadata.duration)}
+                                            theme={theme}
+                                            isDark={isDark}
+                                        />
+                                    )}
+
+                                    {media?.width > 0 && (
+                                        <InfoItem
+                                            icon={MonitorIcon}
+                                            label={t('resolution') || 'Resolution'}
+                                            value={`${media.width} \u00d7 ${media.height}${media.rotation ? ` (${t('rotated') || 'rotated'} ${media.rotation}\u00b0)` : ''}`}
+                                            theme={theme}
+                                            isDark={isDark}
+                                        />
+                                    )}
+
+                                    {media?.videoCodec && (
+                                        <InfoItem
+                                            icon={FilmIcon}
+                                            label={t('videoCodec') || 'Video'}
+                                            value={[
+                                                media.videoProfile ? `${media.videoCodec} (${media.videoProfile})` : media.videoCodec,
+                                                media.pixelFormat,
+                                                media.fps ? `${media.fps} fps` : '',
+                                                media.videoBitrate ? formatBitrate(media.videoBitrate) : '',
+                                            ].filter(Boolean).join(' \u00b7 ')}
+                                            theme={theme}
+                                            isDark={isDark}
+                                        />
+                                    )}
+
+                                    {media?.format && (
+                                        <InfoItem
+                                            icon={SizeIcon}
+                                            label={t('container') || 'Container'}
+                                            value={media.bitrate ? `${media.format} \u00b7 ${formatBitrate(media.bitrate)}` : media.format}
+                                            theme={theme}
+                                            isDark={isDark}
+                                        />
+                                    )}
+
+                                    {media?.audioTracks?.length > 0 && (
+                                        <InfoItem
+                                            icon={MusicIcon}
+                                            label={`${t('audioTracks') || 'Audio Tracks'} (${media.audioTracks.length})`}
+                                            value={<TrackList tracks={media.audioTracks} />}
+                                            theme={theme}
+                                            isDark={isDark}
+                                        />
+                                    )}
+
+                                    {media?.subtitleTracks?.length > 0 && (
+                                        <InfoItem
+                                            icon={CaptionsIcon}
+                                            label={`${t('subtitleTracks') || 'Subtitles'} (${media.subtitleTracks.length})`}
+                                            value={<TrackList tracks={media.subtitleTracks} />}
                                             theme={theme}
                                             isDark={isDark}
                                         />
@@ -395,6 +531,26 @@ export const InfoPanel = memo(function InfoPanel({ metadata, isVisible = true, m
                                             isDark={isDark}
                                         />
                                     )}
+
+                                    {media?.tags && Object.keys(media.tags).some(k => !HIDDEN_TAGS.includes(k)) && (
+                                        <InfoItem
+                                            icon={TagIcon}
+                                            label={t('mediaTags') || 'Tags'}
+                                            value={
+                                                <div style={{ display: 'flex', flexDirection: 'column', gap: 2, fontSize: 12, wordBreak: 'break-word' }}>
+                                                    {Object.entries(media.tags)
+                                                        .filter(([k]) => !HIDDEN_TAGS.includes(k))
+                                                        .map(([k, v]) => (
+                                                            <span key={k}>
+                                                                <span style={{ opacity: 0.5 }}>{k}:</span> {v}
+                                                            </span>
+                                                        ))}
+                                                </div>
+                                            }
+                                            theme={theme}
+                                            isDark={isDark}
+                                        />
+                                    )}
                                 </>
                             )}
                         </div>
@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useTheme } from '../theme.jsx';
+import { useI18n } from '../i18n.jsx';
+
+const getElectronAPI = () => window.electronAPI || null;
+
+const baseName = (folderPath) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(folderPath);
+  return folderPath.split(/[\\/]/).filter(Boolean).pop() || folderPath;
+};
+
+const FolderIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0 }}>
+    <path d="M20 20a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.9a2 2 0 0 1-1.69-.9L9.6 3.9A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13a2 2 0 0 0 2 2Z" />
+  </svg>
+);
+
+/**
+ * Quick-switch dropdown under the toolbar folder button: saved library
+ * locations, recently opened folders, and the OS folder picker as a fallback.
+ * Double-click a saved location to rename it.
+ */
+export const LocationMenu = ({
+  anchorRect,
+  currentPath,
+  locations,
+  recentFolders,
+  onOpenLocation,
+  onBrowse,
+  onSaveCurrent,
+  onRemoveLocation,
+  onRenameLocation,
+  onClearRecent,
+  onClose
+}) => {
+  const { t } = useI18n();
+  const { theme } = useTheme();
+  const [editing, setEditing] = useState(null);
+
+  const isSaved = locations.some(loc => loc.path === currentPath);
+  const recent = recentFolders.filter(p => !locations.some(loc => loc.path === p));
+
+  const itemStyle = (active) => ({
+    width: '100%', display: 'flex', alignItems: 'center', gap: 10,
+    padding: '7px 12px', fontSize: 13, textAlign: 'left',
+    color: active ? theme.accent : theme.textSecondary,
+    transition: 'background 0.1s'
+  });
+  const hoverOn = e => e.currentTarget.style.background = theme.hoverBg;
+  const hoverOff = e => e.currentTarget.style.background = 'transparent';
+  const sectionStyle = {
+    padding: '8px 12px 4px', fontSize: 11, fontWeight: 600,
+    textTransform: 'uppercase', letterSpacing: 0.5, color: theme.textTertiary,
+    display: 'flex', alignItems: 'center', justifyContent: 'space-between'
+  };
+  const labelStyle = { flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' };
+
+  const open = (folderPath) => {
+    onOpenLocation(folderPath);
+    onClose();
+  };
+
+  const commitRename = () => {
+    if (editing) onRenameLocation(editing.id, editing.name);
+    setEditing(null);
+  };
+
+  return createPortal(
+    <>
+      <div style={{ position: 'fixed', inset: 0, zIndex: 9999 }} onClick={onClose} />
+      <div
+        onClick={e => e.stopPropagation()}
+        style={{
+          position: 'fixed', left: anchorRect?.left ?? 12, top: anchorRect ? anchorRect.bottom + 4 : 52, zIndex: 10000,
+          width: 280, maxHeight: '70vh', overflowY: 'auto',
+          padding: '4px 0', borderRadius: 12,
+          border: `1px solid ${theme.borderSecondary}`,
+          background: theme.dialogBg,
+          boxShadow: '0 8px 24px rgba(0,0,0,0.3)'
+        }}
+      >
+        <button
+          onClick={() => { onBrowse(); onClose(); }}
+          style={itemStyle(false)}
+          onMouseEnter={hoverOn}
+          onMouseLeave={hoverOff}
+        >
+          <FolderIcon />
+          <span style={labelStyle}>{t('browseFolder')}</span>
+        </button>
+        {currentPath && !isSaved && (
+          <button
+            onClick={onSaveCurrent}
+            style={itemStyle(false)}
+            onMouseEnter={hoverOn}
+            onMouseLeave={hoverOff}
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0 }}>
+              <path d="M12 5v14" /><path d="M5 12h14" />
+            </svg>
+            <span style={labelStyle}>{t('saveLocation')}</span>
+          </button>
+        )}
+
+        {locations.length > 0 && (
+          <>
+            <div style={{ height: 1, margin: '4px 0', background: theme.border }} />
+            <div style={sectionStyle}>{t('savedLocations')}</div>
+            {locations.map(loc => editing?.id === loc.id ? (
+              <div key={loc.id} style={{ padding: '4px 12px' }}>
+                <input
+                  autoFocus
+                  value={editing.name}
+                  onChange={e => setEditing({ id: loc.id, name: e.target.value })}
+                  onKeyDown={e => {
+                    if (e.key === 'Enter') commitRename();
+                    else if (e.key === 'Escape') { e.stopPropagation(); setEditing(null); }
+                  }}
+                  onBlur={commitRename}
+                  style={{
+                    width: '100%', padding: '5px 8px', fontSize: 13, borderRadius: 6,
+                    border: `1px solid ${theme.accent}`, background: theme.inputBg,
+                    color: theme.text, outline: 'none'
+                  }}
+                />
+              </div>
+            ) : (
+              <div
+                key={loc.id}
+                role="button"
+                tabIndex={0}
+                title={loc.path}
+                onClick={() => open(loc.path)}
+                onDoubleClick={() => setEditing({ id: loc.id, name: loc.name })}
+                onKeyDown={e => { if (e.key === 'Enter') open(loc.path); }}
+                style={{ ...itemStyle(loc.path === currentPath), cursor: 'pointer' }}
+                onMouseEnter={hoverOn}
+                onMouseLeave={hoverOff}
+              >
+                <FolderIcon />
+                <span style={labelStyle}>{loc.name}</span>
+                <button
+                  onClick={e => { e.stopPropagation(); onRemoveLocation(loc.id); }}
+                  title={t('removeLocation')}
+                  style={{ flexShrink: 0, padding: 2, display: 'flex', color: theme.textTertiary }}
+                >
+                  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M18 6 6 18" /><path d="m6 6 12 12" />
+                  </svg>
+                </button>
+              </div>
+            ))}
+          </>
+        )}
+
+        {recent.length > 0 && (
+          <>
+            <div style={{ height: 1, margin: '4px 0', background: theme.border }} />
+            <div style={sectionStyle}>
+              <span>{t('recentFolders')}</span>
+              <button
+                onClick={onClearRecent}
+                style={{ fontSize: 11, fontWeight: 500, textTransform: 'none', letterSpacing: 0, color: theme.textTertiary }}
+              >
+                {t('clearRecent')}
+              </button>
+            </div>
+            {recent.map(folderPath => (
+              <button
+                key={folderPath}
+                title={folderPath}
+                onClick={() => open(folderPath)}
+                style={itemStyle(folderPath === currentPath)}
+                onMouseEnter={hoverOn}
+                onMouseLeave={hoverOff}
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0 }}>
+                  <circle cx="12" cy="12" r="10" /><polyline points="12 6 12 12 16 14" />
+                </svg>
+                <span style={labelStyle}>{baseName(folderPath)}</span>
+              </button>
+            ))}
+          </>
+        )}
+      </div>
+    </>,
+    document.body
+  );
+};
@@ -1,21 +1,64 @@
 import { useState, useCallback, useEffect } from 'react';
+import { BatchOptions, BatchModeTabs } from './BatchOptions';
+import { BatchProgress } from './BatchProgress';
+import { BatchSummary } from './BatchSummary';
+import { useBatch } from '../hooks/useBatch';
+import { sceneThreshold } from '../utils/sceneDetection';
 
 const getElectronAPI = () => window.electronAPI || null;
 
 const STEP = { CONFIG: 'config', PROCESSING: 'processing', DONE: 'done' };
 
-export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
+const CAPTURE_MODES = [
+  { value: 'interval', label: 'Fixed interval' },
+  { value: 'scene', label: 'Scene changes' }
+];
+
+const COMBINE_OPTIONS = [
+  { value: 'none', label: 'Images only' },
+  { value: 'image', label: 'Contact sheet' },
+  { value: 'pdf', label: 'PDF of slides' }
+];
+
+const labelStyle = { fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' };
+
+const tabStyle = (active) => ({
+  flex: 1, padding: '8px 0', borderRadius: 6, fontSize: 13, fontWeight: 500,
+  background: active ? '#3b82f6' : 'rgba(255,255,255,0.06)',
+  color: active ? '#fff' : 'rgba(255,255,255,0.55)',
+  transition: 'all 0.15s'
+});
+
+export const ScreenshotDialog = ({ videoPath, videoDuration, files = [], onClose }) => {
   const [interval, setInterval_] = useState(5);
   const [format, setFormat] = useState('jpg');
+  const [captureMode, setCaptureMode] = useState('interval');
+  const [sensitivity, setSensitivity] = useState(70);
+  const [dedupe, setDedupe] = useState(false);
+  const [combine, setCombine] = useState('none');
   const [outputDir, setOutputDir] = useState('');
   const [step, setStep] = useState(STEP.CONFIG);
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const batch = useBatch(files, '{name}');
 
   const estimatedCount = videoDuration > 0
     ? Math.floor(videoDuration / interval) + 1
     : 0;
+  const isScene = captureMode === 'scene';
+
+  // Capture settings shared by single and batch runs
+  const captureOptions = {
+    interval,
+    format,
+    mode: captureMode,
+    threshold: sceneThreshold(sensitivity),
+    dedupe,
+    sheet: combine === 'none' ? undefined : combine
+  };
 
   useEffect(() => {
     const api = getElectronAPI();
@@ -38,15 +81,23 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
     setStep(STEP.PROCESSING);
     setProgress(0);
     setError(null);
+    setJobId(null);
 
     try {
       const res = await api.extractScreenshots({
         inputPath: videoPath,
         outputDir,
-        interval,
-        format,
+        ...captureOptions,
         totalDuration: videoDuration
-      }, (pct) => setProgress(pct));
+      }, (pct, job) => {
+        setProgress(pct);
+        if (job) setJobId(job.id);
+      });
+
+      if (res.cancelled) {
+        setStep(STEP.CONFIG);
+        return;
+      }
 
       if (res.success) {
         setResult(res);
@@ -60,11 +111,33 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
       setError(err.message || String(err));
       setStep(STEP.DONE);
     }
-  }, [videoPath, outputDir, interval, format, videoDuration]);
+  }, [videoPath, outputDir, interval, format, captureMode, sensitivity, dedupe, combine, videoDuration]);
+
+  // Frames of every selected video go to the batch folder as <name>_0001.<ext>...
+  const handleStartBatch = useCallback(async () => {
+    const api = getElectronAPI();
+    if (!api || batch.queue.length === 0) return;
+    const dir = batch.outputDir || await batch.chooseOutputDir();
+    if (!dir) return;
+
+    setStep(STEP.PROCESSING);
+    await batch.run(dir, (file, { outputName, meta, onProgress }) => api.extractScreenshots({
+      inputPath: file,
+      outputDir: dir,
+      baseName: outputName,
+      ...captureOptions,
+      totalDuration: meta?.duration || 0
+    }, onProgress));
+    setStep(STEP.DONE);
+  }, [batch, interval, format, captureMode, sensitivity, dedupe, combine]);
+
+  const handleCancel = useCallback(() => {
+    if (jobId) getElectronAPI()?.cancelJob(jobId);
+  }, [jobId]);
 
   const handleKeyDown = useCallback((e) => {
-    if (e.key === 'Escape') onClose();
-  }, [onClose]);
+    if (e.key === 'Escape' && !batch.running) onClose();
+  }, [onClose, batch.running]);
 
   useEffect(() => {
     window.addEventListener('keydown', handleKeyDown);
@@ -90,7 +163,9 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
         border: '1px solid rgba(255,255,255,0.1)',
         padding: 24,
         width: 400,
-        maxWidth: '90vw'
+        maxWidth: '90vw',
+        maxHeight: '90vh',
+        overflowY: 'auto'
       }}>
         <div style={{
           display: 'flex', alignItems: 'center', justifyContent: 'space-between',
@@ -101,7 +176,6 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
           </h3>
           <button
             onClick={onClose}
-            disabled={step === STEP.PROCESSING}
             style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}
           >
             {'\u2715'}
@@ -110,31 +184,81 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
 
         {step === STEP.CONFIG && (
           <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
-            {/* Interval */}
+            {files.length > 1 && (
+              <BatchModeTabs batchMode={batchMode} fileCount={files.length} onChange={setBatchMode} />
+            )}
+
+            {/* Capture mode */}
             <div>
-              <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' }}>
-                Capture every (seconds)
-              </label>
-              <input
-                type="number"
-                min={0.5}
-                max={300}
-                step={0.5}
-                value={interval}
-                onChange={(e) => setInterval_(Math.max(0.5, parseFloat(e.target.value) || 1))}
-                style={{
-                  width: '100%', padding: '8px 12px',
-                  background: 'rgba(255,255,255,0.06)',
-                  border: '1px solid rgba(255,255,255,0.1)',
-                  borderRadius: 6, color: '#fff', fontSize: 14,
-                  outline: 'none'
-                }}
-              />
-              <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 }}>
-                ~{estimatedCount} screenshots
-              </p>
+              <label style={labelStyle}>Capture</label>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {CAPTURE_MODES.map(m => (
+                  <button key={m.value} onClick={() => setCaptureMode(m.value)} style={tabStyle(captureMode === m.value)}>
+                    {m.label}
+                  </button>
+                ))}
+              </div>
             </div>
 
+            {/* Scene sensitivity */}
+            {isScene && (
+              <div>
+                <label style={labelStyle}>Sensitivity</label>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                  <input
+                    type="range"
+                    min={40}
+                    max={95}
+                    step={5}
+                    value={sensitivity}
+                    onChange={(e) => setSensitivity(parseInt(e.target.value))}
+                    style={{ flex: 1 }}
+                  />
+                  <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', width: 36, textAlign: 'right' }}>
+                    {sensitivity}%
+                  </span>
+                </div>
+                <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 }}>
+                  A frame is saved whenever the picture changes this much. Raise it if slide changes are missed,
+                  lower it if camera movement triggers extra shots.
+                </p>
+              </div>
+            )}
+
+            {/* Interval */}
+            {!isScene && (
+              <div>
+                <label style={labelStyle}>
+                  Capture every (seconds)
+                </label>
+                <input
+                  type="number"
+                  min={0.5}
+                  max={300}
+                  step={0.5}
+                  value={interval}
+                  onChange={(e) => setInterval_(Math.max(0.5, parseFloat(e.target.value) || 1))}
+                  style={{
+                    width: '100%', padding: '8px 12px',
+                    background: 'rgba(255,255,255,0.06)',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    borderRadius: 6, color: '#fff', fontSize: 14,
+                    outline: 'none'
+                  }}
+                />
+                {!batchMode && (
+                  <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 }}>
+                    ~{estimatedCount} screenshots
+                  </p>
+                )}
+              </div>
+            )}
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>
+              <input type="checkbox" checked={dedupe} onChange={(e) => setDedupe(e.target.checked)} />
+              Skip frames that repeat the previous one
+            </label>
+
             {/* Format */}
             <div>
               <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' }}>
@@ -158,39 +282,81 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
               </div>
             </div>
 
-            {/* Output directory */}
+            {/* Combine */}
             <div>
-              <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' }}>
-                Output folder
-              </label>
-              <button
-                onClick={handleSelectDir}
-                style={{
-                  width: '100%', padding: '8px 12px',
-                  background: 'rgba(255,255,255,0.06)',
-                  border: '1px solid rgba(255,255,255,0.1)',
-                  borderRadius: 6, color: 'rgba(255,255,255,0.7)', fontSize: 13,
-                  textAlign: 'left',
-                  overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
-                }}
-              >
-                {folderName || 'Select folder...'}
-              </button>
+              <label style={labelStyle}>Combine into</label>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {COMBINE_OPTIONS.map(o => (
+                  <button key={o.value} onClick={() => setCombine(o.value)} style={tabStyle(combine === o.value)}>
+                    {o.label}
+                  </button>
+                ))}
+              </div>
+              {combine !== 'none' && (
+                <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 }}>
+                  {combine === 'image'
+                    ? 'One image with every frame and its timestamp, saved next to the screenshots.'
+                    : 'One page per frame with its timestamp, saved next to the screenshots.'}
+                </p>
+              )}
             </div>
 
+            {batchMode && <BatchOptions batch={batch} currentVideo={videoPath} />}
+
+            {/* Output directory */}
+            {!batchMode && (
+              <div>
+                <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' }}>
+                  Output folder
+                </label>
+                <button
+                  onClick={handleSelectDir}
+                  style={{
+                    width: '100%', padding: '8px 12px',
+                    background: 'rgba(255,255,255,0.06)',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    borderRadius: 6, color: 'rgba(255,255,255,0.7)', fontSize: 13,
+                    textAlign: 'left',
+                    overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+                  }}
+                >
+                  {folderName || 'Select folder...'}
+                </button>
+              </div>
+            )}
+
             {/* Start button */}
-            <button
-              className="btn btn-primary"
-              onClick={handleStart}
-              disabled={!outputDir || estimatedCount === 0}
-              style={{ width: '100%', marginTop: 4 }}
-            >
-              Extract {estimatedCount} Screenshots
-            </button>
+            {batchMode ? (
+              <button
+                className="btn btn-primary"
+                onClick={handleStartBatch}
+                disabled={batch.queue.length === 0}
+                style={{ width: '100%', marginTop: 4 }}
+              >
+                Extract Screenshots from {batch.queue.length} Videos
+              </button>
+            ) : (
+              <button
+                className="btn btn-primary"
+                onClick={handleStart}
+                disabled={!outputDir || (!isScene && estimatedCount === 0)}
+                style={{ width: '100%', marginTop: 4 }}
+              >
+                {isScene ? 'Extract Screenshots' : `Extract ${estimatedCount} Screenshots`}
+              </button>
+            )}
           </div>
         )}
 
-        {step === STEP.PROCESSING && (
+        {step === STEP.PROCESSING && batchMode && (
+          <BatchProgress current={batch.current} verb="Extracting screenshots" onCancel={batch.cancel} />
+        )}
+
+        {step === STEP.DONE && batchMode && batch.results && (
+          <BatchSummary results={batch.results} queue={batch.queue} outputDir={batch.outputDir} onClose={onClose} />
+        )}
+
+        {step === STEP.PROCESSING && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.7)', marginBottom: 16 }}>
               Extracting screenshots...
@@ -204,10 +370,16 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
             <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>
               {progress}%
             </p>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} disabled={!jobId} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
           </div>
         )}
 
-        {step === STEP.DONE && (
+        {step === STEP.DONE && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             {error ? (
               <>
@@ -222,6 +394,20 @@ export const ScreenshotDialog = ({ videoPath, videoDuration, onClose }) => {
                 <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.4)' }}>
                   Saved to {folderName}
                 </p>
+                {result?.sheetPath && (
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => getElectronAPI()?.revealInFolder(result.sheetPath)}
+                    style={{ marginTop: 12 }}
+                  >
+                    Show {result.sheetPath.endsWith('.pdf') ? 'PDF' : 'contact sheet'}
+                  </button>
+                )}
+                {result?.sheetError && (
+                  <p style={{ fontSize: 12, color: '#fbbf24', marginTop: 8 }}>
+                    Couldn't combine the screenshots: {result.sheetError}
+                  </p>
+                )}
               </>
             )}
             <button
@@ -0,0 +1,289 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { getDefaultCrop } from '../features/editor/components/CropOverlay';
+import { CropPreview } from './CropPreview';
+import { sceneThreshold } from '../utils/sceneDetection';
+import { formatDuration } from '../utils/videoMetadata';
+
+const getElectronAPI = () => window.electronAPI || null;
+
+const STEP = { CONFIG: 'config', PROCESSING: 'processing', DONE: 'done' };
+
+const labelStyle = { fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 6, display: 'block' };
+
+const hintStyle = { fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 4 };
+
+/**
+ * Slides to PDF: every distinct slide of a recorded lecture on its own PDF
+ * page, optionally cropped to the slide area (drawn on a preview frame), each
+ * page linking back to the moment it was shown.
+ */
+export const SlidesDialog = ({ videoPath, videoDuration, onClose }) => {
+  const [sensitivity, setSensitivity] = useState(70);
+  const [dedupe, setDedupe] = useState(true);
+  const [cropEnabled, setCropEnabled] = useState(false);
+  const [crop, setCrop] = useState(null);
+  const [videoDims, setVideoDims] = useState(null);
+  const [previewTime, setPreviewTime] = useState(0);
+  const [previewError, setPreviewError] = useState(false);
+  const [step, setStep] = useState(STEP.CONFIG);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  // Whether the last click started on the backdrop: a crop drag released
+  // outside the dialog also "clicks" it, and mustn't close the dialog
+  const backdropPressRef = useRef(false);
+
+  const handlePreviewLoad = useCallback(({ width, height, duration }) => {
+    setVideoDims({ width, height });
+    // The preview remounts when a cancelled run returns here; keep what was set
+    setCrop(prev => prev || getDefaultCrop(width, height, null));
+    // Start a little way in, past any title card, where a slide is likely showing
+    setPreviewTime(prev => prev || Math.min(30, (duration || videoDuration || 0) * 0.1));
+  }, [videoDuration]);
+
+  const handleStart = useCallback(async () => {
+    const api = getElectronAPI();
+    if (!api || !videoPath) return;
+
+    const ext = api.path.extname(videoPath);
+    const base = api.path.basename(videoPath, ext);
+    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-slides.pdf`);
+    if (canceled || !outputPath) return;
+
+    setStep(STEP.PROCESSING);
+    setProgress(0);
+    setError(null);
+    setJobId(null);
+
+    try {
+      const res = await api.slidesToPdf({
+        inputPath: videoPath,
+        outputPath,
+        crop: cropEnabled && crop ? crop : undefined,
+        threshold: sceneThreshold(sensitivity),
+        dedupe,
+        totalDuration: videoDuration
+      }, (pct, job) => {
+        setProgress(pct);
+        if (job) setJobId(job.id);
+      });
+
+      if (res.cancelled) {
+        setStep(STEP.CONFIG);
+        return;
+      }
+
+      setResult(res);
+      setStep(STEP.DONE);
+      if (!res.success) {
+        setError(res.error || 'Failed');
+      }
+    } catch (err) {
+      setError(err.message || String(err));
+      setStep(STEP.DONE);
+    }
+  }, [videoPath, videoDuration, cropEnabled, crop, sensitivity, dedupe]);
+
+  const handleCancel = useCallback(() => {
+    if (jobId) getElectronAPI()?.cancelJob(jobId);
+  }, [jobId]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') onClose();
+  }, [onClose]);
+
+  useEffect(() => {
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleKeyDown]);
+
+  return (
+    <div
+      style={{
+        position: 'fixed', inset: 0, zIndex: 300,
+        background: 'rgba(0,0,0,0.7)',
+        display: 'flex', alignItems: 'center', justifyContent: 'center'
+      }}
+      onMouseDown={(e) => { backdropPressRef.current = e.target === e.currentTarget; }}
+      onClick={(e) => { if (e.target === e.currentTarget && backdropPressRef.current && step !== STEP.PROCESSING) onClose(); }}
+    >
+      <div style={{
+        background: '#1a1a1a',
+        borderRadius: 12,
+        border: '1px solid rgba(255,255,255,0.1)',
+        padding: 24,
+        width: 560,
+        maxWidth: '90vw',
+        maxHeight: '90vh',
+        overflowY: 'auto'
+      }}>
+        <div style={{
+          display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+          marginBottom: 20
+        }}>
+          <h3 style={{ fontSize: 16, fontWeight: 600, color: '#fff' }}>
+            Slides to PDF
+          </h3>
+          <button
+            onClick={onClose}
+            style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}
+          >
+            {'\u2715'}
+          </button>
+        </div>
+
+        {step === STEP.CONFIG && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+            {/* Preview frame with the slide area */}
+            {!previewError && (
+              <div>
+                <CropPreview
+                  videoPath={videoPath}
+                  time={previewTime}
+                  crop={cropEnabled ? crop : null}
+                  onCropChange={setCrop}
+                  onLoad={handlePreviewLoad}
+                  onError={() => setPreviewError(true)}
+                />
+                {videoDuration > 0 && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 8 }}>
+                    <input
+                      type="range"
+                      min={0}
+                      max={videoDuration}
+                      step={0.5}
+                      value={previewTime}
+                      onChange={(e) => setPreviewTime(parseFloat(e.target.value))}
+                      style={{ flex: 1 }}
+                    />
+                    <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', width: 56, textAlign: 'right' }}>
+                      {formatDuration(previewTime)}
+                    </span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label style={{
+                display: 'flex', alignItems: 'center', gap: 8, fontSize: 13,
+                color: previewError ? 'rgba(255,255,255,0.3)' : 'rgba(255,255,255,0.7)',
+                cursor: previewError ? 'default' : 'pointer'
+              }}>
+                <input
+                  type="checkbox"
+                  checked={cropEnabled && !previewError}
+                  disabled={previewError || !videoDims}
+                  onChange={(e) => setCropEnabled(e.target.checked)}
+                />
+                Crop to the slide area
+              </label>
+              <p style={hintStyle}>
+                {previewError
+                  ? "This video can't be previewed here, so the area can't be drawn. Whole frames will be captured."
+                  : 'Drag the box over the slides to leave out the speaker, webcam inset and player bars. Changes outside it are ignored too.'}
+              </p>
+            </div>
+
+            {/* Scene sensitivity */}
+            <div>
+              <label style={labelStyle}>Sensitivity</label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                <input
+                  type="range"
+                  min={40}
+                  max={95}
+                  step={5}
+                  value={sensitivity}
+                  onChange={(e) => setSensitivity(parseInt(e.target.value))}
+                  style={{ flex: 1 }}
+                />
+                <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', width: 36, textAlign: 'right' }}>
+                  {sensitivity}%
+                </span>
+              </div>
+              <p style={hintStyle}>
+                Raise it if slide changes are missed, lower it if animations or pointer movement add extra pages.
+              </p>
+            </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>
+              <input type="checkbox" checked={dedupe} onChange={(e) => setDedupe(e.target.checked)} />
+              Skip slides that repeat the previous one
+            </label>
+
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)' }}>
+              Each page shows the slide&apos;s time; clicking it opens the video at that moment in ReVid.
+              The text on the slides is recognised (English), so the PDF can be searched.
+            </p>
+
+            <button
+              className="btn btn-primary"
+              onClick={handleStart}
+              style={{ width: '100%', marginTop: 4 }}
+            >
+              Create PDF
+            </button>
+          </div>
+        )}
+
+        {step === STEP.PROCESSING && (
+          <div style={{ textAlign: 'center', padding: '20px 0' }}>
+            <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.7)', marginBottom: 16 }}>
+              {progress < 100 ? 'Capturing slides...' : 'Reading the text on the slides...'}
+            </p>
+            <div style={{ width: '100%', background: 'rgba(255,255,255,0.06)', borderRadius: 999, height: 8, overflow: 'hidden' }}>
+              <div style={{
+                height: '100%', background: '#3b82f6', borderRadius: 999,
+                transition: 'width 0.3s', width: `${progress}%`
+              }} />
+            </div>
+            <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>
+              {progress}%
+            </p>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} disabled={!jobId || progress >= 100} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
+          </div>
+        )}
+
+        {step === STEP.DONE && (
+          <div style={{ textAlign: 'center', padding: '20px 0' }}>
+            {error ? (
+              <>
+                <p style={{ fontSize: 14, color: '#f87171', marginBottom: 8 }}>Failed</p>
+                <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.4)' }}>{error}</p>
+              </>
+            ) : (
+              <>
+                <p style={{ fontSize: 14, color: '#4ade80', marginBottom: 8 }}>
+                  Created a {result?.count || 0}-page PDF
+                </p>
+                {result?.outputPath && (
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => getElectronAPI()?.revealInFolder(result.outputPath)}
+                    style={{ marginTop: 4 }}
+                  >
+                    Show PDF
+                  </button>
+                )}
+              </>
+            )}
+            <button
+              className="btn btn-ghost"
+              onClick={onClose}
+              style={{ marginTop: 16 }}
+            >
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
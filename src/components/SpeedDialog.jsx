@@ -1,5 +1,11 @@
 import { useState, useCallback, useEffect } from 'react';
 import { formatFileSize, formatDuration } from '../utils/videoMetadata';
+import { getLastProfile, setLastProfile } from '../utils/exportProfiles';
+import { ExportProfilePicker } from './ExportProfilePicker';
+import { BatchOptions, BatchModeTabs } from './BatchOptions';
+import { BatchProgress } from './BatchProgress';
+import { BatchSummary } from './BatchSummary';
+import { useBatch } from '../hooks/useBatch';
 
 const getElectronAPI = () => window.electronAPI || null;
 
@@ -14,12 +20,16 @@ const SPEEDS = [
   { label: '4x', value: 4 }
 ];
 
-export const SpeedDialog = ({ videoPath, videoDuration, onClose }) => {
+export const SpeedDialog = ({ videoPath, videoDuration, files = [], onClose }) => {
   const [speedIdx, setSpeedIdx] = useState(4); // default 2x
+  const [profile, setProfile] = useState(() => getLastProfile('speed'));
   const [step, setStep] = useState(STEP.CONFIG);
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const batch = useBatch(files, `{name}-${SPEEDS[4].label}`);
 
   const outputDuration = videoDuration / SPEEDS[speedIdx].value;
 
@@ -30,20 +40,32 @@ export const SpeedDialog = ({ videoPath, videoDuration, onClose }) => {
     const speed = SPEEDS[speedIdx];
     const ext = api.path.extname(videoPath);
     const base = api.path.basename(videoPath, ext);
-    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-${speed.label}.mp4`);
+    const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-${speed.label}.${profile.container}`);
     if (canceled || !outputPath) return;
 
+    setLastProfile('speed', profile);
+
     setStep(STEP.PROCESSING);
     setProgress(0);
     setError(null);
+    setJobId(null);
 
     try {
       const res = await api.speedVideo({
         inputPath: videoPath,
         outputPath,
         speed: speed.value,
+        profile,
         totalDuration: videoDuration
-      }, (pct) => setProgress(pct));
+      }, (pct, job) => {
+        setProgress(pct);
+        if (job) setJobId(job.id);
+      });
+
+      if (res.cancelled) {
+        setStep(STEP.CONFIG);
+        return;
+      }
 
       setResult(res);
       setStep(STEP.DONE);
@@ -52,11 +74,39 @@ export const SpeedDialog = ({ videoPath, videoDuration, onClose }) => {
       setError(err.message || String(err));
       setStep(STEP.DONE);
     }
-  }, [videoPath, videoDuration, speedIdx]);
+  }, [videoPath, videoDuration, speedIdx, profile]);
+
+  const handleStartBatch = useCallback(async () => {
+    const api = getElectronAPI();
+    if (!api || batch.queue.length === 0) return;
+    const dir = batch.outputDir || await batch.chooseOutputDir();
+    if (!dir) return;
+
+    setLastProfile('speed', profile);
+    setStep(STEP.PROCESSING);
+    await batch.run(dir, (file, { outputPath, meta, onProgress }) => api.speedVideo({
+      inputPath: file,
+      outputPath,
+      speed: SPEEDS[speedIdx].value,
+      profile,
+      totalDuration: meta?.duration || 0
+    }, onProgress), { ext: profile.container });
+    setStep(STEP.DONE);
+  }, [batch, speedIdx, profile]);
+
+  // Keep the default name template in step with the chosen speed
+  const selectSpeed = useCallback((i) => {
+    if (batch.template === `{name}-${SPEEDS[speedIdx].label}`) batch.setTemplate(`{name}-${SPEEDS[i].label}`);
+    setSpeedIdx(i);
+  }, [batch, speedIdx]);
+
+  const handleCancel = useCallback(() => {
+    if (jobId) getElectronAPI()?.cancelJob(jobId);
+  }, [jobId]);
 
   const handleKeyDown = useCallback((e) => {
-    if (e.key === 'Escape') onClose();
-  }, [onClose]);
+    if (e.key === 'Escape' && !batch.running) onClose();
+  }, [onClose, batch.running]);
 
   useEffect(() => {
     window.addEventListener('keydown', handleKeyDown);
@@ -75,49 +125,84 @@ export const SpeedDialog = ({ videoPath, videoDuration, onClose }) => {
       <div style={{
         background: '#1a1a1a', borderRadius: 12,
         border: '1px solid rgba(255,255,255,0.1)',
-        padding: 24, width: 400, maxWidth: '90vw'
+        padding: 24, width: 400, maxWidth: '90vw', maxHeight: '90vh', overflowY: 'auto'
       }}>
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 20 }}>
           <h3 style={{ fontSize: 16, fontWeight: 600, color: '#fff' }}>Speed Output</h3>
-          <button onClick={onClose} disabled={step === STEP.PROCESSING}
+          <button onClick={onClose}
             style={{ color: 'rgba(255,255,255,0.4)', fontSize: 18, padding: '2px 6px' }}>{'\u2715'}</button>
         </div>
 
         {step === STEP.CONFIG && (
           <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+            {files.length > 1 && (
+              <BatchModeTabs batchMode={batchMode} fileCount={files.length} onChange={setBatchMode} />
+            )}
+
             <div>
               <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginBottom: 8, display: 'block' }}>Speed</label>
               <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
                 {SPEEDS.map((s, i) => (
-                  <button key={s.label} onClick={() => setSpeedIdx(i)} style={{
+                  <button key={s.label} onClick={() => selectSpeed(i)} style={{
                     padding: '8px 14px', borderRadius: 6, fontSize: 13, fontWeight: 500,
                     background: i === speedIdx ? '#3b82f6' : 'rgba(255,255,255,0.06)',
                     color: i === speedIdx ? '#fff' : 'rgba(255,255,255,0.55)', transition: 'all 0.15s'
                   }}>{s.label}</button>
                 ))}
               </div>
-              <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>
-                {formatDuration(videoDuration)} {'\u2192'} {formatDuration(outputDuration)}
-              </p>
+              {!batchMode && (
+                <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>
+                  {formatDuration(videoDuration)} {'\u2192'} {formatDuration(outputDuration)}
+                </p>
+              )}
             </div>
 
-            <button className="btn btn-primary" onClick={handleStart} style={{ width: '100%', marginTop: 4 }}>
-              Export at {SPEEDS[speedIdx].label}
-            </button>
+            <ExportProfilePicker profile={profile} onChange={setProfile} />
+
+            {batchMode && <BatchOptions batch={batch} currentVideo={videoPath} ext={profile.container} />}
+
+            {batchMode ? (
+              <button
+                className="btn btn-primary"
+                onClick={handleStartBatch}
+                disabled={batch.queue.length === 0}
+                style={{ width: '100%', marginTop: 4 }}
+              >
+                Export {batch.queue.length} Videos at {SPEEDS[speedIdx].label}
+              </button>
+            ) : (
+              <button className="btn btn-primary" onClick={handleStart} style={{ width: '100%', marginTop: 4 }}>
+                Export at {SPEEDS[speedIdx].label}
+              </button>
+            )}
           </div>
         )}
 
-        {step === STEP.PROCESSING && (
+        {step === STEP.PROCESSING && batchMode && (
+          <BatchProgress current={batch.current} verb={`Processing at ${SPEEDS[speedIdx].label}`} onCancel={batch.cancel} />
+        )}
+
+        {step === STEP.DONE && batchMode && batch.results && (
+          <BatchSummary results={batch.results} queue={batch.queue} outputDir={batch.outputDir} onClose={onClose} />
+        )}
+
+        {step === STEP.PROCESSING && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.7)', marginBottom: 16 }}>Processing at {SPEEDS[speedIdx].label}...</p>
             <div style={{ width: '100%', background: 'rgba(255,255,255,0.06)', borderRadius: 999, height: 8, overflow: 'hidden' }}>
               <div style={{ height: '100%', background: '#3b82f6', borderRadius: 999, transition: 'width 0.3s', width: `${progress}%` }} />
             </div>
             <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)', marginTop: 8 }}>{progress}%</p>
+            <p style={{ fontSize: 11, color: 'rgba(255,255,255,0.3)', marginTop: 12 }}>
+              You can close this dialog — the export keeps running in Tasks.
+            </p>
+            <button className="btn btn-ghost" onClick={handleCancel} disabled={!jobId} style={{ marginTop: 16 }}>
+              Cancel
+            </button>
           </div>
         )}
 
-        {step === STEP.DONE && (
+        {step === STEP.DONE && !batchMode && (
           <div style={{ textAlign: 'center', padding: '20px 0' }}>
             {error ? (
               <>
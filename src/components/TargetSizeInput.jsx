@@ -0,0 +1,36 @@
+import { useState } from 'react';
+
+/**
+ * Target size field in MB. Typing is free, so the number can be cleared and
+ * retyped; each entry of at least 1 MB is passed on as it's typed, and on
+ * blur the field shows the last one again (a smaller entry becomes 1 MB).
+ * @param {{ value: number, onChange: (mb: number) => void, style?: object }} props
+ */
+export const TargetSizeInput = ({ value, onChange, style }) => {
+  const [draft, setDraft] = useState(null);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    const mb = parseFloat(e.target.value);
+    if (mb >= 1) onChange(mb);
+  };
+
+  const handleBlur = () => {
+    const mb = parseFloat(draft);
+    if (mb > 0 && mb < 1) onChange(1);
+    setDraft(null);
+  };
+
+  return (
+    <input
+      type="number"
+      min={1}
+      step={1}
+      value={draft ?? value}
+      onChange={handleChange}
+      onBlur={handleBlur}
+      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+      style={style}
+    />
+  );
+};
@@ -0,0 +1,150 @@
+import { useEffect, useMemo } from 'react';
+import { useTheme } from '../theme.jsx';
+import { useI18n } from '../i18n.jsx';
+import { formatDuration, formatFileSize } from '../utils/videoMetadata';
+import { isActiveJob } from '../hooks/useJobs';
+
+const PANEL_WIDTH = 360;
+
+const STATUS_ORDER = { running: 0, paused: 1, queued: 2, failed: 3, cancelled: 4, done: 5 };
+
+const STATUS_KEYS = {
+  queued: 'taskQueued',
+  running: 'taskRunning',
+  paused: 'taskPaused',
+  done: 'taskDone',
+  failed: 'taskFailed',
+  cancelled: 'taskCancelled'
+};
+
+// Remaining time extrapolated from elapsed run time (not counting time spent
+// paused) and current progress
+function estimateRemaining(job) {
+  if (job.status !== 'running' || !job.startedAt || !job.progress) return null;
+  const elapsed = (Date.now() - job.startedAt - (job.pausedMs || 0)) / 1000;
+  return elapsed * (100 - job.progress) / job.progress;
+}
+
+export const TaskCenter = ({ jobs, onCancel, onPause, onResume, onReveal, onClearFinished, onClose }) => {
+  const { t } = useI18n();
+  const { theme, isDark } = useTheme();
+
+  const sortedJobs = useMemo(() => [...jobs].sort((a, b) => {
+    const order = STATUS_ORDER[a.status] - STATUS_ORDER[b.status];
+    if (order !== 0) return order;
+    return (b.finishedAt || b.createdAt) - (a.finishedAt || a.createdAt);
+  }), [jobs]);
+
+  const hasFinished = jobs.some(j => !isActiveJob(j));
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const statusColor = (status) => {
+    if (status === 'done') return theme.success;
+    if (status === 'failed') return theme.error;
+    if (status === 'running') return theme.accent;
+    return theme.textTertiary;
+  };
+
+  const iconBtn = {
+    padding: '3px 8px', borderRadius: 4, fontSize: 11, fontWeight: 500,
+    background: theme.inputBg, color: theme.textSecondary,
+    border: 'none', cursor: 'pointer'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed', top: 56, right: 12, zIndex: 250,
+      width: PANEL_WIDTH, maxWidth: 'calc(100vw - 24px)', maxHeight: '60vh',
+      display: 'flex', flexDirection: 'column',
+      background: theme.dialogBg, borderRadius: 12,
+      border: `1px solid ${theme.borderSecondary}`,
+      boxShadow: '0 8px 32px rgba(0,0,0,0.35)'
+    }}>
+      <div style={{
+        display: 'flex', alignItems: 'center', gap: 8,
+        padding: '12px 16px', borderBottom: `1px solid ${theme.border}`
+      }}>
+        <h3 style={{ flex: 1, fontSize: 14, fontWeight: 600, color: theme.text }}>{t('tasks')}</h3>
+        {hasFinished && (
+          <button onClick={onClearFinished} style={iconBtn}>{t('clearFinished')}</button>
+        )}
+        <button onClick={onClose} title={t('close')}
+          style={{ color: theme.textTertiary, fontSize: 16, padding: '2px 6px', background: 'transparent', border: 'none', cursor: 'pointer' }}>
+          {'✕'}
+        </button>
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', padding: sortedJobs.length ? '4px 0' : 0 }}>
+        {sortedJobs.length === 0 && (
+          <p style={{ padding: '24px 16px', textAlign: 'center', fontSize: 12, color: theme.textTertiary }}>
+            {t('noTasks')}
+          </p>
+        )}
+
+        {sortedJobs.map(job => {
+          const active = isActiveJob(job);
+          const remaining = estimateRemaining(job);
+          const details = [];
+          if (job.status === 'running' || job.status === 'paused') details.push(`${job.progress}%`);
+          if (remaining != null) details.push(`${t('eta')} ${formatDuration(Math.max(1, remaining))}`);
+          if (job.outputSize) details.push(formatFileSize(job.outputSize));
+          if (job.status === 'failed' && job.error) details.push(job.error);
+
+          return (
+            <div key={job.id} style={{ padding: '10px 16px', borderBottom: `1px solid ${theme.border}` }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <span style={{
+                  flex: 1, fontSize: 12, color: theme.textSecondary,
+                  overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+                }} title={job.outputPath || job.label}>
+                  {job.label}
+                </span>
+                <span style={{ fontSize: 11, fontWeight: 500, color: statusColor(job.status), flexShrink: 0 }}>
+                  {t(STATUS_KEYS[job.status])}
+                </span>
+              </div>
+
+              {(job.status === 'running' || job.status === 'paused') && (
+                <div style={{ marginTop: 6, height: 4, borderRadius: 999, overflow: 'hidden', background: isDark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.08)' }}>
+                  <div style={{
+                    height: '100%', borderRadius: 999, transition: 'width 0.3s',
+                    width: `${job.progress}%`,
+                    background: job.status === 'paused' ? theme.textTertiary : theme.accent
+                  }} />
+                </div>
+              )}
+
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 6 }}>
+                <span style={{
+                  flex: 1, fontSize: 11, color: theme.textTertiary,
+                  overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+                }}>
+                  {details.join(' · ')}
+                </span>
+                {job.status === 'running' && job.canPause && (
+                  <button onClick={() => onPause(job.id)} style={iconBtn}>{t('pause')}</button>
+                )}
+                {job.status === 'paused' && (
+                  <button onClick={() => onResume(job.id)} style={iconBtn}>{t('resume')}</button>
+                )}
+                {active && (
+                  <button onClick={() => onCancel(job.id)} style={iconBtn}>{t('cancel')}</button>
+                )}
+                {job.status === 'done' && job.outputPath && (
+                  <button onClick={() => onReveal(job)} style={iconBtn}>{t('revealInFolder')}</button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -1,5 +1,8 @@
 import { useState, useEffect, useLayoutEffect, useCallback, useRef, useMemo } from 'react';
-import { generateVideoThumbnail, getCachedThumbnail } from '../utils/videoThumbnails';
+import { generateVideoThumbnail, getCachedThumbnail, retainFileEntries } from '../utils/videoThumbnails';
+import { buildFolderTree, flattenFolderTree, relativeFolder } from '../utils/folderTree';
+import { useWatchProgress } from '../hooks/useWatchProgress';
+import { WatchProgressOverlay } from './WatchProgressOverlay';
 
 const getElectronAPI = () => window.electronAPI || null;
 
@@ -7,11 +10,28 @@ const SIDEBAR_WIDTH_KEY = 'revid-sidebar-width';
 const MIN_WIDTH = 80;
 const MAX_WIDTH = 240;
 const DEFAULT_WIDTH = 140;
+const FOLDER_ROW_HEIGHT = 28;
+const INDENT = 10;
+
+// Index of the last row whose top offset is <= position
+const findRow = (offsets, position) => {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= position) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+};
 
 export const VideoSidebar = ({
   files,
   currentIndex,
-  onSelect
+  onSelect,
+  rootPath,
+  locations = [],
+  onOpenLocation
 }) => {
   const scrollContainerRef = useRef(null);
   const widthRef = useRef(null);
@@ -31,6 +51,7 @@ export const VideoSidebar = ({
   useEffect(() => { widthRef.current = width; }, [width]);
 
   const [thumbnails, setThumbnails] = useState({});
+  const watchProgress = useWatchProgress(files);
   const generatingRef = useRef(new Set());
   const failedRef = useRef(new Set());
 
@@ -42,14 +63,54 @@ export const VideoSidebar = ({
   const ITEM_HEIGHT = Math.round(thumbSize * 9 / 16) + 32 + ITEM_GAP;
   const OVERSCAN = 3;
 
+  // Collapsible folder tree (recursive scans); a flat list is just root-level rows
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const tree = useMemo(() => buildFolderTree(files, rootPath), [files, rootPath]);
+  const rows = useMemo(() => flattenFolderTree(tree, collapsed), [tree, collapsed]);
+
+  const rowOffsets = useMemo(() => {
+    const offsets = [];
+    let top = 0;
+    for (const row of rows) {
+      offsets.push(top);
+      top += row.type === 'folder' ? FOLDER_ROW_HEIGHT : ITEM_HEIGHT;
+    }
+    offsets.push(top);
+    return offsets;
+  }, [rows, ITEM_HEIGHT]);
+
   const visibleRange = useMemo(() => {
-    const startIndex = Math.max(0, Math.floor(scrollPosition / ITEM_HEIGHT) - OVERSCAN);
-    const visibleCount = Math.ceil(containerSize / ITEM_HEIGHT) + OVERSCAN * 2;
-    const endIndex = Math.min(files.length - 1, startIndex + visibleCount);
+    if (rows.length === 0) return { startIndex: 0, endIndex: -1 };
+    const startIndex = Math.max(0, findRow(rowOffsets, scrollPosition) - OVERSCAN);
+    const endIndex = Math.min(rows.length - 1, findRow(rowOffsets, scrollPosition + containerSize) + OVERSCAN);
     return { startIndex, endIndex };
-  }, [scrollPosition, containerSize, ITEM_HEIGHT, files.length]);
+  }, [rows.length, rowOffsets, scrollPosition, containerSize]);
+
+  const totalSize = rowOffsets[rowOffsets.length - 1];
+
+  const toggleFolder = useCallback((folderPath) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(folderPath)) next.delete(folderPath);
+      else next.add(folderPath);
+      return next;
+    });
+  }, []);
 
-  const totalSize = files.length * ITEM_HEIGHT;
+  // Reveal the playing video when next/prev moves it into a collapsed folder
+  useEffect(() => {
+    const file = files[currentIndex];
+    if (!file) return;
+    const folder = relativeFolder(file, rootPath);
+    if (!folder) return;
+    setCollapsed(prev => {
+      const ancestors = folder.split('/').map((_, i, parts) => parts.slice(0, i + 1).join('/'));
+      if (!ancestors.some(path => prev.has(path))) return prev;
+      const next = new Set(prev);
+      ancestors.forEach(path => next.delete(path));
+      return next;
+    });
+  }, [files, currentIndex, rootPath]);
 
   const handleScroll = useCallback((e) => {
     setScrollPosition(e.target.scrollTop);
@@ -66,7 +127,7 @@ export const VideoSidebar = ({
   }, []);
 
   useEffect(() => {
-    setThumbnails({});
+    setThumbnails(prev => retainFileEntries(prev, files));
     generatingRef.current.clear();
     failedRef.current.clear();
   }, [files]);
@@ -119,18 +180,26 @@ export const VideoSidebar = ({
 
   const prevFilesRef = useRef(files);
   const isInitialMount = useRef(true);
+  // Folder toggles re-run this effect; only a new selection or file list scrolls.
+  const scrolledToRef = useRef(-1);
 
   useLayoutEffect(() => {
     const container = scrollContainerRef.current;
     if (!container || currentIndex < 0 || files.length === 0) return;
 
+    // Not laid out yet while its folder is collapsed; revealed on the next pass
+    const row = rows.findIndex(r => r.type === 'video' && r.index === currentIndex);
+    if (row === -1) return;
+
     const albumChanged = prevFilesRef.current !== files;
+    if (!isInitialMount.current && !albumChanged && scrolledToRef.current === currentIndex) return;
     prevFilesRef.current = files;
+    scrolledToRef.current = currentIndex;
 
     const shouldInstant = isInitialMount.current || albumChanged;
     if (isInitialMount.current) isInitialMount.current = false;
 
-    const scrollPos = currentIndex * ITEM_HEIGHT;
+    const scrollPos = rowOffsets[row];
 
     if (shouldInstant) {
       container.scrollTop = Math.max(0, scrollPos - container.clientHeight / 2 + ITEM_HEIGHT / 2);
@@ -143,7 +212,7 @@ export const VideoSidebar = ({
       }, 50);
       return () => clearTimeout(timeoutId);
     }
-  }, [currentIndex, ITEM_HEIGHT, files]);
+  }, [currentIndex, ITEM_HEIGHT, files, rows, rowOffsets]);
 
   const handleResizeMouseDown = useCallback((e) => {
     e.preventDefault();
@@ -187,6 +256,46 @@ export const VideoSidebar = ({
       display: 'flex', flexDirection: 'column',
       position: 'relative', overflow: 'hidden'
     }}>
+      {/* Saved library locations: one click switches the open folder */}
+      {locations.length > 0 && (
+        <div style={{
+          flexShrink: 0, maxHeight: '30%', overflowY: 'auto',
+          padding: '6px 0', scrollbarWidth: 'none',
+          borderBottom: '1px solid rgba(255,255,255,0.05)'
+        }}>
+          {locations.map(loc => {
+            const isCurrent = loc.path === rootPath;
+            return (
+              <div
+                key={loc.id}
+                role="button"
+                tabIndex={0}
+                onClick={() => onOpenLocation?.(loc.path)}
+                onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') onOpenLocation?.(loc.path); }}
+                title={loc.path}
+                style={{
+                  height: FOLDER_ROW_HEIGHT, padding: '0 10px',
+                  display: 'flex', alignItems: 'center', gap: 6,
+                  cursor: 'pointer',
+                  fontSize: 11, fontWeight: isCurrent ? 600 : 500,
+                  color: isCurrent ? '#3b82f6' : 'rgba(255,255,255,0.6)',
+                  background: isCurrent ? 'rgba(59,130,246,0.1)' : 'transparent'
+                }}
+                onMouseEnter={(e) => { if (!isCurrent) e.currentTarget.style.background = 'rgba(255,255,255,0.05)'; }}
+                onMouseLeave={(e) => { if (!isCurrent) e.currentTarget.style.background = 'transparent'; }}
+              >
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0 }}>
+                  <path d="M20 20a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.9a2 2 0 0 1-1.69-.9L9.6 3.9A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13a2 2 0 0 0 2 2Z" />
+                </svg>
+                <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {loc.name}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       <div
         ref={scrollContainerRef}
         onScroll={handleScroll}
@@ -198,8 +307,45 @@ export const VideoSidebar = ({
         }}
       >
         <div style={{ height: totalSize, width: '100%', position: 'relative' }}>
-          {files.slice(visibleRange.startIndex, visibleRange.endIndex + 1).map((file, i) => {
-            const index = visibleRange.startIndex + i;
+          {rows.slice(visibleRange.startIndex, visibleRange.endIndex + 1).map((row, i) => {
+            const top = rowOffsets[visibleRange.startIndex + i];
+            const indent = row.depth * INDENT;
+
+            if (row.type === 'folder') {
+              const isCollapsed = collapsed.has(row.node.path);
+              return (
+                <div
+                  key={`folder:${row.node.path}`}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => toggleFolder(row.node.path)}
+                  onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') toggleFolder(row.node.path); }}
+                  aria-expanded={!isCollapsed}
+                  title={row.node.path}
+                  style={{
+                    position: 'absolute',
+                    top, left: 8 + indent, right: 8,
+                    height: FOLDER_ROW_HEIGHT,
+                    display: 'flex', alignItems: 'center', gap: 4,
+                    cursor: 'pointer',
+                    fontSize: 11, fontWeight: 500,
+                    color: 'rgba(255,255,255,0.75)'
+                  }}
+                >
+                  <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"
+                    style={{ flexShrink: 0, transform: isCollapsed ? 'rotate(-90deg)' : undefined, transition: 'transform 0.15s' }}>
+                    <polyline points="6 9 12 15 18 9" />
+                  </svg>
+                  <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {row.node.name}
+                  </span>
+                  <span style={{ flexShrink: 0, color: 'rgba(255,255,255,0.35)' }}>{row.node.count}</span>
+                </div>
+              );
+            }
+
+            const index = row.index;
+            const file = files[index];
             const isActive = index === currentIndex;
             const thumb = thumbnails[file];
             const fileName = getFileName(file);
@@ -215,9 +361,9 @@ export const VideoSidebar = ({
                 aria-label={`Play video ${fileName}`}
                 style={{
                   position: 'absolute',
-                  top: index * ITEM_HEIGHT + 8,
-                  left: 12,
-                  width: thumbSize,
+                  top: top + 8,
+                  left: 12 + indent,
+                  width: thumbSize - indent,
                   cursor: 'pointer',
                   display: 'flex', flexDirection: 'column', alignItems: 'center',
                   transition: 'transform 0.1s'
@@ -236,7 +382,7 @@ export const VideoSidebar = ({
                 </div>
 
                 <div style={{
-                  width: thumbSize, height: thumbHeight,
+                  width: thumbSize - indent, height: thumbHeight,
                   borderRadius: 8, overflow: 'hidden',
                   border: isActive ? '2px solid #3b82f6' : '2px solid transparent',
                   background: 'rgba(0,0,0,0.5)',
@@ -265,6 +411,7 @@ export const VideoSidebar = ({
                       }} />
                     </div>
                   )}
+                  <WatchProgressOverlay entry={watchProgress[file]} compact />
                 </div>
 
                 <div style={{
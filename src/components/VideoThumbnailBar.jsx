@@ -1,6 +1,8 @@
 import { useState, useEffect, useLayoutEffect, useCallback, useRef, useMemo } from 'react';
-import { generateVideoThumbnail, getCachedThumbnail } from '../utils/videoThumbnails';
+import { generateVideoThumbnail, getCachedThumbnail, retainFileEntries } from '../utils/videoThumbnails';
 import { useTheme } from '../theme.jsx';
+import { useWatchProgress } from '../hooks/useWatchProgress';
+import { WatchProgressOverlay } from './WatchProgressOverlay';
 
 const getElectronAPI = () => window.electronAPI || null;
 
@@ -23,6 +25,7 @@ export const VideoThumbnailBar = ({
     const { isDark } = useTheme();
     const isHorizontal = position === 'bottom';
     const scrollContainerRef = useRef(null);
+    const watchProgress = useWatchProgress(files);
 
     // Separate width (for left) and height (for bottom)
     const [width, setWidth] = useState(() => {
@@ -157,9 +160,9 @@ export const VideoThumbnailBar = ({
         return () => observer.disconnect();
     }, [isHorizontal]);
 
-    // Reset thumbnails when files change
+    // Drop thumbnails of files no longer listed when files change
     useEffect(() => {
-        setThumbnails({});
+        setThumbnails(prev => retainFileEntries(prev, files));
         generatingRef.current.clear();
         failedRef.current.clear();
     }, [files]);
@@ -391,6 +394,7 @@ export const VideoThumbnailBar = ({
                         <div style={{ position: 'absolute', top: 3, left: 3, background: 'rgba(0,0,0,0.6)', padding: '1px 4px', borderRadius: 3, fontSize: 9, color: 'rgba(255,255,255,0.7)' }}>
                             {index + 1}
                         </div>
+                        <WatchProgressOverlay entry={watchProgress[file]} compact />
                     </div>
                     <div style={{ marginTop: 2, fontSize: 9, fontWeight: 500, textAlign: 'center', width: thumbSize.width, padding: '0 2px', color: isActive ? '#3b82f6' : textNormal, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                         {fileName}
@@ -435,6 +439,7 @@ export const VideoThumbnailBar = ({
                                 <div style={{ width: 16, height: 16, border: `2px solid ${spinnerBorder}`, borderTopColor: spinnerActive, borderRadius: '50%', animation: 'spin 1s linear infinite' }} />
                             </div>
                         )}
+                        <WatchProgressOverlay entry={watchProgress[file]} compact />
                     </div>
                     <div style={{ marginTop: 4, fontSize: 10, fontWeight: 500, textAlign: 'center', width: '100%', padding: '0 4px', color: isActive ? '#3b82f6' : textBright, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                         {fileName}
@@ -1,17 +1,38 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { generateVideoThumbnail, getCachedThumbnail } from '../utils/videoThumbnails';
+import { Fragment, useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { generateVideoThumbnail, getCachedThumbnail, retainFileEntries } from '../utils/videoThumbnails';
 import { getVideoMetadata, formatDuration, formatFileSize } from '../utils/videoMetadata';
+import { relativeFolder } from '../utils/folderTree';
+import { useWatchProgress } from '../hooks/useWatchProgress';
+import { WatchProgressOverlay } from './WatchProgressOverlay';
 import { useTheme } from '../theme.jsx';
 
 const getElectronAPI = () => window.electronAPI || null;
 
+// File name with search matches ([start, end) ranges) wrapped in <mark>
+const renderHighlighted = (text, ranges, markStyle) => {
+  if (!ranges?.length) return text;
+  const parts = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (start > pos) parts.push(text.slice(pos, start));
+    parts.push(<mark key={start} style={markStyle}>{text.slice(start, end)}</mark>);
+    pos = end;
+  }
+  if (pos < text.length) parts.push(text.slice(pos));
+  return parts;
+};
+
 export const VideoThumbnailGrid = ({
   files,
   currentIndex,
   onSelectVideo,
   size = 'medium',
   isPinned,
-  onTogglePin
+  onTogglePin,
+  rootPath,
+  highlights,
+  activeIndex = -1,
+  emptyText = 'Open a folder to browse videos'
 }) => {
   const { theme, isDark } = useTheme();
   const sizes = { small: 128, medium: 192, large: 256 };
@@ -24,10 +45,17 @@ export const VideoThumbnailGrid = ({
   const hoverTimeoutRef = useRef(null);
   const generatingRef = useRef(new Set());
   const failedRef = useRef(new Set());
+  const watchProgress = useWatchProgress(files);
 
+  // Keep the keyboard-selected search result in view
   useEffect(() => {
-    setThumbnails({});
-    setMetadata({});
+    if (activeIndex < 0) return;
+    document.querySelector(`[data-grid-item="${activeIndex}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  useEffect(() => {
+    setThumbnails(prev => retainFileEntries(prev, files));
+    setMetadata(prev => retainFileEntries(prev, files));
     generatingRef.current.clear();
     failedRef.current.clear();
   }, [files]);
@@ -66,7 +94,7 @@ export const VideoThumbnailGrid = ({
         if (meta) {
           const api = getElectronAPI();
           const fileSize = api?.getFileSize ? api.getFileSize(file) : 0;
-          setMetadata(prev => ({ ...prev, [file]: { ...meta, fileSize } }));
+          setMetadata(prev => prev[file] ? prev : { ...prev, [file]: { ...meta, fileSize } });
         }
 
         generatingRef.current.delete(file);
@@ -124,6 +152,24 @@ export const VideoThumbnailGrid = ({
     return filePath.split(/[\\/]/).pop() || filePath;
   }, []);
 
+  // Subfolder headings for recursive scans: { [index of first file]: { folder, count } }.
+  // Files arrive grouped by folder (see useSortFilter), so a new group starts
+  // wherever the folder changes.
+  const folderGroups = useMemo(() => {
+    const folders = files.map(file => relativeFolder(file, rootPath));
+    if (!folders.some(Boolean)) return null;
+    const groups = {};
+    let start = -1;
+    folders.forEach((folder, index) => {
+      if (index === 0 || folder !== folders[index - 1]) {
+        start = index;
+        groups[index] = { folder, count: 0 };
+      }
+      groups[start].count++;
+    });
+    return groups;
+  }, [files, rootPath]);
+
   if (files.length === 0) {
     return (
       <div style={{
@@ -136,7 +182,7 @@ export const VideoThumbnailGrid = ({
           <rect x="2" y="2" width="20" height="20" rx="2.18" ry="2.18" />
           <polygon points="10 8 16 12 10 16 10 8" />
         </svg>
-        <p style={{ fontSize: 18 }}>Open a folder to browse videos</p>
+        <p style={{ fontSize: 18 }}>{emptyText}</p>
       </div>
     );
   }
@@ -155,126 +201,154 @@ export const VideoThumbnailGrid = ({
       }}>
         {files.map((file, index) => {
           const isCurrent = index === currentIndex;
+          const isActive = index === activeIndex;
+          const nameRanges = highlights?.get(file);
           const thumb = thumbnails[file];
           const meta = metadata[file];
           const fileName = getFileName(file);
+          const group = folderGroups?.[index];
 
           return (
-            <div
-              key={file}
-              data-grid-item={index}
-              role="button"
-              tabIndex={0}
-              onClick={() => onSelectVideo(index)}
-              onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') onSelectVideo(index); }}
-              onMouseEnter={() => handleHoverStart(file, index)}
-              onMouseLeave={handleHoverEnd}
-              draggable
-              onDragStart={(e) => {
-                e.preventDefault();
-                const api = getElectronAPI();
-                if (api?.startDrag) api.startDrag(file);
-              }}
-              aria-label={`Play video ${fileName}`}
-              style={{
-                position: 'relative',
-                cursor: 'pointer',
-                borderRadius: 8,
-                overflow: 'hidden',
-                background: 'rgba(0,0,0,0.5)',
-                aspectRatio: '16/9',
-                outline: isCurrent ? '2px solid #3b82f6' : 'none',
-                outlineOffset: -2,
-                transform: isCurrent ? 'scale(1.03)' : undefined,
-                transition: 'transform 0.2s, outline 0.2s'
-              }}
-            >
-              {thumb ? (
-                <img
-                  src={thumb}
-                  alt={fileName}
-                  style={{ width: '100%', height: '100%', objectFit: 'cover' }}
-                  draggable={false}
-                />
-              ) : (
+            <Fragment key={file}>
+              {group && (
                 <div style={{
-                  width: '100%', height: '100%',
-                  display: 'flex', alignItems: 'center', justifyContent: 'center',
-                  background: 'rgba(0,0,0,0.3)'
+                  gridColumn: '1 / -1',
+                  display: 'flex', alignItems: 'center', gap: 8,
+                  marginTop: index === 0 ? 0 : 12,
+                  paddingBottom: 6,
+                  borderBottom: `1px solid ${theme.border}`,
+                  color: theme.textSecondary, fontSize: 13, fontWeight: 500
                 }}>
-                  <div style={{
-                    width: 24, height: 24,
-                    border: '2px solid rgba(255,255,255,0.3)',
-                    borderTopColor: 'rgba(255,255,255,0.8)',
-                    borderRadius: '50%',
-                    animation: 'spin 1s linear infinite'
-                  }} />
+                  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0 }}>
+                    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+                  </svg>
+                  <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {group.folder || (rootPath ? getFileName(rootPath) : '/')}
+                  </span>
+                  <span style={{ fontSize: 11, color: theme.textTertiary, flexShrink: 0 }}>{group.count}</span>
                 </div>
               )}
-
-              {/* Index badge */}
-              <div style={{
-                position: 'absolute', top: 6, left: 6, zIndex: 3,
-                background: 'rgba(0,0,0,0.6)',
-                padding: '2px 6px', borderRadius: 4,
-                fontSize: 10, color: 'rgba(255,255,255,0.7)'
-              }}>
-                {index + 1}
-              </div>
-
-              {/* Pin button */}
-              {onTogglePin && (
-                <button
-                  onClick={(e) => { e.stopPropagation(); onTogglePin(file); }}
-                  style={{
-                    position: 'absolute', bottom: 6, right: 6, zIndex: 4,
-                    width: 24, height: 24, borderRadius: '50%',
-                    background: isPinned?.(file) ? 'rgba(251,191,36,0.9)' : 'rgba(0,0,0,0.5)',
+              <div
+                data-grid-item={index}
+                role="button"
+                tabIndex={0}
+                onClick={() => onSelectVideo(index)}
+                onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') onSelectVideo(index); }}
+                onMouseEnter={() => handleHoverStart(file, index)}
+                onMouseLeave={handleHoverEnd}
+                draggable
+                onDragStart={(e) => {
+                  e.preventDefault();
+                  const api = getElectronAPI();
+                  if (api?.startDrag) api.startDrag(file);
+                }}
+                aria-label={`Play video ${fileName}`}
+                style={{
+                  position: 'relative',
+                  cursor: 'pointer',
+                  borderRadius: 8,
+                  overflow: 'hidden',
+                  background: 'rgba(0,0,0,0.5)',
+                  aspectRatio: '16/9',
+                  outline: isActive ? `2px solid ${theme.accent}` : isCurrent ? '2px solid #3b82f6' : 'none',
+                  outlineOffset: isActive ? 2 : -2,
+                  transform: isCurrent || isActive ? 'scale(1.03)' : undefined,
+                  transition: 'transform 0.2s, outline 0.2s'
+                }}
+              >
+                {thumb ? (
+                  <img
+                    src={thumb}
+                    alt={fileName}
+                    style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                    draggable={false}
+                  />
+                ) : (
+                  <div style={{
+                    width: '100%', height: '100%',
                     display: 'flex', alignItems: 'center', justifyContent: 'center',
-                    opacity: isPinned?.(file) ? 1 : (hoverIndex === index ? 0.8 : 0),
-                    transition: 'opacity 0.2s',
-                    pointerEvents: 'auto'
-                  }}
-                  title={isPinned?.(file) ? 'Unpin' : 'Pin'}
-                >
-                  <svg width="12" height="12" viewBox="0 0 24 24" fill={isPinned?.(file) ? '#fff' : 'none'} stroke="#fff" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                    <path d="M12 17v5" /><path d="M9 10.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24V16h14v-.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V7a1 1 0 0 1 1-1 2 2 0 0 0 0-4H8a2 2 0 0 0 0 4 1 1 0 0 1 1 1z" />
-                  </svg>
-                </button>
-              )}
+                    background: 'rgba(0,0,0,0.3)'
+                  }}>
+                    <div style={{
+                      width: 24, height: 24,
+                      border: '2px solid rgba(255,255,255,0.3)',
+                      borderTopColor: 'rgba(255,255,255,0.8)',
+                      borderRadius: '50%',
+                      animation: 'spin 1s linear infinite'
+                    }} />
+                  </div>
+                )}
 
-              {/* Duration badge */}
-              {meta && meta.duration > 0 && (
+                {/* Index badge */}
                 <div style={{
-                  position: 'absolute', top: 6, right: 6, zIndex: 3,
-                  background: 'rgba(0,0,0,0.7)',
+                  position: 'absolute', top: 6, left: 6, zIndex: 3,
+                  background: 'rgba(0,0,0,0.6)',
                   padding: '2px 6px', borderRadius: 4,
-                  fontSize: 10, color: '#fff', fontVariantNumeric: 'tabular-nums'
+                  fontSize: 10, color: 'rgba(255,255,255,0.7)'
                 }}>
-                  {formatDuration(meta.duration)}
+                  {index + 1}
                 </div>
-              )}
 
-              {/* Bottom info overlay */}
-              <div style={{
-                position: 'absolute', inset: 0, zIndex: 3,
-                display: 'flex', flexDirection: 'column', justifyContent: 'flex-end',
-                background: 'linear-gradient(transparent 50%, rgba(0,0,0,0.85))',
-                padding: 8, opacity: hoverIndex === index ? 1 : 0,
-                transition: 'opacity 0.2s', pointerEvents: 'none'
-              }}>
-                <p style={{
-                  fontSize: 12, color: 'rgba(255,255,255,0.95)', fontWeight: 500,
-                  whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis'
-                }}>{fileName}</p>
-                {meta && (
-                  <p style={{ fontSize: 10, color: 'rgba(255,255,255,0.6)', marginTop: 2 }}>
-                    {meta.width && meta.height ? `${meta.width}×${meta.height}` : ''}
-                    {meta.fileSize ? ` · ${formatFileSize(meta.fileSize)}` : ''}
-                  </p>
+                {/* Pin button */}
+                {onTogglePin && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onTogglePin(file); }}
+                    style={{
+                      position: 'absolute', bottom: 6, right: 6, zIndex: 4,
+                      width: 24, height: 24, borderRadius: '50%',
+                      background: isPinned?.(file) ? 'rgba(251,191,36,0.9)' : 'rgba(0,0,0,0.5)',
+                      display: 'flex', alignItems: 'center', justifyContent: 'center',
+                      opacity: isPinned?.(file) ? 1 : (hoverIndex === index ? 0.8 : 0),
+                      transition: 'opacity 0.2s',
+                      pointerEvents: 'auto'
+                    }}
+                    title={isPinned?.(file) ? 'Unpin' : 'Pin'}
+                  >
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill={isPinned?.(file) ? '#fff' : 'none'} stroke="#fff" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M12 17v5" /><path d="M9 10.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24V16h14v-.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V7a1 1 0 0 1 1-1 2 2 0 0 0 0-4H8a2 2 0 0 0 0 4 1 1 0 0 1 1 1z" />
+                    </svg>
+                  </button>
+                )}
+
+                {/* Duration badge */}
+                {meta && meta.duration > 0 && (
+                  <div style={{
+                    position: 'absolute', top: 6, right: 6, zIndex: 3,
+                    background: 'rgba(0,0,0,0.7)',
+                    padding: '2px 6px', borderRadius: 4,
+                    fontSize: 10, color: '#fff', fontVariantNumeric: 'tabular-nums'
+                  }}>
+                    {formatDuration(meta.duration)}
+                  </div>
                 )}
+
+                <WatchProgressOverlay entry={watchProgress[file]} />
+
+                {/* Bottom info overlay */}
+                <div style={{
+                  position: 'absolute', inset: 0, zIndex: 3,
+                  display: 'flex', flexDirection: 'column', justifyContent: 'flex-end',
+                  background: 'linear-gradient(transparent 50%, rgba(0,0,0,0.85))',
+                  padding: 8, opacity: hoverIndex === index || highlights ? 1 : 0,
+                  transition: 'opacity 0.2s', pointerEvents: 'none'
+                }}>
+                  <p style={{
+                    fontSize: 12, color: 'rgba(255,255,255,0.95)', fontWeight: 500,
+                    whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis'
+                  }}>
+                    {renderHighlighted(fileName, nameRanges, {
+                      background: 'rgba(250,204,21,0.35)', color: '#fff', borderRadius: 2
+                    })}
+                  </p>
+                  {meta && (
+                    <p style={{ fontSize: 10, color: 'rgba(255,255,255,0.6)', marginTop: 2 }}>
+                      {meta.width && meta.height ? `${meta.width}×${meta.height}` : ''}
+                      {meta.fileSize ? ` · ${formatFileSize(meta.fileSize)}` : ''}
+                    </p>
+                  )}
+                </div>
               </div>
-            </div>
+            </Fragment>
           );
         })}
       </div>
@@ -0,0 +1,46 @@
+import { useI18n } from '../i18n.jsx';
+import { progressFraction } from '../utils/watchProgress';
+
+/**
+ * Resume progress bar along the bottom of a thumbnail, plus a "watched" badge
+ * for completed files. Render inside a position: relative thumbnail box.
+ * @param {object} props.entry - watch progress entry (see utils/watchProgress)
+ * @param {boolean} [props.compact] - smaller badge for filmstrip thumbnails
+ */
+export const WatchProgressOverlay = ({ entry, compact = false }) => {
+  const { t } = useI18n();
+  if (!entry) return null;
+  const fraction = progressFraction(entry);
+
+  return (
+    <>
+      {entry.completed && (
+        <div
+          title={t('watched')}
+          style={{
+            position: 'absolute', bottom: compact ? 5 : 8, left: compact ? 3 : 6, zIndex: 4,
+            display: 'flex', alignItems: 'center', gap: 3,
+            padding: compact ? '1px 3px' : '2px 6px', borderRadius: compact ? 3 : 4,
+            background: 'rgba(22,163,74,0.85)', color: '#fff',
+            fontSize: compact ? 9 : 10, fontWeight: 600,
+            pointerEvents: 'none'
+          }}
+        >
+          <svg width={compact ? 8 : 10} height={compact ? 8 : 10} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
+            <polyline points="20 6 9 17 4 12" />
+          </svg>
+          {!compact && t('watched')}
+        </div>
+      )}
+      {fraction > 0 && (
+        <div style={{
+          position: 'absolute', left: 0, right: 0, bottom: 0, zIndex: 4,
+          height: compact ? 2 : 3, background: 'rgba(255,255,255,0.25)',
+          pointerEvents: 'none'
+        }}>
+          <div style={{ width: `${fraction * 100}%`, height: '100%', background: '#ef4444' }} />
+        </div>
+      )}
+    </>
+  );
+};
@@ -1,6 +1,14 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { CropOverlay, getDefaultCrop } from './components/CropOverlay';
 import { TrimTimeline } from './components/TrimTimeline';
+import { SubtitleSettings, formatOffset } from '../viewer/SubtitleSettings';
+import { decodeSubtitleBytes, parseSubtitles, loadSubtitleStyle, saveSubtitleStyle } from '../../utils/subtitles';
+import {
+    sourceOrder, keptSegments, keptDuration, segmentAt, isUnedited, nearestKeyframe, hasOffKeyframeCut
+} from '../../utils/editSegments';
+import { useEditSegments } from '../../hooks/useEditSegments';
+import { getLastProfile, setLastProfile, profileSummary } from '../../utils/exportProfiles';
+import { ExportProfilePicker } from '../../components/ExportProfilePicker';
 
 const STEP = { EDIT: 'edit', PROCESSING: 'processing' };
 
@@ -13,6 +21,14 @@ const PRESETS = [
     { label: '4:5', ar: 4 / 5 },
 ];
 
+// Export modes: re-encode (crop, subtitles), stream copy with cuts snapped to
+// keyframes, or copy with only the edge GOPs re-encoded (one segment)
+const EXPORT_MODES = [
+    { id: 'encode', label: 'Re-encode', title: 'Crop and re-encode the video' },
+    { id: 'copy', label: 'Lossless', title: 'Copy the streams without re-encoding; cuts snap to keyframes' },
+    { id: 'smart', label: 'Smart cut', title: 'Copy the streams and re-encode only around the cut points (one segment, H.264/HEVC)' },
+];
+
 const getElectronAPI = () => window.electronAPI || null;
 
 function getVideoDisplayRect(container, videoW, videoH) {
@@ -64,6 +80,9 @@ async function generateThumbnails(videoSrc, count = 15) {
 export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
     const containerRef = useRef(null);
     const videoRef = useRef(null);
+    // Kept segment the preview is playing, to carry on with the next one in
+    // export order when it ends (null after a seek)
+    const playingIdRef = useRef(null);
 
     const [step, setStep] = useState(STEP.EDIT);
     const [videoDims, setVideoDims] = useState(null);
@@ -74,14 +93,41 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
     const [displayRect, setDisplayRect] = useState(null);
     const [aspectIdx, setAspectIdx] = useState(0);
     const [crop, setCrop] = useState(null);
-    const [trimStart, setTrimStart] = useState(0);
-    const [trimEnd, setTrimEnd] = useState(0);
+    const [selectedId, setSelectedId] = useState(null);
     const [thumbnails, setThumbnails] = useState([]);
     const [progressPct, setProgressPct] = useState(0);
     const [stage, setStage] = useState('');
     const [error, setError] = useState(null);
+    const [jobId, setJobId] = useState(null);
+    // Subtitles to burn in: { name, content, format } | null
+    const [burnSubtitles, setBurnSubtitles] = useState(null);
+    const [subtitleError, setSubtitleError] = useState(null);
+    const [subtitleStyle, setSubtitleStyle] = useState(loadSubtitleStyle);
+    const [subtitleOffset, setSubtitleOffset] = useState(0);
+    const [subtitlePanel, setSubtitlePanel] = useState(null); // { x, y } | null
+    const [keyframes, setKeyframes] = useState(null); // { times, smartCut, smartCutError } | null
+    // The keyframe scan reads the whole file, so it only runs once a lossless
+    // mode is picked: null (not run), 'scanning' or { error }
+    const [keyframeScan, setKeyframeScan] = useState(null);
+    const scanIdRef = useRef(0);
+    const [cutsSnapped, setCutsSnapped] = useState(false);
+    const [exportMode, setExportMode] = useState('encode');
+    const [profile, setProfile] = useState(() => getLastProfile('editor'));
+    const [profilePanel, setProfilePanel] = useState(null); // { x, y } | null
 
     const aspectRatio = PRESETS[aspectIdx].ar;
+    const edit = useEditSegments(videoPath, duration);
+    const { segments } = edit;
+    const kept = keptSegments(segments);
+    const selected = segments.find(s => s.id === selectedId) || null;
+    // Until the scan says otherwise, smart cut is assumed possible
+    const smartCutAvailable = kept.length === 1 && (!keyframes || keyframes.smartCut);
+    const mode = exportMode === 'smart' && !smartCutAvailable ? 'copy' : exportMode;
+    const lossless = mode !== 'encode';
+    // Lossless copies can only start on a keyframe, so new cuts snap to one
+    const snapTime = useCallback((time) => (
+        mode === 'copy' && keyframes ? nearestKeyframe(keyframes.times, time) : time
+    ), [mode, keyframes]);
 
     const updateDisplayRect = useCallback((dims) => {
         if (!containerRef.current || !dims) return;
@@ -97,7 +143,6 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
             const dims = { width: v.videoWidth, height: v.videoHeight };
             setVideoDims(dims);
             setDuration(v.duration);
-            setTrimEnd(v.duration);
             setCrop(getDefaultCrop(dims.width, dims.height, null));
             updateDisplayRect(dims);
         };
@@ -113,28 +158,98 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
         return () => { cancelled = true; };
     }, [videoSrc]);
 
+    useEffect(() => {
+        scanIdRef.current++;
+        setKeyframes(null);
+        setKeyframeScan(null);
+        setCutsSnapped(false);
+        setExportMode('encode');
+    }, [videoPath]);
+
+    const scanKeyframes = useCallback(() => {
+        const api = getElectronAPI();
+        if (!videoPath || !api?.getKeyframes) return;
+        const scanId = ++scanIdRef.current;
+        setKeyframeScan('scanning');
+        api.getKeyframes(videoPath).then(result => {
+            if (scanId !== scanIdRef.current) return;
+            if (!result?.success || result.keyframes.length === 0) {
+                setKeyframeScan({ error: result?.error || 'No keyframes found' });
+                return;
+            }
+            setKeyframes({ times: result.keyframes, smartCut: result.smartCut, smartCutError: result.smartCutError });
+            setKeyframeScan(null);
+        });
+    }, [videoPath]);
+
+    const handlePickMode = useCallback((id) => {
+        setExportMode(id);
+        if (id !== 'encode' && !keyframes && keyframeScan !== 'scanning') scanKeyframes();
+    }, [keyframes, keyframeScan, scanKeyframes]);
+
+    // Cuts made before copy mode (or restored with the edit list) move to
+    // their nearest keyframe, so what's shown is what gets copied
+    const { snapCuts } = edit;
+    useEffect(() => {
+        if (mode !== 'copy' || !keyframes || !hasOffKeyframeCut(segments, keyframes.times)) return;
+        snapCuts(keyframes.times);
+        setCutsSnapped(true);
+    }, [mode, keyframes, segments, snapCuts]);
+
     useEffect(() => {
         const v = videoRef.current;
         if (!v) return;
 
+        // Preview plays the kept segments in export order: at the end of one
+        // it jumps to the next, looping back to the first. Played from a seek,
+        // it starts with the segment there (or the next kept one on the timeline).
         const onTime = () => {
             setCurrentTime(v.currentTime);
-            if (v.currentTime >= trimEnd) {
-                v.currentTime = trimStart;
+            if (v.paused) return;
+            const time = v.currentTime;
+            const kept = keptSegments(segments);
+            const playing = kept.find(s => s.id === playingIdRef.current);
+            let next;
+            if (playing) {
+                if (time >= playing.start && time < playing.end) return;
+                next = kept[kept.indexOf(playing) + 1] || kept[0];
+            } else {
+                const segment = segmentAt(segments, time);
+                if (!segment?.removed && time < segment?.end) {
+                    playingIdRef.current = segment.id;
+                    return;
+                }
+                next = sourceOrder(kept).find(s => s.start >= time) || kept[0];
             }
+            if (!next) return;
+            playingIdRef.current = next.id;
+            v.currentTime = next.start;
+        };
+        // A segment running to the end of the file stops the video; carry on
+        // if it isn't the last one in export order
+        const onEnded = () => {
+            const kept = keptSegments(segments);
+            const index = kept.findIndex(s => s.id === playingIdRef.current);
+            const next = index !== -1 ? kept[index + 1] : null;
+            if (!next) return;
+            playingIdRef.current = next.id;
+            v.currentTime = next.start;
+            v.play();
         };
         const onPlay = () => setIsPlaying(true);
         const onPause = () => setIsPlaying(false);
 
         v.addEventListener('timeupdate', onTime);
+        v.addEventListener('ended', onEnded);
         v.addEventListener('play', onPlay);
         v.addEventListener('pause', onPause);
         return () => {
             v.removeEventListener('timeupdate', onTime);
+            v.removeEventListener('ended', onEnded);
             v.removeEventListener('play', onPlay);
             v.removeEventListener('pause', onPause);
         };
-    }, [trimStart, trimEnd]);
+    }, [segments]);
 
     useEffect(() => {
         if (!videoDims) return;
@@ -163,12 +278,84 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
 
     const handleSeek = useCallback((time) => {
         const v = videoRef.current;
-        if (v) v.currentTime = time;
+        if (!v) return;
+        playingIdRef.current = null;
+        v.currentTime = time;
+    }, []);
+
+    const { split, toggle, move, setBoundary, setEdge } = edit;
+    const handleSplit = useCallback(() => {
+        const v = videoRef.current;
+        if (v) split(snapTime(v.currentTime));
+    }, [split, snapTime]);
+
+    const handleBoundaryChange = useCallback((leftId, time) => {
+        setBoundary(leftId, snapTime(time));
+    }, [setBoundary, snapTime]);
+
+    const handleEdgeChange = useCallback((edge, time) => {
+        setEdge(edge, snapTime(time));
+    }, [setEdge, snapTime]);
+
+    const handleToggleSegment = useCallback(() => {
+        if (selectedId) toggle(selectedId);
+    }, [selectedId, toggle]);
+
+    // S splits at the playhead, Delete removes/restores the selected segment
+    useEffect(() => {
+        if (step !== STEP.EDIT) return;
+        const onKey = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            if (e.key === 's' || e.key === 'S') handleSplit();
+            else if (e.key === 'Delete' || e.key === 'Backspace') handleToggleSegment();
+        };
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, [step, handleSplit, handleToggleSegment]);
+
+    // Pick the SRT/VTT/ASS file to burn in. It's decoded here (same as the
+    // viewer) and sent to ffmpeg as UTF-8 text.
+    const handlePickSubtitles = useCallback(async () => {
+        const api = getElectronAPI();
+        const subtitlePath = await api?.selectSubtitleFile?.();
+        if (!subtitlePath) return;
+        const bytes = api.readSubtitleFile(subtitlePath);
+        const content = bytes ? decodeSubtitleBytes(bytes) : '';
+        if (parseSubtitles(content, subtitlePath).length === 0) {
+            setSubtitleError('No subtitles found in that file');
+            return;
+        }
+        setSubtitleError(null);
+        setBurnSubtitles({
+            name: api.path.basename(subtitlePath),
+            content,
+            format: api.path.extname(subtitlePath).slice(1).toLowerCase()
+        });
     }, []);
 
-    const handleTrimChange = useCallback(({ start, end }) => {
-        setTrimStart(start);
-        setTrimEnd(end);
+    const handleSubtitleStyleChange = useCallback((changes) => {
+        setSubtitleStyle(prev => {
+            const next = { ...prev, ...changes };
+            saveSubtitleStyle(next);
+            return next;
+        });
+    }, []);
+
+    const openSubtitlePanel = useCallback((e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        setSubtitlePanel({
+            x: Math.max(8, Math.min(rect.left, window.innerWidth - 308)),
+            y: rect.bottom + 6
+        });
+    }, []);
+
+    const openProfilePanel = useCallback((e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        setProfilePanel({
+            x: Math.max(8, Math.min(rect.left, window.innerWidth - 368)),
+            y: rect.bottom + 6
+        });
     }, []);
 
     const handleStartCrop = useCallback(async () => {
@@ -177,21 +364,55 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
         const api = getElectronAPI();
         if (!api) return;
 
-        // Show save dialog first
+        // Show save dialog first. Copied streams keep the source container,
+        // which may hold codecs MP4 can't.
         const ext = api.path.extname(videoPath);
         const base = api.path.basename(videoPath, ext);
-        const { canceled, filePath: outputPath } = await api.showSaveDialog(`${base}-cropped.mp4`);
+        const defaultName = lossless ? `${base}-trimmed${ext || '.mkv'}` : `${base}-cropped.${profile.container}`;
+        const { canceled, filePath: outputPath } = await api.showSaveDialog(defaultName);
         if (canceled || !outputPath) return;
+        if (!lossless) setLastProfile('editor', profile);
 
         setStep(STEP.PROCESSING);
         setError(null);
         setProgressPct(0);
+        setJobId(null);
         setStage('Processing with ffmpeg...');
 
         if (videoRef.current && !videoRef.current.paused) {
             videoRef.current.pause();
         }
 
+        const onProgress = (pct, job) => {
+            setProgressPct(pct);
+            if (job) setJobId(job.id);
+            if (pct > 0) setStage(`${lossless ? 'Cutting' : 'Encoding'}... ${pct}%`);
+        };
+        const finish = (result) => {
+            if (result.cancelled) {
+                setStep(STEP.EDIT);
+            } else if (result.success) {
+                onComplete({ success: true });
+            } else {
+                setError(result.error || 'ffmpeg failed');
+            }
+        };
+
+        if (lossless) {
+            try {
+                finish(await api.losslessCut({
+                    inputPath: videoPath,
+                    outputPath,
+                    segments: kept.map(s => ({ start: s.start, end: s.end })),
+                    mode,
+                    totalDuration: keptDuration(segments)
+                }, onProgress));
+            } catch (err) {
+                setError(err.message || String(err));
+            }
+            return;
+        }
+
         try {
             const pixelCrop = {
                 x: Math.round(crop.x),
@@ -202,34 +423,39 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
             pixelCrop.width = pixelCrop.width % 2 === 0 ? pixelCrop.width : pixelCrop.width - 1;
             pixelCrop.height = pixelCrop.height % 2 === 0 ? pixelCrop.height : pixelCrop.height - 1;
 
-            const trimRange = (trimStart > 0.05 || trimEnd < duration - 0.05)
-                ? { startTime: trimStart, endTime: trimEnd }
+            // One kept segment is a plain trim; several are cut and joined by ffmpeg
+            const single = kept.length === 1 ? kept[0] : null;
+            const trimRange = single && (single.start > 0.05 || single.end < duration - 0.05)
+                ? { startTime: single.start, endTime: single.end }
                 : null;
+            const cutSegments = single ? null : kept.map(s => ({ start: s.start, end: s.end }));
 
-            const totalDuration = trimRange
-                ? trimRange.endTime - trimRange.startTime
-                : duration;
+            const totalDuration = keptDuration(segments);
 
             const result = await api.cropVideo({
                 inputPath: videoPath,
                 outputPath,
                 crop: pixelCrop,
                 trim: trimRange,
+                segments: cutSegments,
+                subtitles: burnSubtitles && {
+                    content: burnSubtitles.content,
+                    format: burnSubtitles.format,
+                    style: subtitleStyle,
+                    offset: subtitleOffset
+                },
+                profile,
                 totalDuration
-            }, (pct) => {
-                setProgressPct(pct);
-                if (pct > 0) setStage(`Encoding... ${pct}%`);
-            });
-
-            if (result.success) {
-                onComplete({ success: true });
-            } else {
-                setError(result.error || 'ffmpeg failed');
-            }
+            }, onProgress);
+            finish(result);
         } catch (err) {
             setError(err.message || String(err));
         }
-    }, [crop, videoDims, videoPath, trimStart, trimEnd, duration, onComplete]);
+    }, [crop, videoDims, videoPath, segments, kept, duration, lossless, mode, profile, burnSubtitles, subtitleStyle, subtitleOffset, onComplete]);
+
+    const handleCancelJob = useCallback(() => {
+        if (jobId) getElectronAPI()?.cancelJob(jobId);
+    }, [jobId]);
 
     return (
         <div style={{ width: '100%', height: '100%', display: 'flex', flexDirection: 'column', background: '#000' }}>
@@ -239,7 +465,27 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
                 padding: '6px 12px', background: 'rgba(255,255,255,0.04)',
                 borderBottom: '1px solid rgba(255,255,255,0.08)'
             }}>
-                {step === STEP.EDIT && (
+                {step === STEP.EDIT && lossless && keyframeScan === 'scanning' && (
+                    <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.45)', padding: '4px 4px' }}>
+                        Scanning keyframes{'\u2026'} (this reads the whole file)
+                    </span>
+                )}
+                {step === STEP.EDIT && lossless && keyframeScan?.error && (
+                    <>
+                        <span style={{ fontSize: 12, color: '#f87171', padding: '4px 4px' }}>
+                            Keyframe scan failed: {keyframeScan.error}
+                        </span>
+                        <button onClick={scanKeyframes} style={segmentButton}>Retry</button>
+                    </>
+                )}
+                {step === STEP.EDIT && lossless && keyframes && (
+                    <span style={{ fontSize: 12, color: 'rgba(255,255,255,0.45)', padding: '4px 4px' }}>
+                        {mode === 'copy'
+                            ? `Lossless trim \u2014 cuts snap to keyframes (green ticks)${cutsSnapped ? ' and earlier cuts were moved to them' : ''}; crop and subtitles need re-encoding`
+                            : 'Smart cut \u2014 only the frames around the cut points are re-encoded'}
+                    </span>
+                )}
+                {step === STEP.EDIT && !lossless && (
                     <>
                         {PRESETS.map((p, i) => (
                             <button
@@ -255,6 +501,59 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
                                 {p.label}
                             </button>
                         ))}
+                        <div style={{ width: 1, height: 18, background: 'rgba(255,255,255,0.1)', margin: '0 6px' }} />
+                        {burnSubtitles ? (
+                            <>
+                                <button
+                                    onClick={openSubtitlePanel}
+                                    title="Subtitle style and timing"
+                                    style={{
+                                        padding: '4px 10px', borderRadius: 4, fontSize: 12, fontWeight: 500,
+                                        background: '#3b82f6', color: '#fff', maxWidth: 220,
+                                        overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+                                    }}
+                                >
+                                    CC {burnSubtitles.name}{subtitleOffset !== 0 ? ` (${formatOffset(subtitleOffset)})` : ''}
+                                </button>
+                                <button
+                                    onClick={() => { setBurnSubtitles(null); setSubtitleOffset(0); }}
+                                    title="Don't burn subtitles"
+                                    style={{ padding: '4px 6px', fontSize: 12, color: 'rgba(255,255,255,0.45)' }}
+                                >
+                                    {'\u2715'}
+                                </button>
+                            </>
+                        ) : (
+                            <button
+                                onClick={handlePickSubtitles}
+                                title="Burn an SRT/VTT/ASS file into the exported video"
+                                style={{
+                                    padding: '4px 10px', borderRadius: 4, fontSize: 12, fontWeight: 500,
+                                    background: 'rgba(255,255,255,0.06)', color: 'rgba(255,255,255,0.55)'
+                                }}
+                            >
+                                Burn subtitles
+                            </button>
+                        )}
+                        {subtitleError && (
+                            <span style={{ fontSize: 12, color: '#f87171', marginLeft: 6 }}>{subtitleError}</span>
+                        )}
+                        <div style={{ width: 1, height: 18, background: 'rgba(255,255,255,0.1)', margin: '0 6px' }} />
+                        <button
+                            onClick={openProfilePanel}
+                            title="Export codec and quality"
+                            style={{
+                                padding: '4px 10px', borderRadius: 4, fontSize: 12, fontWeight: 500,
+                                background: 'rgba(255,255,255,0.06)', color: 'rgba(255,255,255,0.55)',
+                                whiteSpace: 'nowrap'
+                            }}
+                        >
+                            {profileSummary(profile)}
+                        </button>
+                    </>
+                )}
+                {step === STEP.EDIT && (
+                    <>
                         <div style={{ flex: 1 }} />
                         <button onClick={toggleMute} style={{
                             padding: '4px 10px', borderRadius: 4, fontSize: 14,
@@ -283,6 +582,32 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
                 </button>
             </div>
 
+            {subtitlePanel && (
+                <SubtitleSettings
+                    x={subtitlePanel.x}
+                    y={subtitlePanel.y}
+                    style={subtitleStyle}
+                    onStyleChange={handleSubtitleStyleChange}
+                    offset={subtitleOffset}
+                    onOffsetChange={setSubtitleOffset}
+                    onClose={() => setSubtitlePanel(null)}
+                />
+            )}
+
+            {profilePanel && (
+                <>
+                    <div style={{ position: 'fixed', inset: 0, zIndex: 9998 }} onClick={() => setProfilePanel(null)} />
+                    <div style={{
+                        position: 'fixed', left: profilePanel.x, top: profilePanel.y, zIndex: 9999,
+                        width: 360, maxHeight: `calc(100vh - ${profilePanel.y + 8}px)`, overflowY: 'auto',
+                        padding: 14, borderRadius: 10, background: '#1a1a1a',
+                        border: '1px solid rgba(255,255,255,0.1)', boxShadow: '0 8px 24px rgba(0,0,0,0.5)'
+                    }}>
+                        <ExportProfilePicker profile={profile} onChange={setProfile} />
+                    </div>
+                </>
+            )}
+
             {/* Main content */}
             <div style={{ flex: 1, overflow: 'hidden', position: 'relative' }}>
                 {step === STEP.EDIT && (
@@ -293,7 +618,7 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
                             muted
                             playsInline
                         />
-                        {displayRect && videoDims && crop && (
+                        {displayRect && videoDims && crop && !lossless && (
                             <CropOverlay
                                 displayRect={displayRect}
                                 videoDimensions={videoDims}
@@ -331,7 +656,9 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
                                     }} />
                                 </div>
                                 <div style={{ fontSize: 12, color: 'rgba(255,255,255,0.35)' }}>
-                                    {Math.round(crop?.width)}{'\u00d7'}{Math.round(crop?.height)} via ffmpeg
+                                    {lossless
+                                        ? `${mode === 'smart' ? 'Smart cut' : 'Lossless stream copy'} via ffmpeg`
+                                        : <>{Math.round(crop?.width)}{'\u00d7'}{Math.round(crop?.height)}{burnSubtitles ? ' + subtitles' : ''} via ffmpeg</>}
                                 </div>
                             </>
                         )}
@@ -343,15 +670,67 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
             {step === STEP.EDIT && duration > 0 && (
                 <TrimTimeline
                     duration={duration}
-                    trimStart={trimStart}
-                    trimEnd={trimEnd}
+                    segments={segments}
+                    selectedId={selectedId}
                     currentTime={currentTime}
                     thumbnails={thumbnails}
-                    onTrimChange={handleTrimChange}
+                    keyframes={lossless ? keyframes?.times : null}
+                    onSelect={setSelectedId}
+                    onBoundaryChange={handleBoundaryChange}
+                    onEdgeChange={handleEdgeChange}
                     onSeek={handleSeek}
                 />
             )}
 
+            {/* Segment tools */}
+            {step === STEP.EDIT && duration > 0 && (
+                <div style={{
+                    display: 'flex', alignItems: 'center', gap: 4,
+                    padding: '0 16px 8px', background: 'rgba(255,255,255,0.02)'
+                }}>
+                    <button onClick={handleSplit} title="Split at playhead (S)" style={segmentButton}>
+                        Split
+                    </button>
+                    <button
+                        onClick={handleToggleSegment}
+                        disabled={!selected}
+                        title="Remove or restore the selected segment (Delete)"
+                        style={{ ...segmentButton, opacity: selected ? 1 : 0.4 }}
+                    >
+                        {selected?.removed ? 'Restore segment' : 'Remove segment'}
+                    </button>
+                    <button
+                        onClick={() => move(selectedId, -1)}
+                        disabled={!selected || selected.removed || kept[0] === selected}
+                        title="Play this segment earlier in the export"
+                        style={{ ...segmentButton, opacity: selected && !selected.removed && kept[0] !== selected ? 1 : 0.4 }}
+                    >
+                        {'\u25C0'} Earlier
+                    </button>
+                    <button
+                        onClick={() => move(selectedId, 1)}
+                        disabled={!selected || selected.removed || kept.at(-1) === selected}
+                        title="Play this segment later in the export"
+                        style={{ ...segmentButton, opacity: selected && !selected.removed && kept.at(-1) !== selected ? 1 : 0.4 }}
+                    >
+                        Later {'\u25B6'}
+                    </button>
+                    <div style={{ flex: 1 }} />
+                    {edit.restored && (
+                        <span style={{ fontSize: 11, color: 'rgba(255,255,255,0.35)', marginRight: 6 }}>
+                            Restored your last edit
+                        </span>
+                    )}
+                    <button
+                        onClick={() => { edit.reset(); setSelectedId(null); }}
+                        disabled={isUnedited(segments)}
+                        style={{ ...segmentButton, opacity: isUnedited(segments) ? 0.4 : 1 }}
+                    >
+                        Reset cuts
+                    </button>
+                </div>
+            )}
+
             {/* Footer */}
             <div style={{
                 display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 12,
@@ -360,12 +739,44 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
             }}>
                 {step === STEP.EDIT && (
                     <>
+                        {getElectronAPI()?.getKeyframes && (
+                            <div style={{ display: 'flex', gap: 2, marginRight: 8 }}>
+                                {EXPORT_MODES.map(m => {
+                                    const disabled = m.id === 'smart' && !smartCutAvailable;
+                                    return (
+                                        <button
+                                            key={m.id}
+                                            onClick={() => handlePickMode(m.id)}
+                                            disabled={disabled}
+                                            title={disabled && keyframes?.smartCutError ? keyframes.smartCutError : m.title}
+                                            style={{
+                                                ...segmentButton,
+                                                background: m.id === mode ? '#3b82f6' : segmentButton.background,
+                                                color: m.id === mode ? '#fff' : segmentButton.color,
+                                                opacity: disabled ? 0.4 : 1
+                                            }}
+                                        >
+                                            {m.label}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        )}
                         <button className="btn btn-ghost" onClick={onCancel}>Cancel</button>
-                        <button className="btn btn-primary" onClick={handleStartCrop} disabled={!crop}>
-                            Crop Video
+                        <button
+                            className="btn btn-primary"
+                            onClick={handleStartCrop}
+                            disabled={!crop || kept.length === 0 || (lossless && !keyframes)}
+                        >
+                            {lossless ? 'Trim Video' : 'Crop Video'}
                         </button>
                     </>
                 )}
+                {step === STEP.PROCESSING && !error && (
+                    <button className="btn btn-ghost" onClick={handleCancelJob} disabled={!jobId}>
+                        Cancel
+                    </button>
+                )}
                 {step === STEP.PROCESSING && error && (
                     <button className="btn btn-ghost" onClick={() => { setError(null); setStep(STEP.EDIT); }}>
                         Back
@@ -376,4 +787,9 @@ export const VideoEditor = ({ videoSrc, videoPath, onCancel, onComplete }) => {
     );
 };
 
+const segmentButton = {
+    padding: '4px 10px', borderRadius: 4, fontSize: 12, fontWeight: 500,
+    background: 'rgba(255,255,255,0.06)', color: 'rgba(255,255,255,0.6)'
+};
+
 export default VideoEditor;
@@ -1,4 +1,5 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { sourceOrder, keptSegments, keptDuration, segmentAt } from '../../../utils/editSegments';
 
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
@@ -9,8 +10,18 @@ function formatTime(s) {
     return `${m}:${sec.toString().padStart(2, '0')}`;
 }
 
-export function TrimTimeline({ duration, trimStart, trimEnd, currentTime, thumbnails, onTrimChange, onSeek }) {
+// Timeline of the editor's segments (see utils/editSegments.js). Removed
+// segments are shaded; kept ones are numbered in export order. The handles
+// between neighbouring segments drag the cut point, and those at either end
+// (while the first/last segment is kept) trim it like an in/out point.
+// keyframes (seconds), when given, are drawn as ticks along the bottom of the
+// track.
+export function TrimTimeline({
+    duration, segments, selectedId, currentTime, thumbnails, keyframes,
+    onSelect, onBoundaryChange, onEdgeChange, onSeek
+}) {
     const trackRef = useRef(null);
+    // { leftId } (the segment left of the handle) or { edge: 'start' | 'end' }
     const [dragging, setDragging] = useState(null);
 
     const getTimeFromX = useCallback((clientX) => {
@@ -20,10 +31,10 @@ export function TrimTimeline({ duration, trimStart, trimEnd, currentTime, thumbn
         return pct * duration;
     }, [duration]);
 
-    const startDrag = useCallback((e, type) => {
+    const startDrag = useCallback((e, handle) => {
         e.preventDefault();
         e.stopPropagation();
-        setDragging(type);
+        setDragging(handle);
     }, []);
 
     useEffect(() => {
@@ -31,11 +42,8 @@ export function TrimTimeline({ duration, trimStart, trimEnd, currentTime, thumbn
 
         const onMove = (e) => {
             const time = getTimeFromX(e.clientX);
-            if (dragging === 'start') {
-                onTrimChange({ start: clamp(time, 0, trimEnd - 0.1), end: trimEnd });
-            } else if (dragging === 'end') {
-                onTrimChange({ start: trimStart, end: clamp(time, trimStart + 0.1, duration) });
-            }
+            if (dragging.edge) onEdgeChange(dragging.edge, time);
+            else onBoundaryChange(dragging.leftId, time);
         };
         const onUp = () => setDragging(null);
 
@@ -45,19 +53,28 @@ export function TrimTimeline({ duration, trimStart, trimEnd, currentTime, thumbn
             window.removeEventListener('mousemove', onMove);
             window.removeEventListener('mouseup', onUp);
         };
-    }, [dragging, trimStart, trimEnd, duration, getTimeFromX, onTrimChange]);
+    }, [dragging, getTimeFromX, onBoundaryChange, onEdgeChange]);
 
     const handleTrackClick = useCallback((e) => {
         if (e.target.closest('[data-handle]')) return;
-        onSeek(getTimeFromX(e.clientX));
-    }, [getTimeFromX, onSeek]);
+        const time = getTimeFromX(e.clientX);
+        const segment = segmentAt(segments, time);
+        if (segment) onSelect(segment.id);
+        onSeek(time);
+    }, [getTimeFromX, segments, onSelect, onSeek]);
 
     if (!duration) return null;
 
-    const startPct = (trimStart / duration) * 100;
-    const endPct = (trimEnd / duration) * 100;
-    const playPct = clamp((currentTime / duration) * 100, 0, 100);
-    const selectedDuration = trimEnd - trimStart;
+    const pct = (time) => (time / duration) * 100;
+    const playPct = clamp(pct(currentTime), 0, 100);
+    const ordered = sourceOrder(segments);
+    const kept = keptSegments(segments);
+    const selectedDuration = keptDuration(segments);
+    const reordered = kept.some((s, i) => i > 0 && s.start < kept[i - 1].start);
+    const edges = [
+        !ordered[0]?.removed && { edge: 'start', time: 0 },
+        !ordered.at(-1)?.removed && { edge: 'end', time: duration }
+    ].filter(Boolean);
 
     return (
         <div style={{ padding: '6px 16px 10px', background: 'rgba(255,255,255,0.02)' }}>
@@ -66,9 +83,9 @@ export function TrimTimeline({ duration, trimStart, trimEnd, currentTime, thumbn
                 display: 'flex', justifyContent: 'space-between', marginBottom: 4,
                 fontSize: 11, color: 'rgba(255,255,255,0.4)', fontVariantNumeric: 'tabular-nums'
             }}>
-                <span>{formatTime(trimStart)}</span>
+                <span>0:00</span>
                 <span style={{ color: 'rgba(255,255,255,0.6)' }}>{formatTime(currentTime)}</span>
-                <span>{formatTime(trimEnd)}</span>
+                <span>{formatTime(duration)}</span>
             </div>
 
             {/* Track */}
@@ -92,60 +109,89 @@ export function TrimTimeline({ duration, trimStart, trimEnd, currentTime, thumbn
                     </div>
                 )}
 
-                {/* Inactive region: left */}
-                <div style={{
-                    position: 'absolute', left: 0, top: 0,
-                    width: `${startPct}%`, height: '100%',
-                    background: 'rgba(0,0,0,0.7)'
-                }} />
-
-                {/* Inactive region: right */}
-                <div style={{
-                    position: 'absolute', right: 0, top: 0,
-                    width: `${100 - endPct}%`, height: '100%',
-                    background: 'rgba(0,0,0,0.7)'
-                }} />
-
-                {/* Active range border */}
-                <div style={{
-                    position: 'absolute',
-                    left: `${startPct}%`, width: `${endPct - startPct}%`,
-                    top: 0, height: '100%',
-                    borderTop: '2px solid #3b82f6', borderBottom: '2px solid #3b82f6',
-                    boxSizing: 'border-box', pointerEvents: 'none'
-                }} />
-
-                {/* Trim start handle */}
-                <div
-                    data-handle="start"
-                    style={{
-                        position: 'absolute', left: `${startPct}%`, top: 0,
-                        width: 10, height: '100%', marginLeft: -5,
-                        background: '#3b82f6', cursor: 'ew-resize',
-                        borderRadius: '4px 0 0 4px',
-                        display: 'flex', alignItems: 'center', justifyContent: 'center',
-                        zIndex: 2
-                    }}
-                    onMouseDown={(e) => startDrag(e, 'start')}
-                >
-                    <div style={{ width: 2, height: 18, background: 'rgba(255,255,255,0.7)', borderRadius: 1 }} />
-                </div>
+                {/* Segments */}
+                {ordered.map((segment) => {
+                    const selected = segment.id === selectedId;
+                    const order = kept.indexOf(segment);
+                    return (
+                        <div key={segment.id} style={{
+                            position: 'absolute', top: 0, height: '100%',
+                            left: `${pct(segment.start)}%`, width: `${pct(segment.end - segment.start)}%`,
+                            boxSizing: 'border-box', pointerEvents: 'none',
+                            background: segment.removed
+                                ? 'repeating-linear-gradient(135deg, rgba(0,0,0,0.75) 0 6px, rgba(60,0,0,0.75) 6px 12px)'
+                                : 'transparent',
+                            borderTop: `2px solid ${segment.removed ? 'transparent' : selected ? '#facc15' : '#3b82f6'}`,
+                            borderBottom: `2px solid ${segment.removed ? 'transparent' : selected ? '#facc15' : '#3b82f6'}`,
+                            outline: selected && segment.removed ? '1px dashed #facc15' : 'none',
+                            outlineOffset: -1
+                        }}>
+                            {order !== -1 && reordered && (
+                                <span style={{
+                                    position: 'absolute', top: 2, left: 8,
+                                    fontSize: 10, fontWeight: 700, color: '#fff',
+                                    textShadow: '0 1px 2px rgba(0,0,0,0.9)'
+                                }}>{order + 1}</span>
+                            )}
+                        </div>
+                    );
+                })}
+
+                {/* Keyframe ticks, one path so long files stay cheap to draw */}
+                {keyframes?.length > 0 && (
+                    <svg
+                        viewBox={`0 0 ${duration} 1`}
+                        preserveAspectRatio="none"
+                        style={{
+                            position: 'absolute', left: 0, bottom: 0, width: '100%', height: 8,
+                            pointerEvents: 'none', zIndex: 1
+                        }}
+                    >
+                        <path
+                            d={keyframes.map(k => `M${k} 0V1`).join('')}
+                            stroke="#4ade80"
+                            strokeWidth={1}
+                            vectorEffect="non-scaling-stroke"
+                        />
+                    </svg>
+                )}
 
-                {/* Trim end handle */}
-                <div
-                    data-handle="end"
-                    style={{
-                        position: 'absolute', left: `${endPct}%`, top: 0,
-                        width: 10, height: '100%', marginLeft: -5,
-                        background: '#3b82f6', cursor: 'ew-resize',
-                        borderRadius: '0 4px 4px 0',
-                        display: 'flex', alignItems: 'center', justifyContent: 'center',
-                        zIndex: 2
-                    }}
-                    onMouseDown={(e) => startDrag(e, 'end')}
-                >
-                    <div style={{ width: 2, height: 18, background: 'rgba(255,255,255,0.7)', borderRadius: 1 }} />
-                </div>
+                {/* Cut handles between neighbouring segments */}
+                {ordered.slice(0, -1).map((segment) => (
+                    <div
+                        key={segment.id}
+                        data-handle={segment.id}
+                        style={{
+                            position: 'absolute', left: `${pct(segment.end)}%`, top: 0,
+                            width: 8, height: '100%', marginLeft: -4,
+                            background: '#3b82f6', cursor: 'ew-resize', borderRadius: 3,
+                            display: 'flex', alignItems: 'center', justifyContent: 'center',
+                            zIndex: 2
+                        }}
+                        onMouseDown={(e) => startDrag(e, { leftId: segment.id })}
+                    >
+                        <div style={{ width: 2, height: 18, background: 'rgba(255,255,255,0.7)', borderRadius: 1 }} />
+                    </div>
+                ))}
+
+                {/* Trim handles at the ends of the timeline */}
+                {edges.map(({ edge, time }) => (
+                    <div
+                        key={edge}
+                        data-handle={edge}
+                        style={{
+                            position: 'absolute', left: `${pct(time)}%`, top: 0,
+                            width: 8, height: '100%', marginLeft: edge === 'start' ? 0 : -8,
+                            background: '#3b82f6', cursor: 'ew-resize',
+                            borderRadius: edge === 'start' ? '6px 3px 3px 6px' : '3px 6px 6px 3px',
+                            display: 'flex', alignItems: 'center', justifyContent: 'center',
+                            zIndex: 2
+                        }}
+                        onMouseDown={(e) => startDrag(e, { edge })}
+                    >
+                        <div style={{ width: 2, height: 18, background: 'rgba(255,255,255,0.7)', borderRadius: 1 }} />
+                    </div>
+                ))}
 
                 {/* Playhead */}
                 <div style={{
@@ -167,6 +213,7 @@ export function TrimTimeline({ duration, trimStart, trimEnd, currentTime, thumbn
                 fontSize: 11, color: 'rgba(255,255,255,0.3)'
             }}>
                 {formatTime(selectedDuration)} selected{' '}
+                {kept.length > 1 && <span>in {kept.length} segments </span>}
                 {selectedDuration < duration && <span>/ {formatTime(duration)} total</span>}
             </div>
         </div>
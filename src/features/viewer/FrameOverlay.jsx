@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { frameAt, formatTimecode } from '../../utils/frames';
+
+// SMPTE timecode or frame number of the shown frame, in the top-right corner of
+// Plyr's container (so it stays visible in fullscreen). Read every animation
+// frame like the captions: timeupdate is far too coarse for frame numbers.
+export const FrameOverlay = ({ container, videoRef, fps, mode }) => {
+    const [text, setText] = useState('');
+
+    useEffect(() => {
+        if (mode === 'off') {
+            setText('');
+            return;
+        }
+        let frame;
+        const tick = () => {
+            const video = videoRef.current;
+            if (video) {
+                const n = frameAt(video.currentTime, fps);
+                setText(mode === 'frame' ? `#${n}` : formatTimecode(n, fps));
+            }
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [mode, fps, videoRef]);
+
+    if (!container || !text) return null;
+
+    return createPortal(
+        <div style={{
+            position: 'absolute', top: 12, right: 12, zIndex: 3, pointerEvents: 'none',
+            padding: '3px 8px', borderRadius: 5,
+            background: 'rgba(0,0,0,0.65)', color: '#fff',
+            fontFamily: 'ui-monospace, Menlo, Consolas, monospace', fontSize: 13,
+            fontVariantNumeric: 'tabular-nums'
+        }}>
+            {text}
+        </div>,
+        container
+    );
+};
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { cueTextAt } from '../../utils/subtitles';
+
+const BACKGROUNDS = {
+    shadow: { textShadow: '0 0 3px #000, 0 1px 3px #000, 0 0 8px rgba(0,0,0,0.8)' },
+    box: { background: 'rgba(0,0,0,0.7)', padding: '0.1em 0.4em', borderRadius: 4, WebkitBoxDecorationBreak: 'clone' },
+    none: {}
+};
+
+// Captions of the active external track, drawn into Plyr's container so they
+// stay visible in fullscreen. Native <track> rendering can't be restyled or
+// shifted in time, so cues are matched against currentTime every frame.
+export const SubtitleOverlay = ({ container, videoRef, cues, offset, style }) => {
+    const [text, setText] = useState('');
+
+    useEffect(() => {
+        if (!cues) {
+            setText('');
+            return;
+        }
+        let frame;
+        const tick = () => {
+            const video = videoRef.current;
+            if (video) setText(cueTextAt(cues, video.currentTime - offset));
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [cues, offset, videoRef]);
+
+    if (!container || !text) return null;
+
+    return createPortal(
+        <div style={{ position: 'absolute', inset: 0, zIndex: 3, pointerEvents: 'none', containerType: 'size' }}>
+            <div style={{
+                position: 'absolute', left: '5%', right: '5%',
+                [style.position === 'top' ? 'top' : 'bottom']: `${style.margin}%`,
+                textAlign: 'center', whiteSpace: 'pre-line',
+                fontSize: `${style.fontSize}cqh`, lineHeight: 1.3, fontWeight: 500
+            }}>
+                <span style={{ color: style.color, ...BACKGROUNDS[style.background] }}>{text}</span>
+            </div>
+        </div>,
+        container
+    );
+};
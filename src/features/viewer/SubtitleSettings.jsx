@@ -0,0 +1,110 @@
+import { useI18n } from '../../i18n.jsx';
+import { DEFAULT_SUBTITLE_STYLE } from '../../utils/subtitles';
+
+const TEXT_COLORS = ['#ffffff', '#facc15', '#22d3ee', '#4ade80', '#f472b6'];
+const OFFSET_STEPS = [-0.5, -0.1, 0.1, 0.5];
+
+export const formatOffset = (offset) => `${offset > 0 ? '+' : ''}${offset.toFixed(1)}s`;
+
+// Caption style and timing panel, opened from the viewer's context menu (and
+// the editor's burn-in option). Changes apply live; clicking outside closes it.
+export const SubtitleSettings = ({ x, y, style, onStyleChange, offset, onOffsetChange, showShortcuts = false, onClose }) => {
+    const { t } = useI18n();
+
+    return (
+        <>
+            <div style={{ position: 'fixed', inset: 0, zIndex: 9998 }} onClick={onClose} />
+            <div style={{ ...panel, left: x, top: y }} onContextMenu={(e) => e.preventDefault()}>
+                <div style={row}>
+                    <span style={label}>{t('subtitleFontSize')}</span>
+                    <input
+                        type="range" min={2} max={10} step={0.5}
+                        value={style.fontSize}
+                        onChange={(e) => onStyleChange({ fontSize: Number(e.target.value) })}
+                        style={{ flex: 1 }}
+                    />
+                </div>
+
+                <div style={row}>
+                    <span style={label}>{t('subtitleColor')}</span>
+                    {TEXT_COLORS.map((color) => (
+                        <button
+                            key={color}
+                            onClick={() => onStyleChange({ color })}
+                            style={{
+                                width: 18, height: 18, borderRadius: '50%', cursor: 'pointer',
+                                background: color, padding: 0,
+                                border: style.color === color ? '2px solid #6366f1' : '2px solid rgba(255,255,255,0.2)'
+                            }}
+                        />
+                    ))}
+                </div>
+
+                <div style={row}>
+                    <span style={label}>{t('subtitleBackground')}</span>
+                    {[['shadow', 'subtitleBgShadow'], ['box', 'subtitleBgBox'], ['none', 'subtitleBgNone']].map(([value, key]) => (
+                        <button key={value} onClick={() => onStyleChange({ background: value })} style={chip(style.background === value)}>
+                            {t(key)}
+                        </button>
+                    ))}
+                </div>
+
+                <div style={row}>
+                    <span style={label}>{t('subtitlePosition')}</span>
+                    {[['bottom', 'subtitleBottom'], ['top', 'subtitleTop']].map(([value, key]) => (
+                        <button key={value} onClick={() => onStyleChange({ position: value })} style={chip(style.position === value)}>
+                            {t(key)}
+                        </button>
+                    ))}
+                </div>
+
+                <div style={row}>
+                    <span style={label}>{t('subtitleMargin')}</span>
+                    <input
+                        type="range" min={0} max={40} step={1}
+                        value={style.margin}
+                        onChange={(e) => onStyleChange({ margin: Number(e.target.value) })}
+                        style={{ flex: 1 }}
+                    />
+                </div>
+
+                <div style={row}>
+                    <span style={label}>{t('subtitleTiming')}</span>
+                    {OFFSET_STEPS.map((step) => (
+                        <button
+                            key={step}
+                            onClick={() => onOffsetChange(Math.round((offset + step) * 10) / 10)}
+                            style={chip(false)}
+                        >{formatOffset(step)}</button>
+                    ))}
+                </div>
+                <div style={{ ...row, justifyContent: 'space-between' }}>
+                    <span style={{ fontSize: 12, opacity: 0.8 }}>
+                        {formatOffset(offset)}
+                        {showShortcuts && <span style={{ opacity: 0.5, marginLeft: 6 }}>{t('subtitleOffsetHint')}</span>}
+                    </span>
+                    <button
+                        onClick={() => { onOffsetChange(0); onStyleChange(DEFAULT_SUBTITLE_STYLE); }}
+                        style={{ ...chip(false), flex: '0 0 auto' }}
+                    >{t('subtitleReset')}</button>
+                </div>
+            </div>
+        </>
+    );
+};
+
+const panel = {
+    position: 'fixed', zIndex: 9999, width: 300, padding: 12,
+    background: 'rgba(20,20,22,0.97)', color: '#fff',
+    border: '1px solid rgba(255,255,255,0.12)', borderRadius: 10,
+    boxShadow: '0 8px 28px rgba(0,0,0,0.5)', fontSize: 13, userSelect: 'none'
+};
+const row = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 10 };
+const label = { width: 72, flexShrink: 0, fontSize: 12, opacity: 0.7 };
+const chip = (active) => ({
+    flex: '1 0 auto', padding: '4px 6px', cursor: 'pointer',
+    border: 'none', borderRadius: 6, fontSize: 12,
+    background: active ? '#6366f1' : 'rgba(255,255,255,0.08)',
+    color: active ? '#fff' : 'rgba(255,255,255,0.85)',
+    fontWeight: active ? 600 : 400
+});
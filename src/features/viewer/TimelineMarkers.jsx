@@ -0,0 +1,60 @@
+import { createPortal } from 'react-dom';
+import { formatDuration } from '../../utils/videoMetadata';
+
+// Bookmark markers and the A-B loop range, drawn into Plyr's progress bar
+// element (.plyr__progress). Positions are percentages of the duration, which
+// line up with the range input's track.
+export const TimelineMarkers = ({
+    container,
+    duration,
+    bookmarks,
+    loopRange,
+    onSeek,
+    onEditBookmark
+}) => {
+    if (!container || !(duration > 0)) return null;
+    const pct = (time) => `${Math.min(100, Math.max(0, (time / duration) * 100))}%`;
+    const { a, b } = loopRange;
+
+    return createPortal(
+        <div style={{ position: 'absolute', inset: 0, pointerEvents: 'none', zIndex: 2 }}>
+            {a !== null && (
+                <div style={{
+                    position: 'absolute', top: '50%', height: 5, marginTop: -2.5,
+                    left: pct(a), width: b !== null ? `calc(${pct(b)} - ${pct(a)})` : 2,
+                    background: 'rgba(250,204,21,0.55)', borderRadius: 2
+                }} />
+            )}
+            {[['A', a], ['B', b]].map(([label, time]) => time !== null && (
+                <div key={label} style={{
+                    position: 'absolute', bottom: 'calc(50% + 5px)', left: pct(time),
+                    transform: 'translateX(-50%)',
+                    fontSize: 9, fontWeight: 700, lineHeight: 1, color: '#facc15',
+                    textShadow: '0 1px 2px rgba(0,0,0,0.8)'
+                }}>{label}</div>
+            ))}
+            {bookmarks.map(bookmark => (
+                <div
+                    key={bookmark.id}
+                    title={`${formatDuration(bookmark.time)} ${bookmark.label}`}
+                    onClick={(e) => { e.stopPropagation(); onSeek(bookmark.time); }}
+                    onContextMenu={(e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        onEditBookmark(bookmark, e.currentTarget.getBoundingClientRect());
+                    }}
+                    style={{
+                        position: 'absolute', bottom: 'calc(50% + 4px)', left: pct(bookmark.time),
+                        transform: 'translateX(-50%)',
+                        width: 0, height: 0, cursor: 'pointer', pointerEvents: 'auto',
+                        borderLeft: '5px solid transparent',
+                        borderRight: '5px solid transparent',
+                        borderTop: `7px solid ${bookmark.color}`,
+                        filter: 'drop-shadow(0 1px 1px rgba(0,0,0,0.6))'
+                    }}
+                />
+            ))}
+        </div>,
+        container
+    );
+};
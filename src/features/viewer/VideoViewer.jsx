@@ -1,7 +1,17 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import Plyr from 'plyr';
 import 'plyr/dist/plyr.css';
 import { useI18n } from '../../i18n.jsx';
+import { videoUrlToPath, formatDuration, getVideoMetadata } from '../../utils/videoMetadata';
+import { DEFAULT_FPS, frameAt, frameTime, frameGrabTime, formatTimecode } from '../../utils/frames';
+import { getResumePosition, saveWatchProgress } from '../../utils/watchProgress';
+import { BOOKMARK_COLORS, getAllBookmarks, formatChapters } from '../../utils/bookmarks';
+import { useBookmarks } from '../../hooks/useBookmarks';
+import { useSubtitles } from '../../hooks/useSubtitles';
+import { TimelineMarkers } from './TimelineMarkers';
+import { SubtitleOverlay } from './SubtitleOverlay';
+import { SubtitleSettings, formatOffset } from './SubtitleSettings';
+import { FrameOverlay } from './FrameOverlay';
 
 const SPEED_OPTIONS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
 // Gain multipliers for volume boost (1 = native 100%, >1 amplifies past it).
@@ -10,12 +20,82 @@ const BOOST_OPTIONS = [1, 1.5, 2, 3];
 // Volume boost persists (it's a "my speakers are quiet" preference); speed does
 // NOT — each new video should start at the natural 1x.
 const BOOST_KEY = 'revid-viewer-boost';
+// Timecode overlay and saved-frame format are preferences too
+const FRAME_OVERLAY_KEY = 'revid-viewer-frame-overlay';
+const FRAME_FORMAT_KEY = 'revid-viewer-frame-format';
+const FRAME_OVERLAYS = [
+    { value: 'off', label: 'frameOverlayOff' },
+    { value: 'timecode', label: 'frameOverlayTimecode' },
+    { value: 'frame', label: 'frameOverlayNumber' }
+];
+const FRAME_FORMATS = ['png', 'jpg'];
+const readChoice = (key, options, fallback) => {
+    const value = localStorage.getItem(key);
+    return options.includes(value) ? value : fallback;
+};
 const readNum = (key, fallback) => {
     const n = Number(localStorage.getItem(key));
     return Number.isFinite(n) && n > 0 ? n : fallback;
 };
 
-export const VideoViewer = ({ src }) => {
+const getElectronAPI = () => window.electronAPI || null;
+
+// How often the playback position is saved while playing
+const PROGRESS_SAVE_MS = 5000;
+const RESUME_NOTICE_MS = 6000;
+const NOTICE_MS = 2000;
+// Playing time after which a file with no decoded audio or video is checked
+// for a codec Chromium drops silently (AC3, DTS, HEVC without a decoder...)
+const DECODE_CHECK_MS = 1500;
+
+const formatTime = (seconds) => seconds > 0 ? formatDuration(seconds) : '0:00';
+
+const CHANNEL_NAMES = { 1: 'mono', 2: 'stereo', 6: '5.1', 8: '7.1' };
+
+// Menu label for an embedded stream: its title, else the language, else "Track n"
+const trackName = (track, n, t) => track.title
+    || (track.language && track.language !== 'und' ? track.language.toUpperCase() : `${t('track')} ${n + 1}`);
+const audioTrackLabel = (track, n, t) => {
+    const channels = CHANNEL_NAMES[track.channels] || (track.channels ? `${track.channels}ch` : '');
+    return [trackName(track, n, t), [track.codec, channels].filter(Boolean).join(' ')].join(' · ');
+};
+
+// The ffmpeg fallback stream of src (see playbackFallback.cjs), with ?audio=
+// for a non-default audio track
+const fallbackUrl = (src, audioTrack) => `${src}?fallback=1${audioTrack > 0 ? `&audio=${audioTrack}` : ''}`;
+
+const nativeCurrentTime = Object.getOwnPropertyDescriptor(HTMLMediaElement.prototype, 'currentTime');
+
+// Files Chromium can't decode arrive as an ffmpeg pipe (see playbackFallback.cjs)
+// that can't be byte-range seeked and always starts at 0. Shadow the element's
+// currentTime so Plyr sees absolute times: reads add the stream's start offset,
+// and seeks outside the buffered part re-request the stream with ?start=.
+const installStreamSeeking = (video, src, onRestart) => {
+    let offset = 0;
+    Object.defineProperty(video, 'currentTime', {
+        configurable: true,
+        get: () => offset + nativeCurrentTime.get.call(video),
+        set: (value) => {
+            const target = Math.max(0, value);
+            const rel = target - offset;
+            const { buffered } = video;
+            for (let i = 0; i < buffered.length; i++) {
+                if (rel >= buffered.start(i) && rel <= buffered.end(i)) {
+                    nativeCurrentTime.set.call(video, rel);
+                    return;
+                }
+            }
+            offset = target;
+            video.src = `${src}${src.includes('?') ? '&' : '?'}start=${target.toFixed(3)}`;
+            onRestart();
+        }
+    });
+};
+
+// shortcutsEnabled: off while another view (the editor) is layered on top and
+// owns the keyboard. startAt: { src, time } position to open src at instead of
+// where it was left off (a revid:// link); a new object seeks again.
+export const VideoViewer = ({ src, shortcutsEnabled = true, startAt = null }) => {
     const { t } = useI18n();
     const wrapperRef = useRef(null);
     const plyrRef = useRef(null);
@@ -31,6 +111,61 @@ export const VideoViewer = ({ src }) => {
     const [boost, setBoost] = useState(() => readNum(BOOST_KEY, 1));
     const [loop, setLoop] = useState(false);
     const [menu, setMenu] = useState(null); // { x, y } | null
+    // How main serves src: { src, url, audioTrack, mode: 'direct' | 'remux' | 'transcode',
+    // reason, duration, resumeAt, quiet } (quiet: resuming after an audio switch)
+    const [playback, setPlayback] = useState(null);
+    // Audio/subtitle streams inside the file: { hasVideo, audioTracks, subtitleTracks }
+    const [mediaTracks, setMediaTracks] = useState({ hasVideo: null, audioTracks: [], subtitleTracks: [] });
+    // Read by the decode check, which is set up before the tracks are listed
+    const hasVideoRef = useRef(null);
+    hasVideoRef.current = mediaTracks.hasVideo;
+    // Chosen audio stream, only valid for the src it was picked on
+    const [audioChoice, setAudioChoice] = useState({ src: null, track: 0 });
+    const audioTrack = audioChoice.src === src ? audioChoice.track : 0;
+    // Position to continue from when the audio track changes
+    const switchPositionRef = useRef(null);
+    // startAt waiting for src's playback to be set up
+    const startAtRef = useRef(null);
+    // The last startAt acted on
+    const appliedStartAtRef = useRef(null);
+    const builtSrcRef = useRef(null);
+    // Position playback resumed from, shown briefly with a "start over" button
+    const [resumedAt, setResumedAt] = useState(0);
+    // A-B loop points in seconds (null = unset); reset for every new source
+    const [loopRange, setLoopRange] = useState({ a: null, b: null });
+    // Plyr's progress bar element and the duration, for the timeline markers
+    const [progressEl, setProgressEl] = useState(null);
+    const [duration, setDuration] = useState(0);
+    // Bookmark being renamed/recoloured: { id, label, color, x, y } | null
+    const [editingBookmark, setEditingBookmark] = useState(null);
+    // Plyr's container (captions render into it to show in fullscreen)
+    const [playerEl, setPlayerEl] = useState(null);
+    // Subtitle settings panel position: { x, y } | null
+    const [subtitlePanel, setSubtitlePanel] = useState(null);
+    // Short message for subtitle and frame actions (offset change, failed load, saved frame)
+    const [notice, setNotice] = useState('');
+    // Probed frame rate (0 = unknown) for frame stepping and the timecode overlay
+    const [fps, setFps] = useState(0);
+    const [frameOverlay, setFrameOverlay] = useState(() => readChoice(FRAME_OVERLAY_KEY, FRAME_OVERLAYS.map(o => o.value), 'off'));
+    const [frameFormat, setFrameFormat] = useState(() => readChoice(FRAME_FORMAT_KEY, FRAME_FORMATS, 'png'));
+    const frameRate = fps || DEFAULT_FPS;
+
+    const filePath = useMemo(
+        () => src?.startsWith('local-video:///') ? videoUrlToPath(src) : null,
+        [src]
+    );
+    const { bookmarks, addBookmark, updateBookmark, removeBookmark } = useBookmarks(filePath);
+    const embeddedSubtitles = useMemo(
+        () => mediaTracks.subtitleTracks.map((track, n) => ({
+            index: track.index,
+            extractable: track.extractable,
+            label: `${trackName(track, n, t)}${track.forced ? ` (${t('subtitleForced')})` : ''}`
+                + ` · ${track.extractable ? track.codec : t('subtitleImageBased')}`
+        })),
+        [mediaTracks, t]
+    );
+    const subtitles = useSubtitles(filePath, embeddedSubtitles);
+    const { activeTrack, setOffset: setSubtitleOffset } = subtitles;
 
     // Keep the latest playback prefs in refs so the (src-only) build effect can
     // re-apply them to a freshly created <video> without re-running on each change.
@@ -81,10 +216,11 @@ export const VideoViewer = ({ src }) => {
     const toggleLoop = useCallback(() => {
         setLoop((prev) => {
             const next = !prev;
-            if (videoElRef.current) videoElRef.current.loop = next;
+            // Streamed fallback loops via 'ended' instead (see the build effect)
+            if (videoElRef.current && playback?.mode === 'direct') videoElRef.current.loop = next;
             return next;
         });
-    }, []);
+    }, [playback]);
 
     const enterPip = useCallback(() => {
         const video = videoElRef.current;
@@ -95,10 +231,259 @@ export const VideoViewer = ({ src }) => {
         } catch { /* unsupported */ }
     }, []);
 
+    // A start position for the file already playing seeks right away; one for
+    // a new src is left for the playback setup below, which runs after this.
+    // Each startAt is applied once, not again when src or playback change.
+    useEffect(() => {
+        if (!startAt || startAt === appliedStartAtRef.current || startAt.src !== src) return;
+        appliedStartAtRef.current = startAt;
+        if (playback?.src === src && videoElRef.current) {
+            videoElRef.current.currentTime = startAt.time;
+        } else {
+            startAtRef.current = startAt;
+        }
+    }, [startAt, src, playback?.src]);
+
+    // Where src was left off last time (or where playback was when the audio
+    // track changed, or the position it was opened at). Files play directly;
+    // the build effect switches to the ffmpeg fallback only if that fails. Another
+    // audio track always needs it, so main is asked how to play src first.
+    useEffect(() => {
+        const api = getElectronAPI();
+        if (!src || !api?.getPlaybackMode || !src.startsWith('local-video:///')) {
+            setPlayback({ src, url: src, audioTrack: 0, mode: 'direct', reason: '', duration: 0, resumeAt: 0, quiet: false });
+            return;
+        }
+        let cancelled = false;
+        const filePath = videoUrlToPath(src);
+        const switchPosition = switchPositionRef.current ?? (startAtRef.current?.src === src ? startAtRef.current.time : null);
+        switchPositionRef.current = null;
+        startAtRef.current = null;
+        Promise.all([
+            audioTrack > 0 ? api.getPlaybackMode(filePath, audioTrack).catch(() => null) : null,
+            switchPosition ?? getResumePosition(filePath)
+        ]).then(([res, resumeAt]) => {
+            if (cancelled) return;
+            const base = { src, audioTrack, resumeAt, quiet: switchPosition !== null };
+            setPlayback(res?.success && res.mode !== 'direct'
+                ? { ...base, url: fallbackUrl(src, audioTrack), mode: res.mode, reason: res.reason, duration: res.duration }
+                : { ...base, url: src, mode: 'direct', reason: '', duration: 0 });
+        });
+        return () => { cancelled = true; };
+    }, [src, audioTrack]);
+
+    // Streams for the audio and subtitle track menus
+    useEffect(() => {
+        setMediaTracks({ hasVideo: null, audioTracks: [], subtitleTracks: [] });
+        const api = getElectronAPI();
+        if (!filePath || !api?.listMediaTracks) return;
+        let cancelled = false;
+        api.listMediaTracks(filePath).then((res) => {
+            if (!cancelled && res?.success) {
+                setMediaTracks({ hasVideo: res.hasVideo, audioTracks: res.audioTracks, subtitleTracks: res.subtitleTracks });
+            }
+        }).catch(() => {});
+        return () => { cancelled = true; };
+    }, [filePath]);
+
+    // Switching audio restarts playback through the remux at the same position
+    const selectAudioTrack = useCallback((track) => {
+        if (track === audioTrack) return;
+        switchPositionRef.current = videoElRef.current?.currentTime || 0;
+        setAudioChoice({ src, track });
+    }, [src, audioTrack]);
+
+    useEffect(() => {
+        if (!resumedAt) return;
+        const timer = setTimeout(() => setResumedAt(0), RESUME_NOTICE_MS);
+        return () => clearTimeout(timer);
+    }, [resumedAt]);
+
+    const startOver = useCallback(() => {
+        if (videoElRef.current) videoElRef.current.currentTime = 0;
+        setResumedAt(0);
+    }, []);
+
+    const seekTo = useCallback((time) => {
+        if (videoElRef.current) videoElRef.current.currentTime = time;
+    }, []);
+
+    // Set A or B at the current position. A new A past B drops B; B must come after A.
+    const setLoopPoint = useCallback((point) => {
+        const video = videoElRef.current;
+        if (!video) return;
+        const time = video.currentTime;
+        setLoopRange((prev) => {
+            if (point === 'a') return { a: time, b: prev.b !== null && prev.b > time ? prev.b : null };
+            const a = prev.a ?? 0;
+            return time > a ? { a, b: time } : prev;
+        });
+    }, []);
+
+    const clearLoopRange = useCallback(() => setLoopRange({ a: null, b: null }), []);
+
+    // Jump back to A on reaching B. Checked per frame: timeupdate fires only
+    // every ~250ms, which overshoots B noticeably.
+    useEffect(() => {
+        const { a, b } = loopRange;
+        if (a === null || b === null) return;
+        let frame;
+        const check = () => {
+            const video = videoElRef.current;
+            if (video && !video.paused && video.currentTime >= b) video.currentTime = a;
+            frame = requestAnimationFrame(check);
+        };
+        frame = requestAnimationFrame(check);
+        return () => cancelAnimationFrame(frame);
+    }, [loopRange]);
+
+    const addBookmarkHere = useCallback(() => {
+        const video = videoElRef.current;
+        if (!video || !filePath) return;
+        addBookmark(video.currentTime, `${t('bookmark')} ${bookmarks.length + 1}`);
+    }, [filePath, addBookmark, bookmarks.length, t]);
+
+    const exportBookmarks = useCallback(async (format) => {
+        const api = getElectronAPI();
+        if (!api?.exportBookmarks) return;
+        if (format === 'chapters') {
+            const name = filePath ? api.path.basename(filePath, api.path.extname(filePath)) : 'video';
+            await api.exportBookmarks(formatChapters(bookmarks, t('chapterIntro')), `${name}-chapters.txt`, 'txt');
+        } else {
+            await api.exportBookmarks(JSON.stringify(getAllBookmarks(), null, 2), 'revid-bookmarks.json', 'json');
+        }
+    }, [filePath, bookmarks, t]);
+
+    const openBookmarkEditor = useCallback((bookmark, rect) => {
+        const EDITOR_W = 220;
+        setEditingBookmark({
+            id: bookmark.id, label: bookmark.label, color: bookmark.color,
+            x: Math.max(8, Math.min(rect.left + rect.width / 2 - EDITOR_W / 2, window.innerWidth - EDITOR_W - 8)),
+            y: Math.max(8, rect.top - 120)
+        });
+    }, []);
+
+    const commitBookmarkEdit = useCallback(() => {
+        if (!editingBookmark) return;
+        const label = editingBookmark.label.trim();
+        updateBookmark(editingBookmark.id, { color: editingBookmark.color, ...(label ? { label } : {}) });
+        setEditingBookmark(null);
+    }, [editingBookmark, updateBookmark]);
+
+    useEffect(() => {
+        if (!notice) return;
+        const timer = setTimeout(() => setNotice(''), NOTICE_MS);
+        return () => clearTimeout(timer);
+    }, [notice]);
+
+    const shiftSubtitles = useCallback((step) => {
+        const next = Math.round((subtitles.offset + step) * 10) / 10;
+        setSubtitleOffset(next);
+        setNotice(`${t('subtitleOffset')} ${formatOffset(next)}`);
+    }, [subtitles.offset, setSubtitleOffset, t]);
+
+    const loadSubtitles = useCallback(async (load, failedKey = 'subtitleLoadFailed') => {
+        if (!(await load())) setNotice(t(failedKey));
+    }, [t]);
+
+    useEffect(() => {
+        setFps(0);
+        if (!src) return;
+        let cancelled = false;
+        getVideoMetadata(src).then((meta) => {
+            if (!cancelled && meta?.fps > 0) setFps(meta.fps);
+        });
+        return () => { cancelled = true; };
+    }, [src]);
+
+    // Pause and move exactly one frame (or `delta` frames) from the shown one
+    const stepFrame = useCallback((delta) => {
+        const video = videoElRef.current;
+        if (!video) return;
+        video.pause();
+        const target = frameTime(frameAt(video.currentTime, frameRate) + delta, frameRate);
+        video.currentTime = Math.min(target, duration || target);
+    }, [frameRate, duration]);
+
+    const cycleFrameOverlay = useCallback(() => {
+        setFrameOverlay((prev) => {
+            const values = FRAME_OVERLAYS.map(o => o.value);
+            const next = values[(values.indexOf(prev) + 1) % values.length];
+            localStorage.setItem(FRAME_OVERLAY_KEY, next);
+            return next;
+        });
+    }, []);
+
+    const applyFrameOverlay = useCallback((value) => {
+        setFrameOverlay(value);
+        localStorage.setItem(FRAME_OVERLAY_KEY, value);
+    }, []);
+
+    const applyFrameFormat = useCallback((value) => {
+        setFrameFormat(value);
+        localStorage.setItem(FRAME_FORMAT_KEY, value);
+    }, []);
+
+    // Save the shown frame next to the video, named after its timecode. ffmpeg
+    // decodes it from the file, so it has the native resolution.
+    const saveFrame = useCallback(async () => {
+        const api = getElectronAPI();
+        const video = videoElRef.current;
+        if (!api?.grabFrame || !video || !filePath) return;
+        const frame = frameAt(video.currentTime, frameRate);
+        const base = api.path.basename(filePath, api.path.extname(filePath));
+        const stamp = formatTimecode(frame, frameRate).replace(/[:;]/g, '-');
+        const outputPath = api.path.join(api.path.dirname(filePath), `${base}_${stamp}.${frameFormat}`);
+        setNotice(t('frameSaving'));
+        const res = await api.grabFrame(filePath, frameGrabTime(frame, frameRate), outputPath).catch(() => null);
+        setNotice(res?.success ? t('frameSaved').replace('{name}', api.path.basename(res.outputPath)) : t('frameSaveFailed'));
+    }, [filePath, frameRate, frameFormat, t]);
+
+    const onDragOver = useCallback((e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    }, []);
+
+    // Dropped subtitle files are read straight from the File objects
+    const onDrop = useCallback((e) => {
+        const files = [...e.dataTransfer.files];
+        if (files.length === 0) return;
+        e.preventDefault();
+        files.forEach((file) => loadSubtitles(() => subtitles.loadFromFile(file)));
+    }, [loadSubtitles, subtitles.loadFromFile]);
+
+    // [ / ] set the loop points, \ clears them, B adds a bookmark,
+    // G / H shift the subtitles 0.1s earlier / later, , / . step one frame,
+    // T cycles the timecode overlay, S saves the current frame
+    useEffect(() => {
+        if (!shortcutsEnabled) return;
+        const onKey = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            if (e.key === '[') setLoopPoint('a');
+            else if (e.key === ']') setLoopPoint('b');
+            else if (e.key === '\\') clearLoopRange();
+            else if (e.key === 'b' || e.key === 'B') addBookmarkHere();
+            else if (activeTrack && (e.key === 'g' || e.key === 'G')) shiftSubtitles(-0.1);
+            else if (activeTrack && (e.key === 'h' || e.key === 'H')) shiftSubtitles(0.1);
+            else if (e.key === ',') stepFrame(-1);
+            else if (e.key === '.') stepFrame(1);
+            else if (e.key === 't' || e.key === 'T') cycleFrameOverlay();
+            else if (e.key === 's' || e.key === 'S') saveFrame();
+        };
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, [shortcutsEnabled, setLoopPoint, clearLoopRange, addBookmarkHere, activeTrack, shiftSubtitles, stepFrame, cycleFrameOverlay, saveFrame]);
+
     // (Re)build Plyr whenever the source changes.
     useEffect(() => {
         const wrapper = wrapperRef.current;
-        if (!wrapper || !src) return;
+        if (!wrapper || !src || playback?.src !== src) return;
+        const streamed = playback.mode !== 'direct';
+        // An audio track switch rebuilds the player for the same video
+        const newVideo = builtSrcRef.current !== src;
+        builtSrcRef.current = src;
 
         if (plyrRef.current) {
             plyrRef.current.destroy();
@@ -127,26 +512,44 @@ export const VideoViewer = ({ src }) => {
             speed: { selected: 1, options: SPEED_OPTIONS },
             tooltips: { controls: false, seek: true },
             keyboard: { focused: true, global: false },
-            autoplay: true
+            autoplay: true,
+            // A piped stream has no usable duration of its own
+            duration: streamed ? playback.duration : null
         });
 
         player.source = {
             type: 'video',
-            sources: [{ src, type: 'video/mp4' }]
+            sources: [{ src: playback.url, type: 'video/mp4' }]
         };
 
         plyrRef.current = player;
 
         // Each new video starts at the natural 1x; volume boost carries over.
-        setSpeed(1);
+        if (newVideo) {
+            setSpeed(1);
+            setLoopRange({ a: null, b: null });
+            setSubtitlePanel(null);
+        }
+        setResumedAt(0);
+        setEditingBookmark(null);
+        setProgressEl(null);
+        setPlayerEl(null);
+        setDuration(0);
         const { boost: b, loop: l } = prefsRef.current;
-        video.loop = l;
+        const rate = newVideo ? 1 : prefsRef.current.speed;
+        video.loop = l && !streamed;
+        let resumePending = playback.resumeAt > 0;
         const reapply = () => {
-            video.playbackRate = 1;
+            video.playbackRate = rate;
             if (b !== 1) {
                 const gain = ensureGain();
                 if (gain) gain.gain.value = b;
             }
+            if (resumePending) {
+                resumePending = false;
+                video.currentTime = playback.resumeAt;
+                if (!playback.quiet) setResumedAt(playback.resumeAt);
+            }
             // "Open and it plays": kick off playback once the video is ready.
             // Electron allows autoplay with sound; ignore the promise rejection
             // if a browser policy ever blocks it.
@@ -155,8 +558,95 @@ export const VideoViewer = ({ src }) => {
         };
         player.on('loadedmetadata', reapply);
 
+        const onMetadata = () => {
+            setDuration(streamed ? playback.duration : video.duration);
+            setProgressEl(wrapper.querySelector('.plyr__progress'));
+            setPlayerEl(player.elements.container);
+        };
+        player.on('loadedmetadata', onMetadata);
+
+        // Watch progress for local files. Nothing is saved until the resume seek
+        // has happened, or the initial 0 would overwrite the stored position.
+        const filePath = src.startsWith('local-video:///') ? videoUrlToPath(src) : null;
+        let lastSave = 0;
+        const saveProgress = (ended = false) => {
+            if (!filePath || resumePending) return;
+            const duration = streamed ? playback.duration : video.duration;
+            if (!(duration > 0)) return;
+            lastSave = Date.now();
+            saveWatchProgress(filePath, video.currentTime, duration, ended);
+        };
+        const onTimeUpdate = () => {
+            if (Date.now() - lastSave >= PROGRESS_SAVE_MS) saveProgress();
+        };
+        const onPause = () => saveProgress();
+        const onEnded = () => saveProgress(true);
+        video.addEventListener('timeupdate', onTimeUpdate);
+        video.addEventListener('pause', onPause);
+        video.addEventListener('ended', onEnded);
+
+        // Direct playback failed (an error from the element or its <source>,
+        // which doesn't bubble), plays without sound or plays sound over a
+        // blank picture: probe the file and restart through the fallback if
+        // main says it needs one.
+        let fallbackChecked = false;
+        const checkFallback = () => {
+            const api = getElectronAPI();
+            if (streamed || fallbackChecked || !filePath || !api?.getPlaybackMode) return;
+            fallbackChecked = true;
+            const position = resumePending ? playback.resumeAt : video.currentTime;
+            api.getPlaybackMode(filePath, playback.audioTrack).then((res) => {
+                if (!res?.success || res.mode === 'direct') return;
+                setPlayback(prev => prev !== playback ? prev : {
+                    ...playback,
+                    url: fallbackUrl(src, playback.audioTrack),
+                    mode: res.mode,
+                    reason: res.reason,
+                    duration: res.duration,
+                    resumeAt: position,
+                    quiet: resumePending ? playback.quiet : true
+                });
+            }).catch(() => {});
+        };
+        let decodeCheckTimer = null;
+        const onPlaying = () => {
+            if (decodeCheckTimer !== null) return;
+            decodeCheckTimer = setTimeout(() => {
+                // Until the tracks are listed a video stream is assumed
+                const noVideo = hasVideoRef.current !== false
+                    && (video.videoWidth === 0 || video.webkitVideoDecodedByteCount === 0);
+                if (video.webkitAudioDecodedByteCount === 0 || noVideo) checkFallback();
+            }, DECODE_CHECK_MS);
+        };
+        if (!streamed) {
+            video.addEventListener('error', checkFallback, true);
+            video.addEventListener('playing', onPlaying);
+        }
+
+        const onStreamEnded = () => {
+            if (prefsRef.current.loop) video.currentTime = 0;
+        };
+        if (streamed) {
+            // A seek restarts the stream; keep the chosen speed across it.
+            installStreamSeeking(video, playback.url, () => {
+                video.addEventListener('loadedmetadata', () => {
+                    video.playbackRate = prefsRef.current.speed;
+                }, { once: true });
+            });
+            video.addEventListener('ended', onStreamEnded);
+        }
+
         return () => {
+            saveProgress();
+            video.removeEventListener('timeupdate', onTimeUpdate);
+            video.removeEventListener('pause', onPause);
+            video.removeEventListener('ended', onEnded);
+            video.removeEventListener('ended', onStreamEnded);
+            video.removeEventListener('error', checkFallback, true);
+            video.removeEventListener('playing', onPlaying);
+            clearTimeout(decodeCheckTimer);
             player.off?.('loadedmetadata', reapply);
+            player.off?.('loadedmetadata', onMetadata);
             player.destroy();
             plyrRef.current = null;
             videoElRef.current = null;
@@ -165,7 +655,7 @@ export const VideoViewer = ({ src }) => {
             sourceRef.current = null;
             gainRef.current = null;
         };
-    }, [src, ensureGain]);
+    }, [src, playback, ensureGain]);
 
     // Close the AudioContext when the viewer unmounts entirely.
     useEffect(() => () => {
@@ -191,71 +681,307 @@ export const VideoViewer = ({ src }) => {
     const openMenu = useCallback((e) => {
         e.preventDefault();
         // Clamp so the menu stays on screen.
-        const MENU_W = 230, MENU_H = 250;
+        const MENU_W = 230, MENU_H = 420;
         const x = Math.min(e.clientX, window.innerWidth - MENU_W);
         const y = Math.min(e.clientY, window.innerHeight - MENU_H);
         setMenu({ x: Math.max(8, x), y: Math.max(8, y) });
     }, []);
 
+    const openSubtitleSettings = useCallback(() => {
+        const PANEL_W = 300, PANEL_H = 300;
+        setSubtitlePanel({
+            x: Math.max(8, Math.min(menu?.x ?? 8, window.innerWidth - PANEL_W - 8)),
+            y: Math.max(8, Math.min(menu?.y ?? 8, window.innerHeight - PANEL_H - 8))
+        });
+        setMenu(null);
+    }, [menu]);
+
+    const fallbackActive = playback?.src === src && playback.mode !== 'direct';
+    const audioSwitched = fallbackActive && playback.mode === 'remux' && playback.audioTrack > 0;
+
     return (
         <div
-            ref={wrapperRef}
-            onContextMenu={openMenu}
-            style={{
-                width: '100%', height: '100%',
-                overflow: 'hidden', background: '#000', position: 'relative'
-            }}
+            onDragOver={onDragOver}
+            onDrop={onDrop}
+            style={{ width: '100%', height: '100%', position: 'relative' }}
         >
-            {menu && (
-                <div
-                    onClick={(e) => e.stopPropagation()}
-                    onContextMenu={(e) => { e.preventDefault(); e.stopPropagation(); }}
-                    style={{
-                        position: 'fixed', left: menu.x, top: menu.y, zIndex: 9999,
-                        width: 214, padding: 8,
-                        background: 'rgba(20,20,22,0.97)', color: '#fff',
-                        border: '1px solid rgba(255,255,255,0.12)', borderRadius: 10,
-                        boxShadow: '0 8px 28px rgba(0,0,0,0.5)', fontSize: 13,
-                        backdropFilter: 'blur(6px)', userSelect: 'none'
-                    }}
-                >
-                    <div style={menuLabel}>{t('ctxPlaybackSpeed')}</div>
-                    <div style={chipRow}>
-                        {SPEED_OPTIONS.map((s) => (
+            {fallbackActive && (
+                <div style={fallbackBadge} title={t(audioSwitched ? 'playbackAudioTrackHint' : 'playbackFallbackHint')}>
+                    {audioSwitched
+                        ? t('playbackAudioTrack').replace('{track}', trackName(mediaTracks.audioTracks[playback.audioTrack] || {}, playback.audioTrack, t))
+                        : t(playback.mode === 'transcode' ? 'playbackTranscoding' : 'playbackRemuxing').replace('{reason}', playback.reason)}
+                </div>
+            )}
+            <TimelineMarkers
+                container={progressEl}
+                duration={duration}
+                bookmarks={bookmarks}
+                loopRange={loopRange}
+                onSeek={seekTo}
+                onEditBookmark={openBookmarkEditor}
+            />
+            <SubtitleOverlay
+                container={playerEl}
+                videoRef={videoElRef}
+                cues={activeTrack?.cues || null}
+                offset={subtitles.offset}
+                style={subtitles.style}
+            />
+            <FrameOverlay
+                container={playerEl}
+                videoRef={videoElRef}
+                fps={frameRate}
+                mode={frameOverlay}
+            />
+            {(subtitles.extractingId || notice) && (
+                <div style={{ ...fallbackBadge, left: '50%', transform: 'translateX(-50%)' }}>
+                    {subtitles.extractingId ? t('subtitleExtracting') : notice}
+                </div>
+            )}
+            {subtitlePanel && (
+                <SubtitleSettings
+                    x={subtitlePanel.x}
+                    y={subtitlePanel.y}
+                    style={subtitles.style}
+                    onStyleChange={subtitles.setStyle}
+                    offset={subtitles.offset}
+                    onOffsetChange={setSubtitleOffset}
+                    showShortcuts
+                    onClose={() => setSubtitlePanel(null)}
+                />
+            )}
+            {editingBookmark && (
+                <>
+                    <div style={{ position: 'fixed', inset: 0, zIndex: 9998 }} onClick={commitBookmarkEdit} />
+                    <div style={{ ...bookmarkEditor, left: editingBookmark.x, top: editingBookmark.y }}>
+                        <input
+                            autoFocus
+                            value={editingBookmark.label}
+                            onChange={(e) => setEditingBookmark(prev => ({ ...prev, label: e.target.value }))}
+                            onKeyDown={(e) => {
+                                e.stopPropagation();
+                                if (e.key === 'Enter') commitBookmarkEdit();
+                                else if (e.key === 'Escape') setEditingBookmark(null);
+                            }}
+                            style={bookmarkInput}
+                        />
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 8 }}>
+                            {BOOKMARK_COLORS.map((color) => (
+                                <button
+                                    key={color}
+                                    onClick={() => setEditingBookmark(prev => ({ ...prev, color }))}
+                                    style={{
+                                        width: 16, height: 16, borderRadius: '50%', cursor: 'pointer',
+                                        background: color, padding: 0,
+                                        border: editingBookmark.color === color ? '2px solid #fff' : '2px solid transparent'
+                                    }}
+                                />
+                            ))}
                             <button
-                                key={s}
-                                onClick={() => applySpeed(s)}
-                                style={chip(speed === s)}
-                            >{s}x</button>
-                        ))}
+                                onClick={() => { removeBookmark(editingBookmark.id); setEditingBookmark(null); }}
+                                title={t('deleteBookmark')}
+                                style={{ ...resumeButton, marginLeft: 'auto', background: 'rgba(239,68,68,0.25)' }}
+                            >{t('delete')}</button>
+                        </div>
                     </div>
+                </>
+            )}
+            {resumedAt > 0 && (
+                <div style={resumeNotice}>
+                    <span>{t('resumedAt')} {formatDuration(resumedAt)}</span>
+                    <button onClick={startOver} style={resumeButton}>{t('startOver')}</button>
+                </div>
+            )}
+            <div
+                ref={wrapperRef}
+                onContextMenu={openMenu}
+                style={{
+                    width: '100%', height: '100%',
+                    overflow: 'hidden', background: '#000', position: 'relative'
+                }}
+            >
+                {menu && (
+                    <div
+                        onClick={(e) => e.stopPropagation()}
+                        onContextMenu={(e) => { e.preventDefault(); e.stopPropagation(); }}
+                        style={{
+                            position: 'fixed', left: menu.x, top: menu.y, zIndex: 9999,
+                            width: 214, padding: 8,
+                            maxHeight: 'calc(100vh - 16px)', overflowY: 'auto',
+                            background: 'rgba(20,20,22,0.97)', color: '#fff',
+                            border: '1px solid rgba(255,255,255,0.12)', borderRadius: 10,
+                            boxShadow: '0 8px 28px rgba(0,0,0,0.5)', fontSize: 13,
+                            backdropFilter: 'blur(6px)', userSelect: 'none'
+                        }}
+                    >
+                        <div style={menuLabel}>{t('ctxPlaybackSpeed')}</div>
+                        <div style={chipRow}>
+                            {SPEED_OPTIONS.map((s) => (
+                                <button
+                                    key={s}
+                                    onClick={() => applySpeed(s)}
+                                    style={chip(speed === s)}
+                                >{s}x</button>
+                            ))}
+                        </div>
+
+                        <div style={menuLabel}>{t('ctxVolumeBoost')}</div>
+                        <div style={chipRow}>
+                            {BOOST_OPTIONS.map((b) => (
+                                <button
+                                    key={b}
+                                    onClick={() => applyBoost(b)}
+                                    style={chip(boost === b)}
+                                >{Math.round(b * 100)}%</button>
+                            ))}
+                        </div>
 
-                    <div style={menuLabel}>{t('ctxVolumeBoost')}</div>
-                    <div style={chipRow}>
-                        {BOOST_OPTIONS.map((b) => (
+                        <div style={{ height: 1, background: 'rgba(255,255,255,0.1)', margin: '8px 4px' }} />
+
+                        <button onClick={() => { toggleLoop(); }} style={menuItem}>
+                            <span>{t('ctxLoop')}</span>
+                            <span style={{ opacity: 0.7 }}>{loop ? '✓' : ''}</span>
+                        </button>
+                        <button onClick={() => { enterPip(); setMenu(null); }} style={menuItem}>
+                            <span>{t('ctxPictureInPicture')}</span>
+                        </button>
+
+                        <div style={menuLabel}>{t('ctxAbLoop')}</div>
+                        <div style={chipRow}>
+                            <button onClick={() => setLoopPoint('a')} style={chip(loopRange.a !== null)}>
+                                A{loopRange.a !== null ? ` ${formatTime(loopRange.a)}` : ''}
+                            </button>
+                            <button onClick={() => setLoopPoint('b')} style={chip(loopRange.b !== null)}>
+                                B{loopRange.b !== null ? ` ${formatTime(loopRange.b)}` : ''}
+                            </button>
                             <button
-                                key={b}
-                                onClick={() => applyBoost(b)}
-                                style={chip(boost === b)}
-                            >{Math.round(b * 100)}%</button>
-                        ))}
-                    </div>
+                                onClick={clearLoopRange}
+                                disabled={loopRange.a === null}
+                                title={t('ctxClearAbLoop')}
+                                style={{ ...chip(false), flex: '0 0 auto', opacity: loopRange.a === null ? 0.4 : 1 }}
+                            >✕</button>
+                        </div>
 
-                    <div style={{ height: 1, background: 'rgba(255,255,255,0.1)', margin: '8px 4px' }} />
+                        <div style={menuLabel}>{t('ctxFrame')}</div>
+                        <div style={chipRow}>
+                            {FRAME_OVERLAYS.map((o) => (
+                                <button
+                                    key={o.value}
+                                    onClick={() => applyFrameOverlay(o.value)}
+                                    style={chip(frameOverlay === o.value)}
+                                >{t(o.label)}</button>
+                            ))}
+                        </div>
+                        {filePath && (
+                            <div style={{ ...chipRow, marginTop: 4 }}>
+                                <button
+                                    onClick={() => { saveFrame(); setMenu(null); }}
+                                    title={fps ? `${Math.round(fps * 1000) / 1000} fps` : undefined}
+                                    style={{ ...chip(false), flex: '2 0 auto' }}
+                                >{t('ctxSaveFrame')}  (S)</button>
+                                {FRAME_FORMATS.map((f) => (
+                                    <button key={f} onClick={() => applyFrameFormat(f)} style={chip(frameFormat === f)}>
+                                        {f.toUpperCase()}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
 
-                    <button onClick={() => { toggleLoop(); }} style={menuItem}>
-                        <span>{t('ctxLoop')}</span>
-                        <span style={{ opacity: 0.7 }}>{loop ? '✓' : ''}</span>
-                    </button>
-                    <button onClick={() => { enterPip(); setMenu(null); }} style={menuItem}>
-                        <span>{t('ctxPictureInPicture')}</span>
-                    </button>
-                </div>
-            )}
+                        {mediaTracks.audioTracks.length > 1 && (
+                            <>
+                                <div style={menuLabel}>{t('ctxAudioTrack')}</div>
+                                {mediaTracks.audioTracks.map((track, n) => (
+                                    <button key={track.index} onClick={() => { selectAudioTrack(n); setMenu(null); }} style={menuItem}>
+                                        <span style={trackLabelText}>{audioTrackLabel(track, n, t)}</span>
+                                        <span style={{ opacity: 0.7 }}>{audioTrack === n ? '✓' : ''}</span>
+                                    </button>
+                                ))}
+                            </>
+                        )}
+
+                        <div style={menuLabel}>{t('ctxSubtitles')}</div>
+                        {[null, ...subtitles.tracks].map((track) => (
+                            <button
+                                key={track?.id ?? 'off'}
+                                onClick={() => loadSubtitles(() => subtitles.selectTrack(track?.id ?? null), 'subtitleExtractFailed')}
+                                disabled={track?.disabled || !!subtitles.extractingId}
+                                title={track?.disabled ? t('subtitleImageBasedHint') : undefined}
+                                style={{ ...menuItem, opacity: track?.disabled ? 0.4 : 1 }}
+                            >
+                                <span style={trackLabelText}>{track ? track.label : t('subtitlesOff')}</span>
+                                <span style={{ opacity: 0.7 }}>
+                                    {subtitles.extractingId && subtitles.extractingId === track?.id
+                                        ? '…'
+                                        : (activeTrack?.id ?? null) === (track?.id ?? null) ? '✓' : ''}
+                                </span>
+                            </button>
+                        ))}
+                        <button onClick={() => { loadSubtitles(subtitles.loadFromDialog); setMenu(null); }} style={menuItem}>
+                            <span>{t('ctxLoadSubtitles')}</span>
+                        </button>
+                        <button onClick={openSubtitleSettings} style={menuItem}>
+                            <span>{t('ctxSubtitleSettings')}</span>
+                            {subtitles.offset !== 0 && <span style={{ opacity: 0.5, fontSize: 11 }}>{formatOffset(subtitles.offset)}</span>}
+                        </button>
+
+                        {filePath && (
+                            <>
+                                <div style={{ height: 1, background: 'rgba(255,255,255,0.1)', margin: '8px 4px' }} />
+                                <button onClick={() => { addBookmarkHere(); setMenu(null); }} style={menuItem}>
+                                    <span>{t('ctxAddBookmark')}</span>
+                                    <span style={{ opacity: 0.5, fontSize: 11 }}>B</span>
+                                </button>
+                                <button
+                                    onClick={() => { exportBookmarks('chapters'); setMenu(null); }}
+                                    disabled={bookmarks.length === 0}
+                                    style={{ ...menuItem, opacity: bookmarks.length === 0 ? 0.4 : 1 }}
+                                >
+                                    <span>{t('ctxExportChapters')}</span>
+                                </button>
+                                <button onClick={() => { exportBookmarks('json'); setMenu(null); }} style={menuItem}>
+                                    <span>{t('ctxExportAllBookmarks')}</span>
+                                </button>
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
         </div>
     );
 };
 
+const fallbackBadge = {
+    position: 'absolute', top: 12, left: 12, zIndex: 5,
+    padding: '4px 10px', borderRadius: 6,
+    background: 'rgba(0,0,0,0.65)', color: 'rgba(255,255,255,0.85)',
+    fontSize: 12, pointerEvents: 'auto', userSelect: 'none'
+};
+
+const resumeNotice = {
+    position: 'absolute', left: 12, bottom: 64, zIndex: 5,
+    display: 'flex', alignItems: 'center', gap: 10,
+    padding: '6px 8px 6px 12px', borderRadius: 8,
+    background: 'rgba(0,0,0,0.7)', color: 'rgba(255,255,255,0.9)',
+    fontSize: 12, userSelect: 'none'
+};
+const resumeButton = {
+    padding: '3px 8px', cursor: 'pointer',
+    border: 'none', borderRadius: 5, fontSize: 12,
+    background: 'rgba(255,255,255,0.15)', color: '#fff'
+};
+
+const bookmarkEditor = {
+    position: 'fixed', zIndex: 9999, width: 220, padding: 10,
+    background: 'rgba(20,20,22,0.97)', color: '#fff',
+    border: '1px solid rgba(255,255,255,0.12)', borderRadius: 10,
+    boxShadow: '0 8px 28px rgba(0,0,0,0.5)'
+};
+const bookmarkInput = {
+    width: '100%', padding: '5px 8px', fontSize: 13,
+    border: '1px solid rgba(255,255,255,0.2)', borderRadius: 6,
+    background: 'rgba(255,255,255,0.08)', color: '#fff', outline: 'none'
+};
+
 const menuLabel = {
     fontSize: 11, opacity: 0.55, textTransform: 'uppercase',
     letterSpacing: 0.5, padding: '6px 4px 4px'
@@ -268,6 +994,7 @@ const chip = (active) => ({
     color: active ? '#fff' : 'rgba(255,255,255,0.85)',
     fontWeight: active ? 600 : 400
 });
+const trackLabelText = { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' };
 const menuItem = {
     display: 'flex', justifyContent: 'space-between', alignItems: 'center',
     width: '100%', padding: '8px 8px', cursor: 'pointer',
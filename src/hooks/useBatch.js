@@ -0,0 +1,125 @@
+import { useState, useCallback, useRef, useMemo } from 'react';
+import { batchOutputNames } from '../utils/batchNaming';
+import { getVideoMetadata } from '../utils/videoMetadata';
+
+const getElectronAPI = () => window.electronAPI || null;
+
+const baseNameOf = (file) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(file, api.path.extname(file));
+  return (file.split(/[\\/]/).pop() || file).replace(/\.[^.]+$/, '');
+};
+
+/**
+ * Batch mode of the export dialogs: which files to process, the output folder
+ * and name template, and a runner that processes the files one at a time
+ * (each file is a job in the queue) and records a result per file.
+ * @param {string[]} files - the grid's current (filtered) files
+ * @param {string} defaultTemplate - see utils/batchNaming.js
+ */
+export const useBatch = (files, defaultTemplate) => {
+  const [selected, setSelected] = useState(() => new Set(files));
+  const [template, setTemplate] = useState(defaultTemplate);
+  const [outputDir, setOutputDir] = useState('');
+  const [running, setRunning] = useState(false);
+  const [current, setCurrent] = useState(null); // { index, total, file, pct }
+  const [results, setResults] = useState(null); // [{ file, success, error }]
+  const jobIdRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  // Selected files in grid order
+  const queue = useMemo(() => files.filter(f => selected.has(f)), [files, selected]);
+  const outputNames = useMemo(() => batchOutputNames(queue.map(baseNameOf), template), [queue, template]);
+
+  const toggle = useCallback((file) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(file)) next.delete(file);
+      else next.add(file);
+      return next;
+    });
+  }, []);
+
+  const toggleAll = useCallback(() => {
+    setSelected(prev => prev.size === files.length ? new Set() : new Set(files));
+  }, [files]);
+
+  const chooseOutputDir = useCallback(async () => {
+    const dir = await getElectronAPI()?.selectOutputDirectory();
+    if (dir) setOutputDir(dir);
+    return dir || null;
+  }, []);
+
+  /**
+   * Process the selected files into dir.
+   * processFile(file, { outputPath, outputName, index, meta, onProgress })
+   * resolves a job result ({ success, error?, cancelled? }); a cancelled job
+   * stops the batch. outputPath is dir/outputName.ext when an ext is given;
+   * without one the outputs are outputName_* files (screenshots). Names
+   * already in dir get a suffix (see batchOutputNames). meta is the file's
+   * probe metadata (duration etc.), or null when it couldn't be read.
+   */
+  const run = useCallback(async (dir, processFile, { ext } = {}) => {
+    const api = getElectronAPI();
+    setRunning(true);
+    setResults(null);
+    cancelledRef.current = false;
+    const done = [];
+
+    const existing = (api.listDirectory?.(dir) || []).map(name => name.toLowerCase());
+    const existingSet = new Set(existing);
+    const outputNames = batchOutputNames(queue.map(baseNameOf), template, ext
+      ? (name) => existingSet.has(`${name}.${ext}`.toLowerCase())
+      : (name) => existing.some(file => file.startsWith(`${name.toLowerCase()}_`)));
+
+    for (let index = 0; index < queue.length; index++) {
+      if (cancelledRef.current) break;
+      const file = queue[index];
+      setCurrent({ index, total: queue.length, file, pct: 0 });
+      const outputPath = ext ? api.path.join(dir, `${outputNames[index]}.${ext}`) : null;
+      if (outputPath && outputPath.toLowerCase() === file.toLowerCase()) {
+        done.push({ file, success: false, error: 'The output would overwrite the source file' });
+        continue;
+      }
+      try {
+        const meta = await getVideoMetadata(`local-video:///${file.replace(/\\/g, '/')}`);
+        if (cancelledRef.current) break;
+        const result = await processFile(file, {
+          outputPath,
+          outputName: outputNames[index],
+          index,
+          meta,
+          onProgress: (pct, job) => {
+            if (job) jobIdRef.current = job.id;
+            setCurrent(prev => prev && { ...prev, pct });
+          }
+        });
+        jobIdRef.current = null;
+        if (result?.cancelled) break;
+        done.push({ file, success: !!result?.success, error: result?.error || null });
+      } catch (err) {
+        done.push({ file, success: false, error: err.message || String(err) });
+      }
+    }
+
+    setCurrent(null);
+    setRunning(false);
+    setResults(done);
+    return done;
+  }, [queue, template]);
+
+  // Stop the running job and skip the rest of the batch
+  const cancel = useCallback(() => {
+    cancelledRef.current = true;
+    if (jobIdRef.current) getElectronAPI()?.cancelJob(jobIdRef.current);
+  }, []);
+
+  const reset = useCallback(() => setResults(null), []);
+
+  return {
+    files, selected, queue, toggle, toggleAll,
+    template, setTemplate, outputNames,
+    outputDir, setOutputDir, chooseOutputDir,
+    running, current, results, run, cancel, reset
+  };
+};
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getBookmarks, setBookmarks, BOOKMARK_COLORS } from '../utils/bookmarks';
+
+/**
+ * Bookmarks of the file playing in the viewer, saved as they change.
+ * @param {string|null} filePath - null for non-local sources (nothing is saved)
+ */
+export const useBookmarks = (filePath) => {
+  const [bookmarks, setList] = useState(() => filePath ? getBookmarks(filePath) : []);
+
+  useEffect(() => {
+    setList(filePath ? getBookmarks(filePath) : []);
+  }, [filePath]);
+
+  const update = useCallback((updater) => {
+    setList(prev => {
+      const next = updater(prev).sort((a, b) => a.time - b.time);
+      if (filePath) setBookmarks(filePath, next);
+      return next;
+    });
+  }, [filePath]);
+
+  const addBookmark = useCallback((time, label) => {
+    update(prev => [...prev, {
+      id: `bm-${Date.now()}`,
+      time,
+      label,
+      color: BOOKMARK_COLORS[prev.length % BOOKMARK_COLORS.length]
+    }]);
+  }, [update]);
+
+  const updateBookmark = useCallback((id, changes) => {
+    update(prev => prev.map(b => b.id === id ? { ...b, ...changes } : b));
+  }, [update]);
+
+  const removeBookmark = useCallback((id) => {
+    update(prev => prev.filter(b => b.id !== id));
+  }, [update]);
+
+  return { bookmarks, addBookmark, updateBookmark, removeBookmark };
+};
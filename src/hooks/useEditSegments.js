@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  initialSegments, splitAt, toggleRemoved, moveSegment, moveBoundary, moveEdge,
+  snapToKeyframes, getEditList, saveEditList
+} from '../utils/editSegments';
+
+/**
+ * Segment edit list of the file open in the editor. The saved list is
+ * restored once the duration is known, and every change is saved.
+ * @param {string|null} filePath
+ * @param {number} duration - 0 until the video's metadata has loaded
+ */
+export const useEditSegments = (filePath, duration) => {
+  const [segments, setSegments] = useState([]);
+  const [restored, setRestored] = useState(false);
+
+  useEffect(() => {
+    if (!(duration > 0)) {
+      setSegments([]);
+      return;
+    }
+    const saved = filePath ? getEditList(filePath, duration) : null;
+    setSegments(saved || initialSegments(duration));
+    setRestored(!!saved);
+  }, [filePath, duration]);
+
+  const update = useCallback((updater) => {
+    setSegments(prev => {
+      const next = updater(prev);
+      if (next !== prev && filePath) saveEditList(filePath, duration, next);
+      return next;
+    });
+  }, [filePath, duration]);
+
+  const split = useCallback((time) => update(prev => splitAt(prev, time)), [update]);
+  const toggle = useCallback((id) => update(prev => toggleRemoved(prev, id)), [update]);
+  const move = useCallback((id, direction) => update(prev => moveSegment(prev, id, direction)), [update]);
+  const setBoundary = useCallback((leftId, time) => update(prev => moveBoundary(prev, leftId, time)), [update]);
+  const setEdge = useCallback((edge, time) => update(prev => moveEdge(prev, edge, time)), [update]);
+  const snapCuts = useCallback((keyframes) => update(prev => snapToKeyframes(prev, keyframes)), [update]);
+  const reset = useCallback(() => {
+    update(() => initialSegments(duration));
+    setRestored(false);
+  }, [update, duration]);
+
+  return { segments, restored, split, toggle, move, setBoundary, setEdge, snapCuts, reset };
+};
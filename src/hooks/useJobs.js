@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+
+const getElectronAPI = () => window.electronAPI || null;
+
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+
+export const isActiveJob = (job) => ACTIVE_STATUSES.includes(job.status);
+
+/**
+ * Hook mirroring the main-process ffmpeg job queue.
+ * Loads the current job list once, then applies 'job-status' updates in place
+ * and drops the finished jobs the queue prunes.
+ */
+export const useJobs = () => {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => {
+    const api = getElectronAPI();
+    if (!api?.onJobStatus) return;
+
+    let cancelled = false;
+    api.listJobs().then(list => {
+      if (!cancelled && Array.isArray(list)) {
+        // Keep any updates that arrived before the initial list resolved
+        setJobs(prev => {
+          const seen = new Set(prev.map(j => j.id));
+          return [...list.filter(j => !seen.has(j.id)), ...prev];
+        });
+      }
+    });
+
+    const unsubscribe = api.onJobStatus((job) => {
+      setJobs(prev => {
+        const idx = prev.findIndex(j => j.id === job.id);
+        if (idx === -1) return [...prev, job];
+        const next = [...prev];
+        next[idx] = job;
+        return next;
+      });
+    });
+
+    const unsubscribeRemoved = api.onJobsRemoved?.((ids) => {
+      const removed = new Set(ids);
+      setJobs(prev => prev.filter(j => !removed.has(j.id)));
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      unsubscribeRemoved?.();
+    };
+  }, []);
+
+  const cancelJob = useCallback((id) => getElectronAPI()?.cancelJob(id), []);
+  const pauseJob = useCallback((id) => getElectronAPI()?.pauseJob(id), []);
+  const resumeJob = useCallback((id) => getElectronAPI()?.resumeJob(id), []);
+  const revealJob = useCallback((job) => getElectronAPI()?.revealInFolder(job.outputPath), []);
+
+  const clearFinished = useCallback(async () => {
+    await getElectronAPI()?.clearFinishedJobs();
+    setJobs(prev => prev.filter(isActiveJob));
+  }, []);
+
+  const activeCount = useMemo(() => jobs.filter(isActiveJob).length, [jobs]);
+
+  return useMemo(() => ({
+    jobs,
+    activeCount,
+    cancelJob,
+    pauseJob,
+    resumeJob,
+    revealJob,
+    clearFinished
+  }), [jobs, activeCount, cancelJob, pauseJob, resumeJob, revealJob, clearFinished]);
+};
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const LOCATIONS_KEY = 'revid-library-locations';
+const RECENT_KEY = 'revid-recent-folders';
+const MAX_RECENT = 8;
+
+const getElectronAPI = () => window.electronAPI || null;
+
+function loadList(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+const saveList = (key, list) => localStorage.setItem(key, JSON.stringify(list));
+
+const baseName = (folderPath) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(folderPath);
+  return folderPath.split(/[\\/]/).filter(Boolean).pop() || folderPath;
+};
+
+/**
+ * Saved library locations ({ id, name, path }) plus automatically tracked
+ * recent folders. Every folder that becomes currentPath is recorded as recent.
+ */
+export const useLibrary = (currentPath) => {
+  const [locations, setLocations] = useState(() => loadList(LOCATIONS_KEY));
+  const [recentFolders, setRecentFolders] = useState(() => loadList(RECENT_KEY));
+
+  useEffect(() => {
+    if (!currentPath) return;
+    setRecentFolders(prev => {
+      if (prev[0] === currentPath) return prev;
+      const next = [currentPath, ...prev.filter(p => p !== currentPath)].slice(0, MAX_RECENT);
+      saveList(RECENT_KEY, next);
+      return next;
+    });
+  }, [currentPath]);
+
+  const addLocation = useCallback((folderPath, name) => {
+    if (!folderPath) return;
+    setLocations(prev => {
+      if (prev.some(loc => loc.path === folderPath)) return prev;
+      const next = [...prev, { id: `loc-${Date.now()}`, name: name || baseName(folderPath), path: folderPath }];
+      saveList(LOCATIONS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const removeLocation = useCallback((id) => {
+    setLocations(prev => {
+      const next = prev.filter(loc => loc.id !== id);
+      saveList(LOCATIONS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const renameLocation = useCallback((id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setLocations(prev => {
+      const next = prev.map(loc => loc.id === id ? { ...loc, name: trimmed } : loc);
+      saveList(LOCATIONS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const clearRecent = useCallback(() => {
+    setRecentFolders([]);
+    saveList(RECENT_KEY, []);
+  }, []);
+
+  return {
+    locations,
+    recentFolders,
+    addLocation,
+    removeLocation,
+    renameLocation,
+    clearRecent
+  };
+};
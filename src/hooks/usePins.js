@@ -31,6 +31,19 @@ export const usePins = () => {
     });
   }, []);
 
+  // Move pins along with files renamed on disk ([{ from, to }])
+  const renamePins = useCallback((renamed) => {
+    setPinnedSet(prev => {
+      if (!renamed.some(({ from }) => prev.has(from))) return prev;
+      const next = new Set(prev);
+      for (const { from, to } of renamed) {
+        if (next.delete(from)) next.add(to);
+      }
+      savePins(next);
+      return next;
+    });
+  }, []);
+
   const isPinned = useCallback(
     (filePath) => pinnedSet.has(filePath),
     [pinnedSet]
@@ -43,5 +56,5 @@ export const usePins = () => {
     savePins(new Set());
   }, []);
 
-  return { isPinned, togglePin, pinnedSet, pinnedCount, clearPins };
+  return { isPinned, togglePin, renamePins, pinnedSet, pinnedCount, clearPins };
 };
@@ -1,11 +1,30 @@
-import { useState, useEffect, useMemo, useCallback } from 'react';
-import { getCachedMetadata } from '../utils/videoMetadata';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { getVideoMetadata } from '../utils/videoMetadata';
+import { parseSearchQuery, matchSearchQuery } from '../utils/searchQuery';
 
 const getElectronAPI = () => window.electronAPI || null;
 
 const SORT_KEY = 'revid-sort-by';
 const SORT_DIR_KEY = 'revid-sort-dir';
 const FILTER_EXT_KEY = 'revid-filter-ext';
+// Per-location overrides: { [folderPath]: { sortBy, sortDir, filterExt } }
+const LOCATION_SETTINGS_KEY = 'revid-location-sort';
+const DURATION_PROBE_WORKERS = 4;
+
+const folderOf = (file) => file.replace(/[\\/][^\\/]*$/, '');
+
+const extOf = (file) => {
+  const api = getElectronAPI();
+  return api?.path?.extname
+    ? api.path.extname(file).toLowerCase()
+    : (file.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+};
+
+const nameOf = (file) => {
+  const api = getElectronAPI();
+  if (api?.path?.basename) return api.path.basename(file);
+  return file.split(/[\\/]/).pop() || file;
+};
 
 const SORT_OPTIONS = [
   { value: 'name', label: 'Name' },
@@ -16,19 +35,63 @@ const SORT_OPTIONS = [
 
 export { SORT_OPTIONS };
 
-export const useSortFilter = (files) => {
+function loadLocationSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCATION_SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Sorting, extension filtering and search for the file list. Settings are
+ * remembered per library location (locationKey, normally the open folder); a
+ * location without saved settings starts from the last-used ones. The search
+ * query (see utils/searchQuery) isn't persisted.
+ */
+export const useSortFilter = (files, locationKey, { isPinned } = {}) => {
   const [sortBy, setSortBy] = useState(() =>
-    localStorage.getItem(SORT_KEY) || 'name'
+    loadLocationSettings()[locationKey]?.sortBy || localStorage.getItem(SORT_KEY) || 'name'
   );
   const [sortDir, setSortDir] = useState(() =>
-    localStorage.getItem(SORT_DIR_KEY) || 'asc'
+    loadLocationSettings()[locationKey]?.sortDir || localStorage.getItem(SORT_DIR_KEY) || 'asc'
   );
   const [filterExt, setFilterExt] = useState(() =>
-    localStorage.getItem(FILTER_EXT_KEY) || 'all'
+    loadLocationSettings()[locationKey]?.filterExt || localStorage.getItem(FILTER_EXT_KEY) || 'all'
   );
+  const locationRef = useRef(locationKey);
 
   // Collect file stats (size, mtime) — synchronous via preload
   const [fileStats, setFileStats] = useState({});
+  // ffmpeg probe metadata, only loaded when sorting by duration or searching by
+  // duration/resolution/codec
+  const [probed, setProbed] = useState({});
+  const [searchQuery, setSearchQuery] = useState('');
+  const parsedQuery = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+  const needsProbe = sortBy === 'duration' || parsedQuery.needsMetadata;
+  // Files whose probe is in flight. Each batch landing in probed reruns the
+  // probe effect; the new run leaves these to the run that started them.
+  const probingRef = useRef(new Set());
+
+  // Switching location restores that location's settings. Runs before the
+  // save effect below so the new values are stored under the new location.
+  useEffect(() => {
+    if (locationRef.current === locationKey) return;
+    locationRef.current = locationKey;
+    const saved = loadLocationSettings()[locationKey];
+    if (!saved) return;
+    setSortBy(saved.sortBy || 'name');
+    setSortDir(saved.sortDir || 'asc');
+    setFilterExt(saved.filterExt || 'all');
+  }, [locationKey]);
+
+  useEffect(() => {
+    const key = locationRef.current;
+    if (!key) return;
+    const settings = loadLocationSettings();
+    settings[key] = { sortBy, sortDir, filterExt };
+    localStorage.setItem(LOCATION_SETTINGS_KEY, JSON.stringify(settings));
+  }, [sortBy, sortDir, filterExt]);
 
   useEffect(() => {
     localStorage.setItem(SORT_KEY, sortBy);
@@ -56,43 +119,105 @@ export const useSortFilter = (files) => {
     setFileStats(stats);
   }, [files]);
 
+  useEffect(() => {
+    if (!needsProbe) return;
+    const probing = probingRef.current;
+    const queue = files.filter(file => !probed[file] && !probing.has(file));
+    if (queue.length === 0) return;
+    let cancelled = false;
+    let pending = {};
+
+    // Results are kept even after the run is cancelled; they're still valid
+    const flush = () => {
+      if (Object.keys(pending).length === 0) return;
+      const batch = pending;
+      pending = {};
+      setProbed(prev => ({ ...prev, ...batch }));
+    };
+
+    const worker = async () => {
+      while (!cancelled && queue.length > 0) {
+        const file = queue.shift();
+        probing.add(file);
+        const meta = await getVideoMetadata(`local-video:///${file.replace(/\\/g, '/')}`);
+        probing.delete(file);
+        pending[file] = meta || { duration: 0 };
+        if (Object.keys(pending).length >= 20) flush();
+      }
+    };
+
+    Promise.all(Array.from({ length: DURATION_PROBE_WORKERS }, worker)).then(flush);
+    return () => { cancelled = true; };
+  }, [needsProbe, files, probed]);
+
   // Available extensions from current files
   const availableExtensions = useMemo(() => {
-    const api = getElectronAPI();
     const extSet = new Set();
     for (const file of files) {
-      const ext = api?.path?.extname
-        ? api.path.extname(file).toLowerCase()
-        : (file.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+      const ext = extOf(file);
       if (ext) extSet.add(ext);
     }
     return [...extSet].sort();
   }, [files]);
 
+  // Search matches: file -> highlight ranges in its file name, or null when
+  // there is no query, and file -> match score. Files still being probed don't
+  // match metadata filters yet.
+  const { searchMatches, searchScores } = useMemo(() => {
+    if (parsedQuery.isEmpty) return { searchMatches: null, searchScores: null };
+    const matches = new Map();
+    const scores = new Map();
+    for (const file of files) {
+      const match = matchSearchQuery(parsedQuery, nameOf(file), {
+        ext: extOf(file),
+        size: fileStats[file]?.size,
+        pinned: isPinned?.(file),
+        meta: probed[file]
+      });
+      if (match) {
+        matches.set(file, match.ranges);
+        scores.set(file, match.score);
+      }
+    }
+    return { searchMatches: matches, searchScores: scores };
+  }, [files, parsedQuery, fileStats, probed, isPinned]);
+
   // Filtered files
   const filteredFiles = useMemo(() => {
-    if (filterExt === 'all') return files;
-    const api = getElectronAPI();
-    return files.filter(file => {
-      const ext = api?.path?.extname
-        ? api.path.extname(file).toLowerCase()
-        : (file.match(/\.[^.]+$/) || [''])[0].toLowerCase();
-      return ext === filterExt;
-    });
-  }, [files, filterExt]);
+    let result = files;
+    if (filterExt !== 'all') result = result.filter(file => extOf(file) === filterExt);
+    if (searchMatches) result = result.filter(file => searchMatches.has(file));
+    return result;
+  }, [files, filterExt, searchMatches]);
 
-  // Sort
+  // Folder order of a recursive scan (order of first appearance). Sorting then
+  // happens within each folder so subfolder groups stay together.
+  const folderRank = useMemo(() => {
+    const rank = new Map();
+    for (const file of files) {
+      const folder = folderOf(file);
+      if (!rank.has(folder)) rank.set(folder, rank.size);
+    }
+    return rank;
+  }, [files]);
+
+  // Sort. While searching, better matches come first (within their folder);
+  // the chosen order breaks ties, e.g. for a query of filters only.
   const displayFiles = useMemo(() => {
     const sorted = [...filteredFiles];
-    const api = getElectronAPI();
     const dir = sortDir === 'asc' ? 1 : -1;
 
-    const getName = (f) => {
-      if (api?.path?.basename) return api.path.basename(f).toLowerCase();
-      return (f.split(/[\\/]/).pop() || f).toLowerCase();
-    };
+    const getName = (f) => nameOf(f).toLowerCase();
 
     sorted.sort((a, b) => {
+      if (folderRank.size > 1) {
+        const byFolder = folderRank.get(folderOf(a)) - folderRank.get(folderOf(b));
+        if (byFolder !== 0) return byFolder;
+      }
+      if (searchScores) {
+        const byScore = searchScores.get(b) - searchScores.get(a);
+        if (byScore !== 0) return byScore;
+      }
       switch (sortBy) {
         case 'name':
           return dir * getName(a).localeCompare(getName(b), undefined, { numeric: true });
@@ -110,12 +235,8 @@ export const useSortFilter = (files) => {
         }
 
         case 'duration': {
-          const urlA = `local-video:///${a.replace(/\\/g, '/')}`;
-          const urlB = `local-video:///${b.replace(/\\/g, '/')}`;
-          const metaA = getCachedMetadata(urlA);
-          const metaB = getCachedMetadata(urlB);
-          const durA = metaA?.duration || 0;
-          const durB = metaB?.duration || 0;
+          const durA = probed[a]?.duration || 0;
+          const durB = probed[b]?.duration || 0;
           return dir * (durA - durB);
         }
 
@@ -125,7 +246,7 @@ export const useSortFilter = (files) => {
     });
 
     return sorted;
-  }, [filteredFiles, sortBy, sortDir, fileStats]);
+  }, [filteredFiles, folderRank, searchScores, sortBy, sortDir, fileStats, probed]);
 
   // Index mapping: original files index <-> display index
   const indexMap = useMemo(() => {
@@ -167,6 +288,9 @@ export const useSortFilter = (files) => {
     filterExt,
     setFilterExt,
     availableExtensions,
+    searchQuery,
+    setSearchQuery,
+    searchMatches,
     originalIndexOf,
     displayIndexOf
   };
@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  parseSubtitles, decodeSubtitleBytes, subtitleLabel, isSubtitleFile,
+  loadSubtitleStyle, saveSubtitleStyle
+} from '../utils/subtitles';
+
+const getElectronAPI = () => window.electronAPI || null;
+
+/**
+ * Subtitle tracks for the file playing in the viewer. Sidecar files with the
+ * same name are picked up (and the first one shown) whenever the file changes;
+ * more can be added from a file picker or by dropping them on the player.
+ * Tracks: { id, label, cues }. Embedded streams are listed too, with cues: null
+ * until they're first selected and converted by ffmpeg.
+ * The timing offset (seconds, added to cue times) resets per file; the caption
+ * style is a global preference.
+ * @param {string|null} filePath - null for non-local sources (no sidecar lookup)
+ * @param {{ index: number, label: string, extractable: boolean }[]} embeddedStreams
+ *   subtitle streams inside the file (see listMediaTracks in subtitleTracks.cjs)
+ */
+export const useSubtitles = (filePath, embeddedStreams) => {
+  const [tracks, setTracks] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  // Cues of embedded streams converted so far: { [streamIndex]: cues }
+  const [extracted, setExtracted] = useState({});
+  // Embedded track being converted (ffmpeg reads the whole file), or null
+  const [extractingId, setExtractingId] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [style, setStyleState] = useState(loadSubtitleStyle);
+  const filePathRef = useRef(filePath);
+  filePathRef.current = filePath;
+
+  useEffect(() => {
+    setOffset(0);
+    setExtracted({});
+    setExtractingId(null);
+    const api = getElectronAPI();
+    if (!filePath || !api?.findSubtitleSidecars) {
+      setTracks([]);
+      setActiveId(null);
+      return;
+    }
+    const sidecars = api.findSubtitleSidecars(filePath)
+      .map((subtitlePath) => {
+        const bytes = api.readSubtitleFile(subtitlePath);
+        if (!bytes) return null;
+        const cues = parseSubtitles(decodeSubtitleBytes(bytes), subtitlePath);
+        return { id: subtitlePath, label: subtitleLabel(subtitlePath, filePath), cues };
+      })
+      .filter(track => track && track.cues.length > 0);
+    setTracks(sidecars);
+    setActiveId(sidecars[0]?.id ?? null);
+  }, [filePath]);
+
+  // Add a parsed track (replacing one with the same id) and show it
+  const addTrack = useCallback((track) => {
+    setTracks(prev => [...prev.filter(t => t.id !== track.id), track]);
+    setActiveId(track.id);
+  }, []);
+
+  /**
+   * Load a subtitle file picked with the open dialog.
+   * @returns {Promise<boolean>} false if nothing was picked or no cues were found
+   */
+  const loadFromDialog = useCallback(async () => {
+    const api = getElectronAPI();
+    const subtitlePath = await api?.selectSubtitleFile?.();
+    if (!subtitlePath) return false;
+    const bytes = api.readSubtitleFile(subtitlePath);
+    const cues = bytes ? parseSubtitles(decodeSubtitleBytes(bytes), subtitlePath) : [];
+    if (cues.length === 0) return false;
+    addTrack({ id: subtitlePath, label: api.path.basename(subtitlePath), cues });
+    return true;
+  }, [addTrack]);
+
+  /**
+   * Load a dropped File (read in the renderer; no path needed).
+   * @param {File} file
+   * @returns {Promise<boolean>}
+   */
+  const loadFromFile = useCallback(async (file) => {
+    if (!isSubtitleFile(file.name)) return false;
+    const cues = parseSubtitles(decodeSubtitleBytes(await file.arrayBuffer()), file.name);
+    if (cues.length === 0) return false;
+    addTrack({ id: `drop:${file.name}:${file.size}`, label: file.name, cues });
+    return true;
+  }, [addTrack]);
+
+  const setStyle = useCallback((changes) => {
+    setStyleState(prev => {
+      const next = { ...prev, ...changes };
+      saveSubtitleStyle(next);
+      return next;
+    });
+  }, []);
+
+  const embeddedTracks = embeddedStreams.map((stream) => ({
+    id: `embedded:${stream.index}`,
+    label: stream.label,
+    streamIndex: stream.index,
+    disabled: !stream.extractable,
+    cues: extracted[stream.index] || null
+  }));
+  const allTracks = [...tracks, ...embeddedTracks];
+
+  /**
+   * Show a track (null = off). Embedded tracks are converted on first use.
+   * @returns {Promise<boolean>} false if an embedded track couldn't be converted
+   */
+  const selectTrack = useCallback(async (id) => {
+    const embedded = embeddedTracks.find(t => t.id === id);
+    if (!embedded || embedded.cues) {
+      setActiveId(id);
+      return true;
+    }
+    const api = getElectronAPI();
+    if (!api?.extractSubtitleTrack || embedded.disabled) return false;
+    const forPath = filePath;
+    setExtractingId(id);
+    const res = await api.extractSubtitleTrack(forPath, embedded.streamIndex).catch(() => null);
+    if (filePathRef.current !== forPath) return true; // switched files meanwhile
+    setExtractingId(null);
+    const cues = res?.success ? parseSubtitles(res.content, '.vtt') : [];
+    if (cues.length === 0) return false;
+    setExtracted(prev => ({ ...prev, [embedded.streamIndex]: cues }));
+    setActiveId(id);
+    return true;
+  }, [embeddedTracks, filePath]);
+
+  const activeTrack = allTracks.find(t => t.id === activeId && t.cues) || null;
+
+  return {
+    tracks: allTracks, activeTrack, selectTrack, extractingId, addTrack,
+    loadFromDialog, loadFromFile,
+    offset, setOffset, style, setStyle
+  };
+};
@@ -1,25 +1,52 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { forgetChangedFiles } from '../utils/videoThumbnails';
 
 const getElectronAPI = () => window.electronAPI || null;
 
 const LAST_FOLDER_KEY = 'revid-last-folder';
+const SCAN_DEPTH_KEY = 'revid-scan-depth';
 const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov', '.avi', '.mkv'];
 
-export const useVideoFileSystem = () => {
+// Subfolder levels to include when scanning (0 = the opened folder only)
+export const SCAN_DEPTH_OPTIONS = [0, 1, 2, 3, 5];
+export const DEFAULT_RECURSIVE_DEPTH = 3;
+
+const readScanDepth = () => {
+  const n = parseInt(localStorage.getItem(SCAN_DEPTH_KEY), 10);
+  return SCAN_DEPTH_OPTIONS.includes(n) ? n : 0;
+};
+
+const scanOptions = (depth) => ({ recursive: depth > 0, maxDepth: depth });
+
+/**
+ * @param {object} [options]
+ * @param {(renamed: {from: string, to: string}[]) => void} [options.onFilesRenamed] -
+ *   called when the folder watcher sees videos renamed on disk, so path-keyed
+ *   state (pins) can follow them
+ */
+export const useVideoFileSystem = ({ onFilesRenamed } = {}) => {
   const [files, setFiles] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(-1);
   const [currentPath, setCurrentPath] = useState(null);
+  const [scanDepth, setScanDepthState] = useState(readScanDepth);
+  const scanDepthRef = useRef(scanDepth);
+
+  const selectionRef = useRef({ files, currentIndex });
+  selectionRef.current = { files, currentIndex };
+  const onFilesRenamedRef = useRef(onFilesRenamed);
+  onFilesRenamedRef.current = onFilesRenamed;
 
-  const loadFolder = useCallback((folderPath) => {
+  const loadFolder = useCallback((folderPath, selectFile = null) => {
     const electronAPI = getElectronAPI();
     if (!electronAPI) return;
 
     try {
-      const videoFiles = electronAPI.getFilesInDirectory(folderPath, VIDEO_EXTENSIONS);
+      const videoFiles = electronAPI.getFilesInDirectory(folderPath, VIDEO_EXTENSIONS, scanOptions(scanDepthRef.current));
 
       if (videoFiles.length > 0) {
+        const selectedIdx = selectFile ? videoFiles.indexOf(selectFile) : -1;
         setFiles(videoFiles);
-        setCurrentIndex(0);
+        setCurrentIndex(selectedIdx >= 0 ? selectedIdx : 0);
         setCurrentPath(folderPath);
         localStorage.setItem(LAST_FOLDER_KEY, folderPath);
       } else {
@@ -41,7 +68,7 @@ export const useVideoFileSystem = () => {
 
     try {
       const folderPath = electronAPI.path.dirname(filePath);
-      const videoFiles = electronAPI.getFilesInDirectory(folderPath, VIDEO_EXTENSIONS);
+      const videoFiles = electronAPI.getFilesInDirectory(folderPath, VIDEO_EXTENSIONS, scanOptions(scanDepthRef.current));
 
       if (videoFiles.length > 0) {
         // Match by basename — getFilesInDirectory rebuilds paths via path.join,
@@ -81,7 +108,7 @@ export const useVideoFileSystem = () => {
         try {
           const lastFolder = localStorage.getItem(LAST_FOLDER_KEY);
           if (lastFolder) {
-            const videoFiles = electronAPI.getFilesInDirectory(lastFolder, VIDEO_EXTENSIONS);
+            const videoFiles = electronAPI.getFilesInDirectory(lastFolder, VIDEO_EXTENSIONS, scanOptions(scanDepthRef.current));
             if (videoFiles && videoFiles.length > 0) {
               loadFolderRef.current(lastFolder);
               return;
@@ -106,6 +133,36 @@ export const useVideoFileSystem = () => {
     tryLoad();
   }, []);
 
+  // Keep the list in sync with the disk while a folder is open. The selected
+  // video stays selected (following a rename); if it was deleted, the video
+  // that took its place in the list is selected instead. Files rewritten in
+  // place have their thumbnails and metadata read again.
+  useEffect(() => {
+    const api = getElectronAPI();
+    if (!currentPath || !api?.watchFolder) return;
+
+    api.watchFolder(currentPath, { extensions: VIDEO_EXTENSIONS, ...scanOptions(scanDepth) });
+    const unsubscribe = api.onFolderChanged((change) => {
+      if (change.dirPath !== currentPath) return;
+      const { files: prevFiles, currentIndex: prevIndex } = selectionRef.current;
+      const selected = prevFiles[prevIndex];
+      const target = change.renamed.find(r => r.from === selected)?.to || selected;
+      let nextIndex = target ? change.files.indexOf(target) : -1;
+      if (nextIndex === -1 && change.files.length > 0) {
+        nextIndex = Math.min(Math.max(prevIndex, 0), change.files.length - 1);
+      }
+      if (change.changed.length > 0) forgetChangedFiles(change.changed);
+      setFiles(change.files);
+      setCurrentIndex(nextIndex);
+      if (change.renamed.length > 0) onFilesRenamedRef.current?.(change.renamed);
+    });
+
+    return () => {
+      unsubscribe();
+      api.unwatchFolder();
+    };
+  }, [currentPath, scanDepth]);
+
   const nextVideo = useCallback(() => {
     if (files.length === 0) return;
     setCurrentIndex(prev => (prev + 1) % files.length);
@@ -127,6 +184,16 @@ export const useVideoFileSystem = () => {
     [files, currentIndex]
   );
 
+  // Change how many subfolder levels are scanned and rescan the open folder,
+  // keeping the current video selected if it's still in the list.
+  const setScanDepth = useCallback((depth) => {
+    if (!SCAN_DEPTH_OPTIONS.includes(depth)) return;
+    scanDepthRef.current = depth;
+    setScanDepthState(depth);
+    localStorage.setItem(SCAN_DEPTH_KEY, String(depth));
+    if (currentPath) loadFolder(currentPath, currentVideo);
+  }, [currentPath, currentVideo, loadFolder]);
+
   return {
     files,
     currentIndex,
@@ -136,6 +203,8 @@ export const useVideoFileSystem = () => {
     selectVideo,
     nextVideo,
     prevVideo,
-    currentPath
+    currentPath,
+    scanDepth,
+    setScanDepth
   };
 };
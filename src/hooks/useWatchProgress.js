@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { loadWatchProgress, getWatchProgress, subscribeWatchProgress } from '../utils/watchProgress';
+
+/**
+ * Watch progress for a list of files as { [file]: entry }, kept current as the
+ * viewer saves positions.
+ */
+export const useWatchProgress = (files) => {
+  const [progress, setProgress] = useState({});
+
+  useEffect(() => {
+    const update = () => {
+      const next = {};
+      for (const file of files) {
+        const entry = getWatchProgress(file);
+        if (entry) next[file] = entry;
+      }
+      setProgress(next);
+    };
+    update();
+    loadWatchProgress(files);
+    return subscribeWatchProgress(update);
+  }, [files]);
+
+  return progress;
+};
@@ -20,7 +20,8 @@ const translations = {
     cropVideo: 'Crop Video',
     tools: 'Tools',
     screenshots: 'Screenshots',
-    createGif: 'Create GIF',
+    slidesToPdf: 'Slides to PDF',
+    createGif: 'Create GIF / WebP / APNG',
     compress: 'Compress',
     extractAudio: 'Extract Audio',
     speedOutput: 'Speed Output',
@@ -245,6 +246,101 @@ const translations = {
     listView: 'List',
     gridView: 'Grid',
     musicModeEmpty: 'Music mode on — add some songs first',
+    // Task center
+    tasks: 'Tasks',
+    noTasks: 'No exports yet',
+    clearFinished: 'Clear finished',
+    taskQueued: 'Queued',
+    taskRunning: 'Running',
+    taskPaused: 'Paused',
+    taskDone: 'Done',
+    taskFailed: 'Failed',
+    taskCancelled: 'Cancelled',
+    eta: 'ETA',
+    pause: 'Pause',
+    resume: 'Resume',
+    revealInFolder: 'Show in folder',
+    // Media info
+    videoCodec: 'Video',
+    bitrate: 'Bitrate',
+    container: 'Container',
+    audioTracks: 'Audio Tracks',
+    subtitleTracks: 'Subtitles',
+    mediaTags: 'Tags',
+    rotated: 'rotated',
+    // Playback fallback
+    playbackRemuxing: 'Compatibility mode · remuxing {reason}',
+    playbackTranscoding: 'Compatibility mode · transcoding {reason}',
+    playbackFallbackHint: 'This format can\'t be played directly, so it is converted with ffmpeg while you watch. Seeking restarts the conversion.',
+    // Subfolder scanning
+    scanSubfolders: 'Subfolders to include',
+    scanThisFolderOnly: 'This folder only',
+    scanLevels: 'Subfolders: {n} deep',
+    includeSubfolders: 'Include subfolders',
+    // Library locations
+    browseFolder: 'Browse for folder…',
+    saveLocation: 'Save current folder to library',
+    savedLocations: 'Library',
+    removeLocation: 'Remove from library',
+    recentFolders: 'Recent',
+    clearRecent: 'Clear',
+    switchLocation: 'Switch location',
+    // Library search
+    searchPlaceholder: 'Search…  (/ or Ctrl+F)',
+    searchHelp: 'Fuzzy file-name search. Operators: duration>10m, res:1080, ext:mkv, codec:hevc, size>500mb, pinned. Prefix with - to exclude. ↑/↓ to move, Enter to play.',
+    clearSearch: 'Clear search',
+    noSearchResults: 'No videos match this search',
+    // Watch progress
+    watched: 'Watched',
+    startOver: 'Start over',
+    // A-B loop and bookmarks
+    ctxAbLoop: 'A-B loop  ( [ / ] )',
+    ctxClearAbLoop: 'Clear A-B loop',
+    ctxAddBookmark: 'Add bookmark',
+    ctxExportChapters: 'Export chapters (.txt)',
+    ctxExportAllBookmarks: 'Export all bookmarks (.json)',
+    bookmark: 'Bookmark',
+    deleteBookmark: 'Delete bookmark',
+    chapterIntro: 'Intro',
+    // External subtitles
+    ctxSubtitles: 'Subtitles',
+    subtitlesOff: 'Off',
+    ctxLoadSubtitles: 'Load subtitles…',
+    ctxSubtitleSettings: 'Subtitle settings…',
+    subtitleLoadFailed: 'No subtitles found in that file',
+    subtitleFontSize: 'Size',
+    subtitleColor: 'Color',
+    subtitleBackground: 'Background',
+    subtitleBgShadow: 'Shadow',
+    subtitleBgBox: 'Box',
+    subtitleBgNone: 'None',
+    subtitlePosition: 'Position',
+    subtitleBottom: 'Bottom',
+    subtitleTop: 'Top',
+    subtitleMargin: 'Margin',
+    subtitleOffset: 'Subtitle offset',
+    subtitleOffsetHint: '(G / H)',
+    subtitleReset: 'Reset',
+    subtitleTiming: 'Timing',
+    // Embedded audio/subtitle tracks
+    track: 'Track',
+    ctxAudioTrack: 'Audio track',
+    playbackAudioTrack: 'Audio track · {track}',
+    playbackAudioTrackHint: 'Other audio tracks are played by remuxing the file with ffmpeg. Seeking restarts the stream.',
+    subtitleForced: 'forced',
+    subtitleImageBased: 'image',
+    subtitleImageBasedHint: 'Image-based subtitles (PGS/VobSub) can\'t be converted to text',
+    subtitleExtracting: 'Extracting subtitles…',
+    subtitleExtractFailed: 'Couldn\'t extract this subtitle track',
+    // Frame stepping and frame export
+    ctxFrame: 'Frame  ( , / . · T )',
+    frameOverlayOff: 'Off',
+    frameOverlayTimecode: 'Timecode',
+    frameOverlayNumber: 'Frame #',
+    ctxSaveFrame: 'Save frame',
+    frameSaving: 'Saving frame…',
+    frameSaved: 'Saved {name}',
+    frameSaveFailed: 'Couldn\'t save this frame',
   },
   'zh-TW': {
     openFolder: '開啟資料夾',
@@ -263,7 +359,8 @@ const translations = {
     cropVideo: '\u88c1\u526a\u5f71\u7247',
     tools: '\u5de5\u5177',
     screenshots: '\u64f7\u53d6\u622a\u5716',
-    createGif: '\u5efa\u7acb GIF',
+    slidesToPdf: '\u6295\u5f71\u7247\u8f49 PDF',
+    createGif: '\u5efa\u7acb GIF / WebP / APNG',
     compress: '\u58d3\u7e2e',
     extractAudio: '\u63d0\u53d6\u97f3\u8a0a',
     speedOutput: '\u8f38\u51fa\u8abf\u901f',
@@ -477,6 +574,101 @@ const translations = {
     listView: '\u5217\u8868',
     gridView: '\u7db2\u683c',
     musicModeEmpty: '\u5df2\u958b\u555f\u97f3\u6a02\u6a21\u5f0f \u2014 \u8acb\u5148\u65b0\u589e\u6b4c\u66f2',
+    // Task center
+    tasks: '工作',
+    noTasks: '尚無匯出工作',
+    clearFinished: '清除已完成',
+    taskQueued: '排隊中',
+    taskRunning: '處理中',
+    taskPaused: '已暫停',
+    taskDone: '完成',
+    taskFailed: '失敗',
+    taskCancelled: '已取消',
+    eta: '剩餘',
+    pause: '暫停',
+    resume: '繼續',
+    revealInFolder: '在資料夾中顯示',
+    // Media info
+    videoCodec: '影片編碼',
+    bitrate: '位元率',
+    container: '封裝格式',
+    audioTracks: '音軌',
+    subtitleTracks: '字幕',
+    mediaTags: '標籤',
+    rotated: '旋轉',
+    // Playback fallback
+    playbackRemuxing: '相容模式 · 即時轉封裝 {reason}',
+    playbackTranscoding: '相容模式 · 即時轉碼 {reason}',
+    playbackFallbackHint: '此格式無法直接播放，播放時會以 ffmpeg 即時轉換。跳轉時會重新開始轉換。',
+    // Subfolder scanning
+    scanSubfolders: '包含的子資料夾層數',
+    scanThisFolderOnly: '僅此資料夾',
+    scanLevels: '子資料夾：{n} 層',
+    includeSubfolders: '包含子資料夾',
+    // Library locations
+    browseFolder: '瀏覽資料夾…',
+    saveLocation: '將目前資料夾加入媒體庫',
+    savedLocations: '媒體庫',
+    removeLocation: '從媒體庫移除',
+    recentFolders: '最近開啟',
+    clearRecent: '清除',
+    switchLocation: '切換位置',
+    // Library search
+    searchPlaceholder: '搜尋…  (/ 或 Ctrl+F)',
+    searchHelp: '模糊搜尋檔名。運算子：duration>10m、res:1080、ext:mkv、codec:hevc、size>500mb、pinned。前面加 - 可排除。↑/↓ 移動，Enter 播放。',
+    clearSearch: '清除搜尋',
+    noSearchResults: '沒有符合搜尋的影片',
+    // Watch progress
+    watched: '已看完',
+    startOver: '從頭播放',
+    // A-B loop and bookmarks
+    ctxAbLoop: 'A-B 循環  ( [ / ] )',
+    ctxClearAbLoop: '清除 A-B 循環',
+    ctxAddBookmark: '新增書籤',
+    ctxExportChapters: '匯出章節 (.txt)',
+    ctxExportAllBookmarks: '匯出所有書籤 (.json)',
+    bookmark: '書籤',
+    deleteBookmark: '刪除書籤',
+    chapterIntro: '開頭',
+    // External subtitles
+    ctxSubtitles: '字幕',
+    subtitlesOff: '關閉',
+    ctxLoadSubtitles: '載入字幕…',
+    ctxSubtitleSettings: '字幕設定…',
+    subtitleLoadFailed: '該檔案中找不到字幕',
+    subtitleFontSize: '大小',
+    subtitleColor: '顏色',
+    subtitleBackground: '背景',
+    subtitleBgShadow: '陰影',
+    subtitleBgBox: '底框',
+    subtitleBgNone: '無',
+    subtitlePosition: '位置',
+    subtitleBottom: '底部',
+    subtitleTop: '頂部',
+    subtitleMargin: '邊距',
+    subtitleOffset: '字幕偏移',
+    subtitleOffsetHint: '(G / H)',
+    subtitleReset: '重設',
+    subtitleTiming: '時間軸',
+    // Embedded audio/subtitle tracks
+    track: '軌道',
+    ctxAudioTrack: '音軌',
+    playbackAudioTrack: '音軌 · {track}',
+    playbackAudioTrackHint: '其他音軌需以 ffmpeg 即時轉封裝播放。跳轉時會重新開始串流。',
+    subtitleForced: '強制',
+    subtitleImageBased: '圖像',
+    subtitleImageBasedHint: '圖像式字幕 (PGS/VobSub) 無法轉換為文字',
+    subtitleExtracting: '正在擷取字幕…',
+    subtitleExtractFailed: '無法擷取此字幕軌',
+    // Frame stepping and frame export
+    ctxFrame: '畫格  ( , / . · T )',
+    frameOverlayOff: '關閉',
+    frameOverlayTimecode: '時間碼',
+    frameOverlayNumber: '畫格編號',
+    ctxSaveFrame: '儲存畫格',
+    frameSaving: '正在儲存畫格…',
+    frameSaved: '已儲存 {name}',
+    frameSaveFailed: '無法儲存此畫格',
   }
 };
 
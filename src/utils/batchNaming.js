@@ -0,0 +1,47 @@
+// Output file names for batch exports. A template is a file name without
+// extension, with tokens:
+//   {name}  source file name without its extension
+//   {n}     position in the batch, 1-based, zero-padded to the batch size
+//   {date}  today, YYYY-MM-DD
+export const NAME_TOKENS = ['{name}', '{n}', '{date}'];
+
+// Characters Windows/macOS don't allow in file names
+const ILLEGAL_CHARS = /[<>:"/\\|?*\u0000-\u001f]/g;
+
+export function sanitizeFileName(name) {
+  return name.replace(ILLEGAL_CHARS, '_').replace(/[. ]+$/, '').trim();
+}
+
+export function applyNameTemplate(template, { name, index, total }) {
+  const width = String(total).length;
+  const now = new Date();
+  const date = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0')
+  ].join('-');
+  const result = (template || '{name}')
+    .replace(/\{name\}/g, name)
+    .replace(/\{n\}/g, String(index + 1).padStart(width, '0'))
+    .replace(/\{date\}/g, date);
+  return sanitizeFileName(result) || name;
+}
+
+/**
+ * Output names (without extension) for a batch, in order. Names the template
+ * would repeat (e.g. same file name in two folders, or no {name}/{n}) or that
+ * are taken (e.g. by a file already in the output folder) get the first free
+ * "-2", "-3"... suffix, so no output overwrites another or an existing file.
+ * @param {string[]} names - source file names without extension
+ * @param {(name: string) => boolean} [taken]
+ */
+export function batchOutputNames(names, template, taken = () => false) {
+  const used = new Set();
+  return names.map((name, index) => {
+    const base = applyNameTemplate(template, { name, index, total: names.length });
+    let result = base;
+    for (let n = 2; used.has(result.toLowerCase()) || taken(result); n++) result = `${base}-${n}`;
+    used.add(result.toLowerCase());
+    return result;
+  });
+}
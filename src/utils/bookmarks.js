@@ -0,0 +1,51 @@
+import { formatDuration } from './videoMetadata';
+
+// Bookmarks per local file: { [filePath]: [{ id, time, label, color }] }
+const STORAGE_KEY = 'revid-bookmarks';
+
+export const BOOKMARK_COLORS = ['#f59e0b', '#3b82f6', '#10b981', '#ef4444', '#8b5cf6', '#ec4899'];
+
+function loadAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return data && typeof data === 'object' ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Bookmarks of one file, sorted by time.
+ * @param {string} filePath
+ */
+export function getBookmarks(filePath) {
+  const list = loadAll()[filePath];
+  return Array.isArray(list) ? [...list].sort((a, b) => a.time - b.time) : [];
+}
+
+export function setBookmarks(filePath, bookmarks) {
+  const all = loadAll();
+  if (bookmarks.length > 0) all[filePath] = bookmarks;
+  else delete all[filePath];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+/**
+ * Every saved bookmark, for export: { [filePath]: bookmark[] }.
+ */
+export function getAllBookmarks() {
+  return loadAll();
+}
+
+/**
+ * Chapter list in the "0:00 Title" format video sites read from descriptions.
+ * Those expect a chapter at 0:00, so one is added when the first bookmark
+ * starts later.
+ */
+export function formatChapters(bookmarks, firstLabel = 'Intro') {
+  const sorted = [...bookmarks].sort((a, b) => a.time - b.time);
+  const lines = sorted.map(b => `${b.time > 0 ? formatDuration(b.time) : '0:00'} ${b.label}`);
+  if (sorted.length === 0 || sorted[0].time >= 1) lines.unshift(`0:00 ${firstLabel}`);
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,205 @@
+// Edit lists for the video editor. The timeline is split into segments that
+// together cover the whole source: { id, start, end, removed }. The array order
+// is the export order; removed segments are left out of the export.
+// Saved per local file: { [filePath]: { segments, duration, updatedAt } },
+// keeping the most recently edited files
+const STORAGE_KEY = 'revid-edit-lists';
+const MAX_SAVED_FILES = 50;
+
+// Shortest segment a split or boundary drag may leave behind (seconds)
+export const MIN_SEGMENT_S = 0.1;
+
+let seq = 0;
+const newId = () => `seg-${Date.now()}-${++seq}`;
+
+export function initialSegments(duration) {
+  return [{ id: newId(), start: 0, end: duration, removed: false }];
+}
+
+/** Segments in timeline (source) order. */
+export function sourceOrder(segments) {
+  return [...segments].sort((a, b) => a.start - b.start);
+}
+
+/** Segments that will be exported, in export order. */
+export function keptSegments(segments) {
+  return segments.filter(s => !s.removed);
+}
+
+export function keptDuration(segments) {
+  return keptSegments(segments).reduce((sum, s) => sum + (s.end - s.start), 0);
+}
+
+export function segmentAt(segments, time) {
+  return segments.find(s => time >= s.start && time < s.end)
+    || sourceOrder(segments).at(-1)
+    || null;
+}
+
+/**
+ * Split the segment under `time` in two; the new right half follows the left
+ * one in export order. Returns the list unchanged if a half would be too short.
+ */
+export function splitAt(segments, time) {
+  const target = segmentAt(segments, time);
+  if (!target || time - target.start < MIN_SEGMENT_S || target.end - time < MIN_SEGMENT_S) return segments;
+  const index = segments.indexOf(target);
+  const left = { ...target, end: time };
+  const right = { ...target, id: newId(), start: time };
+  return [...segments.slice(0, index), left, right, ...segments.slice(index + 1)];
+}
+
+export function toggleRemoved(segments, id) {
+  return segments.map(s => s.id === id ? { ...s, removed: !s.removed } : s);
+}
+
+/**
+ * Move a kept segment one place earlier (-1) or later (+1) in the export
+ * order, past the neighbouring kept segment.
+ */
+export function moveSegment(segments, id, direction) {
+  const kept = keptSegments(segments);
+  const from = kept.findIndex(s => s.id === id);
+  const to = from + direction;
+  if (from === -1 || to < 0 || to >= kept.length) return segments;
+  const a = segments.indexOf(kept[from]);
+  const b = segments.indexOf(kept[to]);
+  const next = [...segments];
+  [next[a], next[b]] = [next[b], next[a]];
+  return next;
+}
+
+/**
+ * Drag the boundary between a segment and the one after it on the timeline.
+ */
+export function moveBoundary(segments, leftId, time) {
+  const ordered = sourceOrder(segments);
+  const i = ordered.findIndex(s => s.id === leftId);
+  const left = ordered[i];
+  const right = ordered[i + 1];
+  if (!left || !right) return segments;
+  const t = Math.max(left.start + MIN_SEGMENT_S, Math.min(right.end - MIN_SEGMENT_S, time));
+  return segments.map(s => {
+    if (s.id === left.id) return { ...s, end: t };
+    if (s.id === right.id) return { ...s, start: t };
+    return s;
+  });
+}
+
+/**
+ * Drag the start of the first segment or the end of the last one on the
+ * timeline, like an in/out point: the part cut off becomes a removed segment
+ * at that edge, which the drag then resizes (and drops again when dragged
+ * back to nothing).
+ * @param {'start' | 'end'} edge
+ */
+export function moveEdge(segments, edge, time) {
+  const ordered = sourceOrder(segments);
+  const duration = ordered.at(-1)?.end || 0;
+  const outer = edge === 'start' ? ordered[0] : ordered.at(-1);
+  const inner = edge === 'start' ? ordered[1] : ordered.at(-2);
+  if (!outer) return segments;
+
+  if (!outer.removed) {
+    const t = edge === 'start'
+      ? Math.min(time, outer.end - MIN_SEGMENT_S)
+      : Math.max(time, outer.start + MIN_SEGMENT_S);
+    const cut = edge === 'start' ? t : duration - t;
+    if (cut < MIN_SEGMENT_S) return segments;
+    const trimmed = segments.map(s => s.id !== outer.id ? s : edge === 'start' ? { ...s, start: t } : { ...s, end: t });
+    const removed = edge === 'start'
+      ? { id: newId(), start: 0, end: t, removed: true }
+      : { id: newId(), start: t, end: duration, removed: true };
+    return edge === 'start' ? [removed, ...trimmed] : [...trimmed, removed];
+  }
+
+  if (!inner) return segments;
+  const cut = edge === 'start' ? time : duration - time;
+  if (cut < MIN_SEGMENT_S) {
+    // Dragged back to the edge: the neighbour takes the removed part back
+    return segments
+      .filter(s => s.id !== outer.id)
+      .map(s => s.id !== inner.id ? s : edge === 'start' ? { ...s, start: 0 } : { ...s, end: duration });
+  }
+  return moveBoundary(segments, edge === 'start' ? outer.id : inner.id, time);
+}
+
+/**
+ * Keyframe closest to `time` (keyframes ascending), or `time` if there are
+ * none. Lossless cuts snap to these so a stream copy starts where asked.
+ */
+export function nearestKeyframe(keyframes, time) {
+  if (!keyframes?.length) return time;
+  let lo = 0;
+  let hi = keyframes.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (keyframes[mid] < time) lo = mid + 1;
+    else hi = mid;
+  }
+  const after = keyframes[lo];
+  const before = keyframes[Math.max(0, lo - 1)];
+  return Math.abs(before - time) <= Math.abs(after - time) ? before : after;
+}
+
+const onKeyframe = (keyframes, time) => Math.abs(nearestKeyframe(keyframes, time) - time) < 0.001;
+
+/** True when a cut between neighbouring segments isn't on a keyframe. */
+export function hasOffKeyframeCut(segments, keyframes) {
+  return sourceOrder(segments).slice(0, -1).some(s => !onKeyframe(keyframes, s.end));
+}
+
+/**
+ * Move every cut between neighbouring segments to its nearest keyframe, for a
+ * lossless export. Segments that end up empty are dropped. Returns the list
+ * unchanged when every cut is already on a keyframe.
+ */
+export function snapToKeyframes(segments, keyframes) {
+  if (!keyframes?.length || !hasOffKeyframeCut(segments, keyframes)) return segments;
+  const ordered = sourceOrder(segments);
+  const bounds = new Map(); // id -> { start, end }
+  let start = ordered[0].start;
+  ordered.forEach((s, i) => {
+    const end = i === ordered.length - 1 ? s.end : Math.max(start, nearestKeyframe(keyframes, s.end));
+    bounds.set(s.id, { start, end });
+    start = end;
+  });
+  return segments
+    .map(s => ({ ...s, ...bounds.get(s.id) }))
+    .filter(s => s.end > s.start);
+}
+
+// True when the list is the untouched single full-length segment
+export const isUnedited = (segments) => segments.length === 1 && !segments[0].removed;
+
+function loadAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return data && typeof data === 'object' ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Saved edit list of a file, or null. Lists saved against a different
+ * duration (the file was replaced) are ignored.
+ */
+export function getEditList(filePath, duration) {
+  const saved = loadAll()[filePath];
+  if (!saved || !Array.isArray(saved.segments) || Math.abs(saved.duration - duration) > 0.5) return null;
+  return saved.segments;
+}
+
+export function saveEditList(filePath, duration, segments) {
+  const all = loadAll();
+  if (isUnedited(segments)) delete all[filePath];
+  else all[filePath] = { segments, duration, updatedAt: Date.now() };
+  // This file's list stays; the oldest others go
+  const others = Object.keys(all)
+    .filter(key => key !== filePath)
+    .sort((a, b) => (all[b]?.updatedAt || 0) - (all[a]?.updatedAt || 0));
+  for (const key of others.slice(MAX_SAVED_FILES - 1)) delete all[key];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
@@ -0,0 +1,191 @@
+// Export profiles: encoder settings shared by CompressDialog, SpeedDialog and
+// the video editor, turned into ffmpeg options by electron/exportProfiles.cjs.
+//   { id, name, videoCodec, container, speed, crf, audioBitrate, targetSizeMB }
+// crf is on the x264 scale; targetSizeMB (MB, or null) switches to a
+// two-pass bitrate encode sized to fit, for codecs whose encoder can do it.
+// Saved: { profiles: [custom profiles], last: { [tool]: settings used last } }
+const STORAGE_KEY = 'revid-export-profiles';
+
+export const VIDEO_CODECS = [
+  { id: 'h264', label: 'H.264', desc: 'Plays everywhere' },
+  { id: 'h265', label: 'H.265', desc: 'About half the size of H.264, slower' },
+  { id: 'vp9', label: 'VP9', desc: 'Web-friendly, royalty-free' },
+  { id: 'av1', label: 'AV1', desc: 'Smallest files, slowest encode' }
+];
+
+// Container and target-size rules come from the encoder itself
+// (electron/exportProfiles.cjs, through the preload). Outside the desktop app
+// nothing can be exported, and no container is offered.
+const rules = window.electronAPI?.exportRules;
+
+// Containers each codec can go in, default first
+export const CONTAINERS = rules?.containers || Object.fromEntries(VIDEO_CODECS.map(c => [c.id, []]));
+
+export const SPEEDS = [
+  { id: 'fast', label: 'Fast' },
+  { id: 'medium', label: 'Balanced' },
+  { id: 'slow', label: 'Best' }
+];
+
+export const QUALITY_PRESETS = [
+  { label: 'High', crf: 18, desc: 'Large file, best quality' },
+  { label: 'Medium', crf: 23, desc: 'Balanced' },
+  { label: 'Low', crf: 28, desc: 'Smaller file' },
+  { label: 'Min', crf: 35, desc: 'Smallest file' }
+];
+
+export const AUDIO_BITRATES = [96, 128, 192, 256, 320];
+
+// Lowest video bitrate worth encoding for a target size
+export const MIN_VIDEO_KBPS = rules?.minVideoKbps ?? 0;
+
+// Bits each codec needs for the same quality, relative to H.264
+const CODEC_EFFICIENCY = { h264: 1, h265: 0.6, vp9: 0.65, av1: 0.5 };
+
+export const BUILTIN_PROFILES = [
+  {
+    id: 'builtin-h264-high', name: 'H.264 High quality', builtin: true,
+    videoCodec: 'h264', container: 'mp4', speed: 'fast', crf: 18, audioBitrate: 192, targetSizeMB: null
+  },
+  {
+    id: 'builtin-h264', name: 'H.264 Balanced', builtin: true,
+    videoCodec: 'h264', container: 'mp4', speed: 'medium', crf: 23, audioBitrate: 128, targetSizeMB: null
+  },
+  {
+    id: 'builtin-h265', name: 'H.265 Small', builtin: true,
+    videoCodec: 'h265', container: 'mp4', speed: 'medium', crf: 23, audioBitrate: 128, targetSizeMB: null
+  },
+  {
+    id: 'builtin-vp9', name: 'VP9 WebM', builtin: true,
+    videoCodec: 'vp9', container: 'webm', speed: 'medium', crf: 23, audioBitrate: 128, targetSizeMB: null
+  },
+  {
+    id: 'builtin-av1', name: 'AV1 Smallest', builtin: true,
+    videoCodec: 'av1', container: 'mp4', speed: 'medium', crf: 28, audioBitrate: 128, targetSizeMB: null
+  }
+];
+
+// Profile each tool starts with before the user picks one
+export const DEFAULT_PROFILE_IDS = {
+  compress: 'builtin-h264',
+  speed: 'builtin-h264-high',
+  editor: 'builtin-h264-high',
+  concat: 'builtin-h264-high'
+};
+
+function loadAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return {
+      profiles: Array.isArray(data?.profiles) ? data.profiles : [],
+      last: data?.last && typeof data.last === 'object' ? data.last : {}
+    };
+  } catch {
+    return { profiles: [], last: {} };
+  }
+}
+
+function saveAll(data) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+/** Built-in profiles followed by the user's saved ones. */
+export function getProfiles() {
+  return [...BUILTIN_PROFILES, ...loadAll().profiles];
+}
+
+/**
+ * Settings a tool used last (edits included), or its default profile.
+ * @param {'compress' | 'speed' | 'editor'} tool
+ */
+export function getLastProfile(tool) {
+  const { last } = loadAll();
+  const saved = last[tool];
+  if (saved && typeof saved === 'object' && CONTAINERS[saved.videoCodec]) return saved;
+  return BUILTIN_PROFILES.find(p => p.id === DEFAULT_PROFILE_IDS[tool]) || BUILTIN_PROFILES[0];
+}
+
+export function setLastProfile(tool, profile) {
+  const data = loadAll();
+  data.last[tool] = profile;
+  saveAll(data);
+}
+
+/**
+ * Save settings as a named profile, replacing a saved one with the same name.
+ * @returns {object} the stored profile
+ */
+export function saveProfile(name, settings) {
+  const data = loadAll();
+  const { builtin: _builtin, ...rest } = settings;
+  const existing = data.profiles.find(p => p.name === name);
+  const profile = { ...rest, id: existing?.id || `profile-${Date.now()}`, name };
+  data.profiles = existing
+    ? data.profiles.map(p => p.id === existing.id ? profile : p)
+    : [...data.profiles, profile];
+  saveAll(data);
+  return profile;
+}
+
+export function deleteProfile(id) {
+  const data = loadAll();
+  data.profiles = data.profiles.filter(p => p.id !== id);
+  saveAll(data);
+}
+
+/** True when two profiles would encode the same way (names aside). */
+export function sameSettings(a, b) {
+  return ['videoCodec', 'container', 'speed', 'crf', 'audioBitrate', 'targetSizeMB']
+    .every(key => (a?.[key] ?? null) === (b?.[key] ?? null));
+}
+
+/**
+ * Video bitrate (kbps) that fills targetSizeMB over duration seconds next to
+ * audioKbps of audio; the main process encodes at this bitrate.
+ */
+export function targetVideoBitrate(targetSizeMB, duration, audioKbps) {
+  return rules ? rules.targetVideoBitrate(targetSizeMB, duration, audioKbps) : 0;
+}
+
+// Asked once per session (again after a failed answer)
+let encoderSupport = null;
+
+/**
+ * Codecs this ffmpeg build can encode, and those that can encode to a target
+ * size: { codecs, targetSizeCodecs }, or null if unknown.
+ * @returns {Promise<{ codecs: string[], targetSizeCodecs: string[] } | null>}
+ */
+export function loadEncoderSupport() {
+  if (!encoderSupport) {
+    encoderSupport = Promise.resolve(window.electronAPI?.getExportCodecs?.())
+      .then(res => res?.success ? { codecs: res.codecs, targetSizeCodecs: res.targetSizeCodecs } : null)
+      .catch(() => null)
+      .then(support => {
+        if (!support) encoderSupport = null; // ask again next time
+        return support;
+      });
+  }
+  return encoderSupport;
+}
+
+/**
+ * Rough look of a bitrate at a frame size, from bits per pixel per frame
+ * (scaled by codec efficiency): 'good', 'reduced' (soft, some artifacts) or
+ * 'poor' (blocky).
+ */
+export function bitrateQuality(videoKbps, { width, height, fps, videoCodec = 'h264' }) {
+  if (!width || !height) return 'good';
+  const bpp = videoKbps * 1000 / (width * height * (fps || 30)) / (CODEC_EFFICIENCY[videoCodec] || 1);
+  if (bpp < 0.03) return 'poor';
+  if (bpp < 0.07) return 'reduced';
+  return 'good';
+}
+
+/** Short description, e.g. "H.264 · MP4 · CRF 23 · Balanced". */
+export function profileSummary(profile) {
+  const codec = VIDEO_CODECS.find(c => c.id === profile.videoCodec)?.label || profile.videoCodec;
+  const rate = profile.targetSizeMB ? `${profile.targetSizeMB} MB target` : `CRF ${profile.crf}`;
+  const speed = SPEEDS.find(s => s.id === profile.speed)?.label || profile.speed;
+  return [codec, profile.container.toUpperCase(), rate, speed].join(' · ');
+}
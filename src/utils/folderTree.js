@@ -0,0 +1,75 @@
+/**
+ * Folder of a file relative to the library root, with '/' separators.
+ * Files directly in the root give ''.
+ * @param {string} filePath
+ * @param {string} rootPath
+ * @returns {string}
+ */
+export function relativeFolder(filePath, rootPath) {
+  const file = filePath.replace(/\\/g, '/');
+  const dir = file.slice(0, file.lastIndexOf('/'));
+  const root = (rootPath || '').replace(/\\/g, '/').replace(/\/$/, '');
+  if (!root || dir === root) return '';
+  return dir.startsWith(root + '/') ? dir.slice(root.length + 1) : dir;
+}
+
+/**
+ * True when a (recursively scanned) file list spans more than the root folder.
+ */
+export function hasSubfolders(files, rootPath) {
+  return files.some(file => relativeFolder(file, rootPath) !== '');
+}
+
+/**
+ * Build a folder tree from a flat file list. Each node is
+ * { name, path, files: number[] (indices into files), children: node[], count }
+ * where count includes every video below the node. Children keep the order
+ * folders first appear in, which for scanned lists is natural name order.
+ */
+export function buildFolderTree(files, rootPath) {
+  const root = { name: '', path: '', files: [], children: [], count: 0 };
+  const nodes = new Map([['', root]]);
+
+  files.forEach((file, index) => {
+    const folder = relativeFolder(file, rootPath);
+    let node = root;
+    root.count++;
+    if (folder) {
+      let nodePath = '';
+      for (const name of folder.split('/')) {
+        nodePath = nodePath ? `${nodePath}/${name}` : name;
+        let child = nodes.get(nodePath);
+        if (!child) {
+          child = { name, path: nodePath, files: [], children: [], count: 0 };
+          nodes.set(nodePath, child);
+          node.children.push(child);
+        }
+        child.count++;
+        node = child;
+      }
+    }
+    node.files.push(index);
+  });
+
+  return root;
+}
+
+/**
+ * Flatten a folder tree into display rows, skipping the contents of collapsed
+ * folders: { type: 'folder', node, depth } | { type: 'video', index, depth }.
+ * A folder's own videos come before its subfolders.
+ * @param {object} tree - from buildFolderTree
+ * @param {Set<string>} collapsed - folder paths
+ */
+export function flattenFolderTree(tree, collapsed) {
+  const rows = [];
+  const walk = (node, depth) => {
+    for (const index of node.files) rows.push({ type: 'video', index, depth });
+    for (const child of node.children) {
+      rows.push({ type: 'folder', node: child, depth });
+      if (!collapsed.has(child.path)) walk(child, depth + 1);
+    }
+  };
+  walk(tree, 0);
+  return rows;
+}
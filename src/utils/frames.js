@@ -0,0 +1,55 @@
+// Frame numbers and SMPTE timecode for the viewer's frame stepping. Frame n
+// covers [n / fps, (n + 1) / fps); steps seek to the middle of a frame so the
+// player shows that frame whatever rounding its timestamps have.
+
+// Used when the probe didn't report a frame rate
+export const DEFAULT_FPS = 30;
+
+export function frameAt(time, fps) {
+  return Math.max(0, Math.floor(time * fps + 1e-6));
+}
+
+/** Seek target that displays frame n. */
+export function frameTime(frame, fps) {
+  return (Math.max(0, frame) + 0.5) / fps;
+}
+
+/**
+ * Time to hand ffmpeg for frame n: its input seek keeps the first frame at or
+ * after the time, so aim a little before the frame's start.
+ */
+export function frameGrabTime(frame, fps) {
+  return Math.max(0, (frame - 0.25) / fps);
+}
+
+// 29.97 / 59.94 fps use drop-frame timecode so it stays in step with the clock
+const isDropFrame = (fps) => {
+  const nominal = Math.round(fps);
+  return (nominal === 30 || nominal === 60) && Math.abs(fps - nominal * 1000 / 1001) < 0.01;
+};
+
+/**
+ * SMPTE timecode of frame n: HH:MM:SS:FF, or HH:MM:SS;FF for drop-frame rates
+ * (frame labels 0 and 1 (0-3 at 59.94) are skipped each minute except every
+ * tenth).
+ */
+export function formatTimecode(frame, fps) {
+  const nominal = Math.round(fps) || DEFAULT_FPS;
+  const dropFrame = isDropFrame(fps);
+  let n = frame;
+  if (dropFrame) {
+    const drop = nominal / 15;
+    const perMinute = nominal * 60 - drop;
+    const perTenMinutes = perMinute * 10 + drop;
+    const tens = Math.floor(n / perTenMinutes);
+    const rest = n % perTenMinutes;
+    n += drop * 9 * tens + (rest > drop ? drop * Math.floor((rest - drop) / perMinute) : 0);
+  }
+  const pad = (v) => String(v).padStart(2, '0');
+  const ff = n % nominal;
+  const totalSeconds = Math.floor(n / nominal);
+  const ss = totalSeconds % 60;
+  const mm = Math.floor(totalSeconds / 60) % 60;
+  const hh = Math.floor(totalSeconds / 3600);
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+}
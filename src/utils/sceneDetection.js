@@ -0,0 +1,4 @@
+// Scene-change capture settings shared by the screenshot and slides dialogs.
+
+// Sensitivity 40-95% maps onto a scene score threshold of 0.6-0.05
+export const sceneThreshold = (sensitivity) => Math.round(100 - sensitivity) / 100;
@@ -0,0 +1,259 @@
+/**
+ * Library search: fuzzy file-name terms plus field operators.
+ *
+ *   beach trip            every term must fuzzy-match the file name
+ *   "beach trip"          quoted phrase is one term
+ *   duration>10m          also dur; units h/m/s, 1:30 or 1h30m; bare numbers are minutes
+ *   res:1080  res>=720    also resolution; 1080p, 4k, 8k accepted
+ *   ext:mkv  ext:mp4,mov
+ *   codec:hevc            video codec (h265/x265 and avc/x264 aliases)
+ *   size>500mb            kb/mb/gb, bare numbers are MB
+ *   pinned                also is:pinned
+ *   -term  -ext:mkv       negates a term or filter
+ */
+
+const FIELD_ALIASES = {
+  duration: 'duration', dur: 'duration', length: 'duration',
+  res: 'res', resolution: 'res',
+  ext: 'ext', type: 'ext',
+  codec: 'codec', vcodec: 'codec',
+  size: 'size',
+  is: 'is'
+};
+
+const METADATA_FIELDS = new Set(['duration', 'res', 'codec']);
+
+const CODEC_ALIASES = {
+  h265: 'hevc', x265: 'hevc',
+  avc: 'h264', x264: 'h264',
+  xvid: 'mpeg4', divx: 'mpeg4'
+};
+
+const RES_NAMES = { '4k': 2160, uhd: 2160, '8k': 4320, '2k': 1440, qhd: 1440, fhd: 1080, hd: 720, sd: 480 };
+
+// Tolerance for res:<value> so odd encodes (1920x1072, 1918x1080) still match
+const RES_TOLERANCE = 0.08;
+
+const FILTER_PATTERN = /^([a-z]+)(>=|<=|>|<|=|:)(.*)$/;
+
+function parseDuration(value) {
+  if (value.includes(':')) {
+    return value.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+  }
+  const units = [...value.matchAll(/(\d+(?:\.\d+)?)\s*(h|m|s)?/g)];
+  if (units.length === 0) return NaN;
+  if (units.length === 1 && !units[0][2]) return parseFloat(units[0][1]) * 60;
+  const scale = { h: 3600, m: 60, s: 1 };
+  return units.reduce((total, [, n, unit]) => total + parseFloat(n) * scale[unit || 's'], 0);
+}
+
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m|gb|g)?$/.exec(value);
+  if (!match) return NaN;
+  const scale = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+  return parseFloat(match[1]) * scale[match[2] || 'mb'];
+}
+
+function parseResolution(value) {
+  if (RES_NAMES[value]) return RES_NAMES[value];
+  return parseInt(value, 10);
+}
+
+// Effective "p" height of a video: 1920x800 scope and 1080x1920 portrait are both 1080.
+function resolutionTier(width, height) {
+  if (!width || !height) return 0;
+  return Math.round(Math.max(Math.min(width, height), Math.max(width, height) * 9 / 16));
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[3] !== undefined) tokens.push({ text: match[3], quoted: false });
+    else if (match[2]) tokens.push({ text: match[1] + match[2], quoted: true });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a search box query.
+ * @param {string} text
+ * @returns {{ terms: {text: string, negate: boolean}[], filters: {field: string, op: string, value: any, negate: boolean}[], needsMetadata: boolean, isEmpty: boolean }}
+ */
+export function parseSearchQuery(text) {
+  const terms = [];
+  const filters = [];
+
+  for (const token of tokenize((text || '').trim())) {
+    let raw = token.text;
+    const negate = raw.length > 1 && raw.startsWith('-');
+    if (negate) raw = raw.slice(1);
+
+    if (!token.quoted) {
+      const lower = raw.toLowerCase();
+      if (lower === 'pinned') {
+        filters.push({ field: 'is', op: ':', value: 'pinned', negate });
+        continue;
+      }
+      const match = FILTER_PATTERN.exec(lower);
+      const field = match && FIELD_ALIASES[match[1]];
+      if (field) {
+        const [, , op, value] = match;
+        // An incomplete operator ("duration>") is ignored rather than hiding everything
+        if (!value) continue;
+        let parsed;
+        if (field === 'duration') parsed = parseDuration(value);
+        else if (field === 'size') parsed = parseSize(value);
+        else if (field === 'res') parsed = parseResolution(value.replace(/p$/, ''));
+        else if (field === 'ext') parsed = value.split(',').filter(Boolean).map(e => e.startsWith('.') ? e : `.${e}`);
+        else if (field === 'codec') parsed = CODEC_ALIASES[value] || value;
+        else parsed = value;
+        if (typeof parsed === 'number' && isNaN(parsed)) continue;
+        filters.push({ field, op: op === '=' ? ':' : op, value: parsed, negate });
+        continue;
+      }
+    }
+
+    terms.push({ text: raw.toLowerCase(), negate });
+  }
+
+  return {
+    terms,
+    filters,
+    needsMetadata: filters.some(f => METADATA_FIELDS.has(f.field)),
+    isEmpty: terms.length === 0 && filters.length === 0
+  };
+}
+
+const isWordStart = (text, i) => i === 0 || /[\s._\-()[\]]/.test(text[i - 1]) || (/[a-z]/.test(text[i - 1]) && /[A-Z]/.test(text[i]));
+
+/**
+ * Fuzzy-match a lowercase pattern against text. Substring matches score
+ * highest; otherwise the pattern's characters must appear in order, in at
+ * most two runs or with every run starting a word ("bbb" -> "Big Buck Bunny").
+ * @returns {{ score: number, ranges: [number, number][] } | null} ranges are [start, end) in text
+ */
+export function fuzzyMatch(pattern, text) {
+  if (!pattern) return { score: 0, ranges: [] };
+  const lower = text.toLowerCase();
+
+  const index = lower.indexOf(pattern);
+  if (index !== -1) {
+    return { score: 100 + (isWordStart(text, index) ? 20 : 0) - index * 0.1, ranges: [[index, index + pattern.length]] };
+  }
+
+  // Greedy matching depends on where it starts, so try every occurrence of the
+  // first character and keep the best result.
+  let best = null;
+  for (let start = lower.indexOf(pattern[0]); start !== -1; start = lower.indexOf(pattern[0], start + 1)) {
+    const match = matchFrom(pattern, text, lower, start);
+    if (match && (!best || match.score > best.score)) best = match;
+  }
+  return best;
+}
+
+function matchFrom(pattern, text, lower, start) {
+  const ranges = [];
+  let wordStarts = 0;
+  let pos = start;
+  for (const ch of pattern) {
+    // Prefer the next word start holding this character, else the next occurrence
+    let found = -1;
+    for (let i = pos; i < lower.length; i++) {
+      if (lower[i] !== ch) continue;
+      if (found === -1) found = i;
+      if (isWordStart(text, i) || (ranges.length && ranges[ranges.length - 1][1] === i)) {
+        found = i;
+        break;
+      }
+    }
+    if (found === -1) return null;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === found) {
+      last[1] = found + 1;
+    } else {
+      ranges.push([found, found + 1]);
+      if (isWordStart(text, found)) wordStarts++;
+    }
+    pos = found + 1;
+  }
+
+  if (ranges.length > 2 && wordStarts < ranges.length) return null;
+  return { score: 50 - ranges.length * 5 + wordStarts * 5, ranges };
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return actual === expected;
+  }
+}
+
+function testFilter(filter, info) {
+  const { field, op, value } = filter;
+  switch (field) {
+    case 'is':
+      return value === 'pinned' ? !!info.pinned : false;
+    case 'ext':
+      return value.includes(info.ext);
+    case 'size':
+      return compare(info.size || 0, op === ':' ? '>=' : op, value);
+    case 'duration': {
+      if (!info.meta) return false;
+      const duration = info.meta.duration || 0;
+      // duration:10m means "about ten minutes" (same minute)
+      if (op === ':') return Math.floor(duration / 60) === Math.floor(value / 60);
+      return compare(duration, op, value);
+    }
+    case 'res': {
+      const tier = resolutionTier(info.meta?.width, info.meta?.height);
+      if (!tier) return false;
+      if (op === ':') return Math.abs(tier - value) <= value * RES_TOLERANCE;
+      return compare(tier, op, value);
+    }
+    case 'codec':
+      return !!info.meta?.videoCodec && info.meta.videoCodec.toLowerCase().startsWith(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Test one file against a parsed query.
+ * @param {object} query - from parseSearchQuery
+ * @param {string} name - file name shown to the user (matched by terms)
+ * @param {{ ext: string, size?: number, pinned?: boolean, meta?: object }} info
+ * @returns {{ score: number, ranges: [number, number][] } | null} null if it doesn't match
+ */
+export function matchSearchQuery(query, name, info) {
+  for (const filter of query.filters) {
+    if (testFilter(filter, info) === filter.negate) return null;
+  }
+
+  let score = 0;
+  const ranges = [];
+  for (const term of query.terms) {
+    const match = fuzzyMatch(term.text, name);
+    if (term.negate) {
+      // Negated terms exclude on plain substring only; fuzzy would exclude too much
+      if (name.toLowerCase().includes(term.text)) return null;
+      continue;
+    }
+    if (!match) return null;
+    score += match.score;
+    ranges.push(...match.ranges);
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return { score, ranges: merged };
+}
@@ -0,0 +1,215 @@
+/**
+ * Subtitle parsing for the viewer's caption overlay. Every format is parsed
+ * into cues: { start, end, text } with times in seconds and text as plain
+ * lines ('\n' separated, styling tags removed).
+ */
+
+export const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+const STYLE_KEY = 'revid-subtitle-style';
+
+// Caption style shared by the viewer overlay and burned-in exports. fontSize is
+// a percentage of the video height, so captions scale with the window and in
+// fullscreen; margin is the distance from the top/bottom edge (%).
+export const DEFAULT_SUBTITLE_STYLE = {
+  fontSize: 5,
+  color: '#ffffff',
+  position: 'bottom',
+  margin: 10,
+  background: 'shadow' // 'shadow' | 'box' | 'none'
+};
+
+export function loadSubtitleStyle() {
+  try {
+    return { ...DEFAULT_SUBTITLE_STYLE, ...JSON.parse(localStorage.getItem(STYLE_KEY) || '{}') };
+  } catch {
+    return DEFAULT_SUBTITLE_STYLE;
+  }
+}
+
+export function saveSubtitleStyle(style) {
+  localStorage.setItem(STYLE_KEY, JSON.stringify(style));
+}
+
+export const isSubtitleFile = (name) =>
+  SUBTITLE_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+
+const isBig5Trail = (byte) => (byte >= 0x40 && byte <= 0x7e) || (byte >= 0xa1 && byte <= 0xfe);
+
+/**
+ * Whether non-UTF-8 bytes look like Big5 rather than Windows-1252. Big5 text
+ * is all valid two-byte pairs, mostly common characters and punctuation (lead
+ * bytes A1-C6). Western text read as Big5 breaks into invalid pairs (an
+ * accented letter before a space or punctuation) or, as lowercase accented
+ * letters are E0-FF, into rare characters.
+ */
+function looksLikeBig5(data) {
+  let pairs = 0;
+  let common = 0;
+  for (let i = 0; i < data.length; i++) {
+    const lead = data[i];
+    if (lead < 0x80) continue;
+    if (lead === 0x80 || lead === 0xff || !isBig5Trail(data[i + 1])) return false;
+    pairs++;
+    if (lead >= 0xa1 && lead <= 0xc6) common++;
+    i++;
+  }
+  return pairs > 0 && common / pairs >= 0.5;
+}
+
+/**
+ * Decode subtitle file bytes. Honours UTF-8/UTF-16 byte order marks; files
+ * that aren't valid UTF-8 are read as Big5 or Windows-1252 (common for older
+ * Chinese and Western releases), whichever the bytes look like.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+export function decodeSubtitleBytes(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (data[0] === 0xff && data[1] === 0xfe) return new TextDecoder('utf-16le').decode(data.subarray(2));
+  if (data[0] === 0xfe && data[1] === 0xff) return new TextDecoder('utf-16be').decode(data.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(data).replace(/^\uFEFF/, '');
+  } catch {
+    if (looksLikeBig5(data)) {
+      try {
+        return new TextDecoder('big5', { fatal: true }).decode(data);
+      } catch {}
+    }
+    // Windows-1252 maps every byte, so it never fails
+    return new TextDecoder('windows-1252').decode(data);
+  }
+}
+
+// 00:01:02,345 / 00:01:02.345 / 01:02.345 -> seconds
+function parseTimestamp(value) {
+  const match = /(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})/.exec(value.trim());
+  if (!match) return NaN;
+  const [, h = '0', m, s, ms] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000;
+}
+
+// HTML-ish tags (<i>, <font color=...>, <c.yellow>) and {\an8} overrides
+const stripTags = (text) => text.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '');
+
+/**
+ * Convert SRT text to WebVTT (comma decimal separators become dots).
+ */
+export function srtToVtt(srt) {
+  return 'WEBVTT\n\n' + srt
+    .replace(/\r\n?/g, '\n')
+    .replace(/(\d{2}):(\d{2}):(\d{2}),(\d{3})/g, '$1:$2:$3.$4');
+}
+
+/**
+ * Parse WebVTT (or SRT, which shares the cue layout once converted).
+ */
+export function parseVtt(text) {
+  const cues = [];
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (isNaN(start) || isNaN(end)) continue;
+    const body = stripTags(lines.slice(timingIndex + 1).join('\n')).trim();
+    if (body) cues.push({ start, end, text: body });
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+export function parseSrt(text) {
+  return parseVtt(srtToVtt(text));
+}
+
+/**
+ * Parse SubStation Alpha (.ass/.ssa) dialogue lines. Positioning, karaoke and
+ * style overrides are dropped; \N line breaks are kept.
+ */
+export function parseAss(text) {
+  const cues = [];
+  let format = null;
+  let inEvents = false;
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('[')) {
+      inEvents = line.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) continue;
+    if (line.startsWith('Format:')) {
+      format = line.slice(7).split(',').map(f => f.trim().toLowerCase());
+      continue;
+    }
+    if (!line.startsWith('Dialogue:') || !format) continue;
+
+    // Text is the last field and may itself contain commas
+    const fields = line.slice(9).split(',');
+    const values = fields.slice(0, format.length - 1);
+    values.push(fields.slice(format.length - 1).join(','));
+    const field = (name) => values[format.indexOf(name)] || '';
+
+    const start = parseTimestamp(field('start'));
+    const end = parseTimestamp(field('end'));
+    const body = field('text')
+      .replace(/\{[^}]*\}/g, '')
+      .replace(/\\[Nn]/g, '\n')
+      .replace(/\\h/g, ' ')
+      .trim();
+    if (!isNaN(start) && !isNaN(end) && body) cues.push({ start, end, text: body });
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse subtitle text by file extension (falls back to sniffing the content).
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {{ start: number, end: number, text: string }[]}
+ */
+export function parseSubtitles(text, fileName = '') {
+  const ext = (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  if (ext === '.ass' || ext === '.ssa' || /^\s*\[Script Info\]/i.test(text)) return parseAss(text);
+  if (ext === '.vtt' || /^\s*WEBVTT/.test(text)) return parseVtt(text);
+  return parseSrt(text);
+}
+
+/**
+ * Text of the cues showing at time (overlapping cues are stacked), or ''.
+ * Cues must be sorted by start.
+ */
+export function cueTextAt(cues, time) {
+  // Binary search for the last cue starting at or before time
+  let lo = 0;
+  let hi = cues.length - 1;
+  let last = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (cues[mid].start <= time) {
+      last = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const active = [];
+  // Walk back a little for long cues still running under later ones
+  for (let i = last; i >= 0 && i > last - 10; i--) {
+    if (cues[i].end > time) active.unshift(cues[i].text);
+  }
+  return active.join('\n');
+}
+
+/**
+ * Menu label for a sidecar file: "Movie.zh-TW.srt" next to "Movie.mkv" -> "zh-TW (SRT)".
+ */
+export function subtitleLabel(subtitlePath, videoPath) {
+  const name = subtitlePath.split(/[\\/]/).pop();
+  const videoBase = videoPath.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+  const ext = (name.match(/\.[^.]+$/) || [''])[0];
+  const middle = name.slice(videoBase.length, name.length - ext.length).replace(/^[.\s_-]+/, '');
+  return middle ? `${middle} (${ext.slice(1).toUpperCase()})` : ext.slice(1).toUpperCase();
+}
@@ -1,5 +1,7 @@
+const getElectronAPI = () => window.electronAPI || null;
+
 const metadataCache = new Map();
-const MAX_CACHE = 300;
+const MAX_CACHE = 1000;
 
 function addToCache(key, value) {
   if (metadataCache.size >= MAX_CACHE) {
@@ -9,16 +11,25 @@ function addToCache(key, value) {
   metadataCache.set(key, value);
 }
 
+const LOCAL_VIDEO_PREFIX = 'local-video:///';
+const pendingProbes = new Map();
+
 /**
- * Get video metadata (duration, width, height) via a temp <video> element.
- * @param {string} videoUrl - local-video:// URL
- * @returns {Promise<{duration: number, width: number, height: number} | null>}
+ * Convert a local-video:// URL back to the file path it was built from.
+ * @param {string} videoUrl
+ * @returns {string}
  */
-export function getVideoMetadata(videoUrl) {
-  if (metadataCache.has(videoUrl)) {
-    return Promise.resolve(metadataCache.get(videoUrl));
-  }
+export function videoUrlToPath(videoUrl) {
+  return videoUrl.startsWith(LOCAL_VIDEO_PREFIX)
+    ? videoUrl.slice(LOCAL_VIDEO_PREFIX.length)
+    : videoUrl;
+}
 
+/**
+ * Fallback probe via a temp <video> element (duration, width, height only).
+ * Gives up after 5s and fails for codecs Chromium can't decode.
+ */
+function probeWithVideoElement(videoUrl) {
   return new Promise((resolve) => {
     const video = document.createElement('video');
     video.preload = 'metadata';
@@ -35,7 +46,6 @@ export function getVideoMetadata(videoUrl) {
         width: video.videoWidth || 0,
         height: video.videoHeight || 0
       };
-      addToCache(videoUrl, meta);
       cleanup();
       resolve(meta);
     };
@@ -69,10 +79,57 @@ export function getVideoMetadata(videoUrl) {
   });
 }
 
+async function probeVideo(videoUrl) {
+  const api = getElectronAPI();
+  if (api?.probeMedia && videoUrl.startsWith(LOCAL_VIDEO_PREFIX)) {
+    try {
+      const res = await api.probeMedia(videoUrlToPath(videoUrl));
+      if (res?.success) {
+        const { success, ...meta } = res;
+        return meta;
+      }
+    } catch {
+      // Fall through to the <video> probe
+    }
+  }
+  return probeWithVideoElement(videoUrl);
+}
+
+/**
+ * Get video metadata via the main-process ffmpeg probe, falling back to a temp
+ * <video> element outside Electron or when the probe fails.
+ * The ffmpeg probe additionally reports format, bitrate, videoCodec, fps,
+ * rotation, audioTracks, subtitleTracks and container tags.
+ * @param {string} videoUrl - local-video:// URL
+ * @returns {Promise<{duration: number, width: number, height: number} | null>}
+ */
+export function getVideoMetadata(videoUrl) {
+  if (metadataCache.has(videoUrl)) {
+    return Promise.resolve(metadataCache.get(videoUrl));
+  }
+  if (pendingProbes.has(videoUrl)) {
+    return pendingProbes.get(videoUrl);
+  }
+
+  const promise = probeVideo(videoUrl).then((meta) => {
+    pendingProbes.delete(videoUrl);
+    if (meta) addToCache(videoUrl, meta);
+    return meta;
+  });
+  pendingProbes.set(videoUrl, promise);
+  return promise;
+}
+
 export function getCachedMetadata(videoUrl) {
   return metadataCache.get(videoUrl) || null;
 }
 
+/** Forget what was read for a file that has changed on disk. */
+export function forgetVideoMetadata(videoUrl) {
+  metadataCache.delete(videoUrl);
+  pendingProbes.delete(videoUrl);
+}
+
 /**
  * Format seconds to mm:ss or hh:mm:ss
  */
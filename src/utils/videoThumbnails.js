@@ -1,6 +1,14 @@
+import { videoUrlToPath, forgetVideoMetadata } from './videoMetadata';
+
 const MAX_CACHE_SIZE = 200;
+const DEFAULT_SEEK_TIME = 1.0;
 const THUMBNAIL_TIMEOUT_MS = 10000;
 const thumbnailCache = new Map();
+// URLs of files changed on disk whose thumbnail hasn't been read again yet;
+// components drop what they loaded for them (see retainFileEntries)
+const changedUrls = new Set();
+
+const fileUrl = (file) => `local-video:///${file.replace(/\\/g, '/')}`;
 
 function addToCache(key, value) {
   if (thumbnailCache.size >= MAX_CACHE_SIZE) {
@@ -10,12 +18,43 @@ function addToCache(key, value) {
   thumbnailCache.set(key, value);
 }
 
-export async function generateVideoThumbnail(videoSrc, seekTime = 1.0) {
+const getElectronAPI = () => window.electronAPI || null;
+
+// Only the default-seek thumbnail of a local file goes into the on-disk index
+const isIndexable = (videoSrc, seekTime) =>
+  seekTime === DEFAULT_SEEK_TIME && videoSrc.startsWith('local-video:///') && !!getElectronAPI()?.getIndexedThumbnail;
+
+/**
+ * Thumbnail (JPEG data URL) for a video, from memory, then the persistent
+ * media index in userData, and only then by decoding a frame.
+ */
+export async function generateVideoThumbnail(videoSrc, seekTime = DEFAULT_SEEK_TIME) {
   const cacheKey = `${videoSrc}@${seekTime}`;
   if (thumbnailCache.has(cacheKey)) {
     return thumbnailCache.get(cacheKey);
   }
 
+  const indexable = isIndexable(videoSrc, seekTime);
+  if (indexable) {
+    const indexed = await getElectronAPI().getIndexedThumbnail(videoUrlToPath(videoSrc)).catch(() => null);
+    if (indexed) {
+      addToCache(cacheKey, indexed);
+      changedUrls.delete(videoSrc);
+      return indexed;
+    }
+  }
+
+  const dataUrl = await renderThumbnail(videoSrc, seekTime);
+  if (dataUrl) {
+    addToCache(cacheKey, dataUrl);
+    changedUrls.delete(videoSrc);
+    if (indexable) getElectronAPI().saveIndexedThumbnail(videoUrlToPath(videoSrc), dataUrl).catch(() => {});
+  }
+  return dataUrl;
+}
+
+// Decode a frame near seekTime via a temp <video> and scale it to 256px
+function renderThumbnail(videoSrc, seekTime) {
   return new Promise((resolve) => {
     const video = document.createElement('video');
     video.crossOrigin = 'anonymous';
@@ -45,7 +84,6 @@ export async function generateVideoThumbnail(videoSrc, seekTime = 1.0) {
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
 
         const dataUrl = canvas.toDataURL('image/jpeg', 0.7);
-        addToCache(cacheKey, dataUrl);
         cleanup();
         resolve(dataUrl);
       } catch (err) {
@@ -91,6 +129,34 @@ export function clearThumbnailCache() {
   thumbnailCache.clear();
 }
 
-export function getCachedThumbnail(videoSrc, seekTime = 1.0) {
+export function getCachedThumbnail(videoSrc, seekTime = DEFAULT_SEEK_TIME) {
   return thumbnailCache.get(`${videoSrc}@${seekTime}`) || null;
 }
+
+/**
+ * Drop the cached thumbnails and metadata of files rewritten in place (the
+ * folder watch's changed list), so they're read again from the new contents.
+ */
+export function forgetChangedFiles(files) {
+  for (const file of files) {
+    const videoUrl = fileUrl(file);
+    for (const key of [...thumbnailCache.keys()]) {
+      if (key.startsWith(`${videoUrl}@`)) thumbnailCache.delete(key);
+    }
+    forgetVideoMetadata(videoUrl);
+    changedUrls.add(videoUrl);
+  }
+}
+
+/**
+ * Subset of a { [file]: value } map for the files still listed, so components
+ * keep what they've loaded when the list changes (re-sort, folder watch update).
+ * Files changed on disk since are left out, to be loaded again.
+ */
+export function retainFileEntries(map, files) {
+  const next = {};
+  for (const file of files) {
+    if (file in map && !changedUrls.has(fileUrl(file))) next[file] = map[file];
+  }
+  return next;
+}
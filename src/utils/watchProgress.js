@@ -0,0 +1,94 @@
+const getElectronAPI = () => window.electronAPI || null;
+
+// Renderer-side cache of the main-process watch progress store
+// (electron/watchProgress.cjs). null marks a file known to have no progress.
+const progressCache = new Map();
+// file -> in-flight fetch, so concurrent loads wait for each other
+const pendingLoads = new Map();
+const listeners = new Set();
+
+// Positions this close to the start aren't worth resuming from
+const MIN_RESUME_S = 5;
+
+const notify = () => listeners.forEach(listener => listener());
+
+/**
+ * Fetch progress for any of the files not cached yet. Resolves once every
+ * requested file is cached.
+ * @param {string[]} filePaths
+ */
+export async function loadWatchProgress(filePaths) {
+  const api = getElectronAPI();
+  if (!api?.getWatchProgress) return;
+  const missing = filePaths.filter(file => !progressCache.has(file) && !pendingLoads.has(file));
+  const inFlight = new Set(filePaths.map(file => pendingLoads.get(file)).filter(Boolean));
+
+  if (missing.length > 0) {
+    const load = api.getWatchProgress(missing)
+      .then((res) => {
+        if (!res?.success) return;
+        missing.forEach(file => progressCache.set(file, res.entries[file] || null));
+        notify();
+      })
+      .catch(() => {})
+      .finally(() => missing.forEach(file => pendingLoads.delete(file)));
+    missing.forEach(file => pendingLoads.set(file, load));
+    inFlight.add(load);
+  }
+  await Promise.all(inFlight);
+}
+
+/**
+ * @returns {{ position: number, duration: number, completed: boolean, updatedAt: number } | null}
+ */
+export function getWatchProgress(filePath) {
+  return progressCache.get(filePath) || null;
+}
+
+/**
+ * Store the playback position of a file; ended marks it as watched.
+ */
+export async function saveWatchProgress(filePath, position, duration, ended = false) {
+  const api = getElectronAPI();
+  if (!api?.saveWatchProgress || !Number.isFinite(position)) return;
+  try {
+    const res = await api.saveWatchProgress(filePath, {
+      position,
+      duration: Number.isFinite(duration) ? duration : 0,
+      ended
+    });
+    if (res?.success) {
+      progressCache.set(filePath, res.entry);
+      notify();
+    }
+  } catch {}
+}
+
+/**
+ * Position to resume a file from, or 0 to start at the beginning.
+ * @returns {Promise<number>}
+ */
+export async function getResumePosition(filePath) {
+  await loadWatchProgress([filePath]);
+  const position = getWatchProgress(filePath)?.position || 0;
+  return position >= MIN_RESUME_S ? position : 0;
+}
+
+/**
+ * Watched fraction (0-1) for a progress bar; completed files with no resume
+ * position show as full.
+ */
+export function progressFraction(entry) {
+  if (!entry) return 0;
+  if (entry.position > 0 && entry.duration > 0) return Math.min(1, entry.position / entry.duration);
+  return entry.completed ? 1 : 0;
+}
+
+/**
+ * @param {() => void} listener - called whenever cached progress changes
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeWatchProgress(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildConcatGraph, concatDuration } = require('../electron/concatNormalize.cjs');
+
+// The dialog's total comes from concatDuration; it must match the graph's
+for (const [name, durations, options] of [
+    ['crossfade longer than half a clip', [10, 1.2, 8], { transition: { type: 'crossfade', duration: 2 } }],
+    ['crossfade with title cards', [10, 20], {
+        transition: { type: 'crossfade', duration: 1 },
+        intro: { text: 'Intro', duration: 3 },
+        outro: { text: 'Outro', duration: 0.2 }
+    }],
+    ['fade', [4, 6], { transition: { type: 'fade', duration: 1 } }],
+    ['no transition', [4, 6], {}]
+]) {
+    test(`concatDuration matches buildConcatGraph: ${name}`, () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revid-test-'));
+        try {
+            const { duration } = buildConcatGraph({
+                inputs: durations.map((d, i) => ({ path: `${i}.mp4`, duration: d, hasAudio: true })),
+                width: 1280, height: 720, fps: 30, tempDir, ...options
+            });
+            assert.ok(Math.abs(concatDuration({ durations, ...options }) - duration) < 1e-9);
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+}
+
+test('a crossfade is cut to half the shortest clip', () => {
+    assert.equal(concatDuration({ durations: [10, 1, 10], transition: { type: 'crossfade', duration: 2 } }), 20);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  initialSegments, moveEdge, sourceOrder, keptSegments, saveEditList, splitAt,
+  snapToKeyframes, hasOffKeyframeCut
+} from '../src/utils/editSegments.js';
+
+const spans = (segments) => sourceOrder(segments).map(s => [s.start, s.end, s.removed]);
+
+test('dragging the start edge cuts off a removed head, resizes it and drops it again', () => {
+  let segments = initialSegments(60);
+  segments = moveEdge(segments, 'start', 5);
+  assert.deepEqual(spans(segments), [[0, 5, true], [5, 60, false]]);
+  segments = moveEdge(segments, 'start', 8);
+  assert.deepEqual(spans(segments), [[0, 8, true], [8, 60, false]]);
+  segments = moveEdge(segments, 'start', 0);
+  assert.deepEqual(spans(segments), [[0, 60, false]]);
+});
+
+test('dragging the end edge trims the last segment without changing the export order', () => {
+  let segments = splitAt(initialSegments(60), 30);
+  const [first, second] = segments;
+  segments = [second, first]; // exported second half first
+  segments = moveEdge(segments, 'end', 50);
+  assert.deepEqual(spans(segments), [[0, 30, false], [30, 50, false], [50, 60, true]]);
+  assert.deepEqual(keptSegments(segments).map(s => s.id), [second.id, first.id]);
+});
+
+test('entering copy mode moves every cut to its nearest keyframe', () => {
+  const keyframes = [0, 4, 8, 12];
+  let segments = splitAt(splitAt(initialSegments(14), 5), 7);
+  segments = segments.map(s => s.start === 5 ? { ...s, removed: true } : s);
+  assert.ok(hasOffKeyframeCut(segments, keyframes));
+  const snapped = snapToKeyframes(segments, keyframes);
+  // 5 -> 4 and 7 -> 8: the removed part grows to whole GOPs instead of coming back
+  assert.deepEqual(spans(snapped), [[0, 4, false], [4, 8, true], [8, 14, false]]);
+  assert.equal(hasOffKeyframeCut(snapped, keyframes), false);
+  assert.equal(snapToKeyframes(snapped, keyframes), snapped);
+});
+
+test('a segment shorter than a GOP disappears when snapped', () => {
+  const segments = splitAt(splitAt(initialSegments(12), 5), 5.5);
+  assert.deepEqual(spans(snapToKeyframes(segments, [0, 4, 8])), [[0, 4, false], [4, 12, false]]);
+});
+
+test('saved edit lists keep only the most recently edited files', () => {
+  const store = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, String(value))
+  };
+  try {
+    const edited = splitAt(initialSegments(10), 5);
+    for (let i = 0; i < 60; i++) saveEditList(`/videos/${i}.mp4`, 10, edited);
+    const saved = JSON.parse(store.get('revid-edit-lists'));
+    assert.equal(Object.keys(saved).length, 50);
+    assert.ok(saved['/videos/59.mp4']);
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
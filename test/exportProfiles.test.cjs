@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listEncoders } = require('../electron/exportProfiles.cjs');
+
+for (const [name, ffmpegPath] of [
+    ['spawn throws', null],
+    ['the binary is missing', '/nonexistent/ffmpeg']
+]) {
+    test(`listEncoders resolves an empty set and retries when ${name}`, async () => {
+        const first = listEncoders(ffmpegPath);
+        assert.deepEqual(await first, new Set());
+        const second = listEncoders(ffmpegPath);
+        assert.notEqual(second, first);
+        assert.deepEqual(await second, new Set());
+    });
+}
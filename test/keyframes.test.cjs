@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFramecrc } = require('../electron/keyframes.cjs');
+
+// An MPEG-TS stream starting at 1.4 s (90 kHz clock), keyframes every 2 s
+const output = [
+    '#tb 0: 1/90000',
+    '#media_type 0: video',
+    '0,     126000,     126000,     3003,    41235, 0x1a2b3c4d',
+    '0,     129003,     129003,     3003,     2211, 0x1a2b3c4d, F=0x0',
+    '0,     306000,     306000,     3003,    40001, 0x1a2b3c4d',
+    '0,     309003,     309003,     3003,     1999, 0x1a2b3c4d, F=0x0'
+].join('\n');
+
+test('keyframe times count from the file start, as -ss does', () => {
+    assert.deepEqual(parseFramecrc(output, 1.4), [0, 2]);
+});
+
+test('without a start time the raw timestamps are kept', () => {
+    assert.deepEqual(parseFramecrc(output), [1.4, 3.4]);
+});
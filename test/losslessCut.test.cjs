@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCopySteps, offKeyframeCuts } = require('../electron/losslessCut.cjs');
+
+const keyframes = [0, 4, 8, 12];
+
+test('cuts on keyframes or at the ends of the file are accepted', () => {
+    assert.deepEqual(offKeyframeCuts([{ start: 0, end: 4 }, { start: 8, end: 13.9 }], keyframes, 14), []);
+});
+
+test('a copy with a cut off the keyframes is refused', () => {
+    assert.deepEqual(offKeyframeCuts([{ start: 5, end: 12 }], keyframes, 14), [5]);
+    assert.throws(() => buildCopySteps({
+        inputPath: 'in.mp4', outputPath: 'out.mp4', segments: [{ start: 0, end: 6 }],
+        keyframes, duration: 14, tempDir: '/tmp', writeFile: () => {}
+    }), /isn't on a keyframe/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { screenshotFilter, readFrameTimes } = require('../electron/screenshotSheets.cjs');
+
+// metadata=print only logs frames that carry metadata; fps and mpdecimate set
+// none, so the chain must tag every frame before printing
+for (const options of [
+    { mode: 'interval', interval: 5 },
+    { mode: 'interval', interval: 5, dedupe: true },
+    { mode: 'scene', threshold: 0.3, dedupe: true }
+]) {
+    test(`${options.mode}${options.dedupe ? ' + dedupe' : ''} tags frames before printing their times`, () => {
+        const filters = screenshotFilter({ ...options, timesFile: '/tmp/frames.txt' }).split(',');
+        const add = filters.findIndex(f => f.startsWith('metadata=mode=add:'));
+        const print = filters.findIndex(f => f.startsWith('metadata=mode=print:'));
+        assert.ok(add >= 0, 'no metadata=mode=add');
+        assert.equal(print, filters.length - 1);
+        assert.ok(add < print);
+        const key = /key=([^:]+)/.exec(filters[add])[1];
+        assert.match(filters[print], new RegExp(`key=${key.replace('.', '\\.')}:`));
+    });
+}
+
+test('readFrameTimes reads the print log in order', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'revid-test-'));
+    const timesFile = path.join(dir, 'frames.txt');
+    fs.writeFileSync(timesFile, [
+        'frame:0    pts:0       pts_time:0',
+        'revid.shot=1',
+        'frame:1    pts:5120    pts_time:5',
+        'revid.shot=1',
+        'frame:2    pts:10240   pts_time:10.04',
+        'revid.shot=1',
+        ''
+    ].join('\n'));
+    try {
+        assert.deepEqual(readFrameTimes(timesFile), [0, 5, 10.04]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('readFrameTimes is empty for a missing log', () => {
+    assert.deepEqual(readFrameTimes(path.join(os.tmpdir(), 'revid-no-such-file.txt')), []);
+});
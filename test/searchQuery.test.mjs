@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, matchSearchQuery, fuzzyMatch } from '../src/utils/searchQuery.js';
+
+const matches = (text, name, info = {}) =>
+  !!matchSearchQuery(parseSearchQuery(text), name, { ext: '.mp4', ...info });
+
+test('duration>1h30m compares against ninety minutes', () => {
+  const { filters, needsMetadata } = parseSearchQuery('duration>1h30m');
+  assert.deepEqual(filters, [{ field: 'duration', op: '>', value: 5400, negate: false }]);
+  assert.ok(needsMetadata);
+  assert.ok(matches('duration>1h30m', 'a.mp4', { meta: { duration: 6000 } }));
+  assert.ok(!matches('duration>1h30m', 'a.mp4', { meta: { duration: 5000 } }));
+  assert.ok(!matches('duration>1h30m', 'a.mp4'), 'unknown duration never matches');
+});
+
+test('1:30 reads as minutes and seconds, bare numbers as minutes', () => {
+  assert.equal(parseSearchQuery('dur<1:30').filters[0].value, 90);
+  assert.equal(parseSearchQuery('duration:1:30:00').filters[0].value, 5400);
+  assert.equal(parseSearchQuery('duration>10').filters[0].value, 600);
+  assert.ok(matches('dur<1:30', 'a.mp4', { meta: { duration: 80 } }));
+  assert.ok(!matches('dur<1:30', 'a.mp4', { meta: { duration: 100 } }));
+});
+
+test('res:4k matches 2160p, including scope and portrait frames', () => {
+  assert.equal(parseSearchQuery('res:4k').filters[0].value, 2160);
+  assert.ok(matches('res:4k', 'a.mp4', { meta: { width: 3840, height: 2160 } }));
+  assert.ok(matches('res:4k', 'a.mp4', { meta: { width: 3840, height: 1600 } }));
+  assert.ok(matches('res:4k', 'a.mp4', { meta: { width: 2160, height: 3840 } }));
+  assert.ok(!matches('res:4k', 'a.mp4', { meta: { width: 1920, height: 1080 } }));
+});
+
+test('-ext:mkv leaves out mkv files', () => {
+  assert.deepEqual(parseSearchQuery('-ext:mkv').filters, [{ field: 'ext', op: ':', value: ['.mkv'], negate: true }]);
+  assert.ok(!matches('-ext:mkv', 'a.mkv', { ext: '.mkv' }));
+  assert.ok(matches('-ext:mkv', 'a.mp4', { ext: '.mp4' }));
+});
+
+test('a quoted phrase is one term', () => {
+  assert.deepEqual(parseSearchQuery('"Beach Trip" ext:mp4').terms, [{ text: 'beach trip', negate: false }]);
+  assert.ok(matches('"beach trip"', 'Beach Trip 2020.mp4'));
+  assert.ok(!matches('"beach trip"', 'trip to the beach.mp4'));
+  assert.ok(matches('beach trip', 'trip to the beach.mp4'), 'unquoted terms match in any order');
+  assert.ok(!matches('-"beach trip"', 'Beach Trip 2020.mp4'));
+});
+
+test('"bbb" fuzzy-matches the word starts of Big Buck Bunny', () => {
+  assert.deepEqual(fuzzyMatch('bbb', 'Big Buck Bunny.mp4').ranges, [[0, 1], [4, 5], [9, 10]]);
+  assert.ok(matches('bbb', 'Big Buck Bunny.mp4'));
+  assert.ok(!matches('bbb', 'Bob.mp4'));
+  assert.ok(fuzzyMatch('bbb', 'Big Buck Bunny.mp4').score < fuzzyMatch('bbb', 'bbb.mp4').score);
+});
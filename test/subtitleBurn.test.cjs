@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSubtitlesFilter } = require('../electron/subtitleBurn.cjs');
+const { screenshotFilter } = require('../electron/screenshotSheets.cjs');
+
+// ffmpeg's av_get_token: reads up to an unescaped, unquoted terminator,
+// dropping one level of quotes and backslashes
+function getToken(text, terms) {
+    let out = '';
+    let i = 0;
+    while (i < text.length && !terms.includes(text[i])) {
+        const c = text[i++];
+        if (c === '\\' && i < text.length) {
+            out += text[i++];
+        } else if (c === "'") {
+            while (i < text.length && text[i] !== "'") out += text[i++];
+            i++;
+        } else {
+            out += c;
+        }
+    }
+    return [out, text.slice(i)];
+}
+
+// Options of each filter in a chain, parsed the way the graph parser and then
+// the filter's option parser do
+function parseChain(chain) {
+    const filters = [];
+    let rest = chain;
+    while (rest) {
+        const name = /^[^=,]+/.exec(rest)[0];
+        rest = rest.slice(name.length);
+        let args = '';
+        if (rest[0] === '=') [args, rest] = getToken(rest.slice(1), '[],;');
+        rest = rest.replace(/^,/, '');
+        const options = {};
+        while (args) {
+            let key;
+            let value;
+            [key, args] = getToken(args, '=:');
+            if (args[0] === '=') [value, args] = getToken(args.slice(1), ':');
+            options[key] = value;
+            args = args.replace(/^:/, '');
+        }
+        filters.push({ name, options });
+    }
+    return filters;
+}
+
+const nasty = "C:\\Users\\me\\Director's Cut: Final.srt";
+const parsed = "C:/Users/me/Director's Cut: Final.srt";
+
+test('a subtitle path with an apostrophe, colons and backslashes reaches the filter intact', () => {
+    const [subtitles] = parseChain(buildSubtitlesFilter(nasty, {}));
+    assert.equal(subtitles.name, 'subtitles');
+    assert.equal(subtitles.options.filename, parsed);
+    assert.ok(subtitles.options.force_style.startsWith('FontSize='));
+});
+
+test('the screenshot times file keeps its apostrophe', () => {
+    const filters = parseChain(screenshotFilter({ mode: 'interval', interval: 5, timesFile: nasty }));
+    assert.equal(filters[filters.length - 1].options.file, parsed);
+});
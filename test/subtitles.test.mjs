@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeSubtitleBytes } from '../src/utils/subtitles.js';
+
+// Latin-1 / Windows-1252 bytes of a string (every code point below 0x100)
+const latin1 = (text) => Uint8Array.from(text, (ch) => ch.charCodeAt(0));
+
+const SRT = (line) => `1\r\n00:00:01,000 --> 00:00:03,000\r\n${line}\r\n`;
+
+test('Western-European Latin-1 subtitles are not read as Big5', () => {
+  for (const line of [
+    // Also valid Big5 byte for byte (no accented letter before a space or
+    // punctuation), which a strict Big5 decode would accept
+    'Vous êtes très gentil',
+    'Élodie préfère les crêpes',
+    'Señor Muñoz',
+    'Mädchen für alles',
+    'Müller grüßt Jürgen',
+    // Invalid as Big5
+    'Ça va très bien, merci. Où est la gare ?',
+    '¿Dónde está el niño? ¡Mañana!'
+  ]) {
+    assert.equal(decodeSubtitleBytes(latin1(SRT(line))), SRT(line));
+  }
+});
+
+test('Big5 subtitles are read as Big5', () => {
+  // "中文字幕，你好。" in Big5
+  const bytes = Uint8Array.from([
+    0xa4, 0xa4, 0xa4, 0xe5, 0xa6, 0x72, 0xb9, 0xf5, 0xa1, 0x41, 0xa7, 0x41, 0xa6, 0x6e, 0xa1, 0x43
+  ]);
+  assert.equal(decodeSubtitleBytes(bytes), '中文字幕，你好。');
+});
+
+test('UTF-8 with a byte order mark', () => {
+  const bytes = new Uint8Array([0xef, 0xbb, 0xbf, ...new TextEncoder().encode('Très bien')]);
+  assert.equal(decodeSubtitleBytes(bytes), 'Très bien');
+});